@@ -2,7 +2,7 @@
  * cli.js — Command-line interface for XFlix
  *
  * Usage:
- *   node cli.js scan [all|photos|videos]   Scan MEDIA_DIR and index new files
+ *   node cli.js scan [all|photos|videos]   Scan every enabled library and index new files
  *   node cli.js clear                      Truncate all media tables (keeps users)
  *
  * The CLI uses the same db.js and scanner.js modules as the server,
@@ -29,7 +29,7 @@ async function main() {
     try {
       await scanDirectory(mode);
       const p = getProgress();
-      console.log(`\n✅ Scan complete! ${p.done} files indexed, ${p.errors} errors.`);
+      console.log(`\n✅ Scan complete! ${p.done} files indexed, ${p.moved} moved/renamed, ${p.errors} errors.`);
       if (mode === 'all' || mode === 'videos') {
         console.log('⏳  Enrichissement des durées vidéo…');
         await enrichDurations(3);
@@ -11,15 +11,27 @@
  *   users ←── comments ──→ media ←── performers
  *   users ←── media_reactions ──→ media
  *   users ←── user_favorites  ──→ media
+ *   users ←── watch_progress  ──→ media  (resume position per user)
+ *   users ←── view_history    ──→ media  (one row per user/media, last view)
+ *   users ←── playlists ←── playlist_items ──→ media  (ordered by position)
+ *   media ←── media_search  (1:1 FULLTEXT document: filename, performer, tags, comments)
  *   performers ←── media  (ON DELETE CASCADE)
+ *   libraries  ←── performers / media  (library_id — which root a row came from)
  *   performers ←── performer_tags
  *   tags       ←── performer_tags  (many-to-many)
+ *   tags       ←── media_tags      (source = auto | manual)
  *   settings   (key/value store for SMTP + app config)
+ *   users ←── jobs ←── job_logs  (persistent background queue, see services/jobs.js)
+ *   schedules ──→ jobs  (cron-like recurring jobs, last_job_id — services/scheduler.js)
+ *   users ←── audit_log  (admin actions: actor, target, before/after — services/audit.js)
+ *   users ←── sessions   (one per login: refresh token hash, device — services/sessions.js)
+ *   users ←── recovery_codes  (2FA single-use codes, SHA-256 — services/totp.js)
  *
  * Migrations are idempotent (IF NOT EXISTS / ADD COLUMN IF NOT EXISTS)
  * so initSchema() is safe to call on every boot.
  */
 const mysql = require('mysql2/promise');
+const path = require('path');
 require('dotenv').config();
 
 if (!process.env.DB_PASS) {
@@ -209,15 +221,310 @@ async function initSchema() {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
+    // auto = written by the scanner (resolution/codec/duration), manual = added
+    // by a user — setMediaTags() only ever replaces the auto ones
+    await conn.query(`ALTER TABLE media_tags ADD COLUMN IF NOT EXISTS source ENUM('auto','manual') NOT NULL DEFAULT 'auto'`);
+
+    // ── Watch progress (per-user resume position) ──────────────────────
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS watch_progress (
+        user_id INT NOT NULL,
+        media_id INT NOT NULL,
+        position DOUBLE NOT NULL DEFAULT 0,
+        duration DOUBLE,
+        completed TINYINT DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, media_id),
+        KEY idx_progress_user_updated (user_id, updated_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // ── View history (per-user, one row per media — last view wins) ────
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS view_history (
+        user_id INT NOT NULL,
+        media_id INT NOT NULL,
+        views INT DEFAULT 1,
+        viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, media_id),
+        KEY idx_history_user_viewed (user_id, viewed_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await conn.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS history_paused TINYINT DEFAULT 0`);
+
+    // ── Libraries (media roots — one per disk / share) ─────────────────
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS libraries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        path VARCHAR(1000) NOT NULL,
+        type ENUM('all','videos','photos') DEFAULT 'all',
+        enabled TINYINT DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY idx_library_path (path(255))
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await conn.query(`ALTER TABLE performers ADD COLUMN IF NOT EXISTS library_id INT NULL`);
+    await conn.query(`ALTER TABLE performers ADD INDEX IF NOT EXISTS idx_performers_library (library_id)`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS library_id INT NULL`);
+    await conn.query(`ALTER TABLE media ADD INDEX IF NOT EXISTS idx_library_type (library_id, type)`);
+    // MD5 of the first 64 KB — lets the scanner recognise a renamed / moved file
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS partial_hash CHAR(32) NULL`);
+    // Hover preview clip (scanner.generateVideoPreview) — NULL until the `previews` job encoded it
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS preview_path VARCHAR(500) NULL`);
+
+    // ── Photo metadata (scanner.enrichPhotoMeta — sharp + EXIF) ─────
+    // width / height are the displayed size (EXIF rotation applied);
+    // taken_at is the camera's local time, as written in the EXIF
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS orientation TINYINT NULL`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS camera_make VARCHAR(100) NULL`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS camera_model VARCHAR(100) NULL`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS taken_at DATETIME NULL`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS gps_lat DOUBLE NULL`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS gps_lon DOUBLE NULL`);
+    await conn.query(`ALTER TABLE media ADD INDEX IF NOT EXISTS idx_type_taken (type, taken_at)`);
+    // File modification time — the photo timeline's date when there is no EXIF capture date
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS file_mtime DATETIME NULL`);
+    // Perceptual hash (services/phash.js) — NULL until the duplicates job in
+    // "similar" mode computed it, '' when the file could not be decoded
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS phash VARCHAR(255) NULL`);
+    // Full SHA-256 of the file (scanner.storeContentHash). hash_mtime is the
+    // file's mtime in ms when it was hashed: a different mtime or size means
+    // the checksum is stale. verified_at is the last hash / integrity check.
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS content_hash CHAR(64) NULL`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS hash_mtime BIGINT NULL`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS verified_at DATETIME NULL`);
+    await conn.query(`ALTER TABLE media ADD INDEX IF NOT EXISTS idx_content_hash (content_hash)`);
+    // Trash (services/trash.js) — a deleted media keeps its row until purged;
+    // trash_path is where its file was moved, NULL when it was left in place;
+    // merge_into is the copy kept of a trashed duplicate, which gets its activity at purge
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS deleted_at DATETIME NULL`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS trash_path VARCHAR(1000) NULL`);
+    await conn.query(`ALTER TABLE media ADD COLUMN IF NOT EXISTS merge_into INT NULL`);
+    await conn.query(`ALTER TABLE media ADD INDEX IF NOT EXISTS idx_deleted_at (deleted_at)`);
+
+    // One-time migration: the former MEDIA_DIR becomes the first library and
+    // owns every row indexed before libraries existed. Guarded by a setting so
+    // deleting all libraries later does not resurrect it on the next boot.
+    const [[migrated]] = await conn.query("SELECT value FROM settings WHERE `key` = 'libraries_migrated'");
+    if (!migrated) {
+      const [[{ cnt }]] = await conn.query('SELECT COUNT(*) AS cnt FROM libraries');
+      if (!cnt) {
+        const [r] = await conn.query(
+          'INSERT INTO libraries (name, path) VALUES (?, ?)',
+          ['Principale', process.env.MEDIA_DIR || '/home/coder/OF']
+        );
+        await conn.query('UPDATE performers SET library_id = ? WHERE library_id IS NULL', [r.insertId]);
+        await conn.query('UPDATE media SET library_id = ? WHERE library_id IS NULL', [r.insertId]);
+      }
+      await conn.query("INSERT IGNORE INTO settings (`key`, value) VALUES ('libraries_migrated', '1')");
+    }
+
+    // ── Playlists (per-user, ordered, public or private) ───────────────
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS playlists (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(500),
+        is_public TINYINT DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_playlists_user (user_id, updated_at),
+        KEY idx_playlists_public (is_public, updated_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS playlist_items (
+        playlist_id INT NOT NULL,
+        media_id INT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (playlist_id, media_id),
+        KEY idx_playlist_position (playlist_id, position),
+        FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
+        FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // ── Search index (one FULLTEXT document per media) ────────────────
+    // Denormalised copy kept in sync by refreshSearchIndex(); filename and
+    // names are stored with `_ - .` turned into spaces so each part is a token.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS media_search (
+        media_id INT PRIMARY KEY,
+        title VARCHAR(500) NOT NULL DEFAULT '',
+        performer VARCHAR(255) NOT NULL DEFAULT '',
+        tags VARCHAR(1000),
+        comments MEDIUMTEXT,
+        FULLTEXT KEY ft_search_all (title, performer, tags, comments),
+        FULLTEXT KEY ft_search_title (title, performer),
+        FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // ── Background jobs (services/jobs.js) ──────────────────────────
+    // params / result are JSON strings; progress is flushed about once a second
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        type VARCHAR(40) NOT NULL,
+        params TEXT,
+        status ENUM('queued','running','done','failed','cancelled') NOT NULL DEFAULT 'queued',
+        priority TINYINT NOT NULL DEFAULT 5,
+        progress_done INT UNSIGNED NOT NULL DEFAULT 0,
+        progress_total INT UNSIGNED NOT NULL DEFAULT 0,
+        message VARCHAR(500),
+        result MEDIUMTEXT,
+        error TEXT,
+        attempts TINYINT UNSIGNED NOT NULL DEFAULT 0,
+        max_attempts TINYINT UNSIGNED NOT NULL DEFAULT 1,
+        cancel_requested TINYINT(1) NOT NULL DEFAULT 0,
+        run_after DATETIME NULL,
+        created_by INT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME NULL,
+        finished_at DATETIME NULL,
+        INDEX idx_jobs_queue (status, priority, id),
+        INDEX idx_jobs_type (type, status),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS job_logs (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        job_id INT NOT NULL,
+        level ENUM('info','warn','error') NOT NULL DEFAULT 'info',
+        line TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_job_logs_job (job_id, id),
+        FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // ── Scheduled jobs (services/scheduler.js) ──────────────────────
+    // next_run_at / last_run_at are written by the scheduler in server local time
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        job_type VARCHAR(40) NOT NULL,
+        params TEXT,
+        cron VARCHAR(100) NOT NULL,
+        enabled TINYINT(1) NOT NULL DEFAULT 0,
+        email_report TINYINT(1) NOT NULL DEFAULT 0,
+        last_run_at DATETIME NULL,
+        last_job_id INT NULL,
+        next_run_at DATETIME NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (last_job_id) REFERENCES jobs(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // ── Audit log (services/audit.js) ───────────────────────────────
+    // username is copied so a row still names its actor once the account is gone
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NULL,
+        username VARCHAR(100),
+        action VARCHAR(60) NOT NULL,
+        target_type VARCHAR(30),
+        target_id VARCHAR(100),
+        before_json MEDIUMTEXT,
+        after_json MEDIUMTEXT,
+        ip VARCHAR(45),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_audit_created (created_at),
+        INDEX idx_audit_action (action, id),
+        INDEX idx_audit_user (user_id, id),
+        INDEX idx_audit_target (target_type, target_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // ── Login sessions (refresh tokens) ─────────────────────────────
+    // Only SHA-256 hashes are stored; prev_token_hash spots a replayed token
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        prev_token_hash CHAR(64),
+        rotated_at DATETIME,
+        user_agent VARCHAR(255),
+        ip VARCHAR(45),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        INDEX idx_sessions_user (user_id),
+        INDEX idx_sessions_prev (prev_token_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // ── Two-factor authentication (TOTP) ────────────────────────────
+    // totp_secret is set at enrolment, totp_enabled once a first code checked
+    // out; totp_last_step is the last accepted time step (no code replay)
+    await conn.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)`);
+    await conn.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled TINYINT(1) NOT NULL DEFAULT 0`);
+    await conn.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT`);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_recovery_code (user_id, code_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Suggested schedules, created once and disabled — the admin opts in
+    const [[seeded]] = await conn.query("SELECT value FROM settings WHERE `key` = 'schedules_seeded'");
+    if (!seeded) {
+      await conn.query(
+        `INSERT INTO schedules (name, job_type, params, cron, email_report) VALUES
+           ('Scan nocturne', 'scan', '{"mode":"all"}', '0 3 * * *', 0),
+           ('Nettoyage hebdomadaire (simulation)', 'clean-media', '{"dry_run":true}', '0 4 * * 0', 1),
+           ('Détection mensuelle des doublons', 'duplicates', '{"mediaType":"all"}', '0 5 1 * *', 0)`
+      );
+      await conn.query("INSERT IGNORE INTO settings (`key`, value) VALUES ('schedules_seeded', '1')");
+    }
+    // Daily trash purge (trash_retention_days) — enabled: it is what makes the retention happen
+    const [[trashSeeded]] = await conn.query("SELECT value FROM settings WHERE `key` = 'trash_schedule_seeded'");
+    if (!trashSeeded) {
+      await conn.query(
+        `INSERT INTO schedules (name, job_type, params, cron, enabled) VALUES
+           ('Vidage de la corbeille', 'empty-trash', '{}', '30 4 * * *', 1)`
+      );
+      await conn.query("INSERT IGNORE INTO settings (`key`, value) VALUES ('trash_schedule_seeded', '1')");
+    }
+
     // ── Encode jobs table removed — now managed by xflix-encoder ──
 
   } finally {
     conn.release();
   }
+
+  // Index media added before the search table existed (first boot after
+  // upgrading) — runs in the background, search just misses them meanwhile
+  indexUnindexedMedia().catch(e => console.error('[search index]', e.message));
 }
 
 async function clearAll() {
   await pool.query('SET FOREIGN_KEY_CHECKS = 0');
+  await pool.query('TRUNCATE TABLE watch_progress');
+  await pool.query('TRUNCATE TABLE view_history');
+  await pool.query('TRUNCATE TABLE playlist_items');
+  await pool.query('TRUNCATE TABLE media_search');
   await pool.query('TRUNCATE TABLE media_tags');
   await pool.query('TRUNCATE TABLE performer_tags');
   await pool.query('TRUNCATE TABLE tags');
@@ -237,15 +544,121 @@ async function getOrCreateTag(name) {
   return row.id;
 }
 
+/** Trimmed, tag-free, max 50 chars — null when nothing usable is left. */
+function cleanTagName(raw) {
+  const name = String(raw ?? '').replace(/<[^>]*>/g, '').replace(/[,\s]+/g, ' ').trim().slice(0, 50);
+  return name || null;
+}
+
 /**
- * Replace the full tag set for a media item.
- * Deletes existing rows then bulk-inserts the new tag ids.
+ * Replace the automatic tag set for a media item.
+ * Manual tags are left alone; a tag the user already added by hand stays manual.
  */
 async function setMediaTags(mediaId, tagIds) {
   if (!tagIds.length) return;
-  await pool.query('DELETE FROM media_tags WHERE media_id = ?', [mediaId]);
-  const values = tagIds.map(id => [mediaId, id]);
-  await pool.query('INSERT IGNORE INTO media_tags (media_id, tag_id) VALUES ?', [values]);
+  await pool.query("DELETE FROM media_tags WHERE media_id = ? AND source = 'auto'", [mediaId]);
+  const values = tagIds.map(id => [mediaId, id, 'auto']);
+  await pool.query('INSERT IGNORE INTO media_tags (media_id, tag_id, source) VALUES ?', [values]);
+  await refreshSearchIndex([mediaId]);
+}
+
+/** Add manual tags to one or many media (an existing auto link becomes manual). */
+async function addMediaTags(mediaIds, tagIds) {
+  if (!mediaIds.length || !tagIds.length) return 0;
+  const values = mediaIds.flatMap(m => tagIds.map(t => [m, t, 'manual']));
+  const [result] = await pool.query(
+    "INSERT INTO media_tags (media_id, tag_id, source) VALUES ? ON DUPLICATE KEY UPDATE source = 'manual'",
+    [values]
+  );
+  await refreshSearchIndex(mediaIds);
+  return result.affectedRows;
+}
+
+/** Remove tag links; `manualOnly` keeps the scanner's auto links (bulk edits). */
+async function removeMediaTags(mediaIds, tagIds, { manualOnly = false } = {}) {
+  if (!mediaIds.length || !tagIds.length) return 0;
+  const [result] = await pool.query(
+    `DELETE FROM media_tags WHERE media_id IN (?) AND tag_id IN (?)${manualOnly ? " AND source = 'manual'" : ''}`,
+    [mediaIds, tagIds]
+  );
+  await refreshSearchIndex(mediaIds);
+  return result.affectedRows;
+}
+
+/** [{ id, name, source }] for one media, auto tags first. */
+async function getMediaTags(mediaId) {
+  const [rows] = await pool.query(
+    `SELECT t.id, t.name, mt.source FROM media_tags mt JOIN tags t ON t.id = mt.tag_id
+     WHERE mt.media_id = ? ORDER BY mt.source, t.name`,
+    [mediaId]
+  );
+  return rows;
+}
+
+async function getPerformerTags(performerId) {
+  const [rows] = await pool.query(
+    `SELECT t.id, t.name FROM performer_tags pt JOIN tags t ON t.id = pt.tag_id
+     WHERE pt.performer_id = ? ORDER BY t.name`,
+    [performerId]
+  );
+  return rows;
+}
+
+async function addPerformerTags(performerId, tagIds) {
+  if (!tagIds.length) return;
+  await pool.query('INSERT IGNORE INTO performer_tags (performer_id, tag_id) VALUES ?',
+    [tagIds.map(t => [performerId, t])]);
+}
+
+async function removePerformerTag(performerId, tagId) {
+  const [result] = await pool.query(
+    'DELETE FROM performer_tags WHERE performer_id = ? AND tag_id = ?', [performerId, tagId]
+  );
+  return result.affectedRows > 0;
+}
+
+/** Media ids linked to any of the given tags — used to refresh their search documents. */
+async function mediaIdsForTags(tagIds) {
+  const [rows] = await pool.query('SELECT DISTINCT media_id FROM media_tags WHERE tag_id IN (?)', [tagIds]);
+  return rows.map(r => r.media_id);
+}
+
+/** Rename a tag. Returns false when another tag already has that name (merge instead). */
+async function renameTag(tagId, name) {
+  const [[clash]] = await pool.query('SELECT id FROM tags WHERE name = ? AND id <> ?', [name, tagId]);
+  if (clash) return false;
+  await pool.query('UPDATE tags SET name = ? WHERE id = ?', [name, tagId]);
+  await refreshSearchIndex(await mediaIdsForTags([tagId]));
+  return true;
+}
+
+/**
+ * Fold tag `sourceId` into `targetId`: every media / performer link moves over
+ * (a manual link wins over an auto one), then the source tag is deleted.
+ */
+async function mergeTags(sourceId, targetId) {
+  const mediaIds = await mediaIdsForTags([sourceId]);
+  await pool.query(
+    `INSERT INTO media_tags (media_id, tag_id, source)
+     SELECT media_id, ?, source FROM media_tags WHERE tag_id = ?
+     ON DUPLICATE KEY UPDATE source = IF(VALUES(source) = 'manual', 'manual', source)`,
+    [targetId, sourceId]
+  );
+  await pool.query(
+    'INSERT IGNORE INTO performer_tags (performer_id, tag_id) SELECT performer_id, ? FROM performer_tags WHERE tag_id = ?',
+    [targetId, sourceId]
+  );
+  await pool.query('DELETE FROM tags WHERE id = ?', [sourceId]);
+  await refreshSearchIndex(mediaIds);
+  return mediaIds.length;
+}
+
+/** Delete a tag everywhere (links cascade). */
+async function deleteTag(tagId) {
+  const mediaIds = await mediaIdsForTags([tagId]);
+  const [result] = await pool.query('DELETE FROM tags WHERE id = ?', [tagId]);
+  await refreshSearchIndex(mediaIds);
+  return result.affectedRows > 0;
 }
 
 /**
@@ -266,11 +679,17 @@ async function getTagsForMediaBatch(mediaIds) {
   return map;
 }
 
-async function upsertPerformer(name, dirPath) {
+/**
+ * Names are unique across libraries: a performer found in several roots is a
+ * single row that keeps the library it was first seen in (its media rows
+ * carry their own library_id).
+ */
+async function upsertPerformer(name, dirPath, libraryId = null) {
   // One round-trip: INSERT … ON DUPLICATE KEY UPDATE sets LAST_INSERT_ID to the existing id
   const [result] = await pool.query(
-    'INSERT INTO performers (name, dir_path) VALUES (?, ?) ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)',
-    [name, dirPath]
+    `INSERT INTO performers (name, dir_path, library_id) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), library_id = COALESCE(library_id, VALUES(library_id))`,
+    [name, dirPath, libraryId]
   );
   return result.insertId;
 }
@@ -317,15 +736,15 @@ async function insertMedia(performerId, filename, filePath, type, mimeType, size
 
 /**
  * Batch-insert multiple media records in a single query.
- * records: Array of [performerId, filename, filePath, type, mimeType, size, width, height, duration]
+ * records: Array of [performerId, filename, filePath, type, mimeType, size, width, height, duration, libraryId, partialHash]
  */
 async function batchInsertMedia(records) {
   if (!records.length) return;
-  const placeholders = records.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+  const placeholders = records.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
   const values = records.flat();
   try {
     await pool.query(
-      `INSERT IGNORE INTO media (performer_id, filename, file_path, type, mime_type, size, width, height, duration)
+      `INSERT IGNORE INTO media (performer_id, filename, file_path, type, mime_type, size, width, height, duration, library_id, partial_hash)
        VALUES ${placeholders}`,
       values
     );
@@ -335,26 +754,210 @@ async function batchInsertMedia(records) {
   }
 }
 
-async function updatePerformerCounts() {
-  await pool.query(`
-    UPDATE performers SET
-      video_count = (SELECT COUNT(*) FROM media WHERE performer_id = performers.id AND type = 'video'),
-      photo_count = (SELECT COUNT(*) FROM media WHERE performer_id = performers.id AND type = 'photo'),
-      total_size  = (SELECT COALESCE(SUM(size),0) FROM media WHERE performer_id = performers.id)
+/**
+ * Every media row grouped by file size: Map<size, [{ id, file_path, size, partial_hash, performer_id }]>.
+ * Candidate lookup for rename / move detection during a scan.
+ */
+async function getMediaSizeIndex() {
+  const [rows] = await pool.query(
+    'SELECT id, file_path, size, partial_hash, performer_id FROM media WHERE size > 0 AND deleted_at IS NULL');
+  const map = new Map();
+  for (const r of rows) {
+    const size = Number(r.size);
+    if (!map.has(size)) map.set(size, []);
+    map.get(size).push(r);
+  }
+  return map;
+}
+
+/**
+ * Re-point an existing row at a file's new location. The id is kept, so
+ * comments, reactions, favourites, progress and custom thumbnails follow.
+ */
+async function moveMedia(mediaId, filePath, performerId, libraryId, partialHash = null) {
+  await pool.query(
+    `UPDATE media SET file_path = ?, filename = ?, performer_id = ?, library_id = ?,
+       partial_hash = COALESCE(partial_hash, ?)
+     WHERE id = ?`,
+    [filePath, path.basename(filePath), performerId, libraryId, partialHash, mediaId]
+  );
+  await refreshSearchIndex([mediaId]);
+}
+
+/* ── Duplicate resolution ──────────────────────────────────────── */
+
+/**
+ * What duplicate-resolution rules compare (services/dedupe.js): file
+ * metadata plus per-media engagement counters. Keyed by media id.
+ */
+async function getDuplicateMetrics(mediaIds) {
+  if (!mediaIds.length) return new Map();
+  const [rows] = await pool.query(`
+    SELECT m.id, m.file_path, m.type, m.size, m.width, m.height, m.duration, m.bitrate,
+           m.view_count, m.favorite, p.name AS performer_name,
+      (SELECT COUNT(*) FROM comments c WHERE c.media_id = m.id)        AS comment_count,
+      (SELECT COUNT(*) FROM user_favorites f WHERE f.media_id = m.id)  AS favorite_count,
+      (SELECT COUNT(*) FROM media_reactions r WHERE r.media_id = m.id) AS reaction_count
+    FROM media m JOIN performers p ON p.id = m.performer_id
+    WHERE m.id IN (?)`, [mediaIds]);
+  return new Map(rows.map(r => [r.id, r]));
+}
+
+/**
+ * Move everything users attached to media `fromId` onto `intoId` before the
+ * duplicate `fromId` is purged from the trash: comments, reactions, favourites, playlist
+ * entries, manual tags, resume positions, per-user history and the view
+ * counter. Where a user already has a reaction / favourite / position on the
+ * survivor, the survivor's wins. One transaction — a failure leaves both rows as they were.
+ */
+async function mergeMediaEngagement(fromId, intoId) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [moved] = await conn.query('UPDATE comments SET media_id = ? WHERE media_id = ?', [intoId, fromId]);
+    await conn.query(
+      `INSERT IGNORE INTO media_reactions (user_id, media_id, type, created_at)
+       SELECT user_id, ?, type, created_at FROM media_reactions WHERE media_id = ?`, [intoId, fromId]);
+    await conn.query(
+      `INSERT IGNORE INTO user_favorites (user_id, media_id, created_at)
+       SELECT user_id, ?, created_at FROM user_favorites WHERE media_id = ?`, [intoId, fromId]);
+    await conn.query(
+      `INSERT IGNORE INTO playlist_items (playlist_id, media_id, position, added_at)
+       SELECT playlist_id, ?, position, added_at FROM playlist_items WHERE media_id = ?`, [intoId, fromId]);
+    await conn.query(
+      `INSERT INTO media_tags (media_id, tag_id, source)
+       SELECT ?, tag_id, 'manual' FROM media_tags WHERE media_id = ? AND source = 'manual'
+       ON DUPLICATE KEY UPDATE source = 'manual'`, [intoId, fromId]);
+    await conn.query(
+      `INSERT IGNORE INTO watch_progress (user_id, media_id, position, duration, completed, updated_at)
+       SELECT user_id, ?, position, duration, completed, updated_at FROM watch_progress WHERE media_id = ?`,
+      [intoId, fromId]);
+    await conn.query(
+      `INSERT INTO view_history (user_id, media_id, views, viewed_at)
+       SELECT user_id, ?, views, viewed_at FROM view_history WHERE media_id = ?
+       ON DUPLICATE KEY UPDATE views = view_history.views + VALUES(views),
+                               viewed_at = GREATEST(view_history.viewed_at, VALUES(viewed_at))`,
+      [intoId, fromId]);
+    await conn.query(
+      `UPDATE media s JOIN media l ON l.id = ?
+       SET s.view_count  = COALESCE(s.view_count, 0) + COALESCE(l.view_count, 0),
+           s.last_viewed = GREATEST(COALESCE(s.last_viewed, l.last_viewed), COALESCE(l.last_viewed, s.last_viewed)),
+           s.favorite    = GREATEST(COALESCE(s.favorite, 0), COALESCE(l.favorite, 0))
+       WHERE s.id = ?`, [fromId, intoId]);
+    // Counted views are now the survivor's: a retry after a failed delete must not add them twice
+    await conn.query('DELETE FROM view_history WHERE media_id = ?', [fromId]);
+    await conn.query('UPDATE media SET view_count = 0 WHERE id = ?', [fromId]);
+    await conn.commit();
+    if (moved.affectedRows) await refreshSearchIndex([intoId]);
+    return { comments: moved.affectedRows };
+  } catch(e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/* ── Search index ──────────────────────────────────────────────── */
+
+// Builds the media_search document straight from the source tables.
+// `[-_.]+` → ' ' must stay in sync with normalizeText() in services/search.js.
+const SEARCH_DOC_SQL = `
+  INSERT INTO media_search (media_id, title, performer, tags, comments)
+  SELECT m.id,
+         REGEXP_REPLACE(m.filename, '[-_.]+', ' '),
+         REGEXP_REPLACE(p.name, '[-_.]+', ' '),
+         (SELECT LEFT(GROUP_CONCAT(REGEXP_REPLACE(t.name, '[-_.]+', ' ') SEPARATOR ' '), 1000)
+            FROM media_tags mt JOIN tags t ON t.id = mt.tag_id WHERE mt.media_id = m.id),
+         (SELECT GROUP_CONCAT(c.content ORDER BY c.created_at SEPARATOR '\\n')
+            FROM comments c WHERE c.media_id = m.id)
+  FROM media m JOIN performers p ON p.id = m.performer_id`;
+const SEARCH_DOC_UPSERT = `
+  ON DUPLICATE KEY UPDATE title = VALUES(title), performer = VALUES(performer),
+                          tags = VALUES(tags), comments = VALUES(comments)`;
+
+async function runSearchIndexQuery(where, params) {
+  const conn = await pool.getConnection();
+  try {
+    // Default GROUP_CONCAT limit (1 KB) would truncate long comment threads
+    await conn.query('SET SESSION group_concat_max_len = 1048576');
+    const [result] = await conn.query(`${SEARCH_DOC_SQL} ${where} ${SEARCH_DOC_UPSERT}`, params);
+    return result.affectedRows;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Rebuild the search document of the given media ids (comment posted,
+ * tags changed, file renamed…) — or of every media when called without ids.
+ */
+async function refreshSearchIndex(mediaIds = null) {
+  if (!mediaIds) return runSearchIndexQuery('', []);
+  for (let i = 0; i < mediaIds.length; i += 500) {
+    await runSearchIndexQuery('WHERE m.id IN (?)', [mediaIds.slice(i, i + 500)]);
+  }
+}
+
+/** Index media that have no search document yet (after a scan / watcher batch). */
+async function indexUnindexedMedia() {
+  return runSearchIndexQuery(
+    'WHERE NOT EXISTS (SELECT 1 FROM media_search s WHERE s.media_id = m.id)', []
+  );
+}
+
+/* ── Library helpers ───────────────────────────────────────────── */
+
+async function listLibraries() {
+  const [rows] = await pool.query(`
+    SELECT l.*,
+      (SELECT COUNT(*) FROM media m WHERE m.library_id = l.id AND m.deleted_at IS NULL) AS media_count,
+      (SELECT COALESCE(SUM(size),0) FROM media m WHERE m.library_id = l.id AND m.deleted_at IS NULL) AS total_size
+    FROM libraries l ORDER BY l.name
   `);
+  return rows;
+}
+
+async function getLibrary(id) {
+  const [[row]] = await pool.query('SELECT * FROM libraries WHERE id = ?', [id]);
+  return row || null;
+}
+
+async function getEnabledLibraries() {
+  const [rows] = await pool.query('SELECT * FROM libraries WHERE enabled = 1 ORDER BY id');
+  return rows;
+}
+
+/**
+ * Recompute counters and covers. Pass performer ids to limit the work to
+ * those rows (watcher); without arguments every performer is refreshed (scan).
+ */
+async function updatePerformerCounts(performerIds = null) {
+  if (performerIds && !performerIds.length) return;
+  const only = performerIds ? ' AND p.id IN (?)' : '';
+  const params = performerIds ? [performerIds] : [];
+  await pool.query(`
+    UPDATE performers p SET
+      video_count = (SELECT COUNT(*) FROM media WHERE performer_id = p.id AND type = 'video' AND deleted_at IS NULL),
+      photo_count = (SELECT COUNT(*) FROM media WHERE performer_id = p.id AND type = 'photo' AND deleted_at IS NULL),
+      total_size  = (SELECT COALESCE(SUM(size),0) FROM media WHERE performer_id = p.id AND deleted_at IS NULL)
+    WHERE 1=1${only}
+  `, params);
+  // A cover sent to the trash is replaced as well
   await pool.query(`
     UPDATE performers p SET cover_media_id = (
-      SELECT id FROM media WHERE performer_id = p.id AND type = 'photo' LIMIT 1
-    ) WHERE p.cover_media_id IS NULL
-  `);
+      SELECT id FROM media WHERE performer_id = p.id AND type = 'photo' AND deleted_at IS NULL LIMIT 1
+    ) WHERE (p.cover_media_id IS NULL
+             OR NOT EXISTS (SELECT 1 FROM media c WHERE c.id = p.cover_media_id AND c.deleted_at IS NULL))${only}
+  `, params);
   // Rafraîchit random_cover_id (préfère les photos) — exécuté après chaque scan,
   // évite N sous-requêtes RAND() à chaque chargement de la page d'accueil.
   await pool.query(`
     UPDATE performers p SET random_cover_id = COALESCE(
-      (SELECT id FROM media WHERE performer_id = p.id AND type = 'photo' ORDER BY RAND() LIMIT 1),
-      (SELECT id FROM media WHERE performer_id = p.id ORDER BY RAND() LIMIT 1)
-    )
-  `);
+      (SELECT id FROM media WHERE performer_id = p.id AND type = 'photo' AND deleted_at IS NULL ORDER BY RAND() LIMIT 1),
+      (SELECT id FROM media WHERE performer_id = p.id AND deleted_at IS NULL ORDER BY RAND() LIMIT 1)
+    ) WHERE 1=1${only}
+  `, params);
 }
 
 async function updateThumb(mediaId, thumbPath) {
@@ -368,13 +971,35 @@ async function togglePerformerFavorite(performerId) {
 }
 
 async function toggleMediaFavorite(mediaId) {
-  await pool.query('UPDATE media SET favorite = IF(favorite = 1, 0, 1) WHERE id = ?', [mediaId]);
-  const [rows] = await pool.query('SELECT favorite FROM media WHERE id = ?', [mediaId]);
+  await pool.query('UPDATE media SET favorite = IF(favorite = 1, 0, 1) WHERE id = ? AND deleted_at IS NULL', [mediaId]);
+  const [rows] = await pool.query('SELECT favorite FROM media WHERE id = ? AND deleted_at IS NULL', [mediaId]);
   return rows[0] || null;
 }
 
+/** False when the media does not exist or is in the trash. */
 async function incrementViewCount(mediaId) {
-  await pool.query('UPDATE media SET view_count = view_count + 1, last_viewed = NOW() WHERE id = ?', [mediaId]);
+  const [r] = await pool.query(
+    'UPDATE media SET view_count = view_count + 1, last_viewed = NOW() WHERE id = ? AND deleted_at IS NULL', [mediaId]);
+  return r.affectedRows > 0;
+}
+
+/**
+ * Record a view in the user's personal history.
+ * No-op when the user has paused their history or the media does not exist
+ * (both checked in the same query).
+ */
+async function addViewHistory(userId, mediaId) {
+  await pool.query(
+    `INSERT INTO view_history (user_id, media_id)
+     SELECT u.id, m.id FROM users u JOIN media m ON m.id = ?
+     WHERE u.id = ? AND u.history_paused = 0
+     ON DUPLICATE KEY UPDATE views = views + 1, viewed_at = NOW()`,
+    [mediaId, userId]
+  );
+}
+
+async function setHistoryPaused(userId, paused) {
+  await pool.query('UPDATE users SET history_paused = ? WHERE id = ?', [paused ? 1 : 0, userId]);
 }
 
 /* ── Settings ─────────────────────────────────────────────────── */
@@ -480,14 +1105,69 @@ async function countAdmins() {
   return cnt;
 }
 
+// ── Two-factor authentication ───────────────────────────────────────
+
+/** New enrolment secret — 2FA stays off until enableTotp(). */
+async function setTotpSecret(userId, secret) {
+  await pool.query('UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL WHERE id = ?', [secret, userId]);
+}
+
+async function enableTotp(userId, step, codeHashes) {
+  await pool.query('UPDATE users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?', [step, userId]);
+  await replaceRecoveryCodes(userId, codeHashes);
+}
+
+async function disableTotp(userId) {
+  await pool.query('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?', [userId]);
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+}
+
+/** Record `step` as used — false when it (or a later one) already was: replayed code. */
+async function claimTotpStep(userId, step) {
+  const [res] = await pool.query(
+    'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, userId, step]
+  );
+  return res.affectedRows > 0;
+}
+
+async function replaceRecoveryCodes(userId, codeHashes) {
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+  if (codeHashes.length) {
+    await pool.query('INSERT INTO recovery_codes (user_id, code_hash) VALUES ?', [codeHashes.map(h => [userId, h])]);
+  }
+}
+
+/** Burn a recovery code — false if unknown or already used. */
+async function useRecoveryCode(userId, codeHash) {
+  const [res] = await pool.query(
+    'UPDATE recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, codeHash]
+  );
+  return res.affectedRows > 0;
+}
+
+async function countRecoveryCodes(userId) {
+  const [[{ cnt }]] = await pool.query(
+    'SELECT COUNT(*) AS cnt FROM recovery_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+  return cnt;
+}
+
 module.exports = {
   pool, initSchema, clearAll,
   upsertPerformer, getExistingFilePaths, getAllExistingFilePaths, insertMedia, batchInsertMedia,
+  getMediaSizeIndex, moveMedia, refreshSearchIndex, indexUnindexedMedia,
+  getDuplicateMetrics, mergeMediaEngagement,
+  listLibraries, getLibrary, getEnabledLibraries,
   updatePerformerCounts, updateThumb, togglePerformerFavorite, toggleMediaFavorite,
-  incrementViewCount,
-  getOrCreateTag, setMediaTags, getTagsForMediaBatch,
+  incrementViewCount, addViewHistory, setHistoryPaused,
+  getOrCreateTag, setMediaTags, getTagsForMediaBatch, cleanTagName,
+  addMediaTags, removeMediaTags, getMediaTags, getPerformerTags, addPerformerTags, removePerformerTag,
+  renameTag, mergeTags, deleteTag,
   getSetting, setSetting, getSettings, getAllSettings,
   createUser, getUserByEmail, getUserById, getUserByResetToken,
   setResetToken, clearResetToken, updateLastLogin, updateUserProfile,
   listUsers, updateUserRole, deleteUser, countAdmins,
+  setTotpSecret, enableTotp, disableTotp, claimTotpStep,
+  replaceRecoveryCodes, useRecoveryCode, countRecoveryCodes,
 };
@@ -160,7 +160,7 @@ if [ ! -f .env ]; then
     echo ""
     echo "# JWT"
     echo "JWT_SECRET=${JWT_GEN}"
-    echo "JWT_EXPIRES=7d"
+    echo "JWT_EXPIRES=15m"
   } > .env
 
   ok ".env créé avec secrets aléatoires."
@@ -10,10 +10,19 @@
  *                    Sets req.user on success.
  *
  *   requireAdmin  — Calls requireAuth, then checks role === ‘admin’.
- *                    Returns 403 if the user is not an admin.
+ *                    Returns 403 if the user is not an admin, or has no 2FA
+ *                    while the `require_2fa_admins` setting is on
+ *                    (code '2fa_required' — the SPA sends them to enrolment).
  *
  *   signToken(payload)   — Create a signed JWT.
  *   verifyToken(token)   — Verify and decode a JWT (throws on failure).
+ *   signChallenge(user, purpose)      — 5-minute token between the password
+ *   verifyChallenge(token, purpose)     and the 2FA step of a login (null if invalid).
+ *
+ * Access tokens are short-lived (JWT_EXPIRES, 15 min by default) and carry
+ * the id of their login session (`sid`). A token is only accepted while that
+ * session exists — logout, a password change or a deleted account revoke it
+ * server-side (services/sessions.js). Tokens without `sid` are refused.
  *
  * The JWT_SECRET must be set via the JWT_SECRET environment variable in
  * production. The default fallback is intentionally weak and should not
@@ -21,7 +30,8 @@
  */
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { getUserById } = require('../db');
+const { getUserById, getSetting } = require('../db');
+const { isSessionActive } = require('../services/sessions');
 
 // Generate a random secret if none provided — survives the process lifetime
 // but rotates on restart (forces re-login). This is intentional: it avoids
@@ -32,7 +42,8 @@ const JWT_SECRET = process.env.JWT_SECRET || (() => {
   console.warn('  ⚠️  Définissez JWT_SECRET dans .env pour des sessions persistantes.');
   return generated;
 })();
-const JWT_EXPIRES = process.env.JWT_EXPIRES || '7d';
+const JWT_EXPIRES = process.env.JWT_EXPIRES || '15m';
+const CHALLENGE_EXPIRES = '5m';
 
 function signToken(payload) {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES });
@@ -42,6 +53,26 @@ function verifyToken(token) {
   return jwt.verify(token, JWT_SECRET);
 }
 
+// No `sid`: a challenge can never pass for an access token
+function signChallenge(user, purpose) {
+  return jwt.sign({ id: user.id, purpose }, JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES });
+}
+
+function verifyChallenge(token, purpose) {
+  try {
+    const decoded = verifyToken(String(token || ''));
+    return decoded.purpose === purpose ? decoded : null;
+  } catch(e) { return null; }
+}
+
+/** Decoded user of a valid token whose session is still open, null otherwise. */
+async function authenticate(tokenStr) {
+  let decoded;
+  try { decoded = verifyToken(tokenStr); } catch(e) { return null; }
+  if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) return null;
+  return { id: decoded.id, username: decoded.username, role: decoded.role, sid: decoded.sid };
+}
+
 /**
  * Middleware: extract JWT from Authorization header.
  * Sets req.user if valid. Never blocks — use requireAuth/requireAdmin for that.
@@ -50,14 +81,14 @@ async function optionalAuth(req, res, next) {
   const auth = req.headers.authorization;
   if (!auth?.startsWith('Bearer ')) return next();
   try {
-    const decoded = verifyToken(auth.slice(7));
-    req.user = { id: decoded.id, username: decoded.username, role: decoded.role };
-  } catch(e) { /* invalid/expired token — proceed without user */ }
+    const user = await authenticate(auth.slice(7));
+    if (user) req.user = user;
+  } catch(e) { console.error('[AUTH] session check failed:', e.message); }
   next();
 }
 
 /** Middleware: require authenticated user */
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
   let tokenStr = null;
   const auth = req.headers.authorization;
   if (auth?.startsWith('Bearer ')) {
@@ -67,13 +98,15 @@ function requireAuth(req, res, next) {
     tokenStr = req.query.token;
   }
   if (!tokenStr) return res.status(401).json({ error: 'Authentication required' });
-  try {
-    const decoded = verifyToken(tokenStr);
-    req.user = { id: decoded.id, username: decoded.username, role: decoded.role };
-    next();
-  } catch(e) {
-    res.status(401).json({ error: 'Invalid or expired token' });
+  let user;
+  try { user = await authenticate(tokenStr); }
+  catch(e) {
+    console.error('[AUTH] session check failed:', e.message);
+    return res.status(500).json({ error: 'Internal server error' });
   }
+  if (!user) return res.status(401).json({ error: 'Invalid or expired token' });
+  req.user = user;
+  next();
 }
 
 /** Middleware: require admin role (re-validates from DB on each request) */
@@ -85,6 +118,11 @@ function requireAdmin(req, res, next) {
       if (!freshUser || freshUser.role !== 'admin') {
         return res.status(403).json({ error: 'Admin access required' });
       }
+      // Sessions opened before 2FA became mandatory outlive it (sliding refresh):
+      // they lose admin access until their owner enrols
+      if (!freshUser.totp_enabled && (await getSetting('require_2fa_admins', 'false')) === 'true') {
+        return res.status(403).json({ error: 'Two-factor authentication is mandatory for admins', code: '2fa_required' });
+      }
       req.user.role = freshUser.role; // sync with fresh DB state
       next();
     } catch (e) {
@@ -94,4 +132,4 @@ function requireAdmin(req, res, next) {
   });
 }
 
-module.exports = { signToken, verifyToken, optionalAuth, requireAuth, requireAdmin };
+module.exports = { signToken, verifyToken, signChallenge, verifyChallenge, optionalAuth, requireAuth, requireAdmin };
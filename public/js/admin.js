@@ -6,8 +6,38 @@
 
   /* ── Auth ─────────────────────────────────────────────── */
   const token = () => localStorage.getItem('xflix_token');
+  const refreshToken = () => localStorage.getItem('xflix_refresh');
+
+  // Access tokens are short-lived: on a 401 the refresh token buys a new pair
+  // (the old refresh token is then dead). Shared with the main app through
+  // localStorage — if another tab rotated first, its pair is picked up.
+  let refreshing = null;
+  function refreshSession() {
+    if (refreshing) return refreshing;
+    const rt = refreshToken();
+    if (!rt) return Promise.resolve(false);
+    refreshing = (async () => {
+      try {
+        const res = await fetch('/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: rt }),
+        });
+        if (res.ok) {
+          const d = await res.json();
+          localStorage.setItem('xflix_token', d.token);
+          localStorage.setItem('xflix_refresh', d.refreshToken);
+          return true;
+        }
+        if (res.status === 409) await new Promise(r => setTimeout(r, 1500));
+        return refreshToken() !== rt;
+      } catch { return false; }
+      finally { refreshing = null; }
+    })();
+    return refreshing;
+  }
 
-  async function apiFetch(url, opts = {}) {
+  async function apiFetch(url, opts = {}, retry = true) {
     const res = await fetch(url, {
       ...opts,
       headers: {
@@ -16,6 +46,12 @@
         ...(opts.headers || {}),
       },
     });
+    if (res.status === 401 && retry && await refreshSession()) return apiFetch(url, opts, false);
+    if (res.status === 403 && (await res.clone().json().catch(() => ({}))).code === '2fa_required') {
+      alert('La double authentification est obligatoire pour les administrateurs. Activez-la dans votre profil.');
+      window.location.href = '/?setup2fa=1';
+      throw new Error('Unauthorized');
+    }
     if (res.status === 401 || res.status === 403) {
       alert('Accès refusé. Veuillez vous connecter en tant qu\'admin.');
       window.location.href = '/';
@@ -24,10 +60,85 @@
     return res;
   }
 
+  /* ── Background jobs ──────────────────────────────────── */
+  // Long tasks run server-side as jobs (/admin/jobs): a card enqueues one and
+  // follows its progress stream. Closing the tab does not stop the job — the
+  // card re-attaches to it the next time the tab is opened.
+  async function startJob(url, body = {}) {
+    const res = await apiFetch(url, { method: 'POST', body: JSON.stringify(body) });
+    const d = await res.json();
+    if (!res.ok) throw new Error(d.error || 'Erreur inconnue');
+    return d;
+  }
+
+  async function cancelJob(id) {
+    if (id) await apiFetch(`/admin/jobs/${id}/cancel`, { method: 'POST' }).catch(() => {});
+  }
+
+  // Latest queued / running job of a type, or null
+  async function findActiveJob(type) {
+    try {
+      const res = await apiFetch(`/admin/jobs?status=active&type=${encodeURIComponent(type)}&limit=1`);
+      const { data } = await res.json();
+      return data[0] || null;
+    } catch { return null; }
+  }
+
+  /**
+   * Read /admin/jobs/:id/stream until the job ends, calling
+   * on.snapshot(job, logs) / on.progress(p) / on.log(entry) / on.data(d).
+   * A dropped connection is re-opened (new snapshot) while the job runs.
+   * Resolves with the final job — status 'error' if the stream is lost.
+   */
+  async function followJob(id, on = {}) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      let end = null;
+      try {
+        const res = await apiFetch(`/admin/jobs/${id}/stream`);
+        if (!res.ok) return { id, status: 'error', error: (await res.json().catch(() => ({}))).error || `HTTP ${res.status}` };
+        const reader = res.body.getReader();
+        const dec = new TextDecoder();
+        let buf = '';
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buf += dec.decode(value, { stream: true });
+          const lines = buf.split('\n'); buf = lines.pop();
+          for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            let d; try { d = JSON.parse(line.slice(5)); } catch { continue; }
+            if (d.event === 'snapshot') on.snapshot?.(d.job, d.logs);
+            else if (d.event === 'progress') on.progress?.(d);
+            else if (d.event === 'log') on.log?.(d);
+            else if (d.event === 'data') on.data?.(d.data);
+            else if (d.event === 'end') end = d;
+          }
+        }
+      } catch(e) { if (e.message === 'Unauthorized') throw e; }
+      if (end) return end.job || { id, status: end.status, error: end.error };
+      await new Promise(r => setTimeout(r, 2000));
+    }
+    return { id, status: 'error', error: 'Connexion au flux perdue' };
+  }
+
+  // Job log entry → log box line(s), coloured by level
+  function logJobLine(el, entry) {
+    const cls = entry.level === 'error' ? 'log-err' : entry.level === 'warn' ? 'log-warn' : '';
+    for (const l of String(entry.line).split('\n')) { if (l.trim()) logAppend(el, cls, l); }
+  }
+
+  // Progress bar + label from a job's { done, total, message }
+  function setJobProgress(fill, label, p) {
+    if (p.total > 0) fill.style.width = Math.round((p.done / p.total) * 100) + '%';
+    label.textContent = [p.message, p.total > 0 ? `${p.done} / ${p.total}` : ''].filter(Boolean).join(' — ');
+  }
+
   /* ── Bootstrap ────────────────────────────────────────── */
   async function boot() {
-    if (!token()) { window.location.href = '/'; return; }
-    const res = await fetch('/auth/me', { headers: { Authorization: `Bearer ${token()}` } });
+    if (!token() || !refreshToken()) { window.location.href = '/'; return; }
+    const me = () => fetch('/auth/me', { headers: { Authorization: `Bearer ${token()}` } });
+    let res = await me();
+    if (res.status === 401 && await refreshSession()) res = await me();
     if (!res.ok) { window.location.href = '/'; return; }
     const user = await res.json();
     if (user.role !== 'admin') { window.location.href = '/'; return; }
@@ -35,8 +146,14 @@
     loadDashboard();
   }
 
-  document.getElementById('logoutBtn').addEventListener('click', () => {
+  document.getElementById('logoutBtn').addEventListener('click', async () => {
+    await fetch('/auth/logout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token() ? { Authorization: `Bearer ${token()}` } : {}) },
+      body: JSON.stringify({ refreshToken: refreshToken() }),
+    }).catch(() => {});
     localStorage.removeItem('xflix_token');
+    localStorage.removeItem('xflix_refresh');
     window.location.href = '/';
   });
 
@@ -51,8 +168,12 @@
     document.getElementById(`tab-${btn.dataset.tab}`).classList.add('active');
     if (btn.dataset.tab === 'dashboard') loadDashboard();
     if (btn.dataset.tab === 'users') loadUsers();
+    if (btn.dataset.tab === 'media') { loadLibraries(); attachMediaJobs(); }
     if (btn.dataset.tab === 'settings') loadSettings();
-    if (btn.dataset.tab === 'tools') loadMbPerformers();
+    if (btn.dataset.tab === 'tools') { loadMbPerformers(); loadTags(); attachToolJobs(); }
+    if (btn.dataset.tab === 'trash') { loadTrash(); attachTrashJob(); }
+    if (btn.dataset.tab === 'jobs') { loadJobs(); loadSchedules(); }
+    if (btn.dataset.tab === 'audit') loadAudit();
   }));
 
   /* ═══════════════════════════════════════════════════════
@@ -66,9 +187,33 @@
       document.getElementById('st-media').textContent    = data.media    ?? '?';
       document.getElementById('st-comments').textContent = data.comments ?? '?';
       document.getElementById('st-reactions').textContent= data.reactions?? '?';
+      renderWatcherStatus(data.watcher);
     } catch {}
   }
 
+  function renderWatcherStatus(w) {
+    const badge   = document.getElementById('watchBadge');
+    const summary = document.getElementById('watchSummary');
+    const details = document.getElementById('watchDetails');
+    if (!w || !w.running) {
+      badge.textContent = 'inactif'; badge.className = 'badge badge-member';
+      summary.textContent = 'Indexation en temps réel désactivée — activez-la dans Paramètres.';
+      details.classList.add('hidden');
+      return;
+    }
+    const polling = w.libraries.filter(l => l.mode === 'polling').length;
+    badge.textContent = 'actif'; badge.className = 'badge badge-admin';
+    summary.textContent = `${w.libraries.length} bibliothèque(s) surveillée(s)`
+      + (polling ? ` — ${polling} en mode polling` : '')
+      + (w.lastEventAt ? ` · dernier changement ${fmtDate(w.lastEventAt)}` : '');
+    details.innerHTML = [
+      `➕ ${w.added} ajouté(s) · ✎ ${w.updated} modifié(s) · ↪ ${w.moved} déplacé(s) · 🗑 ${w.removed} supprimé(s)`,
+      w.pending ? `⏳ ${w.pending} changement(s) en attente` : '',
+      w.errors ? `⚠ ${w.errors} erreur(s) — ${esc(w.lastError || '')}` : '',
+    ].filter(Boolean).join('<br>');
+    details.classList.remove('hidden');
+  }
+
   /* ═══════════════════════════════════════════════════════
      USERS
      ═══════════════════════════════════════════════════════ */
@@ -88,13 +233,14 @@
         <td>${u.id}</td>
         <td>${esc(u.username)}</td>
         <td>${esc(u.email)}</td>
-        <td><span class="badge badge-${u.role}">${u.role}</span></td>
+        <td><span class="badge badge-${u.role}">${u.role}</span>${u.totp_enabled ? ' <span class="badge" title="Double authentification activée">2FA</span>' : ''}</td>
         <td>${u.last_login ? fmtDate(u.last_login) : '—'}</td>
         <td>${fmtDate(u.created_at)}</td>
         <td>
           <button class="btn btn-sm" onclick="toggleRole(${u.id}, '${u.role}')">
             ${u.role === 'admin' ? '⬇ Membre' : '⬆ Admin'}
           </button>
+          ${u.totp_enabled ? `<button class="btn btn-sm" title="Désactiver la 2FA (appareil et codes perdus)" onclick="reset2fa(${u.id}, '${esc(u.username)}')">🔓 2FA</button>` : ''}
           <button class="btn btn-sm btn-danger" onclick="deleteUser(${u.id}, '${esc(u.username)}')">✕</button>
         </td>
       </tr>
@@ -119,135 +265,238 @@
     loadUsers();
   };
 
+  window.reset2fa = async (id, name) => {
+    if (!confirm(`Désactiver la double authentification de "${name}" ? Ses sessions seront fermées et le compte pourra se connecter avec le seul mot de passe.`)) return;
+    const res = await apiFetch(`/admin/users/${id}/2fa`, { method: 'DELETE' });
+    if (!res.ok) showToast('❌ ' + ((await res.json()).error || 'Erreur inconnue'));
+    loadUsers();
+  };
+
   window.deleteUser = async (id, name) => {
     if (!confirm(`Supprimer l'utilisateur "${name}" ? Les commentaires et réactions seront également supprimés.`)) return;
     await apiFetch(`/admin/users/${id}`, { method: 'DELETE' });
     loadUsers();
   };
 
+  /* ═══════════════════════════════════════════════════════
+     MEDIA — LIBRARIES
+     ═══════════════════════════════════════════════════════ */
+  const LIB_TYPE_LABELS = { all: 'Tout', videos: '🎬 Vidéos', photos: '🖼 Photos' };
+  // id → row; names / paths may contain quotes, so onclick handlers only pass ids
+  const libById = new Map();
+
+  async function loadLibraries() {
+    const res = await apiFetch('/admin/libraries');
+    const { data } = await res.json();
+    libById.clear();
+    data.forEach(l => libById.set(l.id, l));
+    const tbody = document.getElementById('librariesBody');
+    if (!data.length) {
+      tbody.innerHTML = '<tr><td colspan="7" class="muted">Aucune bibliothèque — ajoutez un dossier ci-dessous.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = data.map(l => `
+      <tr>
+        <td>${esc(l.name)}</td>
+        <td><code>${esc(l.path)}</code>${l.online ? '' : ' <span class="badge badge-admin" title="Dossier inaccessible">hors ligne</span>'}</td>
+        <td>
+          <select class="input input-sm" onchange="updateLibrary(${l.id}, { type: this.value })">
+            ${Object.entries(LIB_TYPE_LABELS).map(([v, lbl]) => `<option value="${v}"${v === l.type ? ' selected' : ''}>${lbl}</option>`).join('')}
+          </select>
+        </td>
+        <td>${l.media_count}</td>
+        <td>${fmtSize(l.total_size)}</td>
+        <td><input type="checkbox" ${l.enabled ? 'checked' : ''} onchange="updateLibrary(${l.id}, { enabled: this.checked })"></td>
+        <td>
+          <button class="btn btn-sm" onclick="editLibrary(${l.id})">✎</button>
+          <button class="btn btn-sm btn-danger" onclick="deleteLibrary(${l.id})">✕</button>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  window.updateLibrary = async (id, patch) => {
+    const res = await apiFetch(`/admin/libraries/${id}`, { method: 'PATCH', body: JSON.stringify(patch) });
+    const d = await res.json();
+    if (!res.ok) showAlert('libAlert', 'error', '❌ ' + (d.error || 'Erreur inconnue'));
+    loadLibraries();
+  };
+
+  window.editLibrary = async (id) => {
+    const lib = libById.get(id);
+    if (!lib) return;
+    const newName = prompt('Nom de la bibliothèque :', lib.name);
+    if (newName === null) return;
+    const newPath = prompt('Chemin (les médias déjà indexés suivent le nouveau chemin) :', lib.path);
+    if (newPath === null) return;
+    await window.updateLibrary(id, { name: newName, path: newPath });
+  };
+
+  window.deleteLibrary = async (id) => {
+    const lib = libById.get(id);
+    if (!lib) return;
+    const count = lib.media_count;
+    if (!confirm(`Retirer la bibliothèque "${lib.name}" ? Les fichiers sur disque ne sont jamais supprimés.`)) return;
+    const purge = count > 0 && confirm(`Supprimer aussi les ${count} média(s) indexé(s) de la base de données ?\n(Annuler = les conserver sans bibliothèque)`);
+    const res = await apiFetch(`/admin/libraries/${id}${purge ? '?purge=1' : ''}`, { method: 'DELETE' });
+    const d = await res.json();
+    if (!res.ok) showAlert('libAlert', 'error', '❌ ' + (d.error || 'Erreur inconnue'));
+    else showToast(purge ? `Bibliothèque retirée — ${d.purged} média(s) supprimé(s)` : 'Bibliothèque retirée');
+    loadLibraries();
+  };
+
+  document.getElementById('libAddBtn').addEventListener('click', async () => {
+    const body = {
+      name: document.getElementById('libName').value.trim(),
+      path: document.getElementById('libPath').value.trim(),
+      type: document.getElementById('libType').value,
+    };
+    const res = await apiFetch('/admin/libraries', { method: 'POST', body: JSON.stringify(body) });
+    const d = await res.json();
+    if (!res.ok) { showAlert('libAlert', 'error', '❌ ' + (d.error || 'Erreur inconnue')); return; }
+    document.getElementById('libName').value = '';
+    document.getElementById('libPath').value = '';
+    showAlert('libAlert', 'success', `✅ "${d.name}" ajoutée — lancez un scan pour l'indexer`);
+    loadLibraries();
+  });
+
   /* ═══════════════════════════════════════════════════════
      MEDIA — SCAN
      ═══════════════════════════════════════════════════════ */
   const scanBtn       = document.getElementById('scanBtn');
   const scanCancelBtn = document.getElementById('scanCancelBtn');
   const scanLog       = document.getElementById('scanLog');
-  let scanReader = null;
+  let scanJobId = null;
 
-  scanBtn.addEventListener('click', async () => {
+  function followScan(job) {
+    scanJobId = job.id;
     scanBtn.disabled = true;
     scanCancelBtn.classList.remove('hidden');
     scanLog.classList.remove('hidden');
-    scanLog.innerHTML = '<span class="log-info">Démarrage du scan…</span>\n';
+    followJob(job.id, {
+      snapshot: (j, logs) => {
+        scanLog.innerHTML = '';
+        logs.forEach(l => logJobLine(scanLog, l));
+        if (j.status === 'queued') logAppend(scanLog, 'log-info', '⏳ En file d\'attente…');
+      },
+      log: l => logJobLine(scanLog, l),
+      data: d => logAppend(scanLog, 'log-info', formatScanLine(d)),
+    }).then(j => {
+      if (j.status === 'cancelled') logAppend(scanLog, 'log-err', '⏹ Scan annulé');
+      if (j.status === 'error') logAppend(scanLog, 'log-err', '❌ ' + j.error);
+    }).catch(e => logAppend(scanLog, 'log-err', '❌ ' + e.message))
+      .finally(() => {
+        scanJobId = null;
+        scanBtn.disabled = false;
+        scanCancelBtn.classList.add('hidden');
+      });
+  }
 
-    try {
-      const res = await apiFetch('/admin/scan', { method: 'POST' });
-      scanReader = res.body.getReader();
-      const dec = new TextDecoder();
-      let buf = '';
-      while (true) {
-        const { done, value } = await scanReader.read();
-        if (done) break;
-        buf += dec.decode(value, { stream: true });
-        const lines = buf.split('\n');
-        buf = lines.pop();
-        for (const line of lines) {
-          if (!line.startsWith('data:')) continue;
-          try {
-            const d = JSON.parse(line.slice(5));
-            const text = formatScanLine(d);
-            if (text) logAppend(scanLog, d.status === 'error' ? 'log-err' : 'log-info', text);
-          } catch {}
-        }
-      }
-    } catch(e) { logAppend(scanLog, 'log-err', '❌ ' + e.message); }
-    scanReader = null;
-    scanBtn.disabled = false;
-    scanCancelBtn.classList.add('hidden');
+  scanBtn.addEventListener('click', async () => {
+    scanBtn.disabled = true;
+    scanLog.classList.remove('hidden');
+    scanLog.innerHTML = '<span class="log-info">Démarrage du scan…</span>\n';
+    try { followScan(await startJob('/admin/scan')); }
+    catch(e) { logAppend(scanLog, 'log-err', '❌ ' + e.message); scanBtn.disabled = false; }
   });
 
   scanCancelBtn.addEventListener('click', async () => {
     scanCancelBtn.disabled = true;
-    if (scanReader) try { await scanReader.cancel(); } catch(_) {}
-    await apiFetch('/admin/scan/cancel', { method: 'POST' }).catch(() => {});
-    logAppend(scanLog, 'log-err', '⏹ Scan annulé');
+    await cancelJob(scanJobId);
     scanCancelBtn.disabled = false;
-    scanCancelBtn.classList.add('hidden');
-    scanBtn.disabled = false;
   });
 
+  // Live scanner progress (job `data` events); start / end lines come from the job log
   function formatScanLine(d) {
-    if (d.status === 'progress') {
-      const performer = d.currentPerformer ? ` [${d.currentPerformer}]` : '';
-      const skipped = d.skipped ? ` (${d.skipped} ignorés)` : '';
-      return `${d.done ?? 0}/${d.total ?? '?'} fichiers indexés${skipped}${performer}`;
-    }
-    if (d.status === 'done') {
-      const t = d.total ?? d.done ?? 0;
-      const sk = d.skipped ? `, ${d.skipped} ignorés` : '';
-      const err = d.errors ? `, ${d.errors} erreur(s)` : '';
-      return `✅ Scan terminé — ${t} nouveaux, ${sk.replace(', ', '')}${err}`;
-    }
-    if (d.status === 'error') return `❌ Erreur: ${d.error}`;
-    if (d.status === 'started') return '⏳ Démarrage du scan...';
-    return null;
-  }
-
-  /* ── Batch Thumbs ── */
-  const batchThumbBtn       = document.getElementById('batchThumbBtn');
-  const batchThumbCancelBtn = document.getElementById('batchThumbCancelBtn');
-  const thumbProgress       = document.getElementById('thumbProgress');
-  const thumbFill           = document.getElementById('thumbFill');
-  const thumbLabel          = document.getElementById('thumbLabel');
-  let thumbReader = null;
-
-  batchThumbBtn.addEventListener('click', async () => {
-    batchThumbBtn.disabled = true;
-    batchThumbCancelBtn.classList.remove('hidden');
-    thumbProgress.classList.remove('hidden');
-    thumbFill.style.width = '0%';
-    thumbLabel.textContent = 'Démarrage…';
+    if (d.status !== 'progress') return null;
+    const performer = d.currentPerformer
+      ? ` [${d.currentLibrary ? d.currentLibrary + ' / ' : ''}${d.currentPerformer}]` : '';
+    const skipped = d.skipped ? ` (${d.skipped} ignorés)` : '';
+    const moved = d.moved ? ` · ${d.moved} déplacé(s)` : '';
+    return `${d.done ?? 0}/${d.total ?? '?'} fichiers indexés${skipped}${moved}${performer}`;
+  }
 
-    try {
-      const res = await apiFetch('/admin/batch-thumbs', { method: 'POST' });
-      thumbReader = res.body.getReader();
-      const dec = new TextDecoder();
-      let buf = '';
-      while (true) {
-        const { done, value } = await thumbReader.read();
-        if (done) break;
-        buf += dec.decode(value, { stream: true });
-        const lines = buf.split('\n');
-        buf = lines.pop();
-        for (const line of lines) {
-          if (!line.startsWith('data:')) continue;
-          try {
-            const d = JSON.parse(line.slice(5));
-            if (typeof d.total === 'number' && d.total > 0) {
-              const pct = Math.round((d.done / d.total) * 100);
-              thumbFill.style.width = pct + '%';
-              thumbLabel.textContent = `${d.done} / ${d.total} (${pct}%)`;
-            } else if (d.total === 0) {
-              thumbLabel.textContent = 'Aucune miniature manquante';
-            }
-            if (d.status === 'done') thumbLabel.textContent += ' ✅';
-            if (d.status === 'error') thumbLabel.textContent = '❌ ' + d.error;
-          } catch {}
+  /* ── Batch generation cards (miniatures, aperçus de navigation, aperçus au survol) ──
+   * Same markup for each: batch<Name>Btn / batch<Name>CancelBtn, <name>Progress / Fill / Label. */
+  function batchJobCard(name, { url, type, done }) {
+    const btn       = document.getElementById(`batch${name}Btn`);
+    const cancelBtn = document.getElementById(`batch${name}CancelBtn`);
+    const key       = name.toLowerCase();
+    const progress  = document.getElementById(`${key}Progress`);
+    const fill      = document.getElementById(`${key}Fill`);
+    const label     = document.getElementById(`${key}Label`);
+    let jobId = null;
+
+    function follow(job) {
+      jobId = job.id;
+      btn.disabled = true;
+      cancelBtn.classList.remove('hidden');
+      progress.classList.remove('hidden');
+      followJob(job.id, {
+        snapshot: j => {
+          fill.style.width = '0%';
+          if (j.status === 'queued') label.textContent = 'En file d\'attente…';
+          else setJobProgress(fill, label, j.progress);
+        },
+        progress: p => setJobProgress(fill, label, p),
+      }).then(j => {
+        if (j.status === 'done') {
+          fill.style.width = '100%';
+          label.textContent = done(j.result || {});
         }
-      }
-    } catch(e) { thumbLabel.textContent = '❌ ' + e.message; }
-    thumbReader = null;
-    batchThumbBtn.disabled = false;
-    batchThumbCancelBtn.classList.add('hidden');
-  });
+        else if (j.status === 'cancelled') label.textContent += ' (annulé)';
+        else label.textContent = '❌ ' + (j.error || 'Erreur');
+      }).catch(e => { label.textContent = '❌ ' + e.message; })
+        .finally(() => {
+          jobId = null;
+          btn.disabled = false;
+          cancelBtn.classList.add('hidden');
+        });
+    }
 
-  batchThumbCancelBtn.addEventListener('click', async () => {
-    batchThumbCancelBtn.disabled = true;
-    if (thumbReader) try { await thumbReader.cancel(); } catch(_) {}
-    thumbLabel.textContent += ' (annulé)';
-    batchThumbCancelBtn.disabled = false;
-    batchThumbCancelBtn.classList.add('hidden');
-    batchThumbBtn.disabled = false;
-  });
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      progress.classList.remove('hidden');
+      fill.style.width = '0%';
+      label.textContent = 'Démarrage…';
+      try { follow(await startJob(url)); }
+      catch(e) { label.textContent = '❌ ' + e.message; btn.disabled = false; }
+    });
+
+    cancelBtn.addEventListener('click', async () => {
+      cancelBtn.disabled = true;
+      await cancelJob(jobId);
+      cancelBtn.disabled = false;
+    });
+
+    // Re-attach to a job still running (started earlier, from another tab or by a scan)
+    return async function attach() {
+      const job = await findActiveJob(type);
+      if (job && !jobId) follow(job);
+    };
+  }
+
+  const batchCards = [
+    batchJobCard('Thumb', {
+      url: '/admin/batch-thumbs', type: 'thumbs',
+      done: r => r.total ? `${r.generated} / ${r.total} générée(s) ✅` : 'Aucune miniature manquante',
+    }),
+    batchJobCard('Trick', {
+      url: '/admin/batch-trickplay', type: 'trickplay',
+      done: r => r.total ? `${r.generated} / ${r.total} généré(s) ✅` : 'Aucun aperçu manquant',
+    }),
+    batchJobCard('Preview', {
+      url: '/admin/batch-previews', type: 'previews',
+      done: r => r.total ? `${r.generated} / ${r.total} encodé(s) ✅` : 'Aucun aperçu manquant',
+    }),
+  ];
+
+  // Re-attach the cards to jobs still running (started earlier or from another tab)
+  async function attachMediaJobs() {
+    const scan = await findActiveJob('scan');
+    if (scan && !scanJobId) followScan(scan);
+    await Promise.all(batchCards.map(attach => attach()));
+  }
 
   /* ═══════════════════════════════════════════════════════
      MEDIA — VIDER BDD
@@ -271,103 +520,96 @@
   const dupFill      = document.getElementById('dupFill');
   const dupLabel     = document.getElementById('dupLabel');
   const dupResults   = document.getElementById('dupResults');
-  let dupReader = null;
+  const dupThreshold = document.getElementById('dupThreshold');
+  let dupJobId = null;
   let dupGroups = [];
+  let dupMode = 'exact';
 
-  dupScanBtn.addEventListener('click', async () => {
+  const dupTypeLabel = (t, mode) => (t === 'video' ? 'Vidéos' : t === 'photo' ? 'Photos' : 'Tous médias')
+    + (mode === 'similar' ? ', similaires' : '');
+
+  document.querySelectorAll('input[name="dupMode"]').forEach(r => r.addEventListener('change', () => {
+    document.getElementById('dupThresholdWrap').classList.toggle('hidden', r.value !== 'similar' || !r.checked);
+  }));
+
+  function followDupScan(job) {
+    const typeLabel = dupTypeLabel(job.params?.mediaType, job.params?.mode);
+    dupJobId = job.id;
     dupScanBtn.disabled = true;
     dupCancelBtn.classList.remove('hidden');
     dupProgress.classList.remove('hidden');
+    followJob(job.id, {
+      snapshot: j => {
+        dupFill.style.width = '0%';
+        if (j.status === 'queued') dupLabel.textContent = `En file d'attente — ${typeLabel}…`;
+        else setJobProgress(dupFill, dupLabel, j.progress);
+      },
+      progress: p => setJobProgress(dupFill, dupLabel, p),
+    }).then(j => {
+      if (j.status === 'cancelled') { dupLabel.textContent += ' (annulé)'; return; }
+      if (j.status !== 'done') { dupLabel.textContent = '❌ ' + (j.error || 'Erreur'); return; }
+      dupFill.style.width = '100%';
+      const groups = j.result?.groups || [];
+      const seuil = j.result?.mode === 'similar' ? `, seuil ${j.result.threshold}` : '';
+      if (!groups.length) { dupLabel.textContent = `✅ Aucun doublon détecté (${typeLabel}${seuil}).`; return; }
+      dupLabel.textContent = `✅ ${groups.length} groupe(s) — ${j.result.count} fichier(s) (${typeLabel}${seuil})`;
+      dupGroups = groups;
+      dupMode = j.result?.mode || 'exact';
+      renderDupGroups(groups);
+    }).catch(e => { dupLabel.textContent = '❌ ' + e.message; })
+      .finally(() => {
+        dupJobId = null;
+        dupScanBtn.disabled = false;
+        dupCancelBtn.classList.add('hidden');
+      });
+  }
+
+  dupScanBtn.addEventListener('click', async () => {
+    const mediaType = document.querySelector('input[name="dupType"]:checked')?.value || 'all';
+    const mode = document.querySelector('input[name="dupMode"]:checked')?.value || 'exact';
+    const params = { mediaType, mode };
+    if (mode === 'similar' && dupThreshold.value !== '') params.threshold = Number(dupThreshold.value);
+    dupScanBtn.disabled = true;
+    dupProgress.classList.remove('hidden');
     dupFill.style.width = '0%';
     dupResults.classList.add('hidden');
     dupResults.innerHTML = '';
     dupGroups = [];
-
-    let finalGroups = [], finalCount = 0;
-    let typeLabel = '';
-
-    try {
-      const mediaType = document.querySelector('input[name="dupType"]:checked')?.value || 'all';
-      typeLabel = mediaType === 'video' ? 'Vidéos' : mediaType === 'photo' ? 'Photos' : 'Tous médias';
-      dupLabel.textContent = `Démarrage — ${typeLabel}…`;
-      const res = await apiFetch('/admin/duplicates/scan', {
-        method: 'POST',
-        body: JSON.stringify({ mediaType }),
-      });
-      dupReader = res.body.getReader();
-      const dec = new TextDecoder();
-      let buf = '';
-      while (true) {
-        const { done, value } = await dupReader.read();
-        if (done) break;
-        buf += dec.decode(value, { stream: true });
-        const lines = buf.split('\n');
-        buf = lines.pop();
-        for (const line of lines) {
-          if (!line.startsWith('data:')) continue;
-          try {
-            const d = JSON.parse(line.slice(5));
-            if (d.status === 'phase') {
-              dupLabel.textContent = d.message;
-              dupFill.style.width = d.phase === 'hashing' ? '50%' : d.phase === 'sizing' ? '20%' : '5%';
-            } else if (d.status === 'progress' && d.phase === 'hashing') {
-              const pct = 50 + Math.round((d.done / d.total) * 50);
-              dupFill.style.width = pct + '%';
-              dupLabel.textContent = `Hash des groupes suspects… ${d.done} / ${d.total}`;
-            } else if (d.status === 'done') {
-              dupFill.style.width = '100%';
-              finalGroups = d.groups || [];
-              finalCount  = d.count  || 0;
-            } else if (d.status === 'error') {
-              dupLabel.textContent = '❌ ' + d.error;
-            }
-          } catch {}
-        }
-      }
-    } catch(e) {
-      if (e.name !== 'AbortError') dupLabel.textContent = '❌ ' + e.message;
-    }
-
-    dupReader = null;
-    dupScanBtn.disabled = false;
-    dupCancelBtn.classList.add('hidden');
-
-    if (finalGroups.length === 0) {
-      dupLabel.textContent = `✅ Aucun doublon détecté (${typeLabel}).`;
-      return;
-    }
-
-    dupLabel.textContent = `✅ ${finalGroups.length} groupe(s) — ${finalCount} fichier(s) (${typeLabel})`;
-    dupGroups = finalGroups;
-    renderDupGroups(finalGroups);
+    dupLabel.textContent = `Démarrage — ${dupTypeLabel(mediaType, mode)}…`;
+    try { followDupScan(await startJob('/admin/duplicates/scan', params)); }
+    catch(e) { dupLabel.textContent = '❌ ' + e.message; dupScanBtn.disabled = false; }
   });
 
   dupCancelBtn.addEventListener('click', async () => {
     dupCancelBtn.disabled = true;
-    if (dupReader) try { await dupReader.cancel(); } catch(_) {}
-    dupLabel.textContent += ' (annulé)';
+    await cancelJob(dupJobId);
     dupCancelBtn.disabled = false;
-    dupCancelBtn.classList.add('hidden');
-    dupScanBtn.disabled = false;
   });
 
   function renderDupGroups(groups) {
     dupResults.classList.remove('hidden');
     dupResults.innerHTML = '';
+    dupCompareSel.clear();
 
     const toolbar = document.createElement('div');
     toolbar.className = 'dup-toolbar';
+    const saved = loadDupRules();
+    const ruleSelect = (i, first) => `
+      <select class="input dup-rule" data-i="${i}">
+        ${DUP_RULES.filter(([v]) => v || !first).map(([v, label]) =>
+          `<option value="${v}"${(saved.rules[i] || '') === v ? ' selected' : ''}>${label}</option>`).join('')}
+      </select>`;
     toolbar.innerHTML = `
-      <span style="font-size:12px;font-weight:600">Stratégie :</span>
-      <select id="dupStrategy" class="input">
-        <option value="keep-first">Garder le premier</option>
-        <option value="keep-last">Garder le dernier</option>
-        <option value="keep-largest">Garder le plus grand</option>
-        <option value="keep-smallest">Garder le plus petit</option>
-      </select>
+      <span style="font-size:12px;font-weight:600" title="La 2ᵉ règle départage les ex æquo de la 1ʳᵉ, etc.">Garder :</span>
+      ${ruleSelect(0, true)}<span class="muted">puis</span>${ruleSelect(1)}<span class="muted">puis</span>${ruleSelect(2)}
+      <input type="text" id="dupRulePerformer" class="input hidden" placeholder="Nom du performer / dossier" value="${esc(saved.performer)}" style="width:180px">
       <button class="btn btn-sm" id="applyStrategyAllBtn">✅ Appliquer à tous</button>
       <button class="btn btn-sm" id="unselectAllBtn">✗ Tout décocher</button>
       <span class="dup-toolbar-sep"></span>
+      <label class="checkbox-label" title="Commentaires, réactions, favoris, playlists, tags manuels et vues des fichiers supprimés passent sur le fichier conservé du groupe quand la corbeille est vidée (rétention, ou purge manuelle si elle vaut 0) — d'ici là, ils restent sur le doublon et reviennent avec lui s'il est restauré">
+        <input type="checkbox" id="dupMerge" checked>
+        Fusionner l'activité à la purge
+      </label>
       <label class="checkbox-label">
         <input type="checkbox" id="deletePhysical" checked>
         Supprimer fichiers physiques
@@ -385,7 +627,8 @@
       header.className = 'dup-group-header';
       header.innerHTML = `
         <input type="checkbox" class="dup-group-cb" data-gi="${gi}">
-        <span class="dup-group-title">Groupe ${gi + 1} — ${g.length} fichiers</span>
+        <span class="dup-group-title">Groupe ${gi + 1} — ${g.length} fichiers <span class="dup-group-reason"></span></span>
+        ${dupMode === 'similar' ? `<button class="btn btn-sm" style="font-size:10px" onclick="toggleDupCompare(${gi})">⇆ Comparer</button>` : ''}
         <button class="btn btn-sm" data-gi="${gi}" style="font-size:10px" onclick="applyStrategyGroup(${gi})">Appliquer</button>
       `;
       groupDiv.appendChild(header);
@@ -397,11 +640,14 @@
         row.dataset.id = item.id; row.dataset.gi = gi; row.dataset.idx = idx; row.dataset.size = item.size || 0;
         row.innerHTML = `
           <input type="checkbox" class="dup-cb" data-id="${item.id}" data-gi="${gi}">
-          <img class="dup-thumb" src="/thumb/${item.id}" onerror="this.style.display='none'" loading="lazy">
+          <img class="dup-thumb" src="/thumb/${item.id}?w=160" onerror="this.style.display='none'" loading="lazy">
           <div class="dup-info">
             <div class="dup-name">${esc(item.file_path.split('/').pop())}</div>
             <div class="dup-path">${esc(item.file_path)} — ${esc(item.performer_name)}</div>
           </div>
+          ${dupMode === 'similar' ? `<span class="dup-size" title="Distance à la référence (bits sur 64)">${idx === 0 ? 'réf.' : 'Δ ' + (item.distance ?? '—')}</span>` : ''}
+          ${item.width && item.height ? `<span class="dup-size">${item.width}×${item.height}</span>` : ''}
+          ${item.duration ? `<span class="dup-size">${fmtDuration(item.duration)}</span>` : ''}
           <span class="dup-size">${fmtSize(item.size)}</span>
           <button class="btn btn-sm btn-danger" onclick="deleteSingleDup(${item.id})" title="Supprimer">🗑</button>
         `;
@@ -411,10 +657,15 @@
       dupResults.appendChild(groupDiv);
     });
 
+    const syncPerformerInput = () => {
+      const rules = [...toolbar.querySelectorAll('.dup-rule')].map(sel => sel.value);
+      document.getElementById('dupRulePerformer').classList.toggle('hidden', !rules.includes('performer'));
+    };
+    toolbar.querySelectorAll('.dup-rule').forEach(sel => sel.addEventListener('change', syncPerformerInput));
+    syncPerformerInput();
+
     document.getElementById('applyStrategyAllBtn').addEventListener('click', () => {
-      const strategy = document.getElementById('dupStrategy').value;
-      groups.forEach((_, gi) => applyStrategyToGroup(gi, strategy));
-      updateDelBtn();
+      applyStrategy(groups.map((_, gi) => gi));
     });
 
     document.getElementById('unselectAllBtn').addEventListener('click', () => {
@@ -456,27 +707,62 @@
     btn.textContent = `🗑 Supprimer (${count})`;
   }
 
-  window.applyStrategyGroup = (gi) => {
-    const strategy = document.getElementById('dupStrategy')?.value || 'keep-first';
-    applyStrategyToGroup(gi, strategy);
+  /* Keep-rules (services/dedupe.js): the server ranks each group and returns
+     which copy to keep; the others get ticked for deletion. */
+  const DUP_RULES = [
+    ['', '—'],
+    ['resolution', 'Résolution la plus haute'],
+    ['bitrate', 'Débit le plus élevé'],
+    ['largest', 'Fichier le plus lourd'],
+    ['smallest', 'Fichier le plus léger'],
+    ['engagement', 'Plus de vues / commentaires / favoris'],
+    ['performer', 'Performer préféré…'],
+    ['oldest', 'Plus ancien'],
+    ['newest', 'Plus récent'],
+  ];
+
+  function loadDupRules() {
+    try { return { rules: ['resolution', 'engagement'], performer: '', ...JSON.parse(localStorage.getItem('xflix_dup_rules')) }; }
+    catch { return { rules: ['resolution', 'engagement'], performer: '' }; }
+  }
+
+  function currentDupRules() {
+    const performer = document.getElementById('dupRulePerformer')?.value.trim() || '';
+    const picked = [...dupResults.querySelectorAll('.dup-rule')].map(sel => sel.value);
+    localStorage.setItem('xflix_dup_rules', JSON.stringify({ rules: picked, performer }));
+    return picked.filter(Boolean).map(r => r === 'performer' ? `performer:${performer}` : r);
+  }
+
+  window.applyStrategyGroup = (gi) => applyStrategy([gi]);
+
+  async function applyStrategy(gis) {
+    const rules = currentDupRules();
+    if (rules.some(r => r === 'performer:')) { alert('Indiquez le nom du performer à privilégier.'); return; }
+    // Only the rows still on screen (some may have been deleted since the scan)
+    const live = gis.map(gi => [...dupResults.querySelectorAll(`.dup-item[data-gi="${gi}"]`)].map(el => Number(el.dataset.id)));
+    const todo = gis.filter((_, i) => live[i].length > 1);
+    if (!todo.length) return;
+    try {
+      const res = await apiFetch('/admin/duplicates/plan', {
+        method: 'POST', body: JSON.stringify({ groups: todo.map(gi => live[gis.indexOf(gi)]), rules }),
+      });
+      const d = await res.json();
+      if (!res.ok) throw new Error(d.error || 'Erreur');
+      d.plans.forEach((plan, i) => { if (plan) markKeep(todo[i], plan.keep, plan.reason); });
+    } catch(e) { alert('Erreur : ' + e.message); }
     updateDelBtn();
-  };
+  }
 
-  function applyStrategyToGroup(gi, strategy) {
-    const items = [...dupResults.querySelectorAll(`.dup-item[data-gi="${gi}"]`)];
-    if (!items.length) return;
-    let keepIdx = 0;
-    if (strategy === 'keep-last') keepIdx = items.length - 1;
-    else if (strategy === 'keep-largest') keepIdx = items.reduce((best, el, i) => Number(el.dataset.size) > Number(items[best].dataset.size) ? i : best, 0);
-    else if (strategy === 'keep-smallest') keepIdx = items.reduce((best, el, i) => Number(el.dataset.size) < Number(items[best].dataset.size) ? i : best, 0);
-    items.forEach((el, i) => {
-      const cb = el.querySelector('.dup-cb');
-      const checked = i !== keepIdx;
-      cb.checked = checked;
+  function markKeep(gi, keepId, reason) {
+    dupResults.querySelectorAll(`.dup-item[data-gi="${gi}"]`).forEach(el => {
+      const checked = Number(el.dataset.id) !== keepId;
+      el.querySelector('.dup-cb').checked = checked;
       el.classList.toggle('dup-selected', checked);
     });
     const ghCb = dupResults.querySelector(`.dup-group-cb[data-gi="${gi}"]`);
     if (ghCb) { ghCb.indeterminate = true; ghCb.checked = false; }
+    const why = dupResults.querySelector(`.dup-group[data-gi="${gi}"] .dup-group-reason`);
+    if (why) why.textContent = reason !== undefined ? `· gardé : ${reason || 'premier indexé (ex æquo)'}` : '';
   }
 
   async function deleteSelected() {
@@ -484,68 +770,127 @@
     if (!checked.length) return;
     const ids = checked.map(cb => Number(cb.dataset.id));
     const deleteFile = document.getElementById('deletePhysical')?.checked ?? true;
+    const merge = document.getElementById('dupMerge')?.checked ?? true;
+    // Per group: the ticked rows go, the first unticked one receives their activity
+    const plans = [...new Set(checked.map(cb => cb.dataset.gi))].map(gi => {
+      const rows = [...dupResults.querySelectorAll(`.dup-item[data-gi="${gi}"]`)];
+      const kept = rows.find(el => !el.querySelector('.dup-cb').checked);
+      return {
+        keep: kept ? Number(kept.dataset.id) : null,
+        remove: rows.filter(el => el.querySelector('.dup-cb').checked).map(el => Number(el.dataset.id)),
+      };
+    });
     const label = deleteFile
-      ? `Supprimer ${ids.length} fichier(s) base + disque ?`
-      : `Supprimer ${ids.length} fichier(s) de la base uniquement ?`;
-    if (!confirm(label)) return;
+      ? `Mettre ${ids.length} fichier(s) à la corbeille (base + disque) ?`
+      : `Retirer ${ids.length} fichier(s) de la base (fichiers laissés sur disque) ?`;
+    const mergeNote = merge ? '\n\nCommentaires, réactions, favoris et vues passeront sur le fichier conservé de chaque groupe à la purge de la corbeille.' : '';
+    if (!confirm(label + mergeNote)) return;
 
     const btn = document.getElementById('deleteSelectedBtn');
     btn.disabled = true;
     dupFill.style.width = '0%';
     dupLabel.textContent = `⏳ Suppression 0 / ${ids.length}…`;
 
-    let deleted = 0;
-    const errors = [];
-
     try {
-      const res = await apiFetch('/admin/duplicates/delete-bulk', {
-        method: 'POST', body: JSON.stringify({ ids, deleteFile }),
+      const job = await startJob('/admin/duplicates/resolve', { plans, deleteFile, merge });
+      const j = await followJob(job.id, {
+        progress: p => {
+          setJobProgress(dupFill, dupLabel, p);
+          dupLabel.textContent = `⏳ Suppression ${p.done} / ${p.total}…`;
+        },
+        data: d => { if (d.deleted) removeDupItem(d.id); },
       });
-      const reader = res.body.getReader();
-      const dec = new TextDecoder();
-      let buf = '';
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        buf += dec.decode(value, { stream: true });
-        const lines = buf.split('\n'); buf = lines.pop();
-        for (const line of lines) {
-          if (!line.startsWith('data:')) continue;
-          try {
-            const d = JSON.parse(line.slice(5));
-            if (d.status === 'progress') {
-              const pct = Math.round((d.done / d.total) * 100);
-              dupFill.style.width = pct + '%';
-              dupLabel.textContent = `⏳ Suppression ${d.done} / ${d.total}…`;
-              if (!d.skipped && !d.error) {
-                const el = document.getElementById(`dup-item-${d.id}`);
-                if (el) { const g = el.closest('.dup-group'); el.remove(); if (g && !g.querySelector('.dup-item')) g.remove(); }
-              }
-              if (d.error) errors.push(d);
-            } else if (d.status === 'done') {
-              deleted = d.deleted;
-              if (d.errors) errors.push(...d.errors);
-            } else if (d.status === 'error') {
-              errors.push({ error: d.error });
-            }
-          } catch {}
-        }
-      }
+      // Rows deleted before a re-attach did not come through `data`
+      (j.result?.deletedIds || []).forEach(removeDupItem);
+      const errors = j.result?.errors?.length || 0;
+      dupFill.style.width = '100%';
+      dupLabel.textContent = j.status === 'done' || j.status === 'cancelled'
+        ? `${j.status === 'done' ? '✅' : '⏹'} ${j.result?.deleted ?? 0} supprimé(s)${j.result?.merged ? `, activité de ${j.result.merged} fusionnée à la purge` : ''}${errors ? ` — ⚠️ ${errors} erreur(s)` : ''}`
+        : '❌ ' + (j.error || 'Erreur');
     } catch(e) {
       dupLabel.textContent = '❌ ' + e.message;
-      btn.disabled = false; updateDelBtn(); return;
     }
-    dupFill.style.width = '100%';
-    dupLabel.textContent = `✅ ${deleted} supprimé(s)${errors.length ? ` — ⚠️ ${errors.length} erreur(s)` : ''}`;
     updateDelBtn();
   }
 
+  function removeDupItem(id) {
+    const el = document.getElementById(`dup-item-${id}`);
+    if (!el) return;
+    const g = el.closest('.dup-group');
+    el.remove();
+    if (g && !g.querySelector('.dup-item')) g.remove();
+    else if (g?.querySelector('.dup-compare')) renderDupCompare(Number(g.dataset.gi));
+  }
+
+  /* Side-by-side compare (similar mode): two members of a group, picked in
+     each pane, with the larger resolution / file highlighted. */
+  const dupCompareSel = new Map(); // gi → [leftId, rightId]
+
+  window.toggleDupCompare = (gi) => {
+    const groupDiv = dupResults.querySelector(`.dup-group[data-gi="${gi}"]`);
+    const open = groupDiv?.querySelector('.dup-compare');
+    if (open) { open.remove(); return; }
+    renderDupCompare(gi);
+  };
+
+  function renderDupCompare(gi) {
+    const groupDiv = dupResults.querySelector(`.dup-group[data-gi="${gi}"]`);
+    if (!groupDiv) return;
+    const items = dupGroups[gi].filter(m => document.getElementById(`dup-item-${m.id}`));
+    let panel = groupDiv.querySelector('.dup-compare');
+    if (items.length < 2) { panel?.remove(); return; }
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.className = 'dup-compare';
+      groupDiv.querySelector('.dup-group-header').after(panel);
+    }
+    let [leftId, rightId] = dupCompareSel.get(gi) || [];
+    if (!items.some(m => m.id === leftId)) leftId = items[0].id;
+    if (!items.some(m => m.id === rightId) || rightId === leftId) rightId = items.find(m => m.id !== leftId).id;
+    dupCompareSel.set(gi, [leftId, rightId]);
+
+    const left = items.find(m => m.id === leftId), right = items.find(m => m.id === rightId);
+    const px = m => (m.width || 0) * (m.height || 0);
+    const best = (m, other, val) => val(m) > val(other) ? ' dup-cmp-best' : '';
+    const pane = (m, other, side) => `
+      <div class="dup-cmp-pane">
+        <select class="input dup-cmp-select" data-side="${side}">
+          ${items.map(o => `<option value="${o.id}"${o.id === m.id ? ' selected' : ''}>${esc(o.file_path.split('/').pop())}</option>`).join('')}
+        </select>
+        <img class="dup-cmp-img" src="/thumb/${m.id}?w=640" alt="" onerror="this.style.visibility='hidden'">
+        <dl class="dup-cmp-meta">
+          <dt>Chemin</dt><dd>${esc(m.file_path)}</dd>
+          <dt>Performer</dt><dd>${esc(m.performer_name)}</dd>
+          <dt>Dimensions</dt><dd class="${best(m, other, px)}">${m.width && m.height ? `${m.width}×${m.height}` : '—'}</dd>
+          <dt>Taille</dt><dd class="${best(m, other, x => x.size || 0)}">${fmtSize(m.size)}</dd>
+          ${m.type === 'video' ? `<dt>Durée</dt><dd class="${best(m, other, x => x.duration || 0)}">${fmtDuration(m.duration) || '—'}</dd>` : ''}
+        </dl>
+        <div class="dup-cmp-actions">
+          <button class="btn btn-sm" onclick="keepDupItem(${gi}, ${m.id})">✓ Garder celui-ci</button>
+          <button class="btn btn-sm btn-danger" onclick="deleteSingleDup(${m.id})">🗑 Supprimer</button>
+        </div>
+      </div>`;
+    panel.innerHTML = pane(left, right, 0) + pane(right, left, 1);
+    panel.querySelectorAll('.dup-cmp-select').forEach(sel => sel.addEventListener('change', () => {
+      const ids = dupCompareSel.get(gi);
+      ids[Number(sel.dataset.side)] = Number(sel.value);
+      // Picking the other pane's file swaps the two sides
+      if (ids[0] === ids[1]) ids[1 - Number(sel.dataset.side)] = Number(sel.dataset.side) ? rightId : leftId;
+      renderDupCompare(gi);
+    }));
+  }
+
+  // Tick every other file of the group for deletion
+  window.keepDupItem = (gi, id) => {
+    markKeep(gi, id);
+    updateDelBtn();
+  };
+
   window.deleteSingleDup = async (id) => {
-    if (!confirm('Supprimer ce fichier de la base et du disque ?')) return;
+    if (!confirm('Mettre ce fichier à la corbeille ?')) return;
     const res = await apiFetch(`/admin/duplicates/${id}`, { method: 'DELETE' });
     if (res.ok) {
-      const el = document.getElementById(`dup-item-${id}`);
-      if (el) { const g = el.closest('.dup-group'); el.remove(); if (g && !g.querySelector('.dup-item')) g.remove(); }
+      removeDupItem(id);
       updateDelBtn();
     }
   };
@@ -554,6 +899,7 @@
      TOOLS — MEDIA BROWSER
      ═══════════════════════════════════════════════════════ */
   const mbPerformerSel = document.getElementById('mbPerformer');
+  const mbLibrarySel   = document.getElementById('mbLibrary');
   const mbTypeEl    = document.getElementById('mbType');
   const mbSearchEl  = document.getElementById('mbSearch');
   const mbLoadBtn   = document.getElementById('mbLoadBtn');
@@ -571,6 +917,13 @@
   async function loadMbPerformers() {
     if (mbPerformerSel.options.length > 1) return;
     try {
+      const libRes = await apiFetch('/admin/libraries');
+      const { data: libs } = await libRes.json();
+      libs.forEach(l => {
+        const opt = document.createElement('option');
+        opt.value = l.id; opt.textContent = l.name;
+        mbLibrarySel.appendChild(opt);
+      });
       const res = await apiFetch('/api/performers?limit=200&sort=name&order=asc');
       const { data } = await res.json();
       data.forEach(p => {
@@ -589,6 +942,7 @@
     const params = new URLSearchParams({
       page: mbPage, limit: MB_LIMIT,
       ...(mbPerformerSel.value ? { performer_id: mbPerformerSel.value } : {}),
+      ...(mbLibrarySel.value ? { library: mbLibrarySel.value } : {}),
       ...(mbTypeEl.value ? { type: mbTypeEl.value } : {}),
       ...(mbSearchEl.value.trim() ? { q: mbSearchEl.value.trim() } : {}),
     });
@@ -605,7 +959,7 @@
         card.className = 'mb-card'; card.dataset.id = item.id;
         card.innerHTML = `
           <input class="mb-card-cb" type="checkbox" data-id="${item.id}">
-          <img src="/thumb/${item.id}" loading="lazy" onerror="this.style.opacity='.3'">
+          <img src="/thumb/${item.id}?w=320" loading="lazy" onerror="this.style.opacity='.3'">
           ${item.size ? `<span class="mb-card-size">${fmtSize(item.size)}</span>` : ''}
           <div class="mb-card-info">
             <div class="mb-card-name" title="${esc(item.file_path)}">${esc(item.file_path.split('/').pop())}</div>
@@ -648,6 +1002,7 @@
     mbSelCount.textContent = `${checked} / ${total}`;
     mbDeleteBtn.disabled = checked === 0;
     mbDeleteBtn.textContent = `🗑 Supprimer${checked ? ` (${checked})` : ''}`;
+    mbTagAddBtn.disabled = mbTagRemoveBtn.disabled = checked === 0;
   }
 
   mbLoadBtn.addEventListener('click', () => { mbPage = 1; loadMbMedia(); });
@@ -666,44 +1021,137 @@
     const checked = [...mbGrid.querySelectorAll('.mb-card-cb:checked')];
     if (!checked.length) return;
     const ids = checked.map(cb => Number(cb.dataset.id));
-    if (!confirm(`Supprimer ${ids.length} fichier(s) du disque et de la base ?`)) return;
+    if (!confirm(`Mettre ${ids.length} fichier(s) à la corbeille ?\nRestaurables depuis l'onglet Corbeille.`)) return;
     mbDeleteBtn.disabled = true;
     mbProgress.classList.remove('hidden');
     mbFill.style.width = '0%'; mbLabel.textContent = `⏳ 0 / ${ids.length}…`;
 
     try {
-      const res = await apiFetch('/admin/duplicates/delete-bulk', {
-        method: 'POST', body: JSON.stringify({ ids, deleteFile: true }),
+      const job = await startJob('/admin/duplicates/delete-bulk', { ids, deleteFile: true });
+      const removeCard = id => mbGrid.querySelector(`.mb-card[data-id="${id}"]`)?.remove();
+      const j = await followJob(job.id, {
+        progress: p => {
+          setJobProgress(mbFill, mbLabel, p);
+          mbLabel.textContent = `⏳ ${p.done} / ${p.total}…`;
+        },
+        data: d => { if (d.deleted) removeCard(d.id); },
       });
-      const reader = res.body.getReader();
-      const dec = new TextDecoder();
-      let buf = '', deleted = 0;
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        buf += dec.decode(value, { stream: true });
-        const lines = buf.split('\n'); buf = lines.pop();
-        for (const line of lines) {
-          if (!line.startsWith('data:')) continue;
-          try {
-            const d = JSON.parse(line.slice(5));
-            if (d.status === 'progress') {
-              mbFill.style.width = Math.round((d.done / d.total) * 100) + '%';
-              mbLabel.textContent = `⏳ ${d.done} / ${d.total}…`;
-              if (!d.error && !d.skipped) {
-                const card = mbGrid.querySelector(`.mb-card[data-id="${d.id}"]`);
-                if (card) card.remove();
-              }
-            } else if (d.status === 'done') deleted = d.deleted;
-          } catch {}
-        }
-      }
+      (j.result?.deletedIds || []).forEach(removeCard);
       mbFill.style.width = '100%';
-      mbLabel.textContent = `✅ ${deleted} supprimé(s)`;
+      mbLabel.textContent = j.result ? `✅ ${j.result.deleted} mis à la corbeille`
+        : j.status === 'cancelled' ? '⏹ Annulé' : '❌ ' + (j.error || 'Erreur');
     } catch(e) { mbLabel.textContent = '❌ ' + e.message; }
     updateMbSel();
   });
 
+  /* ── Bulk tags on the selection ── */
+  const mbTagInput     = document.getElementById('mbTagInput');
+  const mbTagAddBtn    = document.getElementById('mbTagAddBtn');
+  const mbTagRemoveBtn = document.getElementById('mbTagRemoveBtn');
+
+  async function mbBulkTags(remove) {
+    const ids = [...mbGrid.querySelectorAll('.mb-card-cb:checked')].map(cb => Number(cb.dataset.id));
+    const names = mbTagInput.value.split(',').map(s => s.trim()).filter(Boolean);
+    if (!ids.length || !names.length) { mbTagInput.focus(); return; }
+    let body = { ids, add: names };
+    if (remove) {
+      // Removal goes by id: resolve the typed names against the tag list
+      if (!tagById.size) await loadTags();
+      const byName = new Map([...tagById.values()].map(t => [t.name.toLowerCase(), t.id]));
+      const tagIds = names.map(n => byName.get(n.toLowerCase())).filter(Boolean);
+      if (!tagIds.length) { showToast('Tag introuvable'); return; }
+      body = { ids, remove: tagIds };
+    }
+    const res = await apiFetch('/api/media/tags', { method: 'POST', body: JSON.stringify(body) });
+    const d = await res.json();
+    if (!res.ok) { showToast('❌ ' + (d.error || 'Erreur inconnue')); return; }
+    showToast(remove ? `${d.removed} tag(s) manuel(s) retiré(s)` : `Tags ajoutés à ${d.media} média(s)`);
+    mbTagInput.value = '';
+    loadTags();
+  }
+
+  mbTagAddBtn.addEventListener('click', () => mbBulkTags(false));
+  mbTagRemoveBtn.addEventListener('click', () => mbBulkTags(true));
+  mbTagInput.addEventListener('keydown', e => { if (e.key === 'Enter') mbBulkTags(false); });
+
+  /* ═══════════════════════════════════════════════════════
+     TOOLS — TAGS
+     ═══════════════════════════════════════════════════════ */
+  const tagSearchEl = document.getElementById('tagSearch');
+  // id → row; tag names are user input, so onclick handlers only pass ids
+  const tagById = new Map();
+
+  async function loadTags() {
+    const res = await apiFetch('/admin/tags');
+    const { data } = await res.json();
+    tagById.clear();
+    data.forEach(t => tagById.set(t.id, t));
+    renderTags();
+  }
+
+  function renderTags() {
+    const q = tagSearchEl.value.trim().toLowerCase();
+    const rows = [...tagById.values()].filter(t => !q || t.name.toLowerCase().includes(q));
+    const tbody = document.getElementById('tagsBody');
+    if (!rows.length) {
+      tbody.innerHTML = `<tr><td colspan="5" class="muted">${tagById.size ? 'Aucun tag ne correspond.' : 'Aucun tag.'}</td></tr>`;
+      return;
+    }
+    tbody.innerHTML = rows.map(t => `
+      <tr>
+        <td>${esc(t.name)}</td>
+        <td>${t.auto_count}</td>
+        <td>${t.manual_count}</td>
+        <td>${t.performer_count}</td>
+        <td>
+          <button class="btn btn-sm" onclick="renameTag(${t.id})" title="Renommer">✎</button>
+          <button class="btn btn-sm" onclick="mergeTag(${t.id})" title="Fusionner dans un autre tag">⇢</button>
+          <button class="btn btn-sm btn-danger" onclick="deleteTag(${t.id})" title="Supprimer">✕</button>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  tagSearchEl.addEventListener('input', renderTags);
+
+  window.renameTag = async (id) => {
+    const tag = tagById.get(id);
+    if (!tag) return;
+    const name = prompt('Nouveau nom du tag :', tag.name);
+    if (!name || name.trim() === tag.name) return;
+    const res = await apiFetch(`/admin/tags/${id}`, { method: 'PATCH', body: JSON.stringify({ name }) });
+    const d = await res.json();
+    if (!res.ok) showAlert('tagAlert', 'error', '❌ ' + (d.error || 'Erreur inconnue'));
+    else showToast('Tag renommé');
+    loadTags();
+  };
+
+  window.mergeTag = async (id) => {
+    const tag = tagById.get(id);
+    if (!tag) return;
+    const targetName = prompt(`Fusionner "${tag.name}" dans le tag :`);
+    if (!targetName) return;
+    const target = [...tagById.values()].find(t => t.id !== id && t.name.toLowerCase() === targetName.trim().toLowerCase());
+    if (!target) { showAlert('tagAlert', 'error', `❌ Tag "${targetName}" introuvable`); return; }
+    if (!confirm(`"${tag.name}" sera remplacé par "${target.name}" partout puis supprimé. Continuer ?`)) return;
+    const res = await apiFetch(`/admin/tags/${id}/merge`, { method: 'POST', body: JSON.stringify({ into: target.id }) });
+    const d = await res.json();
+    if (!res.ok) showAlert('tagAlert', 'error', '❌ ' + (d.error || 'Erreur inconnue'));
+    else showToast(`Fusionné — ${d.media} média(s) mis à jour`);
+    loadTags();
+  };
+
+  window.deleteTag = async (id) => {
+    const tag = tagById.get(id);
+    if (!tag) return;
+    if (!confirm(`Supprimer le tag "${tag.name}" de tous les médias et performers ?`)) return;
+    const res = await apiFetch(`/admin/tags/${id}`, { method: 'DELETE' });
+    const d = await res.json();
+    if (!res.ok) showAlert('tagAlert', 'error', '❌ ' + (d.error || 'Erreur inconnue'));
+    else showToast('Tag supprimé');
+    loadTags();
+  };
+
   /* ── Clean Media ── */
   const cleanBtn        = document.getElementById('cleanBtn');
   const cleanCancelBtn  = document.getElementById('cleanCancelBtn');
@@ -713,12 +1161,32 @@
   const cleanProgress   = document.getElementById('cleanProgress');
   const cleanFill       = document.getElementById('cleanFill');
   const cleanPhaseLabel = document.getElementById('cleanPhaseLabel');
-  let cleanReader = null;
+  let cleanJobId = null;
 
-  function cleanSetProgress(pct, label) {
+  function followClean(job) {
+    cleanJobId = job.id;
+    cleanBtn.disabled = true;
+    cleanCancelBtn.classList.remove('hidden');
+    cleanLog.classList.remove('hidden');
     cleanProgress.classList.remove('hidden');
-    cleanFill.style.width = Math.min(100, Math.max(0, pct)) + '%';
-    cleanPhaseLabel.textContent = label || '';
+    followJob(job.id, {
+      snapshot: (j, logs) => {
+        cleanLog.innerHTML = '';
+        logs.forEach(l => logJobLine(cleanLog, l));
+        setJobProgress(cleanFill, cleanPhaseLabel, j.progress);
+      },
+      progress: p => setJobProgress(cleanFill, cleanPhaseLabel, p),
+      log: l => logJobLine(cleanLog, l),
+    }).then(j => {
+      if (j.status === 'done') { cleanFill.style.width = '100%'; cleanPhaseLabel.textContent = '✅ Terminé'; }
+      else if (j.status === 'cancelled') logAppend(cleanLog, 'log-err', '⏹ Interrompu');
+      else if (j.status === 'error') logAppend(cleanLog, 'log-err', '❌ ' + j.error);
+    }).catch(e => logAppend(cleanLog, 'log-err', '❌ ' + e.message))
+      .finally(() => {
+        cleanJobId = null;
+        cleanBtn.disabled = false;
+        cleanCancelBtn.classList.add('hidden');
+      });
   }
 
   cleanBtn.addEventListener('click', async () => {
@@ -726,54 +1194,17 @@
       if (!confirm('⚠️ Mode réel — les entrées orphelines seront supprimées. Continuer ?')) return;
     }
     cleanBtn.disabled = true;
-    cleanCancelBtn.classList.remove('hidden');
     cleanLog.classList.remove('hidden'); cleanLog.innerHTML = '';
-    cleanProgress.classList.add('hidden'); cleanFill.style.width = '0%';
-
+    cleanFill.style.width = '0%';
     try {
-      const res = await apiFetch('/admin/clean-media', {
-        method: 'POST', body: JSON.stringify({ dry_run: cleanDryRun.checked, verbose: cleanVerbose.checked }),
-      });
-      cleanReader = res.body.getReader();
-      const dec = new TextDecoder();
-      let buf = '';
-      while (true) {
-        const { done, value } = await cleanReader.read();
-        if (done) break;
-        buf += dec.decode(value, { stream: true });
-        const lines = buf.split('\n'); buf = lines.pop();
-        for (const line of lines) {
-          if (line.startsWith(':') || !line.startsWith('data:')) continue;
-          let d; try { d = JSON.parse(line.slice(5)); } catch { continue; }
-          if (d.status === 'progress' && d.total > 0) cleanSetProgress((d.done / d.total) * 100, cleanPhaseLabel.textContent);
-          if (d.status === 'phase') cleanSetProgress(((d.phase - 1) / 4) * 100, `Phase ${d.phase} : ${d.label}`);
-          if (d.status === 'phase_done') cleanSetProgress((d.phase / 4) * 100, cleanPhaseLabel.textContent);
-          if (d.status === 'done') cleanSetProgress(100, '✅ Terminé');
-          if (!d.line) continue;
-          for (const l of d.line.split('\n')) {
-            if (!l.trim()) continue;
-            let cls = '';
-            if (d.status === 'started') cls = 'log-info';
-            else if (d.status === 'phase' || d.status === 'phase_done') cls = 'log-phase';
-            else if (d.status === 'action') cls = 'log-action';
-            else if (d.status === 'done') cls = 'log-summary';
-            else if (d.status === 'error') cls = 'log-err';
-            else if (d.type === 'orphan_db' || d.type === 'orphan_thumb') cls = 'log-warn';
-            else if (d.type === 'unindexed') cls = 'log-muted';
-            else if (d.type === 'deleted_db' || d.type === 'deleted_thumb') cls = 'log-err';
-            logAppend(cleanLog, cls, l);
-          }
-        }
-      }
-    } catch(e) { if (e.name !== 'AbortError') logAppend(cleanLog, 'log-err', '❌ ' + e.message); }
-    cleanReader = null; cleanBtn.disabled = false; cleanCancelBtn.classList.add('hidden');
+      followClean(await startJob('/admin/clean-media', { dry_run: cleanDryRun.checked, verbose: cleanVerbose.checked }));
+    } catch(e) { logAppend(cleanLog, 'log-err', '❌ ' + e.message); cleanBtn.disabled = false; }
   });
 
   cleanCancelBtn.addEventListener('click', async () => {
     cleanCancelBtn.disabled = true;
-    if (cleanReader) try { await cleanReader.cancel(); } catch(_) {}
-    logAppend(cleanLog, 'log-err', '⏹ Interrompu');
-    cleanCancelBtn.disabled = false; cleanCancelBtn.classList.add('hidden'); cleanBtn.disabled = false;
+    await cancelJob(cleanJobId);
+    cleanCancelBtn.disabled = false;
   });
 
   /* ── Purge courtes vidéos ── */
@@ -785,62 +1216,707 @@
   const shortVidFill       = document.getElementById('shortVidFill');
   const shortVidLabel      = document.getElementById('shortVidLabel');
   const shortVidLog        = document.getElementById('shortVidLog');
-  let shortVidReader = null;
+  let shortVidJobId = null;
+
+  function followPurgeShortVids(job) {
+    shortVidJobId = job.id;
+    shortVidPreviewBtn.disabled = true; shortVidDeleteBtn.disabled = true;
+    shortVidCancelBtn.classList.remove('hidden');
+    shortVidProgress.classList.remove('hidden');
+    shortVidLog.classList.remove('hidden');
+    followJob(job.id, {
+      snapshot: (j, logs) => {
+        shortVidLog.innerHTML = '';
+        logs.forEach(l => logJobLine(shortVidLog, l));
+        shortVidFill.style.width = '5%';
+        shortVidLabel.textContent = j.status === 'queued' ? 'En file d\'attente…' : 'Analyse…';
+      },
+      progress: p => setJobProgress(shortVidFill, shortVidLabel, p),
+      log: l => logJobLine(shortVidLog, l),
+    }).then(j => {
+      if (j.status === 'done') { shortVidFill.style.width = '100%'; shortVidLabel.textContent = '✅ Terminé'; }
+      else if (j.status === 'cancelled') logAppend(shortVidLog, 'log-err', '⏹ Interrompu');
+      else if (j.status === 'error') logAppend(shortVidLog, 'log-err', '❌ ' + j.error);
+    }).catch(e => logAppend(shortVidLog, 'log-err', '❌ ' + e.message))
+      .finally(() => {
+        shortVidJobId = null;
+        shortVidPreviewBtn.disabled = false; shortVidDeleteBtn.disabled = false;
+        shortVidCancelBtn.classList.add('hidden');
+      });
+  }
 
   async function runPurgeShortVids(dry_run) {
     const maxSec = Math.max(1, Number(shortVidMinutes.value) || 2) * 60;
     shortVidPreviewBtn.disabled = true; shortVidDeleteBtn.disabled = true;
-    shortVidCancelBtn.classList.remove('hidden');
-    shortVidProgress.classList.remove('hidden'); shortVidFill.style.width = '5%';
-    shortVidLabel.textContent = 'Analyse…';
     shortVidLog.classList.remove('hidden'); shortVidLog.innerHTML = '';
-
-    try {
-      const res = await apiFetch('/admin/purge-short-videos', {
-        method: 'POST', body: JSON.stringify({ max_duration: maxSec, dry_run }),
-      });
-      shortVidReader = res.body.getReader();
-      const dec = new TextDecoder();
-      let buf = '';
-      while (true) {
-        const { done, value } = await shortVidReader.read();
-        if (done) break;
-        buf += dec.decode(value, { stream: true });
-        const lines = buf.split('\n'); buf = lines.pop();
-        for (const line of lines) {
-          if (line.startsWith(':') || !line.startsWith('data:')) continue;
-          let d; try { d = JSON.parse(line.slice(5)); } catch { continue; }
-          if (d.status === 'progress' && d.total > 0) {
-            shortVidFill.style.width = Math.round(d.done / d.total * 100) + '%';
-            shortVidLabel.textContent = `${d.done} / ${d.total}`;
-          }
-          if (d.status === 'done') { shortVidFill.style.width = '100%'; shortVidLabel.textContent = '✅ Terminé'; }
-          if (!d.line) continue;
-          const cls = d.status === 'done' ? 'log-summary'
-                    : d.status === 'found' ? 'log-phase'
-                    : d.status === 'started' ? 'log-action'
-                    : (d.status === 'error' || d.status === 'error_item') ? 'log-err'
-                    : d.status === 'preview' ? 'log-muted' : '';
-          for (const l of d.line.split('\n')) { if (l.trim()) logAppend(shortVidLog, cls, l); }
-        }
-      }
-    } catch(e) { if (e.name !== 'AbortError') logAppend(shortVidLog, 'log-err', '❌ ' + e.message); }
-    shortVidReader = null; shortVidPreviewBtn.disabled = false; shortVidDeleteBtn.disabled = false;
-    shortVidCancelBtn.classList.add('hidden');
+    try { followPurgeShortVids(await startJob('/admin/purge-short-videos', { max_duration: maxSec, dry_run })); }
+    catch(e) {
+      logAppend(shortVidLog, 'log-err', '❌ ' + e.message);
+      shortVidPreviewBtn.disabled = false; shortVidDeleteBtn.disabled = false;
+    }
   }
 
   shortVidPreviewBtn.addEventListener('click', () => runPurgeShortVids(true));
   shortVidDeleteBtn.addEventListener('click', async () => {
     const mins = Number(shortVidMinutes.value) || 2;
-    if (!confirm(`⚠️ Supprimer toutes les vidéos de moins de ${mins} minute(s) ? Irréversible.`)) return;
+    if (!confirm(`⚠️ Mettre à la corbeille toutes les vidéos de moins de ${mins} minute(s) ?`)) return;
     await runPurgeShortVids(false);
   });
   shortVidCancelBtn.addEventListener('click', async () => {
     shortVidCancelBtn.disabled = true;
-    if (shortVidReader) try { await shortVidReader.cancel(); } catch(_) {}
-    logAppend(shortVidLog, 'log-err', '⏹ Interrompu');
-    shortVidCancelBtn.disabled = false; shortVidCancelBtn.classList.add('hidden');
-    shortVidPreviewBtn.disabled = false; shortVidDeleteBtn.disabled = false;
+    await cancelJob(shortVidJobId);
+    shortVidCancelBtn.disabled = false;
+  });
+
+  /* ── Intégrité (empreintes SHA-256) ── */
+  const contentHashBtn     = document.getElementById('contentHashBtn');
+  const integrityBtn       = document.getElementById('integrityBtn');
+  const integrityCancelBtn = document.getElementById('integrityCancelBtn');
+  const integrityLimit     = document.getElementById('integrityLimit');
+  const integrityAll       = document.getElementById('integrityAll');
+  const integrityProgress  = document.getElementById('integrityProgress');
+  const integrityFill      = document.getElementById('integrityFill');
+  const integrityLabel     = document.getElementById('integrityLabel');
+  const integrityLog       = document.getElementById('integrityLog');
+  let integrityJobId = null;
+
+  function followIntegrity(job) {
+    integrityJobId = job.id;
+    contentHashBtn.disabled = true; integrityBtn.disabled = true;
+    integrityCancelBtn.classList.remove('hidden');
+    integrityProgress.classList.remove('hidden');
+    integrityLog.classList.remove('hidden');
+    followJob(job.id, {
+      snapshot: (j, logs) => {
+        integrityLog.innerHTML = '';
+        logs.forEach(l => logJobLine(integrityLog, l));
+        setJobProgress(integrityFill, integrityLabel, j.progress);
+      },
+      progress: p => setJobProgress(integrityFill, integrityLabel, p),
+      log: l => logJobLine(integrityLog, l),
+    }).then(j => {
+      if (j.status === 'done') { integrityFill.style.width = '100%'; integrityLabel.textContent = '✅ Terminé'; }
+      else if (j.status === 'cancelled') logAppend(integrityLog, 'log-err', '⏹ Interrompu');
+      else if (j.status === 'error') logAppend(integrityLog, 'log-err', '❌ ' + j.error);
+    }).catch(e => logAppend(integrityLog, 'log-err', '❌ ' + e.message))
+      .finally(() => {
+        integrityJobId = null;
+        contentHashBtn.disabled = false; integrityBtn.disabled = false;
+        integrityCancelBtn.classList.add('hidden');
+      });
+  }
+
+  async function runIntegrityJob(url, body) {
+    contentHashBtn.disabled = true; integrityBtn.disabled = true;
+    integrityLog.classList.remove('hidden'); integrityLog.innerHTML = '';
+    integrityFill.style.width = '0%';
+    try { followIntegrity(await startJob(url, body)); }
+    catch(e) {
+      logAppend(integrityLog, 'log-err', '❌ ' + e.message);
+      contentHashBtn.disabled = false; integrityBtn.disabled = false;
+    }
+  }
+
+  contentHashBtn.addEventListener('click', () => runIntegrityJob('/admin/content-hash', {}));
+  integrityBtn.addEventListener('click', () => runIntegrityJob('/admin/verify-integrity',
+    integrityAll.checked ? { all: true } : { limit: Math.max(1, Number(integrityLimit.value) || 1000) }));
+  integrityAll.addEventListener('change', () => { integrityLimit.disabled = integrityAll.checked; });
+  integrityCancelBtn.addEventListener('click', async () => {
+    integrityCancelBtn.disabled = true;
+    await cancelJob(integrityJobId);
+    integrityCancelBtn.disabled = false;
+  });
+
+  async function attachToolJobs() {
+    const [dup, clean, purge, hash, verify] = await Promise.all(
+      ['duplicates', 'clean-media', 'purge-short-videos', 'content-hash', 'verify-integrity'].map(findActiveJob));
+    if (dup && !dupJobId) followDupScan(dup);
+    if (clean && !cleanJobId) followClean(clean);
+    if (purge && !shortVidJobId) followPurgeShortVids(purge);
+    if ((verify || hash) && !integrityJobId) followIntegrity(verify || hash);
+  }
+
+  /* ═══════════════════════════════════════════════════════
+     JOBS
+     ═══════════════════════════════════════════════════════ */
+  const JOB_STATUS = {
+    queued:    'En file',
+    running:   'En cours',
+    done:      'Terminée',
+    failed:    'Échouée',
+    cancelled: 'Annulée',
+  };
+  const jobStatusFilter = document.getElementById('jobStatusFilter');
+  const jobTypeFilter   = document.getElementById('jobTypeFilter');
+  const jobDetail       = document.getElementById('jobDetail');
+  const jobDetailLog    = document.getElementById('jobDetailLog');
+  const jobDetailFill   = document.getElementById('jobDetailFill');
+  const jobDetailLabel  = document.getElementById('jobDetailLabel');
+  // id → row; params are user input, so onclick handlers only pass ids
+  const jobById = new Map();
+  let jobPage = 1;
+  let jobPollTimer = null;
+  let jobDetailId = null;
+
+  jobStatusFilter.addEventListener('change', () => { jobPage = 1; loadJobs(); });
+  jobTypeFilter.addEventListener('change', () => { jobPage = 1; loadJobs(); });
+
+  async function loadJobs() {
+    clearTimeout(jobPollTimer);
+    const params = new URLSearchParams({ page: jobPage, limit: 25 });
+    if (jobStatusFilter.value) params.set('status', jobStatusFilter.value);
+    if (jobTypeFilter.value) params.set('type', jobTypeFilter.value);
+    try {
+      const res = await apiFetch(`/admin/jobs?${params}`);
+      const { data, total, limit, types } = await res.json();
+      if (jobTypeFilter.options.length === 1) {
+        types.forEach(t => {
+          const opt = document.createElement('option');
+          opt.value = t.type; opt.textContent = t.label;
+          jobTypeFilter.appendChild(opt);
+        });
+      }
+      jobById.clear();
+      data.forEach(j => jobById.set(j.id, j));
+      renderJobs(data);
+
+      const pages = Math.ceil(total / limit);
+      const pag = document.getElementById('jobsPagination');
+      pag.innerHTML = '';
+      for (let p = 1; p <= pages && pages > 1; p++) {
+        const btn = document.createElement('button');
+        btn.className = 'page-btn' + (p === jobPage ? ' active' : '');
+        btn.textContent = p;
+        btn.addEventListener('click', () => { jobPage = p; loadJobs(); });
+        pag.appendChild(btn);
+      }
+    } catch {}
+    // Poll while the tab is visible (schedules too: last run status follows the job)
+    if (document.getElementById('tab-jobs').classList.contains('active')) {
+      jobPollTimer = setTimeout(() => { loadJobs(); loadSchedules(); }, 3000);
+    }
+  }
+
+  function renderJobs(data) {
+    const tbody = document.getElementById('jobsBody');
+    if (!data.length) {
+      tbody.innerHTML = '<tr><td colspan="8" class="muted">Aucune tâche.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = data.map(j => {
+      const p = j.progress || {};
+      const pct = p.total > 0 ? Math.round((p.done / p.total) * 100) : (j.status === 'done' ? 100 : 0);
+      const active = j.status === 'queued' || j.status === 'running';
+      return `
+      <tr class="job-row${j.id === jobDetailId ? ' job-row-open' : ''}" onclick="openJob(${j.id})">
+        <td>${j.id}</td>
+        <td>${esc(j.label)}${jobParamsText(j) ? `<div class="muted job-params">${esc(jobParamsText(j))}</div>` : ''}</td>
+        <td><span class="badge badge-job-${j.status}">${JOB_STATUS[j.status] || j.status}</span>${j.cancel_requested && active ? ' <span class="muted">annulation…</span>' : ''}</td>
+        <td class="job-progress">
+          <div class="progress-bar"><div class="progress-fill" style="width:${pct}%"></div></div>
+          <div class="muted">${esc(j.status === 'failed' ? (j.error || '') : (p.message || (p.total ? `${p.done} / ${p.total}` : '')))}</div>
+        </td>
+        <td>${esc(j.created_by_name || 'système')}</td>
+        <td>${fmtDate(j.created_at)}</td>
+        <td>${fmtElapsed(j.started_at, j.finished_at)}</td>
+        <td onclick="event.stopPropagation()">
+          ${active ? `<button class="btn btn-sm btn-danger" onclick="cancelJobRow(${j.id})">⏹</button>` : ''}
+          ${j.status === 'failed' || j.status === 'cancelled' ? `<button class="btn btn-sm" onclick="retryJob(${j.id})" title="Relancer">↻</button>` : ''}
+          ${active ? '' : `<button class="btn btn-sm" onclick="deleteJob(${j.id})" title="Supprimer">✕</button>`}
+        </td>
+      </tr>`;
+    }).join('');
+  }
+
+  function jobParamsText(j) {
+    const p = j.params || {};
+    if (j.type === 'scan') return p.mode && p.mode !== 'all' ? `mode : ${p.mode}` : '';
+    if (j.type === 'thumbs') return p.all ? 'toutes' : p.limit ? `${p.limit} max` : '';
+    if (j.type === 'trickplay' || j.type === 'previews') return p.all ? 'toutes les vidéos' : p.limit ? `${p.limit} max` : '';
+    if (j.type === 'duplicates') {
+      return [p.mediaType && p.mediaType !== 'all' ? p.mediaType : '',
+        p.mode === 'similar' ? `similaires${p.threshold != null ? ` ≤ ${p.threshold}` : ''}` : ''].filter(Boolean).join(' — ');
+    }
+    if (j.type === 'resolve-duplicates') {
+      const n = (p.plans || []).reduce((a, pl) => a + (pl.remove || []).length, 0);
+      return `${n} média(s)${p.merge === false ? '' : ' — fusion'}${p.deleteFile === false ? ' — base uniquement' : ''}`;
+    }
+    if (j.type === 'content-hash') return p.limit ? `${p.limit} max` : '';
+    if (j.type === 'verify-integrity') return p.all ? 'tous les fichiers' : p.limit ? `${p.limit} max` : '';
+    if (j.type === 'delete-media') return `${(p.ids || []).length} média(s)${p.deleteFile === false ? ' — base uniquement' : ''}`;
+    if (j.type === 'empty-trash') return p.all ? 'tout' : p.ids ? `${p.ids.length} média(s)` : 'rétention';
+    if (j.type === 'clean-media' || j.type === 'purge-short-videos') return p.dry_run === false ? 'réel' : 'simulation';
+    return '';
+  }
+
+  function fmtElapsed(start, end) {
+    if (!start) return '—';
+    const sec = Math.max(0, Math.round(((end ? new Date(end) : new Date()) - new Date(start)) / 1000));
+    return sec < 60 ? `${sec}s` : fmtDuration(sec);
+  }
+
+  window.openJob = (id) => {
+    const job = jobById.get(id);
+    if (!job) return;
+    jobDetailId = id;
+    jobDetail.classList.remove('hidden');
+    document.getElementById('jobDetailTitle').textContent = `#${job.id} — ${job.label}`;
+    document.getElementById('jobDetailMeta').textContent =
+      `${JOB_STATUS[job.status] || job.status} · tentative ${job.attempts}/${job.max_attempts} · créée ${fmtDate(job.created_at)}`;
+    jobDetailLog.innerHTML = '';
+    jobDetailFill.style.width = '0%';
+    jobDetailLabel.textContent = '';
+    renderJobs([...jobById.values()]);
+    jobDetail.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+    // Stream stays attached until the job ends or another job is opened
+    const stillOpen = () => jobDetailId === id;
+    followJob(id, {
+      snapshot: (j, logs) => {
+        if (!stillOpen()) return;
+        jobDetailLog.innerHTML = '';
+        logs.forEach(l => logJobLine(jobDetailLog, l));
+        setJobProgress(jobDetailFill, jobDetailLabel, j.progress);
+      },
+      progress: p => { if (stillOpen()) setJobProgress(jobDetailFill, jobDetailLabel, p); },
+      log: l => { if (stillOpen()) logJobLine(jobDetailLog, l); },
+    }).then(j => {
+      if (!stillOpen()) return;
+      document.getElementById('jobDetailMeta').textContent =
+        `${JOB_STATUS[j.status] || j.status} · tentative ${j.attempts ?? '?'}/${j.max_attempts ?? '?'} · durée ${fmtElapsed(j.started_at, j.finished_at)}`;
+      if (j.status === 'done') jobDetailFill.style.width = '100%';
+      if (j.error && j.status !== 'failed') logAppend(jobDetailLog, 'log-err', '❌ ' + j.error);
+    }).catch(() => {});
+  };
+
+  window.cancelJobRow = async (id) => {
+    await cancelJob(id);
+    loadJobs();
+  };
+
+  window.retryJob = async (id) => {
+    const res = await apiFetch(`/admin/jobs/${id}/retry`, { method: 'POST' });
+    if (!res.ok) showToast('❌ ' + ((await res.json()).error || 'Erreur inconnue'));
+    loadJobs();
+  };
+
+  window.deleteJob = async (id) => {
+    if (!confirm('Supprimer cette tâche et son journal ?')) return;
+    await apiFetch(`/admin/jobs/${id}`, { method: 'DELETE' });
+    if (jobDetailId === id) { jobDetailId = null; jobDetail.classList.add('hidden'); }
+    loadJobs();
+  };
+
+  /* ── Scheduled jobs ── */
+  // Default params offered when a job type is picked in the form
+  const SCHEDULE_PARAMS = {
+    scan: { mode: 'all' },
+    thumbs: { all: true },
+    trickplay: { all: true },
+    previews: { all: true },
+    duplicates: { mediaType: 'all' },
+    'clean-media': { dry_run: true },
+    'purge-short-videos': { max_duration: 120, dry_run: true },
+  };
+  const schName      = document.getElementById('schName');
+  const schType      = document.getElementById('schType');
+  const schCron      = document.getElementById('schCron');
+  const schParams    = document.getElementById('schParams');
+  const schEnabled   = document.getElementById('schEnabled');
+  const schEmail     = document.getElementById('schEmail');
+  const schSaveBtn   = document.getElementById('schSaveBtn');
+  const schCancelBtn = document.getElementById('schCancelEditBtn');
+  const scheduleById = new Map();
+  let scheduleEditId = null;
+
+  async function loadSchedules() {
+    try {
+      const res = await apiFetch('/admin/schedules');
+      const { data, types } = await res.json();
+      if (!schType.options.length) {
+        // delete-media needs explicit ids — not something to repeat
+        types.filter(t => t.type !== 'delete-media').forEach(t => {
+          const opt = document.createElement('option');
+          opt.value = t.type; opt.textContent = t.label;
+          schType.appendChild(opt);
+        });
+        schParams.value = JSON.stringify(SCHEDULE_PARAMS[schType.value] || {});
+      }
+      scheduleById.clear();
+      data.forEach(s => scheduleById.set(s.id, s));
+      renderSchedules(data);
+    } catch {}
+  }
+
+  function renderSchedules(data) {
+    const tbody = document.getElementById('schedulesBody');
+    if (!data.length) {
+      tbody.innerHTML = '<tr><td colspan="8" class="muted">Aucune tâche planifiée.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = data.map(s => `
+      <tr>
+        <td>${esc(s.name)}</td>
+        <td>${esc(s.job_label)}${Object.keys(s.params).length ? `<div class="muted job-params">${esc(JSON.stringify(s.params))}</div>` : ''}</td>
+        <td><code>${esc(s.cron)}</code></td>
+        <td><input type="checkbox" ${s.enabled ? 'checked' : ''} onchange="toggleSchedule(${s.id}, 'enabled', this.checked)"></td>
+        <td><input type="checkbox" ${s.email_report ? 'checked' : ''} onchange="toggleSchedule(${s.id}, 'email_report', this.checked)" title="Envoyer un rapport aux admins"></td>
+        <td>${s.last_run_at ? `${fmtDate(s.last_run_at)}${s.last_status ? ` <span class="badge badge-job-${s.last_status}" title="${esc(s.last_error || '')}">${JOB_STATUS[s.last_status] || s.last_status}</span>` : ''}` : '—'}</td>
+        <td>${s.enabled ? fmtDate(s.next_run_at) : '—'}</td>
+        <td>
+          <button class="btn btn-sm" onclick="runSchedule(${s.id})" title="Lancer maintenant">▶</button>
+          <button class="btn btn-sm" onclick="editSchedule(${s.id})" title="Modifier">✎</button>
+          <button class="btn btn-sm btn-danger" onclick="deleteSchedule(${s.id})" title="Supprimer">✕</button>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  function resetScheduleForm() {
+    scheduleEditId = null;
+    schName.value = ''; schCron.value = '';
+    schParams.value = JSON.stringify(SCHEDULE_PARAMS[schType.value] || {});
+    schEnabled.checked = true; schEmail.checked = false;
+    schSaveBtn.textContent = '＋ Ajouter';
+    schCancelBtn.classList.add('hidden');
+  }
+
+  schType.addEventListener('change', () => { schParams.value = JSON.stringify(SCHEDULE_PARAMS[schType.value] || {}); });
+  schCancelBtn.addEventListener('click', resetScheduleForm);
+
+  schSaveBtn.addEventListener('click', async () => {
+    let params;
+    try { params = schParams.value.trim() ? JSON.parse(schParams.value) : {}; }
+    catch { showAlert('schAlert', 'error', '❌ Paramètres : JSON invalide'); return; }
+    const body = {
+      name: schName.value.trim(), job_type: schType.value, cron: schCron.value.trim(), params,
+      enabled: schEnabled.checked, email_report: schEmail.checked,
+    };
+    const res = await apiFetch(scheduleEditId ? `/admin/schedules/${scheduleEditId}` : '/admin/schedules', {
+      method: scheduleEditId ? 'PATCH' : 'POST', body: JSON.stringify(body),
+    });
+    const d = await res.json();
+    if (!res.ok) { showAlert('schAlert', 'error', '❌ ' + (d.error || 'Erreur inconnue')); return; }
+    showAlert('schAlert', 'success', `✅ « ${d.name} » enregistrée${d.next_run_at ? ` — prochaine exécution ${fmtDate(d.next_run_at)}` : ''}`);
+    resetScheduleForm();
+    loadSchedules();
+  });
+
+  window.editSchedule = (id) => {
+    const s = scheduleById.get(id);
+    if (!s) return;
+    scheduleEditId = id;
+    schName.value = s.name;
+    schType.value = s.job_type;
+    schCron.value = s.cron;
+    schParams.value = JSON.stringify(s.params);
+    schEnabled.checked = s.enabled;
+    schEmail.checked = s.email_report;
+    schSaveBtn.textContent = '💾 Enregistrer';
+    schCancelBtn.classList.remove('hidden');
+    schName.focus();
+  };
+
+  window.toggleSchedule = async (id, field, value) => {
+    const res = await apiFetch(`/admin/schedules/${id}`, { method: 'PATCH', body: JSON.stringify({ [field]: value }) });
+    if (!res.ok) showAlert('schAlert', 'error', '❌ ' + ((await res.json()).error || 'Erreur inconnue'));
+    loadSchedules();
+  };
+
+  window.runSchedule = async (id) => {
+    const res = await apiFetch(`/admin/schedules/${id}/run`, { method: 'POST' });
+    const d = await res.json();
+    if (!res.ok) { showAlert('schAlert', 'error', '❌ ' + (d.error || 'Erreur inconnue')); return; }
+    showToast(`Tâche #${d.id} lancée`);
+    loadSchedules(); loadJobs();
+  };
+
+  window.deleteSchedule = async (id) => {
+    const s = scheduleById.get(id);
+    if (!s || !confirm(`Supprimer la planification « ${s.name} » ?`)) return;
+    await apiFetch(`/admin/schedules/${id}`, { method: 'DELETE' });
+    if (scheduleEditId === id) resetScheduleForm();
+    loadSchedules();
+  };
+
+  /* ═══════════════════════════════════════════════════════
+     TRASH
+     ═══════════════════════════════════════════════════════ */
+  const trashSearch     = document.getElementById('trashSearch');
+  const trashGrid       = document.getElementById('trashGrid');
+  const trashPag        = document.getElementById('trashPagination');
+  const trashSummary    = document.getElementById('trashSummary');
+  const trashSelCount   = document.getElementById('trashSelCount');
+  const trashRestoreBtn = document.getElementById('trashRestoreBtn');
+  const trashPurgeBtn   = document.getElementById('trashPurgeBtn');
+  const trashEmptyBtn   = document.getElementById('trashEmptyBtn');
+  const trashProgress   = document.getElementById('trashProgress');
+  const trashFill       = document.getElementById('trashFill');
+  const trashLabel      = document.getElementById('trashLabel');
+  const trashRetention  = document.getElementById('trashRetention');
+  let trashPage = 1, trashJobId = null;
+  const TRASH_LIMIT = 80;
+
+  async function loadTrash() {
+    trashGrid.innerHTML = ''; trashPag.innerHTML = '';
+    const params = new URLSearchParams({
+      page: trashPage, limit: TRASH_LIMIT,
+      ...(trashSearch.value.trim() ? { q: trashSearch.value.trim() } : {}),
+    });
+    try {
+      const res = await apiFetch(`/admin/trash?${params}`);
+      const { data, total, total_size, retention_days } = await res.json();
+      trashRetention.value = retention_days;
+      trashSummary.textContent = `${total} média(s) — ${fmtSize(total_size)}`
+        + (retention_days ? ` · purgés automatiquement après ${retention_days} jour(s)` : ' · conservés jusqu\'à purge manuelle');
+      if (!data.length) {
+        trashGrid.innerHTML = '<div class="mb-empty">La corbeille est vide.</div>';
+        updateTrashSel(); return;
+      }
+      data.forEach(item => {
+        const card = document.createElement('div');
+        card.className = 'mb-card'; card.dataset.id = item.id;
+        card.innerHTML = `
+          <input class="mb-card-cb" type="checkbox" data-id="${item.id}">
+          <img src="/thumb/${item.id}?w=320" loading="lazy" onerror="this.style.opacity='.3'">
+          ${item.size ? `<span class="mb-card-size">${fmtSize(item.size)}</span>` : ''}
+          <div class="mb-card-info">
+            <div class="mb-card-name" title="${esc(item.file_path)}">${esc(item.file_path.split('/').pop())}</div>
+            <div class="mb-card-meta">${esc(item.performer_name)}</div>
+            <div class="mb-card-meta" title="${esc(item.trash_path || '')}">🗑 ${fmtDate(item.deleted_at)}${item.trash_path ? '' : ' · base uniquement'}${item.merge_into ? ` · doublon de #${item.merge_into}` : ''}</div>
+          </div>
+        `;
+        card.addEventListener('click', e => {
+          if (e.target.classList.contains('mb-card-cb')) return;
+          const cb = card.querySelector('.mb-card-cb');
+          cb.checked = !cb.checked; card.classList.toggle('mb-selected', cb.checked); updateTrashSel();
+        });
+        card.querySelector('.mb-card-cb').addEventListener('change', e => {
+          card.classList.toggle('mb-selected', e.target.checked); updateTrashSel();
+        });
+        trashGrid.appendChild(card);
+      });
+
+      const pages = Math.ceil(total / TRASH_LIMIT);
+      if (pages > 1) {
+        const info = document.createElement('span');
+        info.style.cssText = 'font-size:11px;color:var(--a-text-muted);margin-right:8px';
+        info.textContent = `page ${trashPage}/${pages}`;
+        trashPag.appendChild(info);
+        const prev = document.createElement('button');
+        prev.className = 'page-btn'; prev.textContent = '‹'; prev.disabled = trashPage <= 1;
+        prev.addEventListener('click', () => { trashPage--; loadTrash(); });
+        trashPag.appendChild(prev);
+        const next = document.createElement('button');
+        next.className = 'page-btn'; next.textContent = '›'; next.disabled = trashPage >= pages;
+        next.addEventListener('click', () => { trashPage++; loadTrash(); });
+        trashPag.appendChild(next);
+      }
+    } catch(e) { trashGrid.innerHTML = `<div class="mb-empty">❌ ${esc(e.message)}</div>`; }
+    updateTrashSel();
+  }
+
+  const trashSelectedIds = () => [...trashGrid.querySelectorAll('.mb-card-cb:checked')].map(cb => Number(cb.dataset.id));
+
+  function updateTrashSel() {
+    const total = trashGrid.querySelectorAll('.mb-card-cb').length;
+    const checked = trashSelectedIds().length;
+    trashSelCount.textContent = `${checked} / ${total}`;
+    trashRestoreBtn.disabled = trashPurgeBtn.disabled = checked === 0 || !!trashJobId;
+    trashEmptyBtn.disabled = !!trashJobId;
+  }
+
+  trashSearch.addEventListener('input', debounce(() => { trashPage = 1; loadTrash(); }, 300));
+
+  document.getElementById('trashSelectAllBtn').addEventListener('click', () => {
+    trashGrid.querySelectorAll('.mb-card-cb').forEach(cb => { cb.checked = true; cb.closest('.mb-card').classList.add('mb-selected'); });
+    updateTrashSel();
+  });
+  document.getElementById('trashUnselectBtn').addEventListener('click', () => {
+    trashGrid.querySelectorAll('.mb-card-cb').forEach(cb => { cb.checked = false; cb.closest('.mb-card').classList.remove('mb-selected'); });
+    updateTrashSel();
+  });
+
+  trashRestoreBtn.addEventListener('click', async () => {
+    const ids = trashSelectedIds();
+    if (!ids.length) return;
+    trashRestoreBtn.disabled = true;
+    try {
+      const res = await apiFetch('/admin/trash/restore', { method: 'POST', body: JSON.stringify({ ids }) });
+      const d = await res.json();
+      if (!res.ok) throw new Error(d.error || 'Erreur inconnue');
+      showAlert('trashAlert', d.errors.length ? 'error' : 'success',
+        `↩ ${d.restored.length} média(s) restauré(s)` + d.errors.map(e => ` · ❌ #${e.id} — ${e.error}`).join(''));
+    } catch(e) { showAlert('trashAlert', 'error', '❌ ' + e.message); }
+    loadTrash();
+  });
+
+  // Purge job (selection or everything) — re-attached when the tab is reopened
+  async function followTrashPurge(job) {
+    trashJobId = job.id;
+    updateTrashSel();
+    trashProgress.classList.remove('hidden');
+    trashFill.style.width = '0%'; trashLabel.textContent = '⏳ Purge…';
+    const j = await followJob(job.id, {
+      progress: p => {
+        setJobProgress(trashFill, trashLabel, p);
+        trashLabel.textContent = `⏳ ${p.done} / ${p.total}…`;
+      },
+    });
+    trashFill.style.width = '100%';
+    trashLabel.textContent = j.result ? `✅ ${j.result.purged} supprimé(s) définitivement`
+      + (j.result.errors.length ? ` — ${j.result.errors.length} erreur(s)` : '')
+      : j.status === 'cancelled' ? '⏹ Annulé' : '❌ ' + (j.error || 'Erreur');
+    trashJobId = null;
+    loadTrash();
+  }
+
+  async function runTrashPurge(body) {
+    try { await followTrashPurge(await startJob('/admin/trash/purge', body)); }
+    catch(e) { trashLabel.textContent = '❌ ' + e.message; trashProgress.classList.remove('hidden'); }
+  }
+
+  async function attachTrashJob() {
+    const job = await findActiveJob('empty-trash');
+    if (job && !trashJobId) followTrashPurge(job);
+  }
+
+  trashPurgeBtn.addEventListener('click', () => {
+    const ids = trashSelectedIds();
+    if (!ids.length || !confirm(`⚠️ Supprimer définitivement ${ids.length} média(s) ?\nFichiers, commentaires et favoris seront perdus. Irréversible.`)) return;
+    runTrashPurge({ ids });
+  });
+
+  trashEmptyBtn.addEventListener('click', () => {
+    if (!confirm('⚠️ Vider toute la corbeille ?\nTous les médias qu\'elle contient seront supprimés définitivement. Irréversible.')) return;
+    runTrashPurge({ all: true });
+  });
+
+  document.getElementById('trashRetentionBtn').addEventListener('click', async () => {
+    const days = Math.max(0, Math.floor(Number(trashRetention.value) || 0));
+    await apiFetch('/admin/settings', { method: 'PUT', body: JSON.stringify({ trash_retention_days: String(days) }) });
+    showAlert('trashAlert', 'success', '✅ Paramètre sauvegardé');
+    loadTrash();
+  });
+
+  /* ═══════════════════════════════════════════════════════
+     AUDIT LOG
+     ═══════════════════════════════════════════════════════ */
+  const AUDIT_LABELS = {
+    'user.role':       'Rôle modifié',
+    'user.delete':     'Utilisateur supprimé',
+    'user.2fa_reset':  '2FA réinitialisée',
+    'settings.update': 'Paramètres modifiés',
+    'library.create':  'Bibliothèque ajoutée',
+    'library.update':  'Bibliothèque modifiée',
+    'library.delete':  'Bibliothèque retirée',
+    'media.trash':     'Mis à la corbeille',
+    'media.restore':   'Restauré de la corbeille',
+    'tag.rename':      'Tag renommé',
+    'tag.merge':       'Tags fusionnés',
+    'tag.delete':      'Tag supprimé',
+    'schedule.create': 'Planification créée',
+    'schedule.update': 'Planification modifiée',
+    'schedule.delete': 'Planification supprimée',
+    'thumb.generate':  'Miniature régénérée',
+    'thumb.frame':     'Miniature (image choisie)',
+    'thumb.upload':    'Miniature envoyée',
+    'db.clear':        'Base de données vidée',
+    'scan.cancel':     'Scan annulé',
+    'job.cancel':      'Tâche annulée',
+    'job.retry':       'Tâche relancée',
+    'job.delete':      'Tâche supprimée',
+  };
+  const auditLabel = a => AUDIT_LABELS[a] || (a.startsWith('job.') ? `Tâche : ${a.slice(4)}` : a);
+
+  const auditActionSel = document.getElementById('auditAction');
+  const auditUser      = document.getElementById('auditUser');
+  const auditFrom      = document.getElementById('auditFrom');
+  const auditTo        = document.getElementById('auditTo');
+  const auditSearch    = document.getElementById('auditSearch');
+  const auditBody      = document.getElementById('auditBody');
+  const auditPag       = document.getElementById('auditPagination');
+  let auditPage = 1;
+  const AUDIT_LIMIT = 50;
+
+  function auditFilters() {
+    return {
+      ...(auditActionSel.value ? { action: auditActionSel.value } : {}),
+      ...(auditUser.value.trim() ? { user: auditUser.value.trim() } : {}),
+      ...(auditFrom.value ? { from: auditFrom.value } : {}),
+      ...(auditTo.value ? { to: auditTo.value } : {}),
+      ...(auditSearch.value.trim() ? { q: auditSearch.value.trim() } : {}),
+    };
+  }
+
+  async function loadAudit() {
+    const params = new URLSearchParams({ page: auditPage, limit: AUDIT_LIMIT, ...auditFilters() });
+    try {
+      const res = await apiFetch(`/admin/audit?${params}`);
+      const { data, total, actions } = await res.json();
+
+      // Known actions, grouped: "user." matches every user action
+      const current = auditActionSel.value;
+      const prefixes = [...new Set(actions.map(a => a.split('.')[0] + '.'))];
+      auditActionSel.innerHTML = '<option value="">Toutes les actions</option>'
+        + prefixes.map(p => `<option value="${esc(p)}">${esc(p)}*</option>`).join('')
+        + actions.map(a => `<option value="${esc(a)}">${esc(auditLabel(a))}</option>`).join('');
+      auditActionSel.value = current;
+
+      auditBody.innerHTML = data.length ? data.map(r => `
+        <tr class="audit-row" data-id="${r.id}" style="cursor:pointer">
+          <td class="muted">${fmtDate(r.created_at)}</td>
+          <td>${r.username ? esc(r.username) : '<span class="muted">—</span>'}</td>
+          <td title="${esc(r.action)}">${esc(auditLabel(r.action))}</td>
+          <td>${r.target_type ? `${esc(r.target_type)} #${esc(r.target_id || '')}` : '<span class="muted">—</span>'}</td>
+          <td class="muted">${esc(r.ip || '')}</td>
+        </tr>
+        <tr class="audit-detail hidden" data-for="${r.id}"><td colspan="5">
+          <div class="log-box">${esc(JSON.stringify({ avant: r.before, après: r.after }, null, 2))}</div>
+        </td></tr>
+      `).join('') : '<tr><td colspan="5" class="muted" style="text-align:center">Aucune action enregistrée.</td></tr>';
+      auditBody.querySelectorAll('.audit-row').forEach(tr => tr.addEventListener('click', () => {
+        auditBody.querySelector(`.audit-detail[data-for="${tr.dataset.id}"]`).classList.toggle('hidden');
+      }));
+
+      auditPag.innerHTML = '';
+      const pages = Math.ceil(total / AUDIT_LIMIT);
+      if (pages > 1) {
+        const info = document.createElement('span');
+        info.style.cssText = 'font-size:11px;color:var(--a-text-muted);margin-right:8px';
+        info.textContent = `${total} action(s) — page ${auditPage}/${pages}`;
+        auditPag.appendChild(info);
+        const prev = document.createElement('button');
+        prev.className = 'page-btn'; prev.textContent = '‹'; prev.disabled = auditPage <= 1;
+        prev.addEventListener('click', () => { auditPage--; loadAudit(); });
+        auditPag.appendChild(prev);
+        const next = document.createElement('button');
+        next.className = 'page-btn'; next.textContent = '›'; next.disabled = auditPage >= pages;
+        next.addEventListener('click', () => { auditPage++; loadAudit(); });
+        auditPag.appendChild(next);
+      }
+    } catch(e) { auditBody.innerHTML = `<tr><td colspan="5">❌ ${esc(e.message)}</td></tr>`; }
+  }
+
+  const reloadAudit = () => { auditPage = 1; loadAudit(); };
+  [auditActionSel, auditFrom, auditTo].forEach(el => el.addEventListener('change', reloadAudit));
+  [auditUser, auditSearch].forEach(el => el.addEventListener('input', debounce(reloadAudit, 300)));
+
+  // Download through fetch: the CSV route needs the Authorization header
+  document.getElementById('auditExportBtn').addEventListener('click', async () => {
+    const btn = document.getElementById('auditExportBtn');
+    btn.disabled = true;
+    try {
+      const res = await apiFetch(`/admin/audit/export.csv?${new URLSearchParams(auditFilters())}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `xflix-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(a); a.click(); a.remove();
+      URL.revokeObjectURL(url);
+    } catch(e) { alert('Erreur : ' + e.message); }
+    btn.disabled = false;
   });
 
   /* ═══════════════════════════════════════════════════════
@@ -860,8 +1936,28 @@
     passEl.placeholder = s.smtp_pass ? '•••••••• (inchangé — laissez vide pour conserver)' : 'Mot de passe SMTP';
     document.getElementById('smtpFrom').value    = s.smtp_from  || '';
     document.getElementById('smtpSecure').checked = s.smtp_secure === 'true';
+    document.getElementById('watcherEnabled').checked = s.watcher_enabled === 'true';
+    document.getElementById('require2faAdmins').checked = s.require_2fa_admins === 'true';
   }
 
+  document.getElementById('save2faBtn').addEventListener('click', async () => {
+    const res = await apiFetch('/admin/settings', {
+      method: 'PUT', body: JSON.stringify({ require_2fa_admins: document.getElementById('require2faAdmins').checked ? 'true' : 'false' }),
+    });
+    if (!res.ok) {
+      document.getElementById('require2faAdmins').checked = false;
+      return showAlert('smtpTestResult', 'error', '❌ ' + ((await res.json()).error || 'Erreur'));
+    }
+    showAlert('smtpTestResult', 'success', '✅ Paramètre sauvegardé');
+  });
+
+  document.getElementById('saveWatcherBtn').addEventListener('click', async () => {
+    await apiFetch('/admin/settings', {
+      method: 'PUT', body: JSON.stringify({ watcher_enabled: document.getElementById('watcherEnabled').checked ? 'true' : 'false' }),
+    });
+    showAlert('smtpTestResult', 'success', '✅ Paramètre sauvegardé');
+  });
+
   document.getElementById('saveRegBtn').addEventListener('click', async () => {
     await apiFetch('/admin/settings', {
       method: 'PUT', body: JSON.stringify({ allow_registration: document.getElementById('allowReg').checked ? 'true' : 'false' }),
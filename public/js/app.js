@@ -23,6 +23,7 @@ const state = {
   currentPage: 'home',
   discoverVideos: [],
   discoverPhotos: [],
+  continueVideos: [],
 };
 
 /* ── DOM Helpers ────────────────────────────────────────────────── */
@@ -70,9 +71,15 @@ function formatNumber(n) {
 }
 
 async function apiFetch(url, retries = 3, delay = 400) {
+  let refreshed = false;
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const r = await fetch(url, { headers: authHeaders() });
+      let r = await fetch(url, { headers: authHeaders() });
+      // Access token expired (tab asleep past its refresh) — renew once and replay
+      if (r.status === 401 && !refreshed && auth.refreshToken()) {
+        refreshed = true;
+        if (await refreshSession()) r = await fetch(url, { headers: authHeaders() });
+      }
       // Retry on 503 (Busy — server overloaded with thumb generation)
       if (r.status === 503 && attempt < retries) {
         await new Promise(res => setTimeout(res, delay * attempt));
@@ -126,6 +133,23 @@ function makeVideoThumb(id) {
   return v;
 }
 
+// Responsive thumbnails: /thumb/:id?w= serves 160-1280px variants (WebP /
+// AVIF when the browser accepts them); `sizes` is the rendered width per layout
+// so the browser picks the smallest variant that is sharp on this screen.
+const THUMB_WIDTHS = [160, 320, 640, 1280];
+const THUMB_SIZES = {
+  video:     '(max-width: 600px) 50vw, 400px',
+  photo:     '(max-width: 600px) 33vw, 240px',
+  performer: '(max-width: 600px) 50vw, 260px',
+  small:     '200px',
+};
+function thumbSrcset(id, query = '') {
+  return THUMB_WIDTHS.map(w => `/thumb/${id}?w=${w}${query ? '&' + query : ''} ${w}w`).join(', ');
+}
+function thumbAttrs(id, layout = 'video') {
+  return `src="/thumb/${id}" srcset="${thumbSrcset(id)}" sizes="${THUMB_SIZES[layout]}"`;
+}
+
 // Handles thumbnail load error: retries a few times (server may be busy
 // generating the thumb) before falling back to a lazy video stream element.
 function handleThumbError(img, id) {
@@ -134,7 +158,9 @@ function handleThumbError(img, id) {
   if (retries <= 4) {
     // Retry with back-off: 2s, 4s, 6s, 8s — avoids hammering the server
     setTimeout(() => {
-      if (img.isConnected) img.src = `/thumb/${id}?r=${retries}`;
+      if (!img.isConnected) return;
+      if (img.srcset) img.srcset = thumbSrcset(id, `r=${retries}`);
+      img.src = `/thumb/${id}?r=${retries}`;
     }, retries * 2000);
   } else {
     // Give up: display lazy video stream as fallback
@@ -149,7 +175,8 @@ function showPage(id) {
   window.scrollTo(0, 0);
 
   // Update nav links
-  const pageMap = { homePage: 'home', favoritesPage: 'favorites', discoverPage: 'discover', performerPage: null };
+  const pageMap = { homePage: 'home', favoritesPage: 'favorites', discoverPage: 'discover', performerPage: null,
+                    playlistsPage: 'playlists', playlistPage: 'playlists' };
   $qa('.nav-link').forEach(l => l.classList.toggle('active', l.dataset.page === pageMap[id]));
 }
 
@@ -208,12 +235,12 @@ function renderPerformers(performers) {
   grid.innerHTML = performers.map(p => {
     const initials = p.name.slice(0, 2).toUpperCase();
     // Use random_cover_id for variety on each page load, fallback to cover_media_id
-    const thumbSrc = (p.random_cover_id || p.cover_media_id) ? `/thumb/${p.random_cover_id || p.cover_media_id}` : '';
+    const coverId = p.random_cover_id || p.cover_media_id;
     return `
       <div class="performer-card" data-name="${escapeHtml(p.name)}" onclick="openPerformer('${encodeURIComponent(p.name)}')">
         <div class="performer-thumb-wrap">
-          ${thumbSrc
-            ? `<img class="performer-thumb" data-src="${thumbSrc}" alt="${escapeHtml(p.name)}" loading="lazy" onerror="this.style.display='none';this.nextElementSibling&&(this.nextElementSibling.style.display='flex')">
+          ${coverId
+            ? `<img class="performer-thumb" data-src="/thumb/${coverId}" data-srcset="${thumbSrcset(coverId)}" sizes="${THUMB_SIZES.performer}" alt="${escapeHtml(p.name)}" loading="lazy" onerror="this.style.display='none';this.nextElementSibling&&(this.nextElementSibling.style.display='flex')">
                <div class="performer-thumb-placeholder" style="display:none"><div style="font-size:2.2rem;font-weight:900;color:var(--text-dim)">${initials}</div><span>${escapeHtml(p.name)}</span></div>`
             : `<div class="performer-thumb-placeholder"><div style="font-size:2.2rem;font-weight:900;color:var(--text-dim)">${initials}</div><span>${escapeHtml(p.name)}</span></div>`
           }
@@ -235,6 +262,7 @@ function renderPerformers(performers) {
     entries.forEach(entry => {
       if (!entry.isIntersecting) return;
       const img = entry.target;
+      if (img.dataset.srcset) { img.srcset = img.dataset.srcset; delete img.dataset.srcset; }
       if (img.dataset.src) { img.src = img.dataset.src; delete img.dataset.src; }
       obs.unobserve(img);
     });
@@ -254,12 +282,91 @@ $('searchInput').addEventListener('input', e => {
       state.currentPage = 'home';
     }
     loadPerformers(getSortParams());
+    loadMediaSearch(v);
   }, 300);
 });
 
 $('searchClear').addEventListener('click', () => {
   $('searchInput').value = '';
+  searchTags.include.clear();
+  searchTags.exclude.clear();
   loadPerformers(getSortParams());
+  loadMediaSearch('');
+});
+
+// Full-text results (filenames, performers, tags, comments) next to the
+// performer grid. Highlights come from the server already escaped.
+// Tag facet chips cycle: off → required → excluded → off.
+const searchTags = { include: new Set(), exclude: new Set(), mode: 'all' };
+let mediaSearchSeq = 0;
+
+async function loadMediaSearch(q) {
+  const section = $('mediaSearchSection');
+  const seq = ++mediaSearchSeq;
+  const hasTags = searchTags.include.size || searchTags.exclude.size;
+  if (!q && !hasTags) { section.classList.add('hidden'); return; }
+  const qs = new URLSearchParams({ q, limit: 48 });
+  if (searchTags.include.size) { qs.set('tags', [...searchTags.include].join(',')); qs.set('tagMode', searchTags.mode); }
+  if (searchTags.exclude.size) qs.set('notTags', [...searchTags.exclude].join(','));
+  try {
+    const { data, total, facets } = await apiFetch(`${API}/search?${qs}`);
+    if (seq !== mediaSearchSeq) return; // a newer query is already on its way
+    // Keep the section (and its chips) visible while tags are selected, even with 0 hits
+    section.classList.toggle('hidden', !total && !hasTags);
+    renderSearchFacets(facets?.tags || []);
+    $('mediaSearchCount').textContent = total > data.length ? `${data.length} / ${total}` : total;
+
+    const videos = data.filter(m => m.type === 'video');
+    const photos = data.filter(m => m.type === 'photo');
+    state.videos = videos;
+    state.photos = photos;
+
+    const vGrid = $('mediaSearchVideos');
+    vGrid.innerHTML = videos.map(v => renderSingleVideoCard(v, true)).join('');
+    vGrid.querySelectorAll('.video-card').forEach((card, i) => {
+      const hl = videos[i].highlight || {};
+      card.querySelector('.video-card-name').innerHTML = hl.filename || escapeHtml(videos[i].filename);
+      if (hl.performer_name) card.querySelector('.video-card-performer').innerHTML = hl.performer_name;
+      const extra = [hl.tags && `🏷 ${hl.tags}`, hl.comment && `💬 ${hl.comment}`].filter(Boolean);
+      if (extra.length) card.querySelector('.video-card-info').insertAdjacentHTML('beforeend',
+        `<div class="search-snippet">${extra.join('<br>')}</div>`);
+    });
+    $('mediaSearchPhotos').innerHTML = photos.map(p => `
+      <div class="photo-card" onclick="openPhotoById(${p.id})">
+        <img ${thumbAttrs(p.id, 'photo')} alt="${escapeHtml(p.filename)}" loading="lazy" onerror="this.removeAttribute('srcset');this.src='/photo/${p.id}'" />
+        <div class="photo-overlay">${p.highlight?.filename || escapeHtml(p.filename)}</div>
+      </div>`).join('');
+  } catch(e) {
+    if (seq === mediaSearchSeq) section.classList.add('hidden');
+  }
+}
+
+function renderSearchFacets(facetTags) {
+  // Selected tags stay visible even when the current result set lacks them
+  const counts = new Map(facetTags.map(t => [t.name, t.count]));
+  for (const name of [...searchTags.include, ...searchTags.exclude]) if (!counts.has(name)) counts.set(name, 0);
+  $('mediaSearchFacets').classList.toggle('hidden', !counts.size);
+  $('searchTagMode').textContent = searchTags.mode === 'any' ? 'Au moins un tag' : 'Tous les tags';
+  $('searchTagMode').classList.toggle('hidden', searchTags.include.size < 2);
+  const chips = $('searchFacetChips');
+  chips.innerHTML = [...counts].map(([name, count]) => {
+    const cls = searchTags.include.has(name) ? 'active' : searchTags.exclude.has(name) ? 'excluded' : '';
+    return `<button class="chip ${cls}" data-tag="${escapeHtml(name)}">${searchTags.exclude.has(name) ? '− ' : ''}${escapeHtml(name)} <span class="chip-count">${count}</span></button>`;
+  }).join('');
+  chips.querySelectorAll('[data-tag]').forEach(chip => {
+    chip.addEventListener('click', () => {
+      const name = chip.dataset.tag;
+      if (searchTags.include.has(name)) { searchTags.include.delete(name); searchTags.exclude.add(name); }
+      else if (searchTags.exclude.has(name)) searchTags.exclude.delete(name);
+      else searchTags.include.add(name);
+      loadMediaSearch($('searchInput').value.trim());
+    });
+  });
+}
+
+$('searchTagMode').addEventListener('click', () => {
+  searchTags.mode = searchTags.mode === 'all' ? 'any' : 'all';
+  loadMediaSearch($('searchInput').value.trim());
 });
 
 function getSortParams() {
@@ -303,6 +410,7 @@ $qa('.nav-link').forEach(link => {
     else if (page === 'favorites') { showPage('favoritesPage'); loadFavoritesPage(); }
     else if (page === 'discover') { showPage('discoverPage'); loadDiscoverPage(); }
     else if (page === 'new') { showPage('newPage'); loadNewPage(); }
+    else if (page === 'playlists') { showPage('playlistsPage'); loadPlaylistsPage(); }
   });
 });
 
@@ -317,6 +425,45 @@ $('heroShuffle').addEventListener('click', () => {
   $('navDiscover').click();
 });
 
+/* ── Continue watching ──────────────────────────────────────────── */
+
+// Adds a small ✕ button on a rendered video/photo card
+function attachCardRemove(card, title, onRemove) {
+  const btn = document.createElement('button');
+  btn.className = 'card-remove';
+  btn.title = title;
+  btn.textContent = '✕';
+  btn.addEventListener('click', e => { e.stopPropagation(); onRemove(); });
+  (card.querySelector('.video-thumb-wrapper') || card).appendChild(btn);
+}
+
+async function loadContinueWatching() {
+  const section = $('continueSection');
+  if (!section) return;
+  if (!auth.user) { section.classList.add('hidden'); return; }
+  try {
+    const { data } = await apiFetch('/social/progress?limit=20');
+    state.continueVideos = data;
+    section.classList.toggle('hidden', !data.length);
+    if (!data.length) return;
+    $('continueCount').textContent = data.length;
+    const grid = $('continueGrid');
+    grid.innerHTML = data.map(v => renderSingleVideoCard(v, true)).join('');
+    grid.querySelectorAll('.video-card').forEach((card, i) => {
+      attachCardRemove(card, 'Retirer de la liste', () => removeContinueWatching(data[i].id));
+    });
+  } catch(e) {
+    section.classList.add('hidden');
+  }
+}
+
+async function removeContinueWatching(mediaId) {
+  try {
+    await fetch(`/social/progress/${mediaId}`, { method: 'DELETE', headers: authHeaders() });
+    loadContinueWatching();
+  } catch(e) { showToast('Erreur', 'error'); }
+}
+
 $('heroManage').addEventListener('click', () => {
   if (!auth.user || auth.user.role !== 'admin') {
     showToast('Accès réservé aux administrateurs', 'error');
@@ -373,12 +520,12 @@ async function loadFavoritesPage() {
 function renderPerformersInGrid(performers, grid) {
   grid.innerHTML = performers.map(p => {
     const initials = p.name.slice(0, 2).toUpperCase();
-    const thumbSrc = (p.random_cover_id || p.cover_media_id) ? `/thumb/${p.random_cover_id || p.cover_media_id}` : '';
+    const coverId = p.random_cover_id || p.cover_media_id;
     return `
       <div class="performer-card" onclick="openPerformer('${encodeURIComponent(p.name)}')">
         <div class="performer-thumb-wrap">
-          ${thumbSrc
-            ? `<img class="performer-thumb" src="${thumbSrc}" alt="${escapeHtml(p.name)}" loading="lazy" onerror="this.style.display='none';this.nextElementSibling&&(this.nextElementSibling.style.display='flex')">
+          ${coverId
+            ? `<img class="performer-thumb" ${thumbAttrs(coverId, 'performer')} alt="${escapeHtml(p.name)}" loading="lazy" onerror="this.style.display='none';this.nextElementSibling&&(this.nextElementSibling.style.display='flex')">
                <div class="performer-thumb-placeholder" style="display:none"><div style="font-size:2.2rem;font-weight:900;color:var(--text-dim)">${initials}</div><span>${escapeHtml(p.name)}</span></div>`
             : `<div class="performer-thumb-placeholder"><div style="font-size:2.2rem;font-weight:900;color:var(--text-dim)">${initials}</div><span>${escapeHtml(p.name)}</span></div>`
           }
@@ -444,6 +591,7 @@ async function openPerformer(encodedName) {
   state.currentPage = 'performer';
 
   $('performerName').textContent = name;
+  $('performerTags').innerHTML = '';
   $('performerMeta').innerHTML = '<div class="loading-spinner" style="padding:4px 0"><div class="spinner" style="width:18px;height:18px;border-width:2px"></div></div>';
 
   try {
@@ -458,6 +606,7 @@ async function openPerformer(encodedName) {
     `;
     $('tabVideoCount').textContent = `Vidéos (${p.video_count})`;
     $('tabPhotoCount').textContent = `Photos (${p.photo_count})`;
+    renderPerformerTags(p);
 
     // Set favorite button
     const favBtn = $('btnFavPerformer');
@@ -551,13 +700,19 @@ function renderSingleVideoCard(v, showPerformer = false) {
   const tagsHtml = v.tags && v.tags.length
     ? `<div class="video-tags">${v.tags.map(t => `<span class="tag-badge ${tagCls[t] || ''}">${escapeHtml(t)}</span>`).join('')}</div>`
     : '';
+  // Watch progress (only present on "continue watching" rows)
+  const progDur = v.progress_duration || v.duration;
+  const progressHtml = v.progress_position && progDur
+    ? `<div class="video-progress"><div style="width:${Math.min(100, v.progress_position / progDur * 100).toFixed(1)}%"></div></div>`
+    : '';
   return `
-    <div class="video-card" onclick="openVideoById(${v.id})">
+    <div class="video-card" onclick="openVideoById(${v.id})"${v.preview_path ? ` data-preview="${v.id}"` : ''}>
       <div class="video-thumb-wrapper">
-        <img src="/thumb/${v.id}" alt="${escapeHtml(v.filename)}" loading="lazy"
+        <img ${thumbAttrs(v.id)} alt="${escapeHtml(v.filename)}" loading="lazy"
           onerror="handleThumbError(this,${v.id})"
           style="width:100%;height:100%;object-fit:cover;display:block">
         <div class="play-overlay"><div class="play-btn">▶</div></div>
+        ${progressHtml}
         ${v.duration ? `<div class="video-duration">${formatDuration(v.duration)}</div>` : ''}
         ${v.favorite ? '<div class="video-fav-badge">❤️</div>' : ''}
       </div>
@@ -575,6 +730,80 @@ function renderSingleVideoCard(v, showPerformer = false) {
   `;
 }
 
+/* ── Hover previews ─────────────────────────────────────────────────
+ * Cards whose video has an encoded preview clip (data-preview) play it
+ * muted in place of the thumbnail: on hover after a short delay (desktop),
+ * or on long-press (touch) — the tap that ends a long-press does not open
+ * the player. One preview at a time; the <video> is dropped when it stops.
+ * ─────────────────────────────────────────────────────────────────── */
+const PREVIEW_HOVER_DELAY = 300;
+const PREVIEW_LONG_PRESS  = 500;
+let previewCard = null;
+let previewTimer = null;
+let previewSuppressClick = false;
+let previewLastTouch = 0;     // touch devices also emit mouseover on tap
+
+function startCardPreview(card) {
+  if (previewCard === card) return;
+  stopCardPreview();
+  previewCard = card;
+  const wrap = card.querySelector('.video-thumb-wrapper');
+  const video = document.createElement('video');
+  video.className = 'video-card-preview';
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.src = `/preview/${card.dataset.preview}`;
+  video.addEventListener('playing', () => video.classList.add('playing'), { once: true });
+  video.addEventListener('error', () => { if (previewCard === card) stopCardPreview(); }, { once: true });
+  wrap.insertBefore(video, wrap.querySelector('.play-overlay')); // under the badges
+  video.play().catch(() => {});
+}
+
+function stopCardPreview() {
+  clearTimeout(previewTimer);
+  if (!previewCard) return;
+  const video = previewCard.querySelector('.video-card-preview');
+  if (video) { video.pause(); video.removeAttribute('src'); video.load(); video.remove(); }
+  previewCard = null;
+}
+
+document.addEventListener('mouseover', e => {
+  const card = e.target.closest('.video-card[data-preview]');
+  if (!card || card === previewCard || card.contains(e.relatedTarget)) return;
+  if (Date.now() - previewLastTouch < 1000) return;
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(() => startCardPreview(card), PREVIEW_HOVER_DELAY);
+});
+document.addEventListener('mouseout', e => {
+  const card = e.target.closest('.video-card[data-preview]');
+  if (!card || card.contains(e.relatedTarget)) return;
+  clearTimeout(previewTimer);
+  if (card === previewCard) stopCardPreview();
+});
+
+document.addEventListener('touchstart', e => {
+  const card = e.target.closest('.video-card[data-preview]');
+  previewLastTouch = Date.now();
+  if (card !== previewCard) stopCardPreview();
+  previewSuppressClick = false;
+  if (!card) return;
+  previewTimer = setTimeout(() => { previewSuppressClick = true; startCardPreview(card); }, PREVIEW_LONG_PRESS);
+}, { passive: true });
+['touchmove', 'touchcancel'].forEach(ev => document.addEventListener(ev, () => clearTimeout(previewTimer), { passive: true }));
+document.addEventListener('touchend', () => clearTimeout(previewTimer), { passive: true });
+// The long-press tap is not a click on the card, nor a context menu on its thumbnail
+document.addEventListener('click', e => {
+  if (!previewSuppressClick || !e.target.closest('.video-card[data-preview]')) return;
+  previewSuppressClick = false;
+  e.preventDefault();
+  e.stopPropagation();
+}, true);
+document.addEventListener('contextmenu', e => {
+  if (previewSuppressClick && e.target.closest('.video-card[data-preview]')) e.preventDefault();
+});
+window.addEventListener('scroll', () => { if (previewCard && !previewCard.matches(':hover')) stopCardPreview(); }, { passive: true });
+
 function renderVideoCards(videos, grid, showPerformer = false) {
   if (!videos.length) {
     grid.innerHTML = `<div class="empty-state"><span class="empty-icon">🎬</span><h3>Aucune vidéo</h3></div>`;
@@ -629,6 +858,7 @@ if (_sentinel) videoScrollObserver.observe(_sentinel);
 
 /* ── Photos ─────────────────────────────────────────────────────── */
 async function loadPhotos(page = 1) {
+  if ($('photoView').value === 'timeline') return loadTimeline();
   state.photoPage = page;
   const grid = $('photosGrid');
   grid.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Chargement…</p></div>';
@@ -660,8 +890,8 @@ function renderPhotoCards(photos, grid) {
 
   grid.innerHTML = photos.map((ph, idx) => `
     <div class="photo-card" onclick="openPhoto(${idx})">
-      <img src="/thumb/${ph.id}" alt="${escapeHtml(ph.filename)}" loading="lazy"
-        onerror="this.src='/photo/${ph.id}'" />
+      <img ${thumbAttrs(ph.id, 'photo')} alt="${escapeHtml(ph.filename)}" loading="lazy"
+        onerror="this.removeAttribute('srcset');this.src='/photo/${ph.id}'" />
       <div class="photo-overlay">${escapeHtml(ph.filename)}</div>
     </div>
   `).join('');
@@ -673,6 +903,217 @@ $('sortPhotos').addEventListener('change', () => {
 });
 $('filterFavPhotos').addEventListener('change', () => loadPhotos(1));
 
+/* ── Photo timeline ─────────────────────────────────────────────── */
+// Gallery-style view: months → days, newest first (EXIF capture date, else
+// file date). Pages load in both directions from wherever the scrubber
+// jumped to; `photos` mirrors the cards on screen for the lightbox.
+const TIMELINE_PAGE = 200;
+const timeline = { months: [], total: 0, start: 0, end: 0, photos: [], loading: false, seq: 0 };
+
+function applyPhotoView() {
+  const isTimeline = $('photoView').value === 'timeline';
+  $('photosGrid').classList.toggle('hidden', isTimeline);
+  $('photoPagination').classList.toggle('hidden', isTimeline);
+  $('sortPhotosGroup').classList.toggle('hidden', isTimeline);
+  $('photoTimeline').classList.toggle('hidden', !isTimeline);
+}
+
+$('photoView').addEventListener('change', () => {
+  localStorage.setItem('xflix_photo_view', $('photoView').value);
+  applyPhotoView();
+  loadPhotos(1);
+});
+
+function timelineUrl(offset, limit) {
+  const qs = new URLSearchParams({ offset, limit, ...($('filterFavPhotos').checked ? { favorite: '1' } : {}) });
+  return `${API}/performers/${encodeURIComponent(state.currentPerformer.name)}/timeline?${qs}`;
+}
+
+function monthLabel(key) {
+  const [y, m] = key.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+}
+
+/** (Re)load the timeline starting at `offset` — 0, or the first photo of a month. */
+async function loadTimeline(offset = 0) {
+  const seq = ++timeline.seq;
+  const body = $('timelineBody');
+  body.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Chargement…</p></div>';
+  timeline.loading = true;
+  try {
+    const data = await apiFetch(timelineUrl(offset, TIMELINE_PAGE));
+    if (seq !== timeline.seq) return;
+    timeline.total = data.total;
+    timeline.months = data.years.flatMap(y => y.months.map(m => ({
+      ...m, key: `${y.year}-${String(m.month).padStart(2, '0')}`,
+    })));
+    timeline.start = timeline.end = data.offset;
+    timeline.photos = [];
+    body.innerHTML = data.total ? '' : `<div class="empty-state"><span class="empty-icon">🖼️</span><h3>Aucune photo</h3></div>`;
+    insertTimelineDays(data.days, 'append');
+    renderTimelineScrubber();
+  } catch(e) {
+    if (seq === timeline.seq) body.innerHTML = `<div class="empty-state"><span class="empty-icon">⚠️</span><h3>Erreur</h3><p>${escapeHtml(e.message)}</p></div>`;
+  } finally {
+    if (seq === timeline.seq) { timeline.loading = false; rearmTimelineSentinels(); }
+  }
+}
+
+/** Next page below (`append`) or previous page above (`prepend`) the loaded range. */
+async function extendTimeline(where) {
+  if (timeline.loading) return;
+  const offset = where === 'append' ? timeline.end : Math.max(0, timeline.start - TIMELINE_PAGE);
+  const limit = where === 'append' ? TIMELINE_PAGE : timeline.start - offset;
+  if (where === 'append' ? timeline.end >= timeline.total : !limit) return;
+  const seq = timeline.seq;
+  timeline.loading = true;
+  try {
+    const data = await apiFetch(timelineUrl(offset, limit));
+    if (seq !== timeline.seq) return;
+    // Content added above the viewport must not push what the user is looking at
+    const before = document.documentElement.scrollHeight;
+    insertTimelineDays(data.days, where);
+    if (where === 'prepend') window.scrollBy({ top: document.documentElement.scrollHeight - before, behavior: 'instant' });
+  } catch(e) {
+    showToast(e.message, 'error');
+  } finally {
+    if (seq === timeline.seq) { timeline.loading = false; rearmTimelineSentinels(); }
+  }
+}
+
+// A page can continue the month / day at the edge of what is already shown
+function insertTimelineDays(days, where) {
+  const body = $('timelineBody');
+  const append = where === 'append';
+  const photos = days.flatMap(d => d.photos);
+  if (append) { timeline.photos.push(...photos); timeline.end += photos.length; }
+  else        { timeline.photos.unshift(...photos); timeline.start -= photos.length; }
+
+  for (const day of append ? days : [...days].reverse()) {
+    const key = day.date.slice(0, 7);
+    let month = append ? body.lastElementChild : body.firstElementChild;
+    if (month?.dataset.month !== key) {
+      const info = timeline.months.find(m => m.key === key);
+      month = document.createElement('section');
+      month.className = 'timeline-month';
+      month.dataset.month = key;
+      month.innerHTML = `<h3 class="timeline-month-title">${monthLabel(key)}${info ? `<span>${info.count} photo${info.count > 1 ? 's' : ''}</span>` : ''}</h3>`;
+      append ? body.append(month) : body.prepend(month);
+    }
+    let dayEl = append ? month.lastElementChild : month.children[1];
+    if (dayEl?.dataset.day !== day.date) {
+      const [y, m, d] = day.date.split('-').map(Number);
+      dayEl = document.createElement('div');
+      dayEl.className = 'timeline-day';
+      dayEl.dataset.day = day.date;
+      dayEl.innerHTML = `<div class="timeline-day-title">${new Date(y, m - 1, d).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long' })}</div>
+        <div class="media-grid photos-grid"></div>`;
+      append ? month.append(dayEl) : month.firstElementChild.after(dayEl);
+    }
+    dayEl.lastElementChild.insertAdjacentHTML(append ? 'beforeend' : 'afterbegin', day.photos.map(ph => `
+      <div class="photo-card" onclick="openTimelinePhoto(${ph.id})">
+        <img ${thumbAttrs(ph.id, 'photo')} alt="${escapeHtml(ph.filename)}" loading="lazy"
+          onerror="this.removeAttribute('srcset');this.src='/photo/${ph.id}'" />
+        <div class="photo-overlay">${escapeHtml(ph.filename)}</div>
+      </div>`).join(''));
+  }
+}
+
+window.openTimelinePhoto = function(id) {
+  state.photos = timeline.photos;
+  openPhotoById(id);
+};
+
+const timelineObserver = new IntersectionObserver(entries => {
+  entries.forEach(entry => {
+    if (!entry.isIntersecting || $('photoTimeline').classList.contains('hidden')) return;
+    extendTimeline(entry.target.id === 'timelineTop' ? 'prepend' : 'append');
+  });
+}, { rootMargin: '600px' });
+// Observing again re-reports a sentinel that stayed in view after a load
+function rearmTimelineSentinels() {
+  ['timelineTop', 'timelineBottom'].forEach(id => { timelineObserver.unobserve($(id)); timelineObserver.observe($(id)); });
+}
+
+/* Scrubber: one tick per month, placed by its share of the photos; drag or
+   click to jump, the dot follows the month at the top of the screen. */
+function renderTimelineScrubber() {
+  const track = $('timelineTrack');
+  const total = timeline.total || 1;
+  let lastLabel = -100;
+  track.innerHTML = timeline.months.map((m, i) => {
+    const top = m.offset / total * 100;
+    let html = `<span class="timeline-tick" style="top:${top}%"></span>`;
+    // Year label on the first month of each year, unless it would overlap the previous one
+    if ((i === 0 || timeline.months[i - 1].key.slice(0, 4) !== m.key.slice(0, 4)) && top - lastLabel >= 5) {
+      html += `<span class="timeline-year" style="top:${top}%">${m.key.slice(0, 4)}</span>`;
+      lastLabel = top;
+    }
+    return html;
+  }).join('') + '<span class="timeline-thumb" id="timelineThumb" style="top:0"></span>';
+  updateTimelineThumb();
+}
+
+function timelineMonthAt(clientY) {
+  const r = $('timelineTrack').getBoundingClientRect();
+  const pos = Math.min(Math.max((clientY - r.top) / r.height, 0), 0.9999) * timeline.total;
+  let found = timeline.months[0];
+  for (const m of timeline.months) { if (m.offset <= pos) found = m; else break; }
+  return found;
+}
+
+async function jumpToMonth(m) {
+  const section = $q(`#timelineBody .timeline-month[data-month="${m.key}"]`);
+  // Loaded from its first photo: just scroll; otherwise restart the view there
+  if (!section || m.offset < timeline.start) await loadTimeline(m.offset);
+  $q(`#timelineBody .timeline-month[data-month="${m.key}"]`)?.scrollIntoView({ block: 'start', behavior: 'instant' });
+}
+
+function updateTimelineThumb() {
+  const thumb = $('timelineThumb');
+  if (!thumb || !timeline.total) return;
+  const current = [...$qa('#timelineBody .timeline-month')].find(sec => sec.getBoundingClientRect().bottom > window.innerHeight / 3);
+  const m = current && timeline.months.find(x => x.key === current.dataset.month);
+  if (m) thumb.style.top = `${m.offset / timeline.total * 100}%`;
+}
+
+(() => {
+  const scrubber = $('timelineScrubber');
+  const bubble = $('timelineBubble');
+  let dragging = false;
+  const showBubble = e => {
+    const m = timelineMonthAt(e.clientY);
+    if (!m) return null;
+    bubble.textContent = monthLabel(m.key);
+    bubble.style.top = `${e.clientY - scrubber.getBoundingClientRect().top}px`;
+    bubble.classList.remove('hidden');
+    return m;
+  };
+  scrubber.addEventListener('pointerdown', e => {
+    if (!timeline.months.length) return;
+    dragging = true;
+    scrubber.setPointerCapture(e.pointerId);
+    showBubble(e);
+  });
+  scrubber.addEventListener('pointermove', e => { if (timeline.months.length) showBubble(e); });
+  scrubber.addEventListener('pointerup', e => {
+    if (!dragging) return;
+    dragging = false;
+    const m = showBubble(e);
+    bubble.classList.add('hidden');
+    if (m) jumpToMonth(m);
+  });
+  scrubber.addEventListener('pointercancel', () => { dragging = false; bubble.classList.add('hidden'); });
+  scrubber.addEventListener('pointerleave', () => { if (!dragging) bubble.classList.add('hidden'); });
+
+  let ticking = false;
+  window.addEventListener('scroll', () => {
+    if (ticking || $('photoTimeline').classList.contains('hidden')) return;
+    ticking = true;
+    requestAnimationFrame(() => { ticking = false; updateTimelineThumb(); });
+  }, { passive: true });
+})();
+
 /* ── Pagination ─────────────────────────────────────────────────── */
 function renderPagination(containerId, current, totalPages, onPage) {
   const el = $(containerId);
@@ -712,10 +1153,200 @@ $('btnBack').addEventListener('click', () => {
    VIDEO PLAYER — Cinema Mode
    ══════════════════════════════════════════════════════════════════ */
 
-// Resume positions: mediaId → seconds
-const resumeMap = {};
 let uiHideTimer = null;
 
+/* ── Watch progress ─────────────────────────────────────────────────
+ * Logged-in users: positions are stored server-side (/social/progress)
+ * so they survive reloads and follow the user across devices.
+ * Anonymous users: localStorage fallback (xflix_progress), capped in size.
+ * ─────────────────────────────────────────────────────────────────── */
+const LOCAL_PROGRESS_KEY = 'xflix_progress';
+const LOCAL_PROGRESS_MAX = 200;
+let progressMediaId = null;   // media currently tracked by the player
+let progressDuration = null;  // DB duration — HLS EVENT playlists report a partial one
+let progressLastSent = 0;
+
+function readLocalProgress() {
+  try { return JSON.parse(localStorage.getItem(LOCAL_PROGRESS_KEY)) || {}; }
+  catch { return {}; }
+}
+
+// Resolves to the position (seconds) to resume from — 0 if none / finished
+async function getResumePosition(mediaId) {
+  if (auth.user) {
+    try {
+      const p = await apiFetch(`/social/progress/${mediaId}`);
+      return p.completed ? 0 : Number(p.position) || 0;
+    } catch { return 0; }
+  }
+  const p = readLocalProgress()[mediaId];
+  return p && !p.completed ? p.position : 0;
+}
+
+function saveProgress(mediaId, position, duration) {
+  if (auth.user) {
+    // keepalive: the request must survive the modal closing / page unload
+    return fetch(`/social/progress/${mediaId}`, {
+      method: 'POST',
+      keepalive: true,
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ position, duration }),
+    }).catch(() => {});
+  }
+  const all = readLocalProgress();
+  // Same rule as the server: ≥ 95 % watched, or < 30 s left on videos > 2 min
+  const completed = position >= duration * 0.95 || (duration > 120 && duration - position <= 30);
+  all[mediaId] = { position, duration, completed, t: Date.now() };
+  const ids = Object.keys(all);
+  if (ids.length > LOCAL_PROGRESS_MAX) {
+    ids.sort((a, b) => all[a].t - all[b].t)
+      .slice(0, ids.length - LOCAL_PROGRESS_MAX)
+      .forEach(id => delete all[id]);
+  }
+  try { localStorage.setItem(LOCAL_PROGRESS_KEY, JSON.stringify(all)); } catch {}
+  return Promise.resolve();
+}
+
+// Report the current player position for the tracked media
+function reportProgress() {
+  const player = $('videoPlayer');
+  const duration = progressDuration || player.duration;
+  if (!progressMediaId || !duration || !isFinite(duration)) return Promise.resolve();
+  const position = player.ended ? duration : player.currentTime;
+  if (position < 2) return Promise.resolve();
+  progressLastSent = Date.now();
+  return saveProgress(progressMediaId, position, duration);
+}
+
+// Tab closed / reloaded while a video is playing
+window.addEventListener('pagehide', () => reportProgress());
+
+/* ── Direct play vs HLS ─────────────────────────────────────────────
+ * Browsers only decode a few container/codec combinations natively.
+ * Anything else (MKV, AVI, WMV, HEVC, AC3…) is played through the
+ * server-side HLS remux/transcode (/hls/:id/master.m3u8): natively on
+ * Safari/iOS, through hls.js (loaded on demand) everywhere else.
+ * ─────────────────────────────────────────────────────────────────── */
+const DIRECT_PLAY_MIMES   = new Set(['video/mp4', 'video/webm', 'video/quicktime']);
+const DIRECT_PLAY_VCODECS = new Set(['h264', 'vp8', 'vp9', 'av1']);
+const DIRECT_PLAY_ACODECS = new Set(['aac', 'mp3', 'opus', 'vorbis', 'flac']);
+let hlsInstance = null;
+let hlsScriptPromise = null;
+
+function needsHls(v) {
+  if (!DIRECT_PLAY_MIMES.has(v.mime_type)) return true;
+  if (v.codec && !DIRECT_PLAY_VCODECS.has(v.codec)) {
+    // Safari (and some Edge builds) decode HEVC in MP4 natively
+    return !(v.codec === 'hevc' && $('videoPlayer').canPlayType('video/mp4; codecs="hvc1"'));
+  }
+  return !!v.audio_codec && !DIRECT_PLAY_ACODECS.has(v.audio_codec);
+}
+
+function loadHlsJs() {
+  if (window.Hls) return Promise.resolve(window.Hls);
+  if (!hlsScriptPromise) {
+    hlsScriptPromise = new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = '/vendor/hls/hls.min.js';
+      s.onload = () => resolve(window.Hls);
+      s.onerror = () => { hlsScriptPromise = null; reject(new Error('hls.js unavailable')); };
+      document.head.appendChild(s);
+    });
+  }
+  return hlsScriptPromise;
+}
+
+function detachHls() {
+  if (hlsInstance) { hlsInstance.destroy(); hlsInstance = null; }
+}
+
+function playDirect(player, v) {
+  player.src = `/stream/${v.id}`;
+  player.load();
+}
+
+// Point the player at the right source for v (raw stream or HLS)
+async function setPlayerSource(player, v) {
+  detachHls();
+  if (!needsHls(v)) return playDirect(player, v);
+  const url = `/hls/${v.id}/master.m3u8`;
+  if (player.canPlayType('application/vnd.apple.mpegurl')) {
+    player.src = url;
+    player.load();
+    return;
+  }
+  try {
+    const Hls = await loadHlsJs();
+    if (!Hls || !Hls.isSupported()) throw new Error('HLS unsupported');
+    if (progressMediaId !== v.id) return; // another video was opened meanwhile
+    // Generous manifest retries: the server answers 503 while transcodes are saturated
+    hlsInstance = new Hls({ manifestLoadingMaxRetry: 6, manifestLoadingRetryDelay: 2000 });
+    hlsInstance.on(Hls.Events.ERROR, (_, data) => {
+      if (!data.fatal) return;
+      detachHls();
+      showToast('Lecture HLS impossible — lecture directe', 'error');
+      playDirect(player, v);
+    });
+    hlsInstance.loadSource(url);
+    hlsInstance.attachMedia(player);
+  } catch {
+    playDirect(player, v);
+  }
+}
+
+/* ── Trickplay (seek-bar previews) ──────────────────────────────────
+ * /trickplay/:id is a WebVTT track whose cues point at tiles of a sprite
+ * sheet (`sprite.jpg#xywh=x,y,w,h`). It is generated on first request, so
+ * a busy server (503) is retried a few times; no track = time tooltip only.
+ * ─────────────────────────────────────────────────────────────────── */
+let trickplayCues = null;     // [{ start, end, url, x, y, w, h }] of the open video
+let trickplayMediaId = null;
+
+function parseVttTime(str) {
+  const parts = str.trim().split(':').map(Number);
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+function parseTrickplayVtt(text) {
+  const cues = [];
+  for (const block of text.split(/\r?\n\r?\n/)) {
+    const lines = block.split(/\r?\n/);
+    const i = lines.findIndex(l => l.includes('-->'));
+    if (i < 0 || !lines[i + 1]) continue;
+    const [start, end] = lines[i].split('-->').map(t => parseVttTime(t.trim().split(/\s/)[0]));
+    const m = lines[i + 1].trim().match(/^(.*)#xywh=(\d+),(\d+),(\d+),(\d+)$/);
+    if (m) cues.push({ start, end, url: m[1], x: +m[2], y: +m[3], w: +m[4], h: +m[5] });
+  }
+  return cues;
+}
+
+async function loadTrickplay(mediaId, attempt = 0) {
+  if (attempt === 0) { trickplayCues = null; trickplayMediaId = mediaId; }
+  try {
+    const res = await fetch(`/trickplay/${mediaId}`);
+    if (trickplayMediaId !== mediaId) return; // another video was opened meanwhile
+    if (res.status === 503 && attempt < 3) {
+      setTimeout(() => { if (trickplayMediaId === mediaId) loadTrickplay(mediaId, attempt + 1); }, 10000);
+      return;
+    }
+    if (!res.ok) return;
+    const cues = parseTrickplayVtt(await res.text());
+    if (trickplayMediaId === mediaId && cues.length) trickplayCues = cues;
+  } catch {}
+}
+
+// Show the sprite tile for `time` above the seek bar (hidden when no track)
+function showTrickplayFrame(time) {
+  const el = $('vpProgressThumb');
+  const cue = trickplayCues && (trickplayCues.find(c => time >= c.start && time < c.end) || trickplayCues[trickplayCues.length - 1]);
+  if (!cue) { el.classList.add('hidden'); return; }
+  el.style.width = cue.w + 'px';
+  el.style.height = cue.h + 'px';
+  el.style.backgroundImage = `url("${cue.url}")`;
+  el.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+  el.classList.remove('hidden');
+}
+
 function showPlayerUI() {
   const modal = $q('.video-modal');
   if (!modal) return;
@@ -728,6 +1359,9 @@ function showPlayerUI() {
 }
 
 function openVideo(idx) {
+  // Switching video inside the open player: flush the previous position first
+  if (!$('videoModal').classList.contains('hidden')) reportProgress();
+  stopCardPreview();
   state.videoIndex = idx;
   const v = state.videos[idx];
   if (!v) return;
@@ -762,9 +1396,14 @@ function openVideo(idx) {
   $('vpOverlay').classList.add('paused');
   $('vpSpeed').value = '1';
 
-  player.src = `/stream/${v.id}`;
+  progressMediaId = v.id;
+  progressDuration = v.duration || null;
+  progressLastSent = Date.now();
+  const resumeAt = getResumePosition(v.id);
+
   player.playbackRate = 1;
-  player.load();
+  setPlayerSource(player, v);
+  loadTrickplay(v.id);
 
   // Set download link
   const dlBtn = $('vpDownload');
@@ -773,25 +1412,26 @@ function openVideo(idx) {
   // Resume from saved position
   player.addEventListener('loadedmetadata', function onMeta() {
     player.removeEventListener('loadedmetadata', onMeta);
-    if (resumeMap[v.id] && resumeMap[v.id] > 2 && resumeMap[v.id] < player.duration - 5) {
-      player.currentTime = resumeMap[v.id];
-    }
-    player.play().catch(() => {});
+    resumeAt.then(pos => {
+      if (progressMediaId !== v.id) return; // another video was opened meanwhile
+      if (pos > 2 && pos < player.duration - 5) player.currentTime = pos;
+      player.play().catch(() => {});
+    });
   });
 
   $('videoModal').classList.remove('hidden');
   document.body.style.overflow = 'hidden';
 
-  $('videoPrev').disabled = idx === 0;
-  $('videoNext').disabled = idx === state.videos.length - 1;
+  refreshPlayerNav();
 
   showPlayerUI();
 
   // Track view
   apiPost(`${API}/media/${v.id}/view`).catch(() => {});
 
-  // Load reactions + reset comments
+  // Load reactions + tags + reset comments
   loadReactions(v.id).catch(() => {});
+  loadMediaTags(v.id).catch(() => {});
   commentsMediaId = v.id;
   commentsPage = 1;
   $('commentsList').innerHTML = '';
@@ -804,12 +1444,13 @@ function openVideo(idx) {
 
 function closeVideoModal() {
   const player = $('videoPlayer');
-  // Save position for resume
-  const v = state.videos[state.videoIndex];
-  if (v && player.currentTime > 2) {
-    resumeMap[v.id] = player.currentTime;
-  }
+  // Save position for resume, then refresh the "continue watching" row
+  reportProgress().then(() => { if (state.currentPage === 'home') loadContinueWatching(); });
+  progressMediaId = null;
+  trickplayMediaId = null;
+  trickplayCues = null;
   player.pause();
+  detachHls();
   player.removeAttribute('src');
   player.load();
   $('videoModal').classList.add('hidden');
@@ -835,7 +1476,7 @@ async function loadRelatedVideos(mediaId) {
     el.classList.remove('hidden');
     grid.innerHTML = data.map(r => `
       <div class="related-card" onclick="openRelatedVideo(${r.id})">
-        <img src="/thumb/${r.id}" alt="${escapeHtml(r.filename)}" loading="lazy"
+        <img ${thumbAttrs(r.id, 'small')} alt="${escapeHtml(r.filename)}" loading="lazy"
           onerror="handleThumbError(this,${r.id})">
         <div class="related-info">
           <div class="related-name" title="${escapeHtml(r.filename)}">${escapeHtml(r.filename)}</div>
@@ -866,8 +1507,9 @@ document.addEventListener('DOMContentLoaded', () => {
   player.addEventListener('timeupdate', () => {
     if (!player.duration) return;
     const pct = (player.currentTime / player.duration) * 100;
-    $('vpPlayed').style.width = pct + '%';
+    if (!scrubbing) $('vpPlayed').style.width = pct + '%';
     $('vpTime').textContent = `${formatDuration(player.currentTime)} / ${formatDuration(player.duration)}`;
+    if (progressMediaId && Date.now() - progressLastSent > 10000) reportProgress();
   });
 
   player.addEventListener('progress', () => {
@@ -887,14 +1529,15 @@ document.addEventListener('DOMContentLoaded', () => {
     const modal = $q('.video-modal');
     if (modal) modal.classList.add('vp-show-ui');
     clearTimeout(uiHideTimer);
+    if (!$('videoModal').classList.contains('hidden')) reportProgress();
   });
   player.addEventListener('ended', () => {
     $('vpOverlay').classList.add('paused');
     $('vpPlayPause').textContent = '▶';
-    // Auto-next
-    if (state.videoIndex < state.videos.length - 1) {
-      setTimeout(() => openVideo(state.videoIndex + 1), 1200);
-    }
+    reportProgress();
+    // Auto-next (follows the playlist order in playlist mode)
+    const next = videoNeighbour(1);
+    if (next >= 0) setTimeout(() => openVideo(next), 1200);
   });
   player.addEventListener('volumechange', () => {
     $('vpVolume').value = player.muted ? 0 : player.volume;
@@ -907,16 +1550,12 @@ document.addEventListener('DOMContentLoaded', () => {
 $('closeVideo').addEventListener('click', closeVideoModal);
 $('videoModal').addEventListener('click', e => { if (e.target === $('videoModal')) closeVideoModal(); });
 $('videoPrev').addEventListener('click', () => {
-  if (state.videoIndex > 0) {
-    const prevId = state.videos[state.videoIndex - 1]?.id;
-    if (prevId) openVideoById(prevId);
-  }
+  const prev = videoNeighbour(-1);
+  if (prev >= 0) openVideo(prev);
 });
 $('videoNext').addEventListener('click', () => {
-  if (state.videoIndex < state.videos.length - 1) {
-    const nextId = state.videos[state.videoIndex + 1]?.id;
-    if (nextId) openVideoById(nextId);
-  }
+  const next = videoNeighbour(1);
+  if (next >= 0) openVideo(next);
 });
 
 // Play/Pause
@@ -966,26 +1605,48 @@ function toggleFullscreen() {
 }
 $('vpFullscreen').addEventListener('click', toggleFullscreen);
 
-// Progress bar seek
-$('vpProgressWrap').addEventListener('click', e => {
-  const p = _vp();
-  if (!p.duration) return;
-  const rect = $('vpProgressWrap').getBoundingClientRect();
-  const pct = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
-  p.currentTime = pct * p.duration;
-});
+// Progress bar: hover tooltip + trickplay frame, click or drag to seek.
+// While dragging the played bar follows the pointer; the seek happens on release.
+let scrubbing = false;
 
-// Progress bar hover tooltip
-$('vpProgressWrap').addEventListener('mousemove', e => {
-  const p = _vp();
-  if (!p.duration) return;
-  const rect = $('vpProgressWrap').getBoundingClientRect();
+function progressPointer(e) {
+  const wrap = $('vpProgressWrap');
+  const rect = wrap.getBoundingClientRect();
   const pct = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
-  const time = pct * p.duration;
+  const time = pct * _vp().duration;
   $('vpProgressTooltip').textContent = formatDuration(time);
-  $('vpProgressHover').style.left = (pct * 100) + '%';
+  showTrickplayFrame(time);
+  // Keep the preview inside the bar at both ends
+  const half = $('vpProgressHover').offsetWidth / 2;
+  $('vpProgressHover').style.left = Math.max(half, Math.min(rect.width - half, pct * rect.width)) + 'px';
+  return pct;
+}
+
+$('vpProgressWrap').addEventListener('pointerdown', e => {
+  if (!_vp().duration || e.button !== 0) return;
+  scrubbing = true;
+  $('vpProgressWrap').setPointerCapture(e.pointerId);
+  $('vpProgressWrap').classList.add('scrubbing');
+  $('vpPlayed').style.width = (progressPointer(e) * 100) + '%';
+});
+
+$('vpProgressWrap').addEventListener('pointermove', e => {
+  if (!_vp().duration) return;
+  const pct = progressPointer(e);
+  if (scrubbing) $('vpPlayed').style.width = (pct * 100) + '%';
 });
 
+function endScrub(e, seek) {
+  if (!scrubbing) return;
+  scrubbing = false;
+  $('vpProgressWrap').classList.remove('scrubbing');
+  const p = _vp();
+  if (seek && p.duration) p.currentTime = progressPointer(e) * p.duration;
+  else if (p.duration) $('vpPlayed').style.width = (p.currentTime / p.duration * 100) + '%';
+}
+$('vpProgressWrap').addEventListener('pointerup', e => endScrub(e, true));
+$('vpProgressWrap').addEventListener('pointercancel', e => endScrub(e, false));
+
 // Auto-hide UI on mouse move
 $('vpContainer').addEventListener('mousemove', showPlayerUI);
 $('vpContainer').addEventListener('mouseleave', () => {
@@ -1021,6 +1682,7 @@ function openPhoto(idx) {
   if (!ph) return;
   $('lightboxImg').src = `/photo/${ph.id}`;
   $('lightboxTitle').textContent = ph.filename;
+  $('lightboxMeta').innerHTML = photoMetaHtml(ph);
   $('lightboxCounter').textContent = `${idx + 1} / ${state.photos.length}`;
 
   // Set download link
@@ -1043,6 +1705,26 @@ function openPhoto(idx) {
   apiPost(`${API}/media/${ph.id}/view`).catch(() => {});
 }
 
+// Dimensions · camera · date taken · map link — from the `photo-meta` job (EXIF)
+function photoMetaHtml(ph) {
+  const parts = [];
+  if (ph.width && ph.height) parts.push(`${ph.width}×${ph.height}`);
+  const model = ph.camera_model || '';
+  // Most models already start with the brand ("Canon EOS R6")
+  const camera = ph.camera_make && !model.toLowerCase().startsWith(ph.camera_make.split(' ')[0].toLowerCase())
+    ? `${ph.camera_make} ${model}` : model || ph.camera_make;
+  if (camera) parts.push(`📷 ${escapeHtml(camera.trim())}`);
+  if (ph.taken_at) {
+    const d = new Date(ph.taken_at.replace(' ', 'T'));
+    if (!isNaN(d)) parts.push(`🗓 ${d.toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' })} ${d.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}`);
+  }
+  if (ph.gps_lat != null && ph.gps_lon != null) {
+    const url = `https://www.openstreetmap.org/?mlat=${ph.gps_lat}&mlon=${ph.gps_lon}#map=15/${ph.gps_lat}/${ph.gps_lon}`;
+    parts.push(`<a href="${url}" target="_blank" rel="noopener" title="Voir sur la carte">📍 ${Number(ph.gps_lat).toFixed(4)}, ${Number(ph.gps_lon).toFixed(4)}</a>`);
+  }
+  return parts.map(p => `<span>${p}</span>`).join('');
+}
+
 function closePhotoModal() {
   $('photoModal').classList.add('hidden');
   document.body.style.overflow = '';
@@ -1073,6 +1755,15 @@ $('favCurrentPhoto').addEventListener('click', async () => {
    ══════════════════════════════════════════════════════════════════ */
 
 document.addEventListener('keydown', e => {
+  // Add-to-playlist dialog sits above the player — keep shortcuts away from its input
+  if (!$('playlistModal').classList.contains('hidden')) {
+    if (e.key === 'Escape') closePlaylistModal();
+    return;
+  }
+  if (!$('thumbModal').classList.contains('hidden')) {
+    if (e.key === 'Escape') closeThumbModal();
+    return;
+  }
   // Video modal
   if (!$('videoModal').classList.contains('hidden')) {
     const p = _vp();
@@ -1118,6 +1809,12 @@ document.addEventListener('keydown', e => {
       case 'p': case 'P':
         $('vpPiP').click();
         break;
+      case 's': case 'S':
+        if (inPlaylistMode() && !e.ctrlKey && !e.metaKey) $('vpShuffle').click();
+        break;
+      case 'r': case 'R':
+        if (inPlaylistMode() && !e.ctrlKey && !e.metaKey) $('vpRepeat').click();
+        break;
       case 'd': case 'D': {
         const dl = $('vpDownload');
         if (dl && dl.href) { const a = document.createElement('a'); a.href = dl.href; a.download = dl.download || ''; a.click(); }
@@ -1173,10 +1870,12 @@ $('btnManage').addEventListener('click', async () => {
     return;
   }
   try {
-    const stats = await apiFetch(`${API}/stats`);
-    $('mediaDir').textContent = stats.mediaDir || 'Non configuré';
+    const { data } = await apiFetch('/admin/libraries');
+    $('mediaDir').textContent = data.length
+      ? data.map(l => `${l.enabled ? '●' : '○'} ${l.name} — ${l.path}`).join('\n')
+      : 'Aucune bibliothèque configurée';
   } catch(e) {
-    $('mediaDir').textContent = 'Voir .env (MEDIA_DIR)';
+    $('mediaDir').textContent = 'Voir Admin → Médias → Bibliothèques';
   }
   $('manageModal').classList.remove('hidden');
   document.body.style.overflow = 'hidden';
@@ -1377,8 +2076,17 @@ $('statsModal').addEventListener('click', e => {
 const auth = {
   user: null,
   token: () => localStorage.getItem('xflix_token'),
-  setToken: (t) => localStorage.setItem('xflix_token', t),
-  clearToken: () => localStorage.removeItem('xflix_token'),
+  refreshToken: () => localStorage.getItem('xflix_refresh'),
+  setTokens: (d) => {
+    localStorage.setItem('xflix_token', d.token);
+    localStorage.setItem('xflix_refresh', d.refreshToken);
+    scheduleRefresh();
+  },
+  clearToken: () => {
+    localStorage.removeItem('xflix_token');
+    localStorage.removeItem('xflix_refresh');
+    clearTimeout(refreshTimer);
+  },
 };
 
 function authHeaders() {
@@ -1386,6 +2094,58 @@ function authHeaders() {
   return t ? { Authorization: `Bearer ${t}` } : {};
 }
 
+/* ── Access token renewal ─────────────────────────────────────────
+   The access token lives 15 min: it is renewed a minute before it expires
+   with the refresh token, which rotates on every use. Tabs share
+   localStorage, so when another tab rotated first its pair is picked up. */
+let refreshTimer = null;
+let refreshing = null;
+
+function tokenExpiresIn() {
+  try {
+    const payload = JSON.parse(atob(auth.token().split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000 - Date.now();
+  } catch { return 0; }
+}
+
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  if (!auth.refreshToken()) return;
+  refreshTimer = setTimeout(refreshSession, Math.max(tokenExpiresIn() - 60000, 0));
+}
+
+function refreshSession() {
+  if (refreshing) return refreshing;
+  const rt = auth.refreshToken();
+  if (!rt) return Promise.resolve(false);
+  refreshing = (async () => {
+    try {
+      const r = await fetch('/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: rt }),
+      });
+      if (r.ok) { auth.setTokens(await r.json()); return true; }
+      if (r.status === 409) await new Promise(res => setTimeout(res, 1500)); // the other tab is storing its pair
+      if (auth.refreshToken() !== rt) { scheduleRefresh(); return true; }
+      if (r.status === 401) {
+        // Session revoked (logout elsewhere, password changed) or expired
+        auth.clearToken(); auth.user = null;
+        updateAuthUI(null);
+        showToast('Session expirée — reconnectez-vous', 'error');
+      }
+      return false;
+    } catch { return false; }
+    finally { refreshing = null; }
+  })();
+  return refreshing;
+}
+
+document.addEventListener('visibilitychange', () => {
+  // Timers are throttled in background tabs: catch up when the tab comes back
+  if (document.visibilityState === 'visible' && auth.refreshToken() && tokenExpiresIn() < 60000) refreshSession();
+});
+
 async function authInit() {
   // 1. Check server config (registration open?)
   try {
@@ -1406,13 +2166,20 @@ async function authInit() {
     openAuthModal('resetForm');
   }
 
-  // 3. Restore session
-  if (!auth.token()) { updateAuthUI(null); return; }
+  // 3. Restore session (a token from before refresh tokens existed can't be renewed)
+  if (!auth.token() || !auth.refreshToken()) { auth.clearToken(); updateAuthUI(null); return; }
+  if (tokenExpiresIn() < 60000 && !(await refreshSession())) { updateAuthUI(null); return; }
+  scheduleRefresh();
   try {
     const r = await fetch('/auth/me', { headers: { Authorization: `Bearer ${auth.token()}` } });
     if (!r.ok) { auth.clearToken(); updateAuthUI(null); return; }
     auth.user = await r.json();
     updateAuthUI(auth.user);
+    // Sent back by the admin panel: 2FA became mandatory for admins
+    if (urlParams.has('setup2fa')) {
+      window.history.replaceState({}, '', window.location.pathname);
+      openProfileModal();
+    }
   } catch { updateAuthUI(null); }
 }
 
@@ -1423,10 +2190,12 @@ function updateAuthUI(user) {
   // Manage button (gear icon) — admins only
   $('btnManage').classList.toggle('hidden', !isAdmin);
   $('heroManage').classList.toggle('hidden', !isAdmin);
+  $('vpThumbPick').classList.toggle('hidden', !isAdmin);
   if (!user) {
     authArea.classList.remove('hidden');
     userMenu.classList.add('hidden');
     if ($('favTabMy')) $('favTabMy').classList.add('hidden');
+    loadContinueWatching();
     return;
   }
   authArea.classList.add('hidden');
@@ -1437,6 +2206,7 @@ function updateAuthUI(user) {
   $('ddAdmin').classList.toggle('hidden', !isAdmin);
   // Show personal favorites tab
   if ($('favTabMy')) $('favTabMy').classList.remove('hidden');
+  loadContinueWatching();
 }
 
 // Auth modal
@@ -1444,15 +2214,16 @@ const authModal = $('authModal');
 function openAuthModal(form) {
   authModal.classList.remove('hidden');
   document.body.style.overflow = 'hidden';
-  ['loginForm','registerForm','forgotForm','resetForm'].forEach(id => { const el = $(id); if(el) el.classList.add('hidden'); });
+  ['loginForm','registerForm','forgotForm','resetForm','twoFactorForm','twoFactorSetupForm','recoveryCodesForm']
+    .forEach(id => { const el = $(id); if(el) el.classList.add('hidden'); });
   const target = $(form);
   if (target) target.classList.remove('hidden');
   // Tab highlight
   ['tabLogin','tabRegister'].forEach(id => { const el = $(id); if(el) el.classList.remove('active'); });
   if (form === 'loginForm')    { const el = $('tabLogin');    if(el) el.classList.add('active'); }
   if (form === 'registerForm') { const el = $('tabRegister'); if(el) el.classList.add('active'); }
-  // Hide tabs for utility forms (forgot, reset)
-  const hideTabs = form === 'forgotForm' || form === 'resetForm';
+  // Hide tabs for utility forms (forgot, reset, 2FA steps)
+  const hideTabs = form !== 'loginForm' && form !== 'registerForm';
   const tabsEl = authModal.querySelector('.auth-tabs');
   if (tabsEl) tabsEl.style.display = hideTabs ? 'none' : '';
 }
@@ -1480,14 +2251,135 @@ $('loginForm').addEventListener('submit', async e => {
     });
     const d = await r.json();
     if (!r.ok) { err.textContent = d.error; err.classList.remove('hidden'); return; }
-    auth.setToken(d.token);
+    if (d.twoFactor) { openTwoFactorStep(d.twoFactor, d.challenge); return; }
+    finishLogin(d);
+  } catch { err.textContent = 'Erreur de connexion'; err.classList.remove('hidden'); }
+});
+
+function finishLogin(d) {
+  auth.setTokens(d);
+  auth.user = d.user;
+  updateAuthUI(d.user);
+  authModal.classList.add('hidden');
+  document.body.style.overflow = '';
+  showToast('Bienvenue, ' + d.user.username + ' !', 'success');
+}
+
+/* ── Two-factor login ───────────────────────────────────────────────
+   The password step answers { twoFactor: 'verify' | 'setup', challenge }:
+   the challenge (5 min) stands in for the password in the next request. */
+let twoFactorChallenge = null;
+
+async function openTwoFactorStep(kind, challenge) {
+  twoFactorChallenge = challenge;
+  if (kind === 'verify') {
+    openAuthModal('twoFactorForm');
+    $('twoFactorCode').value = '';
+    $('twoFactorError').classList.add('hidden');
+    $('twoFactorCode').focus();
+    return;
+  }
+  // 2FA mandatory and not set up yet: enrol before the session opens
+  openAuthModal('twoFactorSetupForm');
+  $('twoFactorSetupCode').value = '';
+  const err = $('twoFactorSetupError');
+  err.classList.add('hidden');
+  $('loginTotpSetup').innerHTML = '';
+  try {
+    const r = await fetch('/auth/2fa/setup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challenge }),
+    });
+    const d = await r.json();
+    if (!r.ok) throw new Error(d.error);
+    await renderTotpSetup($('loginTotpSetup'), d);
+  } catch(ex) { err.textContent = ex.message || 'Erreur'; err.classList.remove('hidden'); }
+}
+
+$('twoFactorForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const err = $('twoFactorError');
+  err.classList.add('hidden');
+  try {
+    const r = await fetch('/auth/login/2fa', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challenge: twoFactorChallenge, code: $('twoFactorCode').value.trim() }),
+    });
+    const d = await r.json();
+    if (!r.ok) { err.textContent = d.error; err.classList.remove('hidden'); return; }
+    twoFactorChallenge = null;
+    finishLogin(d);
+    if (d.recoveryCodesLeft !== undefined) {
+      showToast(`Code de recuperation utilise — il en reste ${d.recoveryCodesLeft}`, d.recoveryCodesLeft < 3 ? 'error' : '');
+    }
+  } catch { err.textContent = 'Erreur de connexion'; err.classList.remove('hidden'); }
+});
+$('twoFactorBack').addEventListener('click', e => { e.preventDefault(); twoFactorChallenge = null; openAuthModal('loginForm'); });
+
+$('twoFactorSetupForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const err = $('twoFactorSetupError');
+  err.classList.add('hidden');
+  try {
+    const r = await fetch('/auth/2fa/enable', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challenge: twoFactorChallenge, code: $('twoFactorSetupCode').value.trim() }),
+    });
+    const d = await r.json();
+    if (!r.ok) { err.textContent = d.error; err.classList.remove('hidden'); return; }
+    twoFactorChallenge = null;
+    // Signed in already — the codes are shown before the modal closes
+    auth.setTokens(d);
     auth.user = d.user;
     updateAuthUI(d.user);
-    authModal.classList.add('hidden');
-    document.body.style.overflow = '';
-    showToast('Bienvenue, ' + d.user.username + ' !', 'success');
+    openAuthModal('recoveryCodesForm');
+    renderRecoveryCodes($('loginRecoveryCodes'), d.recoveryCodes);
   } catch { err.textContent = 'Erreur de connexion'; err.classList.remove('hidden'); }
 });
+$('recoveryCodesDone').addEventListener('click', () => {
+  authModal.classList.add('hidden');
+  document.body.style.overflow = '';
+  showToast('Bienvenue, ' + auth.user.username + ' !', 'success');
+});
+
+// qrcode-generator (global `qrcode`), served from node_modules like hls.js
+let qrScriptPromise = null;
+function loadQrLib() {
+  if (window.qrcode) return Promise.resolve(window.qrcode);
+  if (!qrScriptPromise) {
+    qrScriptPromise = new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = '/vendor/qrcode/qrcode.js';
+      s.onload = () => resolve(window.qrcode);
+      s.onerror = () => { qrScriptPromise = null; reject(new Error('QR code indisponible')); };
+      document.head.appendChild(s);
+    });
+  }
+  return qrScriptPromise;
+}
+
+// QR code of the otpauth:// URI + the secret for manual entry
+async function renderTotpSetup(el, { secret, uri }) {
+  el.innerHTML = `<div class="totp-secret">Saisie manuelle :<br>${escapeHtml(secret.replace(/(.{4})/g, '$1 ').trim())}</div>`;
+  try {
+    const qr = (await loadQrLib())(0, 'M');
+    qr.addData(uri);
+    qr.make();
+    el.insertAdjacentHTML('afterbegin', qr.createSvgTag({ cellSize: 3, margin: 12 }));
+  } catch {}
+}
+
+function renderRecoveryCodes(el, codes) {
+  el.innerHTML = codes.map(c => `<span>${escapeHtml(c)}</span>`).join('')
+    + '<button type="button" class="btn btn-ghost">📋 Copier</button>';
+  el.querySelector('button').addEventListener('click', () => {
+    navigator.clipboard?.writeText(codes.join('\n')).then(() => showToast('Codes copies', 'success'), () => {});
+  });
+  el.classList.remove('hidden');
+}
 
 // Register form
 $('registerForm').addEventListener('submit', async e => {
@@ -1502,7 +2394,7 @@ $('registerForm').addEventListener('submit', async e => {
     });
     const d = await r.json();
     if (!r.ok) { err.textContent = d.error; err.classList.remove('hidden'); return; }
-    auth.setToken(d.token);
+    auth.setTokens(d);
     auth.user = d.user;
     updateAuthUI(d.user);
     authModal.classList.add('hidden');
@@ -1569,6 +2461,12 @@ $('userMenuToggle').addEventListener('click', () => $('userDropdown').classList.
 document.addEventListener('click', e => { if (!e.target.closest('#userMenu')) $('userDropdown').classList.add('hidden'); });
 
 $('ddLogout').addEventListener('click', () => {
+  // Revoke the session server-side; the local tokens go either way
+  fetch('/auth/logout', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ refreshToken: auth.refreshToken() }),
+  }).catch(() => {});
   auth.clearToken(); auth.user = null;
   updateAuthUI(null);
   $('userDropdown').classList.add('hidden');
@@ -1583,6 +2481,17 @@ $('ddFavorites').addEventListener('click', e => {
   showFavoritesPage();
 });
 
+$('ddHistory').addEventListener('click', () => {
+  $('userDropdown').classList.add('hidden');
+  showHistoryPage();
+});
+
+$('ddPlaylists').addEventListener('click', () => {
+  $('userDropdown').classList.add('hidden');
+  playlistsState.tab = 'mine';
+  $('navPlaylists').click();
+});
+
 $('ddProfile').addEventListener('click', () => {
   $('userDropdown').classList.add('hidden');
   openProfileModal();
@@ -1619,6 +2528,8 @@ function openProfileModal() {
     $('profileCreatedAt').textContent = u.created_at ? new Date(u.created_at).toLocaleDateString('fr-FR') : '-';
     $('profileLastLogin').textContent = u.last_login ? new Date(u.last_login).toLocaleDateString('fr-FR', { hour: '2-digit', minute: '2-digit' }) : '-';
   }).catch(() => {});
+  loadTotpStatus();
+  loadSessions();
 
   profileModal.classList.remove('hidden');
   document.body.style.overflow = 'hidden';
@@ -1667,10 +2578,124 @@ $('changePwBtn').addEventListener('click', async () => {
     $('profileCurrentPw').value = '';
     $('profileNewPw').value = '';
     $('profileNewPwConfirm').value = '';
-    showToast('Mot de passe change', 'success');
+    showToast(d.revoked ? `Mot de passe change — ${d.revoked} autre(s) session(s) deconnectee(s)` : 'Mot de passe change', 'success');
+    loadSessions();
   } catch(ex) { err.textContent = ex.message; err.classList.remove('hidden'); }
 });
 
+/* ── Two-factor authentication (profile modal) ──────────────────── */
+async function loadTotpStatus() {
+  ['totpSetupBox', 'totpManageBox', 'profileRecoveryCodes', 'totpError',
+   'totpSetupBtn', 'totpEnableBtn', 'totpCodesBtn', 'totpDisableBtn'].forEach(id => $(id).classList.add('hidden'));
+  $('totpManageCode').value = '';
+  $('totpManagePw').value = '';
+  try {
+    const { enabled, recoveryCodesLeft, required } = await apiFetch('/auth/2fa');
+    if (!enabled) {
+      $('totpStatus').textContent = 'Desactivee — un code de votre telephone sera demande en plus du mot de passe.';
+      $('totpSetupBtn').classList.remove('hidden');
+      return;
+    }
+    $('totpStatus').textContent = `Activee — ${recoveryCodesLeft} code(s) de recuperation restant(s)`
+      + (required ? ' · obligatoire pour les administrateurs' : '');
+    $('totpManageBox').classList.remove('hidden');
+    $('totpCodesBtn').classList.remove('hidden');
+    $('totpManagePwGroup').classList.toggle('hidden', required);
+    $('totpDisableBtn').classList.toggle('hidden', required);
+  } catch { $('totpStatus').textContent = 'Statut indisponible.'; }
+}
+
+// POST a 2FA action, errors shown under the section → response body or null
+async function totpAction(url, body) {
+  const err = $('totpError');
+  err.classList.add('hidden');
+  try {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify(body || {}),
+    });
+    const d = await r.json();
+    if (!r.ok) { err.textContent = d.error; err.classList.remove('hidden'); return null; }
+    return d;
+  } catch(ex) { err.textContent = ex.message; err.classList.remove('hidden'); return null; }
+}
+
+$('totpSetupBtn').addEventListener('click', async () => {
+  const d = await totpAction('/auth/2fa/setup');
+  if (!d) return;
+  $('totpSetupBtn').classList.add('hidden');
+  $('totpSetupBox').classList.remove('hidden');
+  $('totpEnableBtn').classList.remove('hidden');
+  $('totpEnableCode').value = '';
+  await renderTotpSetup($('profileTotpSetup'), d);
+});
+
+$('totpEnableBtn').addEventListener('click', async () => {
+  const d = await totpAction('/auth/2fa/enable', { code: $('totpEnableCode').value.trim() });
+  if (!d) return;
+  await loadTotpStatus();
+  renderRecoveryCodes($('profileRecoveryCodes'), d.recoveryCodes);
+  showToast('Double authentification activee', 'success');
+});
+
+$('totpCodesBtn').addEventListener('click', async () => {
+  const d = await totpAction('/auth/2fa/recovery-codes', { code: $('totpManageCode').value.trim() });
+  if (!d) return;
+  await loadTotpStatus();
+  renderRecoveryCodes($('profileRecoveryCodes'), d.recoveryCodes);
+});
+
+$('totpDisableBtn').addEventListener('click', async () => {
+  if (!confirm('Desactiver la double authentification ?')) return;
+  const d = await totpAction('/auth/2fa/disable', { password: $('totpManagePw').value, code: $('totpManageCode').value.trim() });
+  if (!d) return;
+  await loadTotpStatus();
+  showToast('Double authentification desactivee', '');
+});
+
+/* ── Active sessions (profile modal) ────────────────────────────── */
+// "Firefox · Windows" from a user-agent string — enough to recognise a device
+function describeAgent(ua) {
+  if (!ua) return 'Appareil inconnu';
+  const browser = /Edg\//.test(ua) ? 'Edge' : /OPR\/|Opera/.test(ua) ? 'Opera' : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome' : /Safari\//.test(ua) ? 'Safari' : /curl|wget|python|node/i.test(ua) ? 'Script' : 'Navigateur';
+  const os = /Android/.test(ua) ? 'Android' : /iPhone|iPad|iPod/.test(ua) ? 'iOS' : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X|Macintosh/.test(ua) ? 'macOS' : /CrOS/.test(ua) ? 'ChromeOS' : /Linux/.test(ua) ? 'Linux' : '';
+  return os ? `${browser} · ${os}` : browser;
+}
+
+async function loadSessions() {
+  const el = $('profileSessions');
+  try {
+    const { data } = await apiFetch('/auth/sessions');
+    const fmt = d => d ? new Date(d).toLocaleDateString('fr-FR', { hour: '2-digit', minute: '2-digit' }) : '-';
+    el.innerHTML = data.map(s => `
+      <div class="session-row${s.current ? ' current' : ''}">
+        <div class="session-info">
+          <div class="session-device" title="${escapeHtml(s.user_agent || '').replace(/"/g, '&quot;')}">${escapeHtml(describeAgent(s.user_agent))}${s.current ? ' — cet appareil' : ''}</div>
+          <div class="session-meta">${escapeHtml(s.ip || '')} · connecte le ${fmt(s.created_at)} · actif le ${fmt(s.last_used_at)}</div>
+        </div>
+        ${s.current ? '' : `<button class="btn btn-ghost" data-revoke="${s.id}">Deconnecter</button>`}
+      </div>`).join('');
+    el.querySelectorAll('[data-revoke]').forEach(btn => btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      const r = await fetch(`/auth/sessions/${btn.dataset.revoke}`, { method: 'DELETE', headers: authHeaders() });
+      if (r.ok) loadSessions(); else { btn.disabled = false; showToast('Erreur', 'error'); }
+    }));
+    $('revokeOthersBtn').classList.toggle('hidden', data.length < 2);
+  } catch { el.innerHTML = '<p class="auth-hint">Impossible de charger les sessions.</p>'; }
+}
+
+$('revokeOthersBtn').addEventListener('click', async () => {
+  if (!confirm('Deconnecter tous les autres appareils ?')) return;
+  const r = await fetch('/auth/sessions', { method: 'DELETE', headers: authHeaders() });
+  if (!r.ok) { showToast('Erreur', 'error'); return; }
+  const { revoked } = await r.json();
+  showToast(`${revoked} session(s) deconnectee(s)`, 'success');
+  loadSessions();
+});
+
 /* ── Personal Favorites Tab ─────────────────────────────────────── */
 async function loadMyFavorites() {
   const el = $('myFavContent');
@@ -1692,7 +2717,7 @@ async function loadMyFavorites() {
       html += '<h3 class="subsection-title">Videos (' + videos.length + ')</h3>';
       html += '<div class="media-grid videos-grid">' + videos.map(v =>
         '<div class="media-card video-card" onclick="openVideoById(' + v.id + ')">' +
-        '<div class="media-thumb-wrap"><img src="/thumb/' + v.id + '" loading="lazy" onerror="handleThumbError(this,' + v.id + ')"></div>' +
+        '<div class="media-thumb-wrap"><img ' + thumbAttrs(v.id) + ' loading="lazy" onerror="handleThumbError(this,' + v.id + ')"></div>' +
         '<div class="media-info"><span class="media-name">' + escapeHtml(v.filename) + '</span>' +
         (v.performer_name ? '<span class="media-meta">' + escapeHtml(v.performer_name) + '</span>' : '') +
         '</div></div>'
@@ -1702,7 +2727,7 @@ async function loadMyFavorites() {
       html += '<h3 class="subsection-title" style="margin-top:24px">Photos (' + photos.length + ')</h3>';
       html += '<div class="media-grid photos-grid">' + photos.map(p =>
         '<div class="media-card photo-card" onclick="openPhotoById(' + p.id + ')">' +
-        '<div class="media-thumb-wrap"><img src="/thumb/' + p.id + '" loading="lazy"></div>' +
+        '<div class="media-thumb-wrap"><img ' + thumbAttrs(p.id, 'photo') + ' loading="lazy"></div>' +
         '<div class="media-info"><span class="media-name">' + escapeHtml(p.filename) + '</span></div>' +
         '</div>'
       ).join('') + '</div>';
@@ -1748,6 +2773,666 @@ document.querySelectorAll('[data-ftab]').forEach(btn => {
   }
 });
 
+/* ══════════════════════════════════════════════════════════════════
+   HISTORY PAGE
+   ══════════════════════════════════════════════════════════════════ */
+const historyState = { type: 'video', page: 1, total: 0, groups: [], paused: false };
+
+function formatHistoryDay(dateStr) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const d = new Date(dateStr + 'T00:00:00');
+  const diff = Math.round((today - d) / 86400000);
+  if (diff === 0) return "Aujourd'hui";
+  if (diff === 1) return 'Hier';
+  return d.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function showHistoryPage() {
+  if (!auth.user) { openAuthModal('loginForm'); return; }
+  state.currentPage = 'history';
+  showPage('historyPage');
+  loadHistory(1);
+}
+
+async function loadHistory(page = 1) {
+  const el = $('historyContent');
+  if (page === 1) {
+    historyState.groups = [];
+    el.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Chargement…</p></div>';
+  }
+  try {
+    const res = await apiFetch(`/social/history?type=${historyState.type}&page=${page}&limit=60`);
+    historyState.page = page;
+    historyState.total = res.total;
+    historyState.paused = res.paused;
+    // A day can be split across two pages — merge it with the last group shown
+    for (const g of res.data) {
+      const last = historyState.groups[historyState.groups.length - 1];
+      if (last && last.date === g.date) last.items.push(...g.items);
+      else historyState.groups.push(g);
+    }
+    renderHistory();
+  } catch(e) {
+    el.innerHTML = `<div class="empty-state"><span class="empty-icon">⚠️</span><h3>Erreur</h3><p>${escapeHtml(e.message)}</p></div>`;
+  }
+}
+
+function renderHistory() {
+  const el = $('historyContent');
+  const isVideo = historyState.type === 'video';
+  const flat = historyState.groups.flatMap(g => g.items);
+
+  $('historyCount').textContent = historyState.total || '';
+  $('historyPausedNote').classList.toggle('hidden', !historyState.paused);
+  $('historyPauseBtn').textContent = historyState.paused ? '▶ Reprendre' : '⏸ Suspendre';
+  $('historyMore').classList.toggle('hidden', flat.length >= historyState.total);
+
+  if (!flat.length) {
+    el.innerHTML = `<div class="empty-state"><span class="empty-icon">🕘</span><h3>Historique vide</h3><p>Les ${isVideo ? 'vidéos' : 'photos'} que vous ouvrez apparaîtront ici.</p></div>`;
+    return;
+  }
+
+  // Player / lightbox navigate in history order
+  if (isVideo) state.videos = flat; else state.photos = flat;
+
+  el.innerHTML = historyState.groups.map(g => `
+    <div class="history-day">
+      <h3 class="subsection-title">${formatHistoryDay(g.date)}</h3>
+      <div class="media-grid ${isVideo ? 'videos-grid' : 'photos-grid'}">
+        ${g.items.map(m => isVideo ? renderSingleVideoCard(m, true) : `
+          <div class="photo-card" onclick="openPhotoById(${m.id})">
+            <img ${thumbAttrs(m.id, 'photo')} alt="${escapeHtml(m.filename)}" loading="lazy" onerror="this.removeAttribute('srcset');this.src='/photo/${m.id}'" />
+            <div class="photo-overlay">${escapeHtml(m.filename)}</div>
+          </div>`).join('')}
+      </div>
+    </div>
+  `).join('');
+
+  el.querySelectorAll('.video-card, .photo-card').forEach((card, i) => {
+    attachCardRemove(card, "Retirer de l'historique", () => removeHistoryEntry(flat[i].id));
+  });
+}
+
+async function removeHistoryEntry(mediaId) {
+  try {
+    const r = await fetch(`/social/history/${mediaId}`, { method: 'DELETE', headers: authHeaders() });
+    if (!r.ok) throw new Error();
+    historyState.groups = historyState.groups
+      .map(g => ({ ...g, items: g.items.filter(m => m.id !== mediaId) }))
+      .filter(g => g.items.length);
+    historyState.total = Math.max(0, historyState.total - 1);
+    renderHistory();
+  } catch { showToast('Erreur', 'error'); }
+}
+
+$qa('[data-htab]').forEach(t => {
+  t.addEventListener('click', () => {
+    $qa('[data-htab]').forEach(x => x.classList.remove('active'));
+    t.classList.add('active');
+    historyState.type = t.dataset.htab;
+    loadHistory(1);
+  });
+});
+
+$('historyMore').addEventListener('click', () => loadHistory(historyState.page + 1));
+
+$('historyClearBtn').addEventListener('click', async () => {
+  if (!confirm("Effacer tout l'historique de lecture ?")) return;
+  try {
+    const r = await fetch('/social/history', { method: 'DELETE', headers: authHeaders() });
+    if (!r.ok) throw new Error();
+    showToast('Historique effacé', 'success');
+    loadHistory(1);
+  } catch { showToast('Erreur', 'error'); }
+});
+
+$('historyPauseBtn').addEventListener('click', async () => {
+  try {
+    const r = await fetch('/social/history/pause', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ paused: !historyState.paused }),
+    });
+    if (!r.ok) throw new Error();
+    historyState.paused = (await r.json()).paused;
+    renderHistory();
+    showToast(historyState.paused ? 'Historique suspendu' : 'Historique réactivé');
+  } catch { showToast('Erreur', 'error'); }
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   PLAYLISTS
+   ══════════════════════════════════════════════════════════════════ */
+const playlistsState = { tab: 'mine', current: null };
+
+// Playlist mode: active while the player navigates the playlist's own item
+// array. Any page that replaces state.videos silently leaves the mode.
+const playlistPlayer = {
+  id: null, name: '', items: [], order: [],
+  shuffle: localStorage.getItem('xflix_pl_shuffle') === '1',
+  repeat: localStorage.getItem('xflix_pl_repeat') === '1',
+};
+
+function inPlaylistMode() {
+  return playlistPlayer.items.length > 0 && state.videos === playlistPlayer.items;
+}
+
+// Playback order as indexes into items — `first` always plays first, the rest
+// is shuffled (Fisher–Yates) or kept in playlist order.
+function buildPlaylistOrder(first) {
+  const n = playlistPlayer.items.length;
+  if (!playlistPlayer.shuffle) { playlistPlayer.order = [...Array(n).keys()]; return; }
+  const rest = [...Array(n).keys()].filter(i => i !== first);
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  playlistPlayer.order = [first, ...rest];
+}
+
+/** Index in state.videos of the previous (-1) / next (+1) video, or -1. */
+function videoNeighbour(delta) {
+  if (!inPlaylistMode()) {
+    const idx = state.videoIndex + delta;
+    return idx >= 0 && idx < state.videos.length ? idx : -1;
+  }
+  const { order, repeat } = playlistPlayer;
+  let pos = order.indexOf(state.videoIndex) + delta;
+  if (pos < 0 || pos >= order.length) {
+    if (!repeat || order.length < 2) return -1;
+    pos = (pos + order.length) % order.length;
+  }
+  return order[pos];
+}
+
+function renderPlaylistBar() {
+  const on = inPlaylistMode();
+  $('vpPlaylist').classList.toggle('hidden', !on);
+  if (!on) return;
+  const pos = playlistPlayer.order.indexOf(state.videoIndex) + 1;
+  $('vpPlaylistName').textContent = `🎞 ${playlistPlayer.name} · ${pos}/${playlistPlayer.items.length}`;
+  $('vpShuffle').classList.toggle('active', playlistPlayer.shuffle);
+  $('vpRepeat').classList.toggle('active', playlistPlayer.repeat);
+}
+
+function refreshPlayerNav() {
+  $('videoPrev').disabled = videoNeighbour(-1) < 0;
+  $('videoNext').disabled = videoNeighbour(1) < 0;
+  renderPlaylistBar();
+}
+
+/** Start the player on a playlist — startIdx is an index into its items. */
+function playPlaylist(pl, startIdx = 0, shuffle = playlistPlayer.shuffle) {
+  if (!pl || !pl.items.length) return;
+  playlistPlayer.id = pl.id;
+  playlistPlayer.name = pl.name;
+  playlistPlayer.items = pl.items.slice();
+  playlistPlayer.shuffle = shuffle;
+  localStorage.setItem('xflix_pl_shuffle', shuffle ? '1' : '0');
+  if (shuffle && startIdx === null) startIdx = Math.floor(Math.random() * pl.items.length);
+  buildPlaylistOrder(startIdx || 0);
+  state.videos = playlistPlayer.items;
+  openVideo(startIdx || 0);
+}
+
+$('vpShuffle').addEventListener('click', () => {
+  playlistPlayer.shuffle = !playlistPlayer.shuffle;
+  localStorage.setItem('xflix_pl_shuffle', playlistPlayer.shuffle ? '1' : '0');
+  // Reshuffle what is left, starting from the video being watched
+  buildPlaylistOrder(state.videoIndex);
+  refreshPlayerNav();
+  showSeekIndicator(playlistPlayer.shuffle ? '🔀 Aléatoire' : '➡️ Dans l\'ordre');
+});
+
+$('vpRepeat').addEventListener('click', () => {
+  playlistPlayer.repeat = !playlistPlayer.repeat;
+  localStorage.setItem('xflix_pl_repeat', playlistPlayer.repeat ? '1' : '0');
+  refreshPlayerNav();
+  showSeekIndicator(playlistPlayer.repeat ? '🔁 Répéter' : '⏹ Sans répétition');
+});
+
+function playlistCoverHtml(pl) {
+  return pl.cover_id
+    ? `<img ${thumbAttrs(pl.cover_id)} alt="" loading="lazy" onerror="handleThumbError(this,${pl.cover_id})">`
+    : '🎞';
+}
+
+function playlistMetaText(pl) {
+  const parts = [`${pl.item_count} vidéo${pl.item_count > 1 ? 's' : ''}`];
+  if (pl.total_duration > 0) parts.push(formatDuration(pl.total_duration));
+  parts.push(pl.is_public ? '🌍 Publique' : '🔒 Privée');
+  return parts.join(' · ');
+}
+
+async function loadPlaylistsPage() {
+  const grid = $('playlistsGrid');
+  if (playlistsState.tab === 'mine' && !auth.user) playlistsState.tab = 'public';
+  $qa('[data-pltab]').forEach(t => t.classList.toggle('active', t.dataset.pltab === playlistsState.tab));
+  $('playlistCreateBtn').classList.toggle('hidden', !auth.user);
+  grid.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Chargement…</p></div>';
+  try {
+    const mine = playlistsState.tab === 'mine';
+    const { data } = await apiFetch(mine ? '/social/playlists' : '/social/playlists/public?limit=100');
+    $('playlistsCount').textContent = data.length || '';
+    if (!data.length) {
+      grid.innerHTML = mine
+        ? '<div class="empty-state"><span class="empty-icon">🎞</span><h3>Aucune playlist</h3><p>Utilisez ➕ dans le lecteur pour ajouter une vidéo à une playlist.</p></div>'
+        : '<div class="empty-state"><span class="empty-icon">🌍</span><h3>Aucune playlist publique</h3></div>';
+      return;
+    }
+    grid.innerHTML = data.map(pl => `
+      <div class="playlist-card" onclick="openPlaylist(${pl.id})">
+        <div class="playlist-cover">
+          ${playlistCoverHtml(pl)}
+          <div class="playlist-cover-count"><span>${pl.item_count}</span><span>▶</span></div>
+        </div>
+        <div class="playlist-card-info">
+          <div class="playlist-card-name" title="${escapeHtml(pl.name)}">${escapeHtml(pl.name)}</div>
+          <div class="playlist-card-meta">${mine ? playlistMetaText(pl) : `par ${escapeHtml(pl.username)} · ${pl.item_count} vidéos`}</div>
+        </div>
+      </div>
+    `).join('');
+  } catch(e) {
+    grid.innerHTML = `<div class="empty-state"><span class="empty-icon">⚠️</span><h3>Erreur</h3><p>${escapeHtml(e.message)}</p></div>`;
+  }
+}
+
+$qa('[data-pltab]').forEach(t => {
+  t.addEventListener('click', () => {
+    if (t.dataset.pltab === 'mine' && !auth.user) { openAuthModal('loginForm'); return; }
+    playlistsState.tab = t.dataset.pltab;
+    loadPlaylistsPage();
+  });
+});
+
+async function playlistRequest(method, url, body) {
+  const r = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const d = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(d.error || `API error ${r.status}`);
+  return d;
+}
+
+$('playlistCreateBtn').addEventListener('click', async () => {
+  const name = prompt('Nom de la nouvelle playlist :');
+  if (!name || !name.trim()) return;
+  try {
+    const pl = await playlistRequest('POST', '/social/playlists', { name: name.trim() });
+    showToast('Playlist créée', 'success');
+    openPlaylist(pl.id);
+  } catch(e) { showToast(e.message, 'error'); }
+});
+
+/* ── Playlist detail ────────────────────────────────────────────── */
+window.openPlaylist = async function(id) {
+  state.currentPage = 'playlist';
+  showPage('playlistPage');
+  $('playlistItems').innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Chargement…</p></div>';
+  try {
+    playlistsState.current = await apiFetch(`/social/playlists/${id}`);
+    renderPlaylist();
+  } catch(e) {
+    playlistsState.current = null;
+    $('playlistItems').innerHTML = `<div class="empty-state"><span class="empty-icon">⚠️</span><h3>Playlist introuvable</h3><p>${escapeHtml(e.message)}</p></div>`;
+  }
+};
+
+function renderPlaylist() {
+  const pl = playlistsState.current;
+  const canEdit = pl.owned || auth.user?.role === 'admin';
+  pl.item_count = pl.items.length;
+  pl.total_duration = pl.items.reduce((sum, m) => sum + (m.duration || 0), 0);
+  pl.cover_id = pl.items[0]?.id || null;
+
+  $('playlistName').textContent = pl.name;
+  $('playlistDesc').textContent = pl.description || '';
+  $('playlistMeta').textContent = (pl.owned ? '' : `par ${pl.username} · `) + playlistMetaText(pl);
+  $('playlistCover').innerHTML = `<div class="playlist-cover">${playlistCoverHtml(pl)}</div>`;
+  $('playlistVisibilityBtn').textContent = pl.is_public ? '🔒 Rendre privée' : '🌍 Rendre publique';
+  $qa('#playlistPage .owner-only').forEach(el => el.classList.toggle('hidden', !canEdit));
+  $('playlistHint').classList.toggle('hidden', !canEdit || pl.items.length < 2);
+  $('playlistPlayBtn').disabled = $('playlistShuffleBtn').disabled = !pl.items.length;
+
+  const list = $('playlistItems');
+  if (!pl.items.length) {
+    list.innerHTML = '<div class="empty-state"><span class="empty-icon">🎞</span><h3>Playlist vide</h3><p>Ajoutez des vidéos depuis le lecteur avec ➕.</p></div>';
+    return;
+  }
+  list.innerHTML = pl.items.map((m, i) => `
+    <div class="playlist-item" data-idx="${i}" ${canEdit ? 'draggable="true"' : ''}>
+      <span class="playlist-item-pos">${i + 1}</span>
+      <img ${thumbAttrs(m.id, 'small')} alt="" loading="lazy" onerror="handleThumbError(this,${m.id})">
+      <div class="playlist-item-info">
+        <div class="playlist-item-name" title="${escapeHtml(m.filename)}">${escapeHtml(m.filename)}</div>
+        <div class="playlist-item-meta">${[m.performer_name ? escapeHtml(m.performer_name) : '', m.duration ? formatDuration(m.duration) : '', formatSize(m.size)].filter(Boolean).join(' · ')}</div>
+      </div>
+      ${canEdit ? '<button class="card-remove" title="Retirer de la playlist">✕</button>' : ''}
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.playlist-item').forEach(row => {
+    const idx = Number(row.dataset.idx);
+    row.addEventListener('click', () => playPlaylist(pl, idx, false));
+    const rm = row.querySelector('.card-remove');
+    if (rm) rm.addEventListener('click', e => { e.stopPropagation(); removePlaylistItem(pl.items[idx].id); });
+  });
+  if (canEdit) attachPlaylistDrag(list);
+}
+
+// HTML5 drag & drop: the row is dropped before / after the hovered row
+// depending on which half of it the pointer is over.
+function attachPlaylistDrag(list) {
+  let dragIdx = null;
+  const clearMarks = () => list.querySelectorAll('.drop-before, .drop-after')
+    .forEach(r => r.classList.remove('drop-before', 'drop-after'));
+
+  list.querySelectorAll('.playlist-item').forEach(row => {
+    row.addEventListener('dragstart', e => {
+      dragIdx = Number(row.dataset.idx);
+      row.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', row.dataset.idx);
+    });
+    row.addEventListener('dragend', () => { row.classList.remove('dragging'); clearMarks(); dragIdx = null; });
+    row.addEventListener('dragover', e => {
+      if (dragIdx === null) return;
+      e.preventDefault();
+      const rect = row.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      clearMarks();
+      row.classList.add(after ? 'drop-after' : 'drop-before');
+    });
+    row.addEventListener('drop', e => {
+      e.preventDefault();
+      if (dragIdx === null) return;
+      const rect = row.getBoundingClientRect();
+      let target = Number(row.dataset.idx) + (e.clientY > rect.top + rect.height / 2 ? 1 : 0);
+      if (target > dragIdx) target--;
+      clearMarks();
+      if (target !== dragIdx) movePlaylistItem(dragIdx, target);
+    });
+  });
+}
+
+async function movePlaylistItem(from, to) {
+  const pl = playlistsState.current;
+  const previous = pl.items.slice();
+  const [moved] = pl.items.splice(from, 1);
+  pl.items.splice(to, 0, moved);
+  renderPlaylist();
+  try {
+    await playlistRequest('PUT', `/social/playlists/${pl.id}/order`, { order: pl.items.map(m => m.id) });
+  } catch(e) {
+    pl.items = previous;
+    renderPlaylist();
+    showToast(e.message, 'error');
+  }
+}
+
+async function removePlaylistItem(mediaId) {
+  const pl = playlistsState.current;
+  try {
+    await playlistRequest('DELETE', `/social/playlists/${pl.id}/items/${mediaId}`);
+    pl.items = pl.items.filter(m => m.id !== mediaId);
+    renderPlaylist();
+  } catch(e) { showToast(e.message, 'error'); }
+}
+
+$('playlistBack').addEventListener('click', () => $('navPlaylists').click());
+$('playlistPlayBtn').addEventListener('click', () => playPlaylist(playlistsState.current, 0, false));
+$('playlistShuffleBtn').addEventListener('click', () => playPlaylist(playlistsState.current, null, true));
+
+$('playlistEditBtn').addEventListener('click', async () => {
+  const pl = playlistsState.current;
+  const name = prompt('Nom de la playlist :', pl.name);
+  if (name === null || !name.trim()) return;
+  const description = prompt('Description (facultative) :', pl.description || '');
+  if (description === null) return;
+  try {
+    const d = await playlistRequest('PATCH', `/social/playlists/${pl.id}`, { name: name.trim(), description });
+    pl.name = d.name;
+    pl.description = d.description;
+    renderPlaylist();
+  } catch(e) { showToast(e.message, 'error'); }
+});
+
+$('playlistVisibilityBtn').addEventListener('click', async () => {
+  const pl = playlistsState.current;
+  try {
+    const d = await playlistRequest('PATCH', `/social/playlists/${pl.id}`, { is_public: !pl.is_public });
+    pl.is_public = d.is_public;
+    renderPlaylist();
+    showToast(pl.is_public ? 'Playlist visible par tous' : 'Playlist privée');
+  } catch(e) { showToast(e.message, 'error'); }
+});
+
+$('playlistDeleteBtn').addEventListener('click', async () => {
+  const pl = playlistsState.current;
+  if (!confirm(`Supprimer la playlist « ${pl.name} » ?`)) return;
+  try {
+    await playlistRequest('DELETE', `/social/playlists/${pl.id}`);
+    showToast('Playlist supprimée', 'success');
+    playlistsState.tab = 'mine';
+    $('navPlaylists').click();
+  } catch(e) { showToast(e.message, 'error'); }
+});
+
+/* ── Add to playlist (from the player) ──────────────────────────── */
+let playlistModalMediaId = null;
+
+async function openPlaylistModal() {
+  if (!auth.user) { openAuthModal('loginForm'); return; }
+  const v = state.videos[state.videoIndex];
+  if (!v) return;
+  playlistModalMediaId = v.id;
+  $('playlistNewName').value = '';
+  $('playlistModal').classList.remove('hidden');
+  const list = $('playlistPickList');
+  list.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
+  try {
+    const { data } = await apiFetch(`/social/playlists?media=${v.id}`);
+    if (!data.length) {
+      list.innerHTML = '<p class="playlist-hint">Aucune playlist — créez-en une ci-dessous.</p>';
+      return;
+    }
+    list.innerHTML = data.map(pl => `
+      <label class="playlist-pick">
+        <input type="checkbox" data-pl="${pl.id}" ${pl.has_media ? 'checked' : ''}>
+        <span>${escapeHtml(pl.name)}</span>
+        <small>${pl.is_public ? '🌍' : '🔒'} ${pl.item_count}</small>
+      </label>
+    `).join('');
+    list.querySelectorAll('input[data-pl]').forEach(cb => {
+      cb.addEventListener('change', () => togglePlaylistItem(Number(cb.dataset.pl), cb));
+    });
+  } catch(e) {
+    list.innerHTML = `<p class="playlist-hint">${escapeHtml(e.message)}</p>`;
+  }
+}
+
+function closePlaylistModal() {
+  $('playlistModal').classList.add('hidden');
+  playlistModalMediaId = null;
+}
+
+async function togglePlaylistItem(playlistId, cb) {
+  const mediaId = playlistModalMediaId;
+  try {
+    if (cb.checked) {
+      await playlistRequest('POST', `/social/playlists/${playlistId}/items`, { media_id: mediaId });
+      showToast('Ajoutée à la playlist', 'success');
+    } else {
+      await playlistRequest('DELETE', `/social/playlists/${playlistId}/items/${mediaId}`);
+      showToast('Retirée de la playlist');
+    }
+  } catch(e) {
+    cb.checked = !cb.checked;
+    showToast(e.message, 'error');
+  }
+}
+
+$('vpAddPlaylist').addEventListener('click', openPlaylistModal);
+$('closePlaylistModal').addEventListener('click', closePlaylistModal);
+$('playlistModal').addEventListener('click', e => { if (e.target === $('playlistModal')) closePlaylistModal(); });
+
+$('playlistNewBtn').addEventListener('click', async () => {
+  const name = $('playlistNewName').value.trim();
+  if (!name || !playlistModalMediaId) return;
+  try {
+    await playlistRequest('POST', '/social/playlists', { name, media_id: playlistModalMediaId });
+    showToast(`Ajoutée à « ${name} »`, 'success');
+    openPlaylistModal();
+  } catch(e) { showToast(e.message, 'error'); }
+});
+$('playlistNewName').addEventListener('keydown', e => { if (e.key === 'Enter') $('playlistNewBtn').click(); });
+
+/* ── Thumbnail picker (admins, from the player) ─────────────────────
+ * Candidates are extracted and scored server-side (dark / flat frames are
+ * dimmed, ★ marks the automatic choice); picking one, or the player's
+ * current position, saves that frame as the custom thumbnail.
+ * ─────────────────────────────────────────────────────────────────── */
+let thumbModalMediaId = null;
+
+async function openThumbModal() {
+  const v = state.videos[state.videoIndex];
+  if (!v) return;
+  const player = _vp();
+  player.pause();
+  thumbModalMediaId = v.id;
+  $('thumbGrabTime').textContent = formatDuration(player.currentTime) || '0:00';
+  $('thumbPickCurrent').src = `/thumb/${v.id}?w=640&v=${Date.now()}`;
+  $('thumbModal').classList.remove('hidden');
+  const grid = $('thumbPickGrid');
+  grid.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
+  try {
+    const { data } = await apiFetch(`${API}/thumb/${v.id}/candidates`, 1);
+    if (thumbModalMediaId !== v.id) return;
+    grid.innerHTML = data.map(c => `
+      <button class="thumb-pick${c.best ? ' best' : ''}${c.blank ? ' blank' : ''}" data-time="${c.time}"
+        title="Luminosité ${c.brightness} · entropie ${c.entropy} · contraste ${c.contrast}">
+        <img src="${c.image}" alt="">
+        <span>${formatDuration(c.time) || '0:00'}${c.best ? ' · ★' : c.blank ? ' · vide' : ''}</span>
+      </button>
+    `).join('');
+    grid.querySelectorAll('.thumb-pick').forEach(b => {
+      b.addEventListener('click', () => setThumbFrame(Number(b.dataset.time), b));
+    });
+  } catch(e) {
+    if (thumbModalMediaId === v.id) grid.innerHTML = `<p class="playlist-hint">Extraction impossible (${escapeHtml(e.message)})</p>`;
+  }
+}
+
+function closeThumbModal() {
+  $('thumbModal').classList.add('hidden');
+  thumbModalMediaId = null;
+}
+
+async function setThumbFrame(time, btn) {
+  const mediaId = thumbModalMediaId;
+  if (!mediaId) return;
+  if (btn) btn.disabled = true;
+  try {
+    const r = await fetch(`${API}/thumb/${mediaId}/frame`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ time }),
+    });
+    const d = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(d.error || `API error ${r.status}`);
+    // /thumb/:id is cached as immutable — bust it wherever this media is shown
+    const bust = `v=${Date.now()}`;
+    $qa('img[src^="/thumb/"]').forEach(img => {
+      if (img.getAttribute('src').split('?')[0] !== `/thumb/${mediaId}`) return;
+      if (img.srcset) img.srcset = thumbSrcset(mediaId, bust);
+      img.src = `/thumb/${mediaId}?${bust}`;
+    });
+    $('thumbPickCurrent').src = `/thumb/${mediaId}?w=640&${bust}`;
+    showToast(`Miniature mise à jour (${formatDuration(d.time) || '0:00'})`, 'success');
+  } catch(e) {
+    showToast(e.message, 'error');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+$('vpThumbPick').addEventListener('click', openThumbModal);
+$('closeThumbModal').addEventListener('click', closeThumbModal);
+$('thumbModal').addEventListener('click', e => { if (e.target === $('thumbModal')) closeThumbModal(); });
+$('thumbGrabBtn').addEventListener('click', () => setThumbFrame(_vp().currentTime, $('thumbGrabBtn')));
+
+/* ══════════════════════════════════════════════════════════════════
+   TAGS (auto tags from the scanner + manual tags)
+   ══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Chips + an "add" input (logged-in users only). Auto tags are greyed out and
+ * cannot be removed: the next scan would write them back anyway.
+ */
+function renderTagEditor(box, tags, { onAdd, onRemove }) {
+  const canEdit = !!auth.user;
+  box.innerHTML = tags.map(t => {
+    const isAuto = t.source === 'auto';
+    return `<span class="tag-chip${isAuto ? ' auto' : ''}"${isAuto ? ' title="Tag automatique"' : ''}>${escapeHtml(t.name)}${
+      canEdit && !isAuto ? `<button class="tag-chip-remove" data-id="${t.id}" title="Retirer">×</button>` : ''}</span>`;
+  }).join('') + (canEdit ? '<input class="tag-add-input" placeholder="+ tag" maxlength="50" title="Plusieurs tags : séparez-les par des virgules" />' : '');
+
+  box.querySelectorAll('.tag-chip-remove').forEach(b =>
+    b.addEventListener('click', () => onRemove(Number(b.dataset.id)).catch(e => showToast(e.message, 'error'))));
+  const input = box.querySelector('.tag-add-input');
+  if (!input) return;
+  input.addEventListener('keydown', e => {
+    e.stopPropagation(); // keep player shortcuts out of the field
+    if (e.key === 'Escape') { input.blur(); return; }
+    if (e.key !== 'Enter') return;
+    const names = input.value.split(',').map(s => s.trim()).filter(Boolean);
+    if (!names.length) return;
+    onAdd(names).then(() => box.querySelector('.tag-add-input')?.focus())
+      .catch(e => showToast(e.message, 'error'));
+  });
+}
+
+let tagsMediaId = null;
+
+async function loadMediaTags(mediaId) {
+  tagsMediaId = mediaId;
+  const box = $('vpTags');
+  box.innerHTML = '';
+  const { data } = await apiFetch(`${API}/media/${mediaId}/tags`);
+  if (tagsMediaId === mediaId) renderMediaTags(mediaId, data);
+}
+
+function renderMediaTags(mediaId, tags) {
+  renderTagEditor($('vpTags'), tags, {
+    onAdd: async names => {
+      const { data } = await playlistRequest('POST', `${API}/media/${mediaId}/tags`, { names });
+      if (tagsMediaId === mediaId) renderMediaTags(mediaId, data);
+    },
+    onRemove: async tagId => {
+      const { data } = await playlistRequest('DELETE', `${API}/media/${mediaId}/tags/${tagId}`);
+      if (tagsMediaId === mediaId) renderMediaTags(mediaId, data);
+    },
+  });
+}
+
+function renderPerformerTags(p) {
+  renderTagEditor($('performerTags'), p.tags || [], {
+    onAdd: async names => {
+      const { tags } = await playlistRequest('POST', `${API}/performers/${p.id}/tags`, { names });
+      p.tags = tags;
+      if (state.currentPerformer === p) renderPerformerTags(p);
+    },
+    onRemove: async tagId => {
+      const { tags } = await playlistRequest('DELETE', `${API}/performers/${p.id}/tags/${tagId}`);
+      p.tags = tags;
+      if (state.currentPerformer === p) renderPerformerTags(p);
+    },
+  });
+}
+
 /* ══════════════════════════════════════════════════════════════════
    REACTIONS (like/dislike)
    ══════════════════════════════════════════════════════════════════ */
@@ -1995,6 +3680,8 @@ initTheme();
   if (sp && $('sortPerformers').querySelector(`option[value="${sp}"]`)) $('sortPerformers').value = sp;
   if (sv && $('sortVideos').querySelector(`option[value="${sv}"]`)) $('sortVideos').value = sv;
   if (sph && $('sortPhotos').querySelector(`option[value="${sph}"]`)) $('sortPhotos').value = sph;
+  if (localStorage.getItem('xflix_photo_view') === 'timeline') $('photoView').value = 'timeline';
+  applyPhotoView();
 })();
 
 loadPerformers({});
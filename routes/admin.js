@@ -8,55 +8,115 @@
  * Endpoint summary
  * ────────────────
  * Dashboard
- *   GET  /admin/stats                     — user/media/comment/reaction counts
+ *   GET  /admin/stats                     — user/media/comment/reaction counts + watcher status
  *
  * User management
  *   GET    /admin/users                   — paginated user list with search
- *   PATCH  /admin/users/:id/role          — promote / demote user
+ *   PATCH  /admin/users/:id/role          — promote / demote user (a promotion closes their sessions)
  *   DELETE /admin/users/:id               — delete user (cannot delete self)
+ *   DELETE /admin/users/:id/2fa           — turn 2FA off for a user who lost their device and codes,
+ *                                           closing their sessions (not for oneself while mandatory)
  *
  * Application settings
  *   GET  /admin/settings                  — all key/value pairs (SMTP masked)
- *   PUT  /admin/settings                  — update allowed keys
+ *   PUT  /admin/settings                  — update allowed keys (watcher_enabled starts/stops the watcher,
+ *                                           require_2fa_admins needs 2FA on the caller's own account)
  *   POST /admin/settings/test-smtp        — verify SMTP connectivity
  *
- * Media scan (SSE streams)
- *   POST /admin/scan                      — full scan with live progress events
- *   POST /admin/scan/cancel               — request cancellation
- *   POST /admin/batch-thumbs              — generate all missing thumbnails (SSE)
- *   POST /admin/batch-thumbs/cancel       — cancel batch-thumb job
+ * Libraries (media roots)
+ *   GET    /admin/libraries               — all roots with media count / size
+ *   POST   /admin/libraries               — add a root { name, path, type, enabled }
+ *   PATCH  /admin/libraries/:id           — rename / change type / enable / move path
+ *   DELETE /admin/libraries/:id           — remove root (?purge=1 also drops its media rows)
+ *
+ * Background jobs (persistent queue — services/jobs.js, job types in services/tasks.js)
+ *   GET    /admin/jobs                    — history (?status=active|…&type=&page=&limit=) + job types
+ *   POST   /admin/jobs                    — enqueue any job type { type, params, priority }
+ *   GET    /admin/jobs/:id                — job + last log lines
+ *   GET    /admin/jobs/:id/stream         — live progress / logs (SSE), re-attachable at any time
+ *   POST   /admin/jobs/:id/cancel         — cancel a queued or running job
+ *   POST   /admin/jobs/:id/retry          — re-queue a failed / cancelled job
+ *   DELETE /admin/jobs/:id                — forget a finished job
+ *
+ *   The maintenance endpoints below only enqueue and answer 202 with the job.
+ *
+ * Scheduled jobs (cron expressions — services/scheduler.js)
+ *   GET    /admin/schedules               — all schedules with last run / next run + job types
+ *   POST   /admin/schedules               — create { name, job_type, params, cron, enabled, email_report }
+ *   PATCH  /admin/schedules/:id           — update any of those fields
+ *   DELETE /admin/schedules/:id           — delete
+ *   POST   /admin/schedules/:id/run       — enqueue now (regular slots unchanged)
+ *
+ * Media scan (jobs)
+ *   POST /admin/scan                      — full scan; enrich + thumbs jobs follow
+ *   POST /admin/scan/cancel               — cancel active scan jobs
+ *   POST /admin/batch-thumbs              — generate all missing thumbnails
+ *   POST /admin/batch-trickplay           — generate all missing seek previews (sprite + VTT)
+ *   POST /admin/batch-previews            — encode all missing hover preview clips
  *
  * Media browser
- *   GET    /admin/media                   — browse / search all media
- *   DELETE /admin/media/:id               — remove DB record (optionally file)
+ *   GET    /admin/media                   — browse / search all media (?library= filter)
+ *   DELETE /admin/media/:id               — move to the trash (?delete_file=1 moves the file too)
+ *
+ * Tags
+ *   GET    /admin/tags                    — all tags with media (auto/manual) + performer counts (?q=)
+ *   PATCH  /admin/tags/:id                — rename { name } (409 if the name is taken — merge instead)
+ *   POST   /admin/tags/:id/merge          — fold into another tag { into }
+ *   DELETE /admin/tags/:id                — delete everywhere
  *
  * Duplicate detection
- *   POST   /admin/duplicates/scan         — hash-based dup scan (SSE)
- *   POST   /admin/duplicates/delete-bulk  — delete multiple dups by ID (SSE)
- *   DELETE /admin/duplicates/:id          — delete single dup (DB + disk)
+ *   POST   /admin/duplicates/scan         — exact (hash) or similar (perceptual) dup scan (job)
+ *   POST   /admin/duplicates/plan         — pick the copy to keep per group from ordered rules
+ *   POST   /admin/duplicates/resolve      — merge engagement into the kept copy, trash the others (job)
+ *   POST   /admin/duplicates/delete-bulk  — trash multiple media by ID (job)
+ *   DELETE /admin/duplicates/:id          — trash single dup (row + file)
  *
  * Media cleanup
- *   POST /admin/clean-media               — find orphaned DB rows / unindexed files (SSE)
+ *   POST /admin/clean-media               — find orphaned DB rows / unindexed files in every library (job)
  *
  * Short-video purge
- *   POST /admin/purge-short-videos        — delete videos below a duration threshold (SSE)
+ *   POST /admin/purge-short-videos        — trash videos below a duration threshold (job)
+ *
+ * Content hashes & integrity
+ *   POST /admin/content-hash              — SHA-256 of every file without an up-to-date checksum (job)
+ *   POST /admin/verify-integrity          — re-hash and compare with the stored checksums (job)
+ *
+ * Trash (services/trash.js — every delete above lands here first)
+ *   GET  /admin/trash                     — trashed media, newest first (?q=&page=&limit=) + retention
+ *   POST /admin/trash/restore             — put media back { ids }
+ *   POST /admin/trash/purge               — delete for good { ids } | { all: true } (job)
+ *
+ * Audit log (services/audit.js — every change above is recorded there)
+ *   GET  /admin/audit                     — actions, newest first (?action=&user=&target_type=&target_id=&from=&to=&q=&page=&limit=)
+ *   GET  /admin/audit/export.csv          — same filters, as a CSV download
  *
  * Server-Sent Events (SSE) convention
  * ────────────────────────────────────
- *   Every SSE endpoint streams JSON objects as `data: {...}\n\n`.
- *   The final message always has `status: ‘done’` or `status: ‘error’`.
- *   The client closes the EventSource when it receives a terminal event.
+ *   /admin/jobs/:id/stream sends JSON objects as `data: {...}\n\n`, each with
+ *   an `event` field (snapshot | progress | log | data | status | end).
+ *   The final message is always `event: 'end'` with the job's final `status`
+ *   (done | failed | cancelled); the server then closes the stream.
  */
 const express  = require('express');
 const router   = express.Router();
 const path     = require('path');
 const fs       = require('fs');
-const crypto   = require('crypto');
-const { pool, getSetting, setSetting, updateUserRole, deleteUser, countAdmins, updatePerformerCounts } = require('../db');
+const { pool, getSetting, setSetting, getSettings, updateUserRole, deleteUser, countAdmins, disableTotp, updatePerformerCounts,
+        listLibraries, getLibrary, cleanTagName, renameTag, mergeTags, deleteTag,
+        getDuplicateMetrics } = require('../db');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { testSmtp } = require('../services/mail');
+const watcher  = require('../services/watcher');
 const scanner  = require('../scanner');
-const { MEDIA_DIR, THUMB_DIR, VIDEO_EXTS, PHOTO_EXTS } = scanner;
+const jobs     = require('../services/jobs');
+const scheduler = require('../services/scheduler');
+const { cancelScanJobs } = require('../services/tasks');
+const { revokeUserSessions } = require('../services/sessions');
+const trash    = require('../services/trash');
+const audit    = require('../services/audit');
+const dedupe   = require('../services/dedupe');
+
+const LIBRARY_TYPES = ['all', 'videos', 'photos'];
 
 // All admin routes require auth + admin role
 router.use(requireAuth, requireAdmin);
@@ -68,7 +128,7 @@ router.get('/stats', async (req, res) => {
   try {
     const [r1, r2, r3, r4] = await Promise.all([
       pool.query('SELECT COUNT(*) as cnt FROM users'),
-      pool.query('SELECT COUNT(*) as cnt FROM media'),
+      pool.query('SELECT COUNT(*) as cnt FROM media WHERE deleted_at IS NULL'),
       pool.query('SELECT COUNT(*) as cnt FROM comments'),
       pool.query('SELECT COUNT(*) as cnt FROM media_reactions'),
     ]);
@@ -77,6 +137,7 @@ router.get('/stats', async (req, res) => {
       media:     r2[0][0].cnt,
       comments:  r3[0][0].cnt,
       reactions: r4[0][0].cnt,
+      watcher:   watcher.getWatcherStatus(),
     });
   } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
@@ -91,7 +152,7 @@ router.get('/users', async (req, res) => {
     const offset = (page - 1) * limit;
     const search = req.query.search ? `%${req.query.search}%` : null;
 
-    let q = 'SELECT id, username, email, role, avatar, bio, last_login, created_at FROM users';
+    let q = 'SELECT id, username, email, role, avatar, bio, totp_enabled, last_login, created_at FROM users';
     const params = [];
     if (search) { q += ' WHERE username LIKE ? OR email LIKE ?'; params.push(search, search); }
     const [[{ total }]] = await pool.query('SELECT COUNT(*) as total FROM users' + (search ? ' WHERE username LIKE ? OR email LIKE ?' : ''), params);
@@ -110,20 +171,45 @@ router.patch('/users/:id/role', async (req, res) => {
       const [[{ admins }]] = await pool.query("SELECT COUNT(*) as admins FROM users WHERE role='admin' AND id != ?", [id]);
       if (admins === 0) return res.status(400).json({ error: 'Must have at least one admin' });
     }
+    const [[target]] = await pool.query('SELECT username, role FROM users WHERE id = ?', [id]);
+    if (!target) return res.status(404).json({ error: 'User not found' });
     await updateUserRole(id, role);
+    // A new admin logs in again — through 2FA enrolment when it is mandatory
+    if (role === 'admin' && target.role !== 'admin') await revokeUserSessions(id);
+    await audit.record(req, 'user.role', { target: { type: 'user', id }, before: target, after: { username: target.username, role } });
     res.json({ id, role });
   } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
+router.delete('/users/:id/2fa', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    // Not a way around the guard of /auth/2fa/disable
+    if (id === req.user.id && (await getSetting('require_2fa_admins', 'false')) === 'true') {
+      return res.status(400).json({ error: 'Two-factor authentication is mandatory for admins' });
+    }
+    const [[target]] = await pool.query('SELECT username, totp_enabled FROM users WHERE id = ?', [id]);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    if (!target.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    await disableTotp(id);
+    // Whoever holds the lost device or codes is logged out too
+    await revokeUserSessions(id, id === req.user.id ? req.user.sid : null);
+    await audit.record(req, 'user.2fa_reset', { target: { type: 'user', id }, before: { username: target.username, totp_enabled: true } });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
 router.delete('/users/:id', async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (id === req.user.id) return res.status(400).json({ error: 'Cannot delete yourself' });
     const n = await countAdmins();
-    const [[target]] = await pool.query("SELECT role FROM users WHERE id=?", [id]);
+    const [[target]] = await pool.query("SELECT username, email, role FROM users WHERE id=?", [id]);
     if (!target) return res.status(404).json({ error: 'User not found' });
     if (target.role === 'admin' && n <= 1) return res.status(400).json({ error: 'Last admin cannot be deleted' });
+    await revokeUserSessions(id); // drops the cached session checks — the rows would cascade anyway
     await deleteUser(id);
+    await audit.record(req, 'user.delete', { target: { type: 'user', id }, before: target });
     res.json({ message: 'User deleted' });
   } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
@@ -144,15 +230,29 @@ router.get('/settings', async (req, res) => {
 
 router.put('/settings', async (req, res) => {
   try {
-    const allowed = ['smtp_host','smtp_port','smtp_user','smtp_pass','smtp_from','smtp_secure','allow_registration'];
+    const allowed = ['smtp_host','smtp_port','smtp_user','smtp_pass','smtp_from','smtp_secure','allow_registration','watcher_enabled',
+                     'trash_retention_days', 'require_2fa_admins'];
+    // The admin who makes 2FA mandatory enrols first — and so knows the flow works
+    if (String(req.body.require_2fa_admins) === 'true') {
+      const [[me]] = await pool.query('SELECT totp_enabled FROM users WHERE id = ?', [req.user.id]);
+      if (!me?.totp_enabled) return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+    }
+    const current = await getSettings(allowed);
+    const before = {}, after = {};
     for (const key of allowed) {
       if (req.body[key] !== undefined) {
         let val = String(req.body[key]);
         // Ne jamais écraser smtp_pass avec placeholder masqué ou chaîne vide
         if (key === 'smtp_pass' && (val === '••••••••' || val === '')) continue;
         await setSetting(key, val);
+        if ((current[key] ?? null) !== val) { before[key] = current[key] ?? null; after[key] = val; }
       }
     }
+    if (Object.keys(after).length) await audit.record(req, 'settings.update', { before, after });
+    if (req.body.watcher_enabled !== undefined) {
+      if (String(req.body.watcher_enabled) === 'true') await watcher.startWatcher();
+      else watcher.stopWatcher();
+    }
     res.json({ message: 'Settings saved' });
   } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
@@ -167,120 +267,364 @@ router.post('/settings/test-smtp', async (req, res) => {
 });
 
 /* ══════════════════════════════════════════════════════════════════
-   SCAN
+   LIBRARIES
    ══════════════════════════════════════════════════════════════════ */
-// Cancel an in-progress scan
-router.post('/scan/cancel', (req, res) => {
-  scanner.cancelScan();
-  res.json({ message: 'Cancel requested' });
-});
+/**
+ * Validate a library root. Returns the normalised path or throws with a
+ * user-facing message. Nested roots are refused: the same file would be
+ * indexed twice under two different performers.
+ */
+async function checkLibraryPath(raw, excludeId = null) {
+  if (!raw || typeof raw !== 'string' || !path.isAbsolute(raw.trim())) throw new Error('Absolute path required');
+  const root = path.resolve(raw.trim());
+  let st;
+  try { st = await fs.promises.stat(root); } catch(_) { throw new Error(`Directory not found: ${root}`); }
+  if (!st.isDirectory()) throw new Error(`Not a directory: ${root}`);
+
+  const [others] = await pool.query('SELECT id, name, path FROM libraries WHERE id != ?', [excludeId || 0]);
+  for (const o of others) {
+    const a = path.relative(o.path, root);
+    const b = path.relative(root, o.path);
+    if (a === '') throw new Error(`Path already used by library "${o.name}"`);
+    if (!a.startsWith('..') && !path.isAbsolute(a)) throw new Error(`Path is inside library "${o.name}"`);
+    if (!b.startsWith('..') && !path.isAbsolute(b)) throw new Error(`Path contains library "${o.name}"`);
+  }
+  return root;
+}
 
-router.post('/scan', async (req, res) => {
-  const { mode = 'all' } = req.body || {};
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
+router.get('/libraries', async (req, res) => {
+  try {
+    const rows = await listLibraries();
+    // Surface unmounted disks in the UI
+    const data = await Promise.all(rows.map(async l => {
+      let online = true;
+      try { await fs.promises.access(l.path, fs.constants.R_OK); } catch(_) { online = false; }
+      return { ...l, total_size: Number(l.total_size), online };
+    }));
+    res.json({ data });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-  let closed = false;
-  const send = (data) => { if (!closed) try { res.write(`data: ${JSON.stringify(data)}\n\n`); if (res.flush) res.flush(); } catch(_) {} };
+router.post('/libraries', async (req, res) => {
+  try {
+    const { name, path: rawPath, type = 'all', enabled = true } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'Name required' });
+    if (!LIBRARY_TYPES.includes(type)) return res.status(400).json({ error: 'Invalid type' });
+    let root;
+    try { root = await checkLibraryPath(rawPath); } catch(e) { return res.status(400).json({ error: e.message }); }
+    const [r] = await pool.query(
+      'INSERT INTO libraries (name, path, type, enabled) VALUES (?, ?, ?, ?)',
+      [String(name).trim().slice(0, 100), root, type, enabled ? 1 : 0]
+    );
+    await watcher.reloadWatcher();
+    const lib = await getLibrary(r.insertId);
+    await audit.record(req, 'library.create', { target: { type: 'library', id: lib.id }, after: lib });
+    res.status(201).json(lib);
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-  res.on('close', () => {
-    if (!closed) {
-      closed = true;
-      scanner.cancelScan();
+router.patch('/libraries/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const lib = await getLibrary(id);
+    if (!lib) return res.status(404).json({ error: 'Library not found' });
+    const { name, path: rawPath, type, enabled } = req.body || {};
+    const sets = [], params = [];
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ error: 'Name required' });
+      sets.push('name = ?'); params.push(String(name).trim().slice(0, 100));
+    }
+    if (type !== undefined) {
+      if (!LIBRARY_TYPES.includes(type)) return res.status(400).json({ error: 'Invalid type' });
+      sets.push('type = ?'); params.push(type);
+    }
+    if (enabled !== undefined) { sets.push('enabled = ?'); params.push(enabled ? 1 : 0); }
+    if (rawPath !== undefined && rawPath !== lib.path) {
+      // Moving a root (disk remounted elsewhere): rewrite the stored paths so
+      // existing rows keep their ids, views and comments.
+      let root;
+      try { root = await checkLibraryPath(rawPath, id); } catch(e) { return res.status(400).json({ error: e.message }); }
+      if (scanner.getProgress().running) return res.status(409).json({ error: 'Cannot move a library while a scan is running' });
+      const oldPrefix = lib.path.replace(/\/+$/, '') + path.sep;
+      const newPrefix = root + path.sep;
+      const like = oldPrefix.replace(/[%_\\]/g, '\\$&') + '%';
+      await pool.query(
+        'UPDATE media SET file_path = CONCAT(?, SUBSTRING(file_path, ?)) WHERE library_id = ? AND file_path LIKE ?',
+        [newPrefix, oldPrefix.length + 1, id, like]
+      );
+      await pool.query(
+        'UPDATE media SET trash_path = CONCAT(?, SUBSTRING(trash_path, ?)) WHERE library_id = ? AND trash_path LIKE ?',
+        [newPrefix, oldPrefix.length + 1, id, like]
+      );
+      await pool.query(
+        'UPDATE performers SET dir_path = CONCAT(?, SUBSTRING(dir_path, ?)) WHERE library_id = ? AND dir_path LIKE ?',
+        [newPrefix, oldPrefix.length + 1, id, like]
+      );
+      sets.push('path = ?'); params.push(root);
     }
-  });
+    if (!sets.length) return res.json(lib);
+    await pool.query(`UPDATE libraries SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+    await watcher.reloadWatcher();
+    const updated = await getLibrary(id);
+    await audit.record(req, 'library.update', { target: { type: 'library', id }, before: lib, after: updated });
+    res.json(updated);
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
+router.delete('/libraries/:id', async (req, res) => {
   try {
-    send({ status: 'started' });
-
-    // Pass onProgress callback directly — fires after each batch insert
-    const scanPromise = scanner.scanDirectory(mode, (progress) => {
-      send({ status: 'progress', ...progress });
-    });
-
-    await scanPromise;
-
-    if (!closed) {
-      const p = scanner.getProgress();
-      send({ status: 'done', ...p });
-      res.end();
+    const id = Number(req.params.id);
+    const lib = await getLibrary(id);
+    if (!lib) return res.status(404).json({ error: 'Library not found' });
+    if (scanner.getProgress().running) return res.status(409).json({ error: 'Cannot delete a library while a scan is running' });
+    let purged = 0;
+    if (req.query.purge === '1') {
+      // DB rows only — files on disk are never touched
+      const [r] = await pool.query('DELETE FROM media WHERE library_id = ?', [id]);
+      purged = r.affectedRows;
+      await pool.query(
+        'DELETE FROM performers WHERE library_id = ? AND NOT EXISTS (SELECT 1 FROM media m WHERE m.performer_id = performers.id)',
+        [id]
+      );
+      await updatePerformerCounts();
     }
-    // Enrichissement en arrière-plan (non bloquant pour le client)
-    scanner.enrichDurations(3).catch(e => console.error('[post-scan enrichDurations]', e.message));
-    scanner.generateMissingThumbs(300, 3).catch(e => console.error('[post-scan thumbs]', e.message));
-  } catch(e) {
-    send({ status: 'error', error: e.message });
-    if (!closed) res.end();
-  }
+    await pool.query('UPDATE media SET library_id = NULL WHERE library_id = ?', [id]);
+    await pool.query('UPDATE performers SET library_id = NULL WHERE library_id = ?', [id]);
+    await pool.query('DELETE FROM libraries WHERE id = ?', [id]);
+    await watcher.reloadWatcher();
+    await audit.record(req, 'library.delete', { target: { type: 'library', id }, before: lib, after: { purged } });
+    res.json({ message: 'Library deleted', id, purged });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
 /* ══════════════════════════════════════════════════════════════════
-   BATCH THUMBNAIL GENERATION
+   BACKGROUND JOBS
    ══════════════════════════════════════════════════════════════════ */
-router.post('/batch-thumbs/cancel', (req, res) => {
-  // Signal handled by closed flag on the SSE request; just acknowledge
-  res.json({ message: 'Cancel requested' });
+// Enqueue a job and answer 202 with it — the client follows /admin/jobs/:id/stream
+async function startJob(req, res, type, params) {
+  try {
+    const job = await jobs.enqueue(type, params, { userId: req.user.id });
+    await auditJob(req, job);
+    res.status(202).json(job);
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+}
+
+// Audit row `job.<type>` for every job queued by hand (see services/audit.js)
+function auditJob(req, job, action = `job.${job.type}`) {
+  return audit.record(req, action, { target: { type: 'job', id: job.id }, after: { type: job.type, params: job.params } });
+}
+
+// GET /admin/jobs?status=active|queued|running|done|failed|cancelled&type=&page=&limit=
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, type, page, limit } = req.query;
+    res.json({ ...await jobs.listJobs({ status, type, page, limit }), types: jobs.getJobTypes() });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
-router.post('/batch-thumbs', async (req, res) => {
+// POST /admin/jobs { type, params, priority }
+router.post('/jobs', async (req, res) => {
+  const { type, params = {}, priority } = req.body || {};
+  if (!jobs.getJobTypes().some(t => t.type === type)) return res.status(400).json({ error: 'Unknown job type' });
+  if (typeof params !== 'object' || Array.isArray(params)) return res.status(400).json({ error: 'params must be an object' });
   try {
-    const { generateVideoThumb, generatePhotoThumb } = scanner;
+    const job = await jobs.enqueue(type, params, {
+      userId: req.user.id,
+      priority: Number.isInteger(priority) ? Math.max(0, Math.min(priority, 20)) : undefined,
+    });
+    await auditJob(req, job);
+    res.status(202).json(job);
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-    const [allMedia] = await pool.query('SELECT id, file_path, type FROM media');
-    // Thumb files are named v_<id>.jpg for videos, p_<id>.jpg for photos
-    const missing = allMedia.filter(m => {
-      const name = m.type === 'video' ? `v_${m.id}.jpg` : `p_${m.id}.jpg`;
-      return !fs.existsSync(path.join(THUMB_DIR, name));
+// GET /admin/jobs/:id — job + its last log lines (?logs=500)
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const job = await jobs.getJob(id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ ...job, logs: await jobs.getJobLogs(id, { limit: req.query.logs }) });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// SSE — GET /admin/jobs/:id/stream
+// First event: { event: 'snapshot', job, logs }, then progress / log / data / status
+// events, and { event: 'end', status, job } once the job is finished.
+router.get('/jobs/:id/stream', async (req, res) => {
+  const id = Number(req.params.id);
+  let closed = false;
+  let unsubscribe = () => {};
+  const send = d => { if (!closed) try { res.write(`data: ${JSON.stringify(d)}\n\n`); if (res.flush) res.flush(); } catch(_) {} };
+  const heartbeat = setInterval(() => { if (!closed) try { res.write(': keep-alive\n\n'); if (res.flush) res.flush(); } catch(_) {} }, 15000);
+  const finish = () => { closed = true; clearInterval(heartbeat); unsubscribe(); };
+  res.on('close', finish);
+
+  try {
+    // Subscribe before reading the snapshot so no event falls in between
+    const buffered = [];
+    let ready = false;
+    unsubscribe = jobs.subscribe(id, ev => {
+      if (!ready) { buffered.push(ev); return; }
+      send(ev);
+      if (ev.event === 'end') { res.end(); finish(); }
     });
 
+    const job = await jobs.getJob(id);
+    if (!job) { finish(); return res.status(404).json({ error: 'Job not found' }); }
+    const logs = await jobs.getJobLogs(id, { limit: req.query.logs });
+
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.flushHeaders();
 
-    let closed = false;
-    res.on('close', () => { closed = true; });
-    const send = d => { if (!closed) try { res.write(`data: ${JSON.stringify(d)}\n\n`); if (res.flush) res.flush(); } catch(_) {} };
-
-    send({ total: missing.length, done: 0 });
-    if (!missing.length) { send({ status: 'done', total: 0, done: 0 }); res.end(); return; }
-
-    let done = 0;
-    const concurrency = 3;
-    const queue = [...missing];
-
-    const worker = async () => {
-      while (queue.length && !closed) {
-        const item = queue.shift();
-        if (!item) break;
-        try {
-          if (item.type === 'video') await generateVideoThumb(item.file_path, item.id);
-          else await generatePhotoThumb(item.file_path, item.id);
-        } catch(_) {}
-        done++;
-        if (done % 5 === 0 || queue.length === 0) send({ total: missing.length, done });
-      }
-    };
-    await Promise.all(Array.from({ length: concurrency }, worker));
-    if (!closed) { send({ status: 'done', total: missing.length, done }); res.end(); }
+    send({ event: 'snapshot', job, logs });
+    if (['done', 'failed', 'cancelled'].includes(job.status)) {
+      send({ event: 'end', status: job.status, job });
+      res.end(); finish(); return;
+    }
+    ready = true;
+    // Log lines are already in the snapshot; replay only what is newer
+    for (const ev of buffered) {
+      if (ev.event === 'log') continue;
+      send(ev);
+      if (ev.event === 'end') { res.end(); finish(); return; }
+    }
   } catch(e) {
-    try { res.write(`data: ${JSON.stringify({ status: 'error', error: e.message })}\n\n`); res.end(); } catch(_) {}
+    console.error('[ADMIN]', e.message);
+    if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+    else { send({ event: 'end', status: 'error', error: e.message }); res.end(); }
+    finish();
   }
 });
 
+// POST /admin/jobs/:id/cancel
+router.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobs.cancelJob(Number(req.params.id));
+    if (!job) return res.status(409).json({ error: 'Job is not queued or running' });
+    await auditJob(req, job, 'job.cancel');
+    res.json(job);
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// POST /admin/jobs/:id/retry — failed / cancelled → queued
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await jobs.retryJob(Number(req.params.id));
+    if (!job) return res.status(409).json({ error: 'Only failed or cancelled jobs can be retried' });
+    await auditJob(req, job, 'job.retry');
+    res.status(202).json(job);
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// DELETE /admin/jobs/:id — finished jobs only (logs cascade)
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const job = await jobs.getJob(id);
+    if (!await jobs.deleteJob(id)) return res.status(409).json({ error: 'Job not found or still active' });
+    await auditJob(req, job, 'job.delete');
+    res.json({ message: 'Deleted' });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   SCHEDULES
+   ══════════════════════════════════════════════════════════════════ */
+router.get('/schedules', async (req, res) => {
+  try {
+    res.json({ data: await scheduler.listSchedules(), types: jobs.getJobTypes() });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// Validation errors (e.invalid: bad cron, unknown job type…) are user-facing → 400
+router.post('/schedules', async (req, res) => {
+  let schedule;
+  try { schedule = await scheduler.createSchedule(req.body || {}); }
+  catch(e) {
+    if (e.invalid) return res.status(400).json({ error: e.message });
+    console.error('[ADMIN]', e.message); return res.status(500).json({ error: 'Internal server error' });
+  }
+  await audit.record(req, 'schedule.create', { target: { type: 'schedule', id: schedule.id }, after: schedule });
+  res.status(201).json(schedule);
+});
+
+router.patch('/schedules/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  let before, schedule;
+  try {
+    before = await scheduler.getSchedule(id);
+    schedule = await scheduler.updateSchedule(id, req.body || {});
+  }
+  catch(e) {
+    if (e.invalid) return res.status(400).json({ error: e.message });
+    console.error('[ADMIN]', e.message); return res.status(500).json({ error: 'Internal server error' });
+  }
+  if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+  await audit.record(req, 'schedule.update', { target: { type: 'schedule', id }, before, after: schedule });
+  res.json(schedule);
+});
+
+router.delete('/schedules/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const before = await scheduler.getSchedule(id);
+    if (!await scheduler.deleteSchedule(id)) return res.status(404).json({ error: 'Schedule not found' });
+    await audit.record(req, 'schedule.delete', { target: { type: 'schedule', id }, before });
+    res.json({ message: 'Deleted' });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+router.post('/schedules/:id/run', async (req, res) => {
+  try {
+    const job = await scheduler.runSchedule(Number(req.params.id), req.user.id);
+    if (!job) return res.status(404).json({ error: 'Schedule not found' });
+    await auditJob(req, job);
+    res.status(202).json(job);
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   SCAN + BATCH THUMBNAILS (jobs)
+   ══════════════════════════════════════════════════════════════════ */
+// POST /admin/scan { mode } — enrich + thumbs jobs are queued when it finishes
+router.post('/scan', (req, res) => {
+  const { mode = 'all' } = req.body || {};
+  if (!['all', 'photos', 'videos'].includes(mode)) return res.status(400).json({ error: 'Invalid mode' });
+  startJob(req, res, 'scan', { mode });
+});
+
+// POST /admin/scan/cancel — cancel every queued / running scan job
+router.post('/scan/cancel', async (req, res) => {
+  try {
+    const { jobs: ids } = await cancelScanJobs();
+    await audit.record(req, 'scan.cancel', { after: { jobs: ids } });
+    res.json({ message: 'Cancel requested', jobs: ids });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// POST /admin/batch-thumbs — every media whose thumbnail file is missing
+router.post('/batch-thumbs', (req, res) => startJob(req, res, 'thumbs', { all: true }));
+
+// POST /admin/batch-trickplay — every video without its trickplay sprite sheet
+router.post('/batch-trickplay', (req, res) => startJob(req, res, 'trickplay', { all: true }));
+
+// POST /admin/batch-previews — every video without a hover preview clip
+router.post('/batch-previews', (req, res) => startJob(req, res, 'previews', { all: true }));
+
 /* ══════════════════════════════════════════════════════════════════
    MEDIA BROWSER
    ══════════════════════════════════════════════════════════════════ */
-// GET /admin/media?performer_id=&type=&q=&page=1&limit=60
+// GET /admin/media?performer_id=&library=&type=&q=&page=1&limit=60
 router.get('/media', async (req, res) => {
   try {
-    const { performer_id, type, q = '', page = 1, limit = 60 } = req.query;
+    const { performer_id, library, type, q = '', page = 1, limit = 60 } = req.query;
     const off = (Number(page) - 1) * Number(limit);
-    let where = ['1=1'];
+    let where = ['m.deleted_at IS NULL'];
     const params = [];
     if (performer_id) { where.push('m.performer_id = ?'); params.push(Number(performer_id)); }
+    if (library) { where.push('m.library_id = ?'); params.push(Number(library)); }
     if (type && ['video','photo'].includes(type)) { where.push('m.type = ?'); params.push(type); }
     if (q) { where.push('m.file_path LIKE ?'); params.push(`%${q}%`); }
     const whereStr = where.join(' AND ');
@@ -296,409 +640,273 @@ router.get('/media', async (req, res) => {
 });
 
 /* ══════════════════════════════════════════════════════════════════
-   DUPLICATE DETECTION
+   TAGS
    ══════════════════════════════════════════════════════════════════ */
-// SSE — POST /admin/duplicates/scan  (streams progress)
-router.post('/duplicates/scan', async (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  let closed = false;
-  const send = (data) => {
-    if (!closed) try { res.write(`data: ${JSON.stringify(data)}\n\n`); if (res.flush) res.flush(); } catch(_) {}
-  };
-  res.on('close', () => { closed = true; });
-
+// GET /admin/tags?q=
+router.get('/tags', async (req, res) => {
   try {
-    const { mediaType = 'all' } = req.body || {}; // 'all' | 'video' | 'photo'
-    const typeFilter = (mediaType === 'video' || mediaType === 'photo') ? mediaType : null;
-    const typeLabel  = typeFilter === 'video' ? 'vidéos' : typeFilter === 'photo' ? 'photos' : 'médias';
-
-    // Phase 1: load media (filtered by type if requested)
-    send({ status: 'phase', phase: 'loading', message: `Chargement des ${typeLabel}…` });
+    const q = String(req.query.q || '').trim();
     const [rows] = await pool.query(
-      typeFilter
-        ? `SELECT m.id, m.file_path, m.size, m.type, m.performer_id, p.name as performer_name
-           FROM media m JOIN performers p ON p.id = m.performer_id WHERE m.type = ?`
-        : `SELECT m.id, m.file_path, m.size, m.type, m.performer_id, p.name as performer_name
-           FROM media m JOIN performers p ON p.id = m.performer_id`,
-      typeFilter ? [typeFilter] : []
+      `SELECT t.id, t.name,
+              (SELECT COUNT(*) FROM media_tags mt WHERE mt.tag_id = t.id AND mt.source = 'auto')   AS auto_count,
+              (SELECT COUNT(*) FROM media_tags mt WHERE mt.tag_id = t.id AND mt.source = 'manual') AS manual_count,
+              (SELECT COUNT(*) FROM performer_tags pt WHERE pt.tag_id = t.id)                      AS performer_count
+       FROM tags t ${q ? 'WHERE t.name LIKE ?' : ''}
+       ORDER BY t.name`,
+      q ? [`%${q}%`] : []
     );
-    if (closed) return;
-
-    // Phase 2: stat files that have no size in DB (async, non-blocking)
-    send({ status: 'phase', phase: 'sizing', message: `Vérification des tailles (${rows.length} fichiers)…`, total: rows.length });
-    const withSize = await Promise.all(rows.map(async r => {
-      if (r.size) return r;
-      try { const st = await fs.promises.stat(r.file_path); return { ...r, size: st.size }; }
-      catch { return { ...r, size: 0 }; }
-    }));
-    if (closed) return;
-
-    // Group by identical size — only groups with ≥2 files are candidates
-    const bySizeMap = {};
-    for (const m of withSize) {
-      if (!m.size) continue;
-      if (!bySizeMap[m.size]) bySizeMap[m.size] = [];
-      bySizeMap[m.size].push(m);
-    }
-    const candidates = Object.values(bySizeMap).filter(g => g.length > 1);
-    const totalCandidateFiles = candidates.reduce((a, g) => a + g.length, 0);
+    res.json({ data: rows });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-    if (candidates.length === 0) {
-      send({ status: 'done', groups: [], count: 0 });
-      if (!closed) res.end();
-      return;
-    }
+// PATCH /admin/tags/:id { name }
+router.patch('/tags/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const name = cleanTagName(req.body?.name);
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const [[tag]] = await pool.query('SELECT id, name FROM tags WHERE id = ?', [id]);
+    if (!tag) return res.status(404).json({ error: 'Tag not found' });
+    if (!await renameTag(id, name)) return res.status(409).json({ error: 'A tag with this name already exists — merge instead' });
+    await audit.record(req, 'tag.rename', { target: { type: 'tag', id }, before: { name: tag.name }, after: { name } });
+    res.json({ id, name });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-    send({ status: 'phase', phase: 'hashing',
-      message: `Hash de ${candidates.length} groupe(s) — ${totalCandidateFiles} fichiers suspects…`,
-      total: candidates.length, done: 0 });
+// POST /admin/tags/:id/merge { into } — :id disappears, its links move to `into`
+router.post('/tags/:id/merge', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const into = Number(req.body?.into);
+    if (!into || into === id) return res.status(400).json({ error: 'into must be another tag id' });
+    const [found] = await pool.query('SELECT id, name FROM tags WHERE id IN (?, ?)', [id, into]);
+    if (found.length < 2) return res.status(404).json({ error: 'Tag not found' });
+    const media = await mergeTags(id, into);
+    await audit.record(req, 'tag.merge', {
+      target: { type: 'tag', id },
+      before: { name: found.find(t => t.id === id).name },
+      after: { into, name: found.find(t => t.id === into).name, media },
+    });
+    res.json({ ok: true, into, media });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-    // Phase 3: async hash of first 64 KB of each candidate (non-blocking fd)
-    const hashFile = async (fpath) => {
-      try {
-        const fh = await fs.promises.open(fpath, 'r');
-        const buf = Buffer.alloc(65536);
-        const { bytesRead } = await fh.read(buf, 0, 65536, 0);
-        await fh.close();
-        return crypto.createHash('md5').update(buf.slice(0, bytesRead)).digest('hex');
-      } catch { return null; }
-    };
-
-    const groups = [];
-    let done = 0;
-    for (const group of candidates) {
-      if (closed) return;
-      const hashes = await Promise.all(group.map(m => hashFile(m.file_path)));
-      const byHash = {};
-      group.forEach((m, i) => {
-        if (!hashes[i]) return;
-        if (!byHash[hashes[i]]) byHash[hashes[i]] = [];
-        byHash[hashes[i]].push(m);
-      });
-      for (const dups of Object.values(byHash)) {
-        if (dups.length > 1) groups.push(dups);
-      }
-      done++;
-      send({ status: 'progress', phase: 'hashing', done, total: candidates.length });
-    }
+// DELETE /admin/tags/:id
+router.delete('/tags/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const [[tag]] = await pool.query('SELECT name FROM tags WHERE id = ?', [id]);
+    if (!await deleteTag(id)) return res.status(404).json({ error: 'Tag not found' });
+    await audit.record(req, 'tag.delete', { target: { type: 'tag', id }, before: tag });
+    res.json({ message: 'Deleted' });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-    if (!closed) {
-      send({ status: 'done', groups, count: groups.reduce((a, g) => a + g.length, 0) });
-      res.end();
+/* ══════════════════════════════════════════════════════════════════
+   DUPLICATE DETECTION
+   ══════════════════════════════════════════════════════════════════ */
+// POST /admin/duplicates/scan { mediaType, mode, threshold } — job result: { groups, count, mode }
+// mode 'similar' compares perceptual hashes; threshold (0-32 bits) defaults to DUP_SIMILARITY_THRESHOLD
+router.post('/duplicates/scan', (req, res) => {
+  const { mediaType = 'all', mode = 'exact', threshold } = req.body || {}; // 'all' | 'video' | 'photo'
+  const params = { mediaType: ['video', 'photo'].includes(mediaType) ? mediaType : 'all' };
+  if (mode === 'similar') {
+    params.mode = 'similar';
+    const t = Number(threshold);
+    if (threshold != null && threshold !== '') {
+      if (!Number.isInteger(t) || t < 0 || t > 32) return res.status(400).json({ error: 'threshold must be an integer between 0 and 32' });
+      params.threshold = t;
     }
-  } catch(e) { send({ status: 'error', error: e.message }); if (!closed) res.end(); }
+  }
+  startJob(req, res, 'duplicates', params);
 });
 
-// POST /admin/duplicates/delete-bulk — SSE stream — bulk delete with live progress
-router.post('/duplicates/delete-bulk', async (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  let closed = false;
-  res.on('close', () => { closed = true; });
-  const send = (data) => {
-    if (!closed) try { res.write(`data: ${JSON.stringify(data)}\n\n`); if (res.flush) res.flush(); } catch(_) {}
-  };
-
+const cleanIds = list => [...new Set((Array.isArray(list) ? list : []).map(Number).filter(n => Number.isInteger(n) && n > 0))];
+
+// POST /admin/duplicates/plan { groups: [[id…]], rules: ['resolution', 'performer:Name', …] }
+// → { plans: [{ keep, remove, reason }] } — services/dedupe.js; nothing is deleted
+router.post('/duplicates/plan', async (req, res) => {
+  const { groups = [], rules } = req.body || {};
+  let parsed;
+  try { parsed = dedupe.parseRules(rules); }
+  catch(e) { return res.status(400).json({ error: e.message }); }
+  const clean = (Array.isArray(groups) ? groups : []).map(cleanIds).filter(g => g.length > 1);
+  if (!clean.length) return res.status(400).json({ error: 'groups required' });
   try {
-    const { ids = [], deleteFile = true } = req.body || {};
-    if (!ids.length) { send({ status: 'done', deleted: 0, errors: [] }); if (!closed) res.end(); return; }
-
-    send({ status: 'started', total: ids.length });
-    let deleted = 0;
-    const errors = [];
+    const metrics = await getDuplicateMetrics([...new Set(clean.flat())]);
+    const plans = clean.map(g => {
+      const rows = g.map(id => metrics.get(id)).filter(Boolean);
+      return rows.length > 1 ? dedupe.pickSurvivor(rows, parsed) : null;
+    });
+    res.json({ plans });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-    for (const id of ids) {
-      if (closed) break;
-      try {
-        const [[row]] = await pool.query('SELECT file_path, type FROM media WHERE id = ?', [id]);
-        if (!row) { send({ status: 'progress', id, done: ++deleted, total: ids.length, skipped: true }); continue; }
-        await pool.query('DELETE FROM media WHERE id = ?', [id]);
-        if (deleteFile) {
-          try { await fs.promises.unlink(row.file_path); }
-          catch(e) { if (e.code !== 'ENOENT') errors.push({ id, error: e.message }); }
-        }
-        const thumbName = row.type === 'video' ? `v_${id}.jpg` : `p_${id}.jpg`;
-        const thumbPath = path.resolve(__dirname, '../data/thumbs', thumbName);
-        try { await fs.promises.unlink(thumbPath); } catch(_) {}
-        deleted++;
-        send({ status: 'progress', id, done: deleted, total: ids.length });
-      } catch(e) {
-        errors.push({ id, error: e.message });
-        send({ status: 'progress', id, done: deleted, total: ids.length, error: e.message });
-      }
-    }
+// POST /admin/duplicates/resolve { plans: [{ keep, remove: [id…] }], deleteFile, merge }
+// keep may be null (every copy of the group deleted — nothing to merge into)
+router.post('/duplicates/resolve', (req, res) => {
+  const { plans = [], deleteFile = true, merge = true } = req.body || {};
+  const seen = new Set();
+  const clean = [];
+  for (const p of Array.isArray(plans) ? plans : []) {
+    const keep = Number(p?.keep) || null;
+    const remove = cleanIds(p?.remove).filter(id => id !== keep && !seen.has(id));
+    remove.forEach(id => seen.add(id));
+    if (remove.length) clean.push({ keep, remove });
+  }
+  if (clean.some(p => p.keep && seen.has(p.keep))) return res.status(400).json({ error: 'a kept media is removed by another plan' });
+  if (!clean.length) return res.status(400).json({ error: 'plans required' });
+  startJob(req, res, 'resolve-duplicates', { plans: clean, deleteFile: deleteFile !== false, merge: merge !== false });
+});
 
-    send({ status: 'done', deleted, errors });
-    if (!closed) res.end();
-  } catch(e) { send({ status: 'error', error: e.message }); if (!closed) res.end(); }
+// POST /admin/duplicates/delete-bulk { ids, deleteFile } — also used by the media browser
+router.post('/duplicates/delete-bulk', (req, res) => {
+  const { ids = [], deleteFile = true } = req.body || {};
+  const clean = cleanIds(ids);
+  if (!clean.length) return res.status(400).json({ error: 'ids required' });
+  startJob(req, res, 'delete-media', { ids: clean, deleteFile: deleteFile !== false });
 });
 
-// DELETE /admin/duplicates — delete a specific media file + DB record
+function auditTrash(req, { trash_path, ...row }) {
+  return audit.record(req, 'media.trash', { target: { type: 'media', id: row.id }, before: row, after: { trash_path } });
+}
+
+// DELETE /admin/duplicates — move a specific media (row + file) to the trash
 router.delete('/duplicates/:id', async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const [[row]] = await pool.query('SELECT file_path, type FROM media WHERE id = ?', [id]);
+    const row = await trash.trashMedia(id, true);
     if (!row) return res.status(404).json({ error: 'Not found' });
-    await pool.query('DELETE FROM media WHERE id = ?', [id]);
-    try { await fs.promises.unlink(row.file_path); } catch(e) {
-      if (e.code !== 'ENOENT') throw e;
-    }
-    // Remove thumb (v_ for video, p_ for photo)
-    const thumbName = row.type === 'video' ? `v_${id}.jpg` : `p_${id}.jpg`;
-    const thumbPath = path.join(THUMB_DIR, thumbName);
-    try { await fs.promises.unlink(thumbPath); } catch(_) {}
-    res.json({ message: 'Deleted', id });
+    await updatePerformerCounts([row.performer_id]);
+    await auditTrash(req, row);
+    res.json({ message: 'Moved to trash', id });
   } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
 /* ══════════════════════════════════════════════════════════════════
-   CLEAN MEDIA — native Node.js
+   CLEAN MEDIA + PURGE COURTES VIDÉOS (jobs — see services/tasks.js)
    ══════════════════════════════════════════════════════════════════ */
-router.post('/clean-media', async (req, res) => {
+// POST /admin/clean-media { dry_run, verbose }
+router.post('/clean-media', (req, res) => {
   const { dry_run = true, verbose = false } = req.body || {};
+  startJob(req, res, 'clean-media', { dry_run: dry_run !== false, verbose: !!verbose });
+});
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  let closed = false;
-  const send = d => { if (!closed) try { res.write(`data: ${JSON.stringify(d)}\n\n`); if (res.flush) res.flush(); } catch(_) {} };
-  const heartbeat = setInterval(() => { if (!closed) try { res.write(': keep-alive\n\n'); if (res.flush) res.flush(); } catch(_) {} }, 10000);
-  res.on('close', () => { closed = true; clearInterval(heartbeat); });
-
-  try {
-    send({ status: 'started', dry_run, line: `${dry_run ? '[SIMULATION]' : '[RÉEL]'} Démarrage du nettoyage — ${new Date().toLocaleString('fr-FR')}` });
-
-    // ── Phase 1 : entrées DB orphelines (fichier supprimé du disque) ─
-    send({ status: 'phase', phase: 1, label: 'Vérification des entrées DB (fichiers manquants sur disque)' });
-    const [allMedia] = await pool.query('SELECT id, file_path, type FROM media ORDER BY id');
-    const dbPaths = new Set(allMedia.map(m => m.file_path));
-    const total1  = allMedia.length;
-    send({ status: 'progress', phase: 1, done: 0, total: total1, line: `${total1} médias dans la base de données` });
-
-    const orphanedDb = [];
-    for (let i = 0; i < allMedia.length; i++) {
-      if (closed) break;
-      const m = allMedia[i];
-      let exists = true;
-      try { await fs.promises.access(m.file_path, fs.constants.F_OK); } catch(_) { exists = false; }
-      if (!exists) {
-        orphanedDb.push(m);
-        send({ status: 'progress', phase: 1, done: i + 1, total: total1, type: 'orphan_db', line: `⚠ Manquant sur disque : ${m.file_path}` });
-      } else if (verbose && (i + 1) % 1000 === 0) {
-        send({ status: 'progress', phase: 1, done: i + 1, total: total1, line: `✔ ${i + 1}/${total1} vérifiés…` });
-      }
-    }
-    send({ status: 'phase_done', phase: 1, found: orphanedDb.length, done: total1, total: total1, line: `Phase 1 terminée — ${orphanedDb.length} entrée(s) DB orpheline(s)` });
-
-    // ── Phase 2 : fichiers sur disque non indexés ─────────────────
-    send({ status: 'phase', phase: 2, label: 'Recherche des fichiers non indexés sur disque' });
-    const unindexed = [];
-    let diskScanned = 0;
-
-    async function walkDir(dir) {
-      if (closed) return;
-      let entries;
-      try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); } catch(_) { return; }
-      for (const e of entries) {
-        if (closed) return;
-        const full = path.join(dir, e.name);
-        if (e.isDirectory()) {
-          await walkDir(full);
-        } else if (e.isFile()) {
-          const ext = path.extname(e.name).toLowerCase();
-          if (VIDEO_EXTS.has(ext) || PHOTO_EXTS.has(ext)) {
-            diskScanned++;
-            if (!dbPaths.has(full)) {
-              unindexed.push(full);
-              if (verbose) send({ status: 'progress', phase: 2, done: diskScanned, total: 0, type: 'unindexed', line: `📄 Non indexé : ${full}` });
-            } else if (verbose && diskScanned % 2000 === 0) {
-              send({ status: 'progress', phase: 2, done: diskScanned, total: 0, line: `✔ ${diskScanned} fichiers parcourus…` });
-            }
-          }
-        }
-      }
-    }
-
-    await walkDir(MEDIA_DIR);
-    send({ status: 'phase_done', phase: 2, found: unindexed.length, done: diskScanned, total: diskScanned, line: `Phase 2 terminée — ${diskScanned} fichier(s) parcouru(s), ${unindexed.length} non indexé(s)` });
-
-    // ── Phase 3 : miniatures orphelines ──────────────────────────
-    send({ status: 'phase', phase: 3, label: 'Vérification des miniatures orphelines' });
-    const orphanThumbs = [];
-    const dbIds = new Set(allMedia.map(m => m.id));
-    try {
-      const thumbFiles = await fs.promises.readdir(THUMB_DIR);
-      for (const f of thumbFiles) {
-        const m = f.match(/^[vp]_(\d+)\.(jpg|png|webp)$/);
-        if (!m) continue;
-        const id = Number(m[1]);
-        if (!dbIds.has(id)) {
-          orphanThumbs.push(path.join(THUMB_DIR, f));
-          if (verbose) send({ status: 'progress', phase: 3, done: orphanThumbs.length, total: 0, type: 'orphan_thumb', line: `🖼 Miniature orpheline : ${f}` });
-        }
-      }
-    } catch(_) {}
-    send({ status: 'phase_done', phase: 3, found: orphanThumbs.length, done: orphanThumbs.length, total: orphanThumbs.length, line: `Phase 3 terminée — ${orphanThumbs.length} miniature(s) orpheline(s)` });
-
-    // ── Actions réelles (si pas dry-run) ─────────────────────────
-    let deletedDb = 0, deletedThumbs = 0;
-    if (!dry_run) {
-      if (orphanedDb.length) {
-        send({ status: 'action', line: `🗑 Suppression de ${orphanedDb.length} entrée(s) DB orpheline(s)…` });
-        for (const m of orphanedDb) {
-          if (closed) break;
-          await pool.query('DELETE FROM media WHERE id = ?', [m.id]);
-          deletedDb++;
-          if (verbose) send({ status: 'progress', phase: 4, done: deletedDb, total: orphanedDb.length, type: 'deleted_db', line: `✓ DB supprimé : [${m.id}] ${m.file_path}` });
-        }
-      }
-      if (orphanThumbs.length) {
-        send({ status: 'action', line: `🗑 Suppression de ${orphanThumbs.length} miniature(s) orpheline(s)…` });
-        for (const t of orphanThumbs) {
-          if (closed) break;
-          try { await fs.promises.unlink(t); deletedThumbs++; } catch(_) {}
-          if (verbose) send({ status: 'progress', phase: 4, done: deletedThumbs, total: orphanThumbs.length, type: 'deleted_thumb', line: `✓ Miniature supprimée : ${path.basename(t)}` });
-        }
-      }
-    }
-
-    // ── Résumé final ─────────────────────────────────────────────
-    send({
-      status: 'done', dry_run,
-      orphaned_db: orphanedDb.length, unindexed_files: unindexed.length,
-      orphaned_thumbs: orphanThumbs.length, deleted_db: deletedDb, deleted_thumbs: deletedThumbs,
-      line: [
-        '',
-        '════════════════════════════════════════',
-        `  ${dry_run ? '📋 SIMULATION — aucune modification effectuée' : '✅ NETTOYAGE TERMINÉ'}`,
-        `  Entrées DB orphelines    : ${orphanedDb.length}${!dry_run ? ` → ${deletedDb} supprimée(s)` : ''}`,
-        `  Fichiers non indexés     : ${unindexed.length}`,
-        `  Miniatures orphelines    : ${orphanThumbs.length}${!dry_run ? ` → ${deletedThumbs} supprimée(s)` : ''}`,
-        '════════════════════════════════════════',
-      ].join('\n'),
-    });
-    if (!closed) res.end();
-  } catch(e) {
-    send({ status: 'error', error: e.message, line: `❌ Erreur fatale : ${e.message}` });
-    if (!closed) res.end();
-  } finally {
-    clearInterval(heartbeat);
-  }
+// POST /admin/purge-short-videos { max_duration: secondes, dry_run }
+router.post('/purge-short-videos', (req, res) => {
+  const { max_duration = 120, dry_run = true } = req.body || {};
+  startJob(req, res, 'purge-short-videos', { max_duration: Math.max(1, Number(max_duration) || 120), dry_run: dry_run !== false });
 });
 
 /* ══════════════════════════════════════════════════════════════════
-   PURGE COURTES VIDÉOS
+   CONTENT HASHES + INTEGRITY (jobs — see services/tasks.js)
    ══════════════════════════════════════════════════════════════════ */
-// POST /admin/purge-short-videos
-// Body: { max_duration: number (secondes), dry_run: bool }
-router.post('/purge-short-videos', async (req, res) => {
-  const { max_duration = 120, dry_run = true } = req.body || {};
-  const maxSec = Math.max(1, Number(max_duration));
+// POST /admin/content-hash — also queued after every scan
+router.post('/content-hash', (req, res) => startJob(req, res, 'content-hash', {}));
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
+// POST /admin/verify-integrity { limit, all } — least recently verified files first
+router.post('/verify-integrity', (req, res) => {
+  const { limit = 1000, all = false } = req.body || {};
+  startJob(req, res, 'verify-integrity', all ? { all: true } : { limit: Math.max(1, Number(limit) || 1000) });
+});
 
-  let closed = false;
-  const send = d => { if (!closed) try { res.write(`data: ${JSON.stringify(d)}\n\n`); if (res.flush) res.flush(); } catch(_) {} };
-  const heartbeat = setInterval(() => { if (!closed) try { res.write(': keep-alive\n\n'); if (res.flush) res.flush(); } catch(_) {} }, 10000);
-  res.on('close', () => { closed = true; clearInterval(heartbeat); });
+/* ══════════════════════════════════════════════════════════════════
+   MEDIA MANAGEMENT
+   ══════════════════════════════════════════════════════════════════ */
+router.delete('/media/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const row = await trash.trashMedia(id, req.query.delete_file === '1');
+    if (!row) return res.status(404).json({ error: 'Not found' });
+    await updatePerformerCounts([row.performer_id]);
+    await auditTrash(req, row);
+    res.json({ message: 'Moved to trash', id });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
+/* ══════════════════════════════════════════════════════════════════
+   TRASH (services/trash.js)
+   ══════════════════════════════════════════════════════════════════ */
+// GET /admin/trash?q=&page=1&limit=60
+router.get('/trash', async (req, res) => {
   try {
+    const { q = '', page = 1, limit = 60 } = req.query;
+    const off = (Number(page) - 1) * Number(limit);
+    let where = 'm.deleted_at IS NOT NULL';
+    const params = [];
+    if (q) { where += ' AND m.file_path LIKE ?'; params.push(`%${q}%`); }
+    const [[{ total, total_size }]] = await pool.query(
+      `SELECT COUNT(*) as total, COALESCE(SUM(m.size), 0) as total_size FROM media m WHERE ${where}`, params);
     const [rows] = await pool.query(
-      `SELECT id, file_path, duration FROM media WHERE type = 'video' AND duration > 0 AND duration < ? ORDER BY duration ASC`,
-      [maxSec]
-    );
-
-    const totalMins = Math.floor(maxSec / 60);
-    const totalSecs = maxSec % 60;
-    const threshold = totalMins + 'min' + (totalSecs ? totalSecs + 's' : '');
-    send({ status: 'found', count: rows.length, dry_run,
-      line: `${rows.length} vidéo(s) de moins de ${threshold} trouvée(s)` });
-
-    if (!rows.length) {
-      send({ status: 'done', dry_run, deleted: 0, total: 0, line: '\n✅ Aucune vidéo à supprimer.' });
-      if (!closed) res.end();
-      return;
-    }
-
-    // Aperçu : liste toujours les fichiers
-    for (const r of rows) {
-      const m = Math.floor(r.duration / 60);
-      const s = Math.floor(r.duration % 60);
-      send({ status: 'preview', id: r.id,
-        line: `  [${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}] ${path.basename(r.file_path)}` });
-    }
-
-    if (dry_run) {
-      send({ status: 'done', dry_run: true, deleted: 0, total: rows.length,
-        line: `\n📋 SIMULATION — ${rows.length} vidéo(s) seraient supprimées.\nDécoche "dry-run" et clique sur Supprimer pour les effacer réellement.` });
-      if (!closed) res.end();
-      return;
-    }
+      `SELECT m.id, m.file_path, m.type, m.size, m.deleted_at, m.trash_path, m.merge_into, p.name AS performer_name
+       FROM media m JOIN performers p ON p.id = m.performer_id
+       WHERE ${where} ORDER BY m.deleted_at DESC, m.id DESC LIMIT ? OFFSET ?`,
+      [...params, Number(limit), off]);
+    res.json({
+      data: rows, total, total_size: Number(total_size), page: Number(page), limit: Number(limit),
+      retention_days: await trash.getRetentionDays(),
+    });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-    // Suppression réelle
-    let deleted = 0;
+// POST /admin/trash/restore { ids } — renames only, answered right away
+router.post('/trash/restore', async (req, res) => {
+  const clean = cleanIds(req.body?.ids);
+  if (!clean.length) return res.status(400).json({ error: 'ids required' });
+  try {
+    const restored = [];
     const errors = [];
-    send({ status: 'started', total: rows.length, line: `\n🗑 Suppression de ${rows.length} vidéo(s)…` });
-
-    for (const r of rows) {
-      if (closed) break;
+    const performers = new Set();
+    for (const id of clean) {
       try {
-        await pool.query('DELETE FROM media WHERE id = ?', [r.id]);
-        try { await fs.promises.unlink(r.file_path); } catch(e) { if (e.code !== 'ENOENT') errors.push({ id: r.id, error: e.message }); }
-        const thumbPath = path.join(THUMB_DIR, `v_${r.id}.jpg`);
-        try { await fs.promises.unlink(thumbPath); } catch(_) {}
-        deleted++;
-        send({ status: 'progress', done: deleted, total: rows.length, id: r.id,
-          line: `  ✓ [${deleted}/${rows.length}] ${path.basename(r.file_path)}` });
-      } catch(e) {
-        errors.push({ id: r.id, error: e.message });
-        send({ status: 'error_item', id: r.id, error: e.message,
-          line: `  ❌ ${path.basename(r.file_path)} — ${e.message}` });
-      }
+        const row = await trash.restoreMedia(id);
+        if (!row) continue;
+        restored.push(id);
+        performers.add(row.performer_id);
+        await audit.record(req, 'media.restore', {
+          target: { type: 'media', id }, before: { trash_path: row.trash_path }, after: { file_path: row.file_path },
+        });
+      } catch(e) { errors.push({ id, error: e.message }); }
     }
+    if (performers.size) await updatePerformerCounts([...performers]);
+    res.json({ restored, errors });
+  } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
 
-    send({ status: 'done', dry_run: false, deleted, total: rows.length, errors: errors.length,
-      line: `\n✅ ${deleted} vidéo(s) supprimée(s)${errors.length ? ` — ${errors.length} erreur(s)` : ''}.` });
-    if (!closed) res.end();
-    // Mettre à jour les compteurs performers en arrière-plan
-    updatePerformerCounts().catch(e => console.error('[purge updatePerformerCounts]', e.message));
-  } catch(e) {
-    send({ status: 'error', error: e.message, line: `❌ Erreur : ${e.message}` });
-    if (!closed) res.end();
-  } finally {
-    clearInterval(heartbeat);
-  }
+// POST /admin/trash/purge { ids } | { all: true }
+router.post('/trash/purge', (req, res) => {
+  const { ids, all = false } = req.body || {};
+  if (all === true) return startJob(req, res, 'empty-trash', { all: true });
+  const clean = cleanIds(ids);
+  if (!clean.length) return res.status(400).json({ error: 'ids or all required' });
+  startJob(req, res, 'empty-trash', { ids: clean });
 });
 
 /* ══════════════════════════════════════════════════════════════════
-   MEDIA MANAGEMENT
+   AUDIT LOG (services/audit.js)
    ══════════════════════════════════════════════════════════════════ */
-router.delete('/media/:id', async (req, res) => {
+// GET /admin/audit?action=&user=&target_type=&target_id=&from=&to=&q=&page=1&limit=50
+router.get('/audit', async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    const [[row]] = await pool.query('SELECT file_path, type FROM media WHERE id = ?', [id]);
-    if (!row) return res.status(404).json({ error: 'Not found' });
-    if (req.query.delete_file === '1') {
-      try { await fs.promises.unlink(row.file_path); } catch(e) { if (e.code !== 'ENOENT') throw e; }
-    }
-    await pool.query('DELETE FROM media WHERE id = ?', [id]);
-    const thumbName = row.type === 'video' ? `v_${id}.jpg` : `p_${id}.jpg`;
-    const thumbPath = path.join(THUMB_DIR, thumbName);
-    try { await fs.promises.unlink(thumbPath); } catch(_) {}
-    res.json({ message: 'Deleted', id });
+    res.json(await audit.listAudit(req.query));
   } catch(e) { console.error('[ADMIN]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
+// GET /admin/audit/export.csv — same filters, streamed (100 000 rows max)
+router.get('/audit/export.csv', async (req, res) => {
+  try {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="xflix-audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write('\uFEFF'); // BOM — Excel reads the file as UTF-8
+    for await (const chunk of audit.auditCsvLines(req.query)) {
+      if (!res.write(chunk)) await new Promise(resolve => res.once('drain', resolve));
+    }
+    res.end();
+  } catch(e) {
+    console.error('[ADMIN]', e.message);
+    if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+    else res.end();
+  }
+});
+
 module.exports = router;
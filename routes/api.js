@@ -12,48 +12,125 @@
  *   GET  /performers              — list with search, sort, filter, pagination
  *   GET  /performers/:name        — single performer by name
  *   POST /performers/:id/favorite — toggle favorite flag
+ *   POST   /performers/:id/tags        — add tags to a performer { names } (auth)
+ *   DELETE /performers/:id/tags/:tagId — remove a performer tag (auth)
  *
  * Media
  *   GET  /performers/:name/videos — paginated videos for a performer
  *   GET  /performers/:name/photos — paginated photos for a performer
+ *   GET  /performers/:name/timeline — photos grouped by year / month / day of capture
  *   GET  /media/:id               — single media record (with performer name)
  *   POST /media/:id/favorite      — toggle favorite flag
- *   POST /media/:id/view          — increment view counter
+ *   POST /media/:id/view          — increment view counter (+ personal history when logged in)
+ *
+ * Manual tags (auth) — auto tags come from the scanner and cannot be removed here
+ *   GET    /media/:id/tags        — [{ id, name, source }]
+ *   POST   /media/:id/tags        — add tags { names }
+ *   DELETE /media/:id/tags/:tagId — remove a manual tag
+ *   POST   /media/tags            — bulk { ids, add: [names], remove: [tagIds] }
+ *
+ * Libraries
+ *   GET  /libraries           — enabled media roots (id, name, type) for the library picker
+ *
+ *   Browse endpoints (performers, per-performer media, search, new, random,
+ *   recent, popular, favorites) accept ?library=<id> to restrict results to
+ *   one root.
+ *
+ *   Media in the admin trash (deleted_at set — services/trash.js) are left
+ *   out of every listing and count, and /media/:id answers 404 for them.
  *
  * Discovery
- *   GET  /search              — full-text search across media + performers
+ *   GET  /search              — FULLTEXT search (filename, performer, tags, comments) ranked by relevance
  *   GET  /random/videos       — random video sample
  *   GET  /random/photos       — random photo sample
  *   GET  /random/performer    — random performer
- *   GET  /recent              — recently viewed media
+ *   GET  /recent              — recently viewed media (per-user when a token is sent)
  *   GET  /popular             — most viewed media
  *   GET  /favorites           — globally-favorited media
  *   GET  /stats               — dashboard aggregates
  *
  * Scan (admin convenience endpoints, no auth guard here)
- *   POST /scan                — start/restart scan (returns immediately)
+ *   POST /scan                — queue a scan job (returns immediately; see /admin/jobs)
  *   GET  /scan/progress       — poll scan state
  *   POST /scan/cancel         — request cancellation
  *   POST /clear               — truncate all media tables
  *
- * Thumbnails
+ * Thumbnails (admin)
  *   POST /thumb/:id           — force-regenerate a single thumbnail
+ *   GET  /thumb/:id/candidates — scored candidate frames of a video (inline JPEGs)
+ *   POST /thumb/:id/frame     — frame at { time } (seconds) becomes the thumbnail
+ *   POST /thumb/:id/upload    — custom thumbnail from a base64 image
+ *
+ *   The admin endpoints that change something (scan, cancel, clear,
+ *   thumbnails) add a row to the audit log (services/audit.js).
  */
 const express = require('express');
 const router = express.Router();
 const fs = require('fs');
 const path = require('path');
-const { pool, clearAll, togglePerformerFavorite, toggleMediaFavorite, incrementViewCount, updateThumb,
-        getTagsForMediaBatch, getOrCreateTag, setMediaTags } = require('../db');
-const { scanDirectory, getProgress, cancelScan, generateVideoThumb, generatePhotoThumb, enrichDurations,
-        THUMB_DIR } = require('../scanner');
-const { requireAdmin } = require('../middleware/auth');
-
-const MEDIA_DIR = process.env.MEDIA_DIR || '/home/coder/OF';
+const { pool, clearAll, togglePerformerFavorite, toggleMediaFavorite, incrementViewCount, addViewHistory,
+        updateThumb, getTagsForMediaBatch, getOrCreateTag, setMediaTags, cleanTagName,
+        addMediaTags, removeMediaTags, getMediaTags, getPerformerTags, addPerformerTags,
+        removePerformerTag } = require('../db');
+const { getProgress, generateVideoThumb, generatePhotoThumb, generateThumbCandidates, pickThumbCandidate,
+        removeCandidates, grabVideoFrame, THUMB_DIR } = require('../scanner');
+const jobs = require('../services/jobs');
+const { cancelScanJobs } = require('../services/tasks');
+const audit = require('../services/audit');
+const { requireAuth, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { parseQuery, buildSearchSql, highlightRow } = require('../services/search');
 
 /** Safe numeric coercion — returns null for NaN/undefined, allowing callers to skip the filter */
 function safeInt(v) { const n = Number(v); return Number.isFinite(n) ? n : null; }
 
+/** ?library=<id> → numeric id, or null when absent / invalid */
+function libraryParam(req) { return req.query.library ? safeInt(req.query.library) : null; }
+
+// Date a photo is filed under in the timeline (see /performers/:name/timeline)
+const TIMELINE_DATE = 'COALESCE(taken_at, file_mtime, created_at)';
+
+/** YYYY-MM-DD query value */
+function isDay(v) { return typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v); }
+
+/** ORDER BY fragment — photos without a capture date go last in both directions */
+function orderByCol(col, dir) {
+  if (!/(^|\.)taken_at$/.test(col)) return `${col} ${dir}`;
+  return `${col} IS NULL, ${col} ${dir}, ${col.replace(/taken_at$/, 'id')} ${dir}`;
+}
+
+/** ?tags=4K,H.265 → ['4K', 'H.265'] (trimmed, de-duplicated, max 20) */
+function listParam(v) {
+  if (!v) return [];
+  return [...new Set(String(v).split(',').map(s => s.trim()).filter(Boolean))].slice(0, 20);
+}
+
+/**
+ * WHERE fragment for tag filters on media `m`:
+ *   tags     — required tags; tagMode=all (default) needs every one, any needs one
+ *   notTags  — media carrying any of these are excluded
+ */
+function tagFilterSql(query) {
+  const tags = listParam(query.tags);
+  const notTags = listParam(query.notTags);
+  let sql = '';
+  const params = [];
+  if (tags.length && query.tagMode === 'any') {
+    sql += ` AND EXISTS (SELECT 1 FROM media_tags mt JOIN tags t ON t.id = mt.tag_id
+                         WHERE mt.media_id = m.id AND t.name IN (?))`;
+    params.push(tags);
+  } else if (tags.length) {
+    sql += ` AND m.id IN (SELECT mt.media_id FROM media_tags mt JOIN tags t ON t.id = mt.tag_id
+                          WHERE t.name IN (?) GROUP BY mt.media_id HAVING COUNT(DISTINCT t.id) = ?)`;
+    params.push(tags, tags.length);
+  }
+  if (notTags.length) {
+    sql += ` AND NOT EXISTS (SELECT 1 FROM media_tags mt JOIN tags t ON t.id = mt.tag_id
+                             WHERE mt.media_id = m.id AND t.name IN (?))`;
+    params.push(notTags);
+  }
+  return { sql, params };
+}
+
 /** Escape SQL LIKE wildcards (% and _) in user input */
 function escapeLike(str) {
   return str.replace(/%/g, '\\%').replace(/_/g, '\\_');
@@ -89,6 +166,10 @@ router.get('/performers', async (req, res) => {
     if (minVideos) { query += ` AND p.video_count >= ?`; params.push(safeInt(minVideos)); }
     if (minPhotos) { query += ` AND p.photo_count >= ?`; params.push(safeInt(minPhotos)); }
     if (favorite === '1') { query += ` AND p.favorite = 1`; }
+    // A performer belongs to a library if it was created there or has media in it
+    const libraryId = libraryParam(req);
+    const libraryClause = ` AND (p.library_id = ? OR EXISTS (SELECT 1 FROM media lm WHERE lm.performer_id = p.id AND lm.library_id = ? AND lm.deleted_at IS NULL))`;
+    if (libraryId) { query += libraryClause; params.push(libraryId, libraryId); }
 
     // Separate count query (avoids multi-line regex issues)
     let countQuery = `SELECT COUNT(*) as cnt FROM performers p WHERE 1=1`;
@@ -96,6 +177,7 @@ router.get('/performers', async (req, res) => {
     if (minVideos) countQuery += ` AND p.video_count >= ?`;
     if (minPhotos) countQuery += ` AND p.photo_count >= ?`;
     if (favorite === '1') countQuery += ` AND p.favorite = 1`;
+    if (libraryId) countQuery += libraryClause;
     const [countRows] = await pool.query(countQuery, params);
     const total = countRows[0].cnt;
 
@@ -116,10 +198,11 @@ router.get('/performers/:name', async (req, res) => {
     const p = rows[0];
     // Attach aggregate stats (total views + total video duration)
     const [[stats]] = await pool.query(
-      'SELECT COALESCE(SUM(view_count),0) AS totalViews, COALESCE(SUM(IF(type="video",duration,0)),0) AS totalDuration FROM media WHERE performer_id = ?',
+      'SELECT COALESCE(SUM(view_count),0) AS totalViews, COALESCE(SUM(IF(type="video",duration,0)),0) AS totalDuration FROM media WHERE performer_id = ? AND deleted_at IS NULL',
       [p.id]
     );
-    res.json({ ...p, totalViews: Number(stats.totalViews), totalDuration: Number(stats.totalDuration) });
+    const tags = await getPerformerTags(p.id);
+    res.json({ ...p, totalViews: Number(stats.totalViews), totalDuration: Number(stats.totalDuration), tags });
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
@@ -132,6 +215,29 @@ router.post('/performers/:id/favorite', async (req, res) => {
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
+// POST /api/performers/:id/tags { names: [] }
+router.post('/performers/:id/tags', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const [[p]] = await pool.query('SELECT id FROM performers WHERE id = ?', [id]);
+    if (!p) return res.status(404).json({ error: 'Performer not found' });
+    const tagIds = await tagIdsFromNames(req.body?.names);
+    if (!tagIds.length) return res.status(400).json({ error: 'names required' });
+    await addPerformerTags(id, tagIds);
+    res.json({ tags: await getPerformerTags(id) });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// DELETE /api/performers/:id/tags/:tagId
+router.delete('/performers/:id/tags/:tagId', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const removed = await removePerformerTag(id, Number(req.params.tagId));
+    if (!removed) return res.status(404).json({ error: 'Tag not found on this performer' });
+    res.json({ tags: await getPerformerTags(id) });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
 /* ─── Media ──────────────────────────────────────────────────── */
 
 // GET /api/performers/:name/videos
@@ -148,7 +254,7 @@ router.get('/performers/:name/videos', async (req, res) => {
     const sortOrder = order === 'desc' ? 'DESC' : 'ASC';
     const offset = (Number(page) - 1) * limit;
 
-    let query = `SELECT * FROM media WHERE performer_id = ? AND type = 'video'`;
+    let query = `SELECT * FROM media WHERE performer_id = ? AND type = 'video' AND deleted_at IS NULL`;
     const params = [pId];
 
     if (minSize)    { query += ` AND size >= ?`;     params.push(safeInt(minSize)); }
@@ -157,6 +263,7 @@ router.get('/performers/:name/videos', async (req, res) => {
     if (maxDuration){ query += ` AND duration <= ?`; params.push(safeInt(maxDuration)); }
     if (favorite === '1') { query += ` AND favorite = 1`; }
     if (tag)        { query += ` AND id IN (SELECT mt.media_id FROM media_tags mt JOIN tags t ON t.id = mt.tag_id WHERE t.name = ?)`; params.push(tag); }
+    if (libraryParam(req)) { query += ` AND library_id = ?`; params.push(libraryParam(req)); }
 
     const [countRows] = await pool.query(query.replace('SELECT *', 'SELECT COUNT(*) as cnt'), params);
     const total = countRows[0].cnt;
@@ -167,7 +274,7 @@ router.get('/performers/:name/videos', async (req, res) => {
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
-// GET /api/performers/:name/photos
+// GET /api/performers/:name/photos?sort=filename|size|created_at|view_count|favorite|taken_at&order=
 router.get('/performers/:name/photos', async (req, res) => {
   try {
     const [pRows] = await pool.query('SELECT id FROM performers WHERE name = ?', [req.params.name]);
@@ -176,28 +283,74 @@ router.get('/performers/:name/photos', async (req, res) => {
 
     const { sort = 'filename', order = 'asc', page = 1, limit: rawLim = 100, favorite } = req.query;
     const limit = Math.min(Number(rawLim) || 100, 500);
-    const allowed = ['filename', 'size', 'created_at', 'view_count', 'favorite'];
+    const allowed = ['filename', 'size', 'created_at', 'view_count', 'favorite', 'taken_at'];
     const sortCol = allowed.includes(sort) ? sort : 'filename';
     const sortOrder = order === 'desc' ? 'DESC' : 'ASC';
     const offset = (Number(page) - 1) * limit;
 
-    let query = `SELECT * FROM media WHERE performer_id = ? AND type = 'photo'`;
+    let query = `SELECT * FROM media WHERE performer_id = ? AND type = 'photo' AND deleted_at IS NULL`;
     const params = [pId];
     if (favorite === '1') { query += ` AND favorite = 1`; }
+    if (libraryParam(req)) { query += ` AND library_id = ?`; params.push(libraryParam(req)); }
 
     const [countRows] = await pool.query(query.replace('SELECT *', 'SELECT COUNT(*) as cnt'), params);
     const total = countRows[0].cnt;
 
-    const [photos] = await pool.query(`${query} ORDER BY ${sortCol} ${sortOrder} LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    const [photos] = await pool.query(`${query} ORDER BY ${orderByCol(sortCol, sortOrder)} LIMIT ? OFFSET ?`, [...params, limit, offset]);
     res.json({ data: photos, total, page: Number(page), limit });
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
+// GET /api/performers/:name/timeline?offset=0&limit=200&favorite=1
+// Photos newest first by date: EXIF capture date, else file mtime, else
+// indexing date. `years` summarises the whole set — each month carries the
+// `offset` of its first photo so the scrubber can jump straight to it —
+// and `days` holds this page, grouped by day (a day cut by the page limit
+// continues on the next page).
+router.get('/performers/:name/timeline', async (req, res) => {
+  try {
+    const [pRows] = await pool.query('SELECT id FROM performers WHERE name = ?', [req.params.name]);
+    if (!pRows.length) return res.status(404).json({ error: 'Performer not found' });
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    let where = `WHERE performer_id = ? AND type = 'photo' AND deleted_at IS NULL`;
+    const params = [pRows[0].id];
+    if (req.query.favorite === '1') { where += ` AND favorite = 1`; }
+    if (libraryParam(req)) { where += ` AND library_id = ?`; params.push(libraryParam(req)); }
+
+    const [monthRows] = await pool.query(
+      `SELECT DATE_FORMAT(${TIMELINE_DATE}, '%Y-%m') AS ym, COUNT(*) AS cnt FROM media ${where}
+       GROUP BY ym ORDER BY ym DESC`, params);
+    const years = [];
+    let total = 0;
+    for (const r of monthRows) {
+      const [year, month] = r.ym.split('-').map(Number);
+      if (years[years.length - 1]?.year !== year) years.push({ year, count: 0, months: [] });
+      const y = years[years.length - 1];
+      y.months.push({ month, count: r.cnt, offset: total });
+      y.count += r.cnt;
+      total += r.cnt;
+    }
+
+    const [photos] = await pool.query(
+      `SELECT *, DATE_FORMAT(${TIMELINE_DATE}, '%Y-%m-%d %H:%i:%s') AS shot_at FROM media ${where}
+       ORDER BY ${TIMELINE_DATE} DESC, id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    const days = [];
+    for (const ph of photos) {
+      const date = ph.shot_at.slice(0, 10);
+      if (days[days.length - 1]?.date !== date) days.push({ date, photos: [] });
+      days[days.length - 1].photos.push(ph);
+    }
+    res.json({ total, years, offset, limit, days, hasMore: offset + photos.length < total });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
 // GET /api/media/:id
 router.get('/media/:id', async (req, res) => {
   try {
     const [rows] = await pool.query(
-      'SELECT m.*, p.name AS performer_name FROM media m JOIN performers p ON p.id = m.performer_id WHERE m.id = ?',
+      'SELECT m.*, p.name AS performer_name FROM media m JOIN performers p ON p.id = m.performer_id WHERE m.id = ? AND m.deleted_at IS NULL',
       [Number(req.params.id)]
     );
     if (!rows.length) return res.status(404).json({ error: 'Not found' });
@@ -211,13 +364,13 @@ router.get('/media/:id', async (req, res) => {
 // GET /api/media/:id/related — random videos from the same performer
 router.get('/media/:id/related', async (req, res) => {
   try {
-    const [base] = await pool.query('SELECT performer_id FROM media WHERE id = ?', [Number(req.params.id)]);
+    const [base] = await pool.query('SELECT performer_id FROM media WHERE id = ? AND deleted_at IS NULL', [Number(req.params.id)]);
     if (!base.length) return res.status(404).json({ error: 'Not found' });
     const limit = Math.min(Number(req.query.limit) || 6, 12);
     const [rows] = await pool.query(
       `SELECT m.*, p.name AS performer_name FROM media m
        JOIN performers p ON p.id = m.performer_id
-       WHERE m.performer_id = ? AND m.type = 'video' AND m.id != ?
+       WHERE m.performer_id = ? AND m.type = 'video' AND m.id != ? AND m.deleted_at IS NULL
        ORDER BY RAND() LIMIT ?`,
       [base[0].performer_id, Number(req.params.id), limit]
     );
@@ -234,13 +387,98 @@ router.post('/media/:id/favorite', async (req, res) => {
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
-// POST /api/media/:id/view
-router.post('/media/:id/view', async (req, res) => {
+// POST /api/media/:id/view — global counter, plus the caller's history if logged in
+router.post('/media/:id/view', optionalAuth, async (req, res) => {
   try {
-    await incrementViewCount(Number(req.params.id));
+    const mediaId = Number(req.params.id);
+    if (!(await incrementViewCount(mediaId))) return res.status(404).json({ error: 'Media not found' });
+    if (req.user) await addViewHistory(req.user.id, mediaId);
     res.json({ ok: true });
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
+
+/* ─── Manual tags ────────────────────────────────────────────── */
+
+const MAX_TAGS_PER_REQUEST = 20;
+const MAX_BULK_MEDIA = 500;
+
+/** Resolve (creating when needed) tag ids for a list of names. */
+async function tagIdsFromNames(names) {
+  const clean = [...new Set((Array.isArray(names) ? names : [names]).map(cleanTagName).filter(Boolean))];
+  return Promise.all(clean.slice(0, MAX_TAGS_PER_REQUEST).map(n => getOrCreateTag(n)));
+}
+
+function idList(v, max) {
+  return [...new Set((Array.isArray(v) ? v : []).map(Number).filter(n => Number.isInteger(n) && n > 0))].slice(0, max);
+}
+
+// GET /api/media/:id/tags
+router.get('/media/:id/tags', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const [[m]] = await pool.query('SELECT id FROM media WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!m) return res.status(404).json({ error: 'Media not found' });
+    res.json({ data: await getMediaTags(id) });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// POST /api/media/:id/tags { names: [] }
+router.post('/media/:id/tags', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const [[m]] = await pool.query('SELECT id FROM media WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!m) return res.status(404).json({ error: 'Media not found' });
+    const tagIds = await tagIdsFromNames(req.body?.names);
+    if (!tagIds.length) return res.status(400).json({ error: 'names required' });
+    await addMediaTags([id], tagIds);
+    res.json({ data: await getMediaTags(id) });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// DELETE /api/media/:id/tags/:tagId — manual tags only (the next scan would re-add an auto one)
+router.delete('/media/:id/tags/:tagId', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const tagId = Number(req.params.tagId);
+    const [[link]] = await pool.query(
+      `SELECT mt.source FROM media_tags mt JOIN media m ON m.id = mt.media_id
+       WHERE mt.media_id = ? AND mt.tag_id = ? AND m.deleted_at IS NULL`, [id, tagId]);
+    if (!link) return res.status(404).json({ error: 'Tag not found on this media' });
+    if (link.source === 'auto') return res.status(409).json({ error: 'Automatic tags are managed by the scanner' });
+    await removeMediaTags([id], [tagId]);
+    res.json({ data: await getMediaTags(id) });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// POST /api/media/tags { ids: [], add: [names], remove: [tagIds] } — bulk edit
+router.post('/media/tags', requireAuth, async (req, res) => {
+  try {
+    const requested = idList(req.body?.ids, MAX_BULK_MEDIA);
+    if (!requested.length) return res.status(400).json({ error: 'ids required' });
+    const [live] = await pool.query('SELECT id FROM media WHERE id IN (?) AND deleted_at IS NULL', [requested]);
+    const ids = live.map(m => m.id);
+    if (!ids.length) return res.status(404).json({ error: 'Media not found' });
+    const addIds = await tagIdsFromNames(req.body.add || []);
+    const removeIds = idList(req.body.remove, MAX_TAGS_PER_REQUEST);
+    if (!addIds.length && !removeIds.length) return res.status(400).json({ error: 'Nothing to add or remove' });
+
+    // Same rule as the single-item route: auto links stay
+    const removed = await removeMediaTags(ids, removeIds, { manualOnly: true });
+    await addMediaTags(ids, addIds);
+    res.json({ ok: true, media: ids.length, added: addIds.length, removed });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ─── Libraries ──────────────────────────────────────────────── */
+
+// GET /api/libraries — paths stay admin-only (/admin/libraries)
+router.get('/libraries', async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT id, name, type FROM libraries WHERE enabled = 1 ORDER BY name');
+    res.json({ data: rows });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
 /* ─── Tags ─────────────────────────────────────────────────── */
 
 // GET /api/tags — list all tags with usage counts
@@ -256,7 +494,7 @@ router.get('/tags', async (req, res) => {
         JOIN media_tags mt ON mt.tag_id = t.id
         JOIN media m ON m.id = mt.media_id
         JOIN performers p ON p.id = m.performer_id
-        WHERE p.name = ?
+        WHERE p.name = ? AND m.deleted_at IS NULL
         GROUP BY t.id, t.name
         HAVING count > 0
         ORDER BY count DESC, t.name
@@ -264,7 +502,9 @@ router.get('/tags', async (req, res) => {
     } else {
       [rows] = await pool.query(`
         SELECT t.id, t.name, COUNT(mt.media_id) AS count
-        FROM tags t LEFT JOIN media_tags mt ON mt.tag_id = t.id
+        FROM tags t
+        JOIN media_tags mt ON mt.tag_id = t.id
+        JOIN media m ON m.id = mt.media_id AND m.deleted_at IS NULL
         GROUP BY t.id, t.name
         HAVING count > 0
         ORDER BY count DESC, t.name
@@ -282,9 +522,10 @@ router.get('/new', async (req, res) => {
     const limit = Math.min(Number(req.query.limit) || 40, 200);
     const type = req.query.type;
     let query = `SELECT m.*, p.name AS performer_name FROM media m
-      JOIN performers p ON p.id = m.performer_id WHERE 1=1`;
+      JOIN performers p ON p.id = m.performer_id WHERE m.deleted_at IS NULL`;
     const params = [];
     if (type && ['video','photo'].includes(type)) { query += ` AND m.type = ?`; params.push(type); }
+    if (libraryParam(req)) { query += ` AND m.library_id = ?`; params.push(libraryParam(req)); }
     query += ` ORDER BY m.id DESC LIMIT ?`;
     params.push(limit);
     const [rows] = await pool.query(query, params);
@@ -294,31 +535,74 @@ router.get('/new', async (req, res) => {
 });
 /* ─── Global Search ──────────────────────────────────────────── */
 
+// GET /api/search?q=beach "golden hour" -draft&type=&minSize=…&sort=relevance|filename|…
+//               &tags=4K,H.265&tagMode=all|any&notTags=SD&takenFrom=YYYY-MM-DD&takenTo=YYYY-MM-DD
+// With q, each result carries `score` and `highlight` (escaped HTML with <mark>).
+// `facets.tags` = [{ name, count }] for the whole filtered result set.
 router.get('/search', async (req, res) => {
   try {
-    const { q = '', type, minSize, maxSize, minDuration, maxDuration, favorite, sort = 'filename', order = 'asc', page = 1, limit: rawLim = 60 } = req.query;
+    const { q = '', type, minSize, maxSize, minDuration, maxDuration, takenFrom, takenTo, favorite, order, page = 1, limit: rawLim = 60 } = req.query;
     const limit = Math.min(Number(rawLim) || 60, 200);
-    const allowed = ['filename', 'size', 'duration', 'created_at', 'view_count'];
-    const sortCol = allowed.includes(sort) ? sort : 'filename';
-    const sortOrder = order === 'desc' ? 'DESC' : 'ASC';
     const offset = (Number(page) - 1) * limit;
 
-    let query = `SELECT m.*, p.name AS performer_name FROM media m JOIN performers p ON p.id = m.performer_id WHERE 1=1`;
+    // Free text goes through the FULLTEXT index (services/search.js)
+    const parsed = parseQuery(q);
+    const text = parsed.terms.length ? buildSearchSql(parsed) : null;
+
+    // Relevance is the default order as soon as there is something to rank
+    const allowed = ['filename', 'size', 'duration', 'created_at', 'view_count', 'taken_at'];
+    const sort = req.query.sort || (text?.ranked ? 'relevance' : 'filename');
+    const byRelevance = sort === 'relevance' && text?.ranked;
+    const sortCol = allowed.includes(sort) ? sort : 'filename';
+    const sortOrder = order === 'desc' || (byRelevance && order !== 'asc') ? 'DESC' : 'ASC';
+
+    let from = `FROM media m JOIN performers p ON p.id = m.performer_id`;
+    if (text) from += ` JOIN media_search s ON s.media_id = m.id`;
+    let where = ' WHERE m.deleted_at IS NULL';
     const params = [];
 
-    if (q) { query += ` AND (m.filename LIKE ? OR p.name LIKE ?)`; params.push(`%${escapeLike(q)}%`, `%${escapeLike(q)}%`); }
-    if (type && ['video', 'photo'].includes(type)) { query += ` AND m.type = ?`; params.push(type); }
-    if (minSize) { query += ` AND m.size >= ?`; params.push(safeInt(minSize)); }
-    if (maxSize) { query += ` AND m.size <= ?`; params.push(safeInt(maxSize)); }
-    if (minDuration) { query += ` AND m.duration >= ?`; params.push(safeInt(minDuration)); }
-    if (maxDuration) { query += ` AND m.duration <= ?`; params.push(safeInt(maxDuration)); }
-    if (favorite === '1') { query += ` AND m.favorite = 1`; }
+    if (text) { where += text.where; params.push(...text.params); }
+    if (type && ['video', 'photo'].includes(type)) { where += ` AND m.type = ?`; params.push(type); }
+    if (minSize) { where += ` AND m.size >= ?`; params.push(safeInt(minSize)); }
+    if (maxSize) { where += ` AND m.size <= ?`; params.push(safeInt(maxSize)); }
+    if (minDuration) { where += ` AND m.duration >= ?`; params.push(safeInt(minDuration)); }
+    if (maxDuration) { where += ` AND m.duration <= ?`; params.push(safeInt(maxDuration)); }
+    // Date taken (photos with EXIF only) — whole days, bounds included
+    if (isDay(takenFrom)) { where += ` AND m.taken_at >= ?`; params.push(takenFrom); }
+    if (isDay(takenTo))   { where += ` AND m.taken_at < ? + INTERVAL 1 DAY`; params.push(takenTo); }
+    if (favorite === '1') { where += ` AND m.favorite = 1`; }
+    if (libraryParam(req)) { where += ` AND m.library_id = ?`; params.push(libraryParam(req)); }
+    const tagFilter = tagFilterSql(req.query);
+    where += tagFilter.sql;
+    params.push(...tagFilter.params);
+
+    const [[{ cnt: total }]] = await pool.query(`SELECT COUNT(*) as cnt ${from}${where}`, params);
+
+    const select = text
+      ? `SELECT m.*, p.name AS performer_name, s.comments AS search_comments, ${text.score} AS score`
+      : 'SELECT m.*, p.name AS performer_name';
+    const orderBy = byRelevance ? `score ${sortOrder}, m.filename ASC` : orderByCol(`m.${sortCol}`, sortOrder);
+    const [rows] = await pool.query(
+      `${select} ${from}${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+      [...(text ? text.scoreParams : []), ...params, limit, offset]
+    );
 
-    const [countRows] = await pool.query(query.replace('SELECT m.*, p.name AS performer_name', 'SELECT COUNT(*) as cnt'), params);
-    const total = countRows[0].cnt;
+    let items = await withTags(rows);
+    if (text) {
+      items = items.map(({ search_comments, ...m }) => ({
+        ...m, highlight: highlightRow({ ...m, search_comments }, parsed),
+      }));
+    }
 
-    const [items] = await pool.query(`${query} ORDER BY m.${sortCol} ${sortOrder} LIMIT ? OFFSET ?`, [...params, limit, offset]);
-    res.json({ data: items, total, page: Number(page), limit });
+    // Tag facets over the whole filtered result set (not just this page)
+    const [facetRows] = total ? await pool.query(
+      `SELECT ft.name, COUNT(*) AS count ${from}
+       JOIN media_tags fmt ON fmt.media_id = m.id JOIN tags ft ON ft.id = fmt.tag_id
+       ${where}
+       GROUP BY ft.id, ft.name ORDER BY count DESC, ft.name LIMIT 50`,
+      params
+    ) : [[]];
+    res.json({ data: items, total, page: Number(page), limit, facets: { tags: facetRows } });
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
@@ -327,13 +611,14 @@ router.get('/search', async (req, res) => {
 router.get('/random/videos', async (req, res) => {
   try {
     const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const libraryId = libraryParam(req);
     // Subquery on the index only, then JOIN — much faster than ORDER BY RAND() on full rows
     const [videos] = await pool.query(`
       SELECT m.*, p.name AS performer_name
-      FROM (SELECT id FROM media WHERE type = 'video' ORDER BY RAND() LIMIT ?) t
+      FROM (SELECT id FROM media WHERE type = 'video' AND deleted_at IS NULL${libraryId ? ' AND library_id = ?' : ''} ORDER BY RAND() LIMIT ?) t
       JOIN media m ON m.id = t.id
       JOIN performers p ON p.id = m.performer_id
-    `, [limit]);
+    `, libraryId ? [libraryId, limit] : [limit]);
     res.json({ data: videos });
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
@@ -341,19 +626,25 @@ router.get('/random/videos', async (req, res) => {
 router.get('/random/photos', async (req, res) => {
   try {
     const limit = Math.min(Number(req.query.limit) || 30, 100);
+    const libraryId = libraryParam(req);
     const [photos] = await pool.query(`
       SELECT m.*, p.name AS performer_name
-      FROM (SELECT id FROM media WHERE type = 'photo' ORDER BY RAND() LIMIT ?) t
+      FROM (SELECT id FROM media WHERE type = 'photo' AND deleted_at IS NULL${libraryId ? ' AND library_id = ?' : ''} ORDER BY RAND() LIMIT ?) t
       JOIN media m ON m.id = t.id
       JOIN performers p ON p.id = m.performer_id
-    `, [limit]);
+    `, libraryId ? [libraryId, limit] : [limit]);
     res.json({ data: photos });
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
 router.get('/random/performer', async (req, res) => {
   try {
-    const [rows] = await pool.query('SELECT * FROM performers ORDER BY RAND() LIMIT 1');
+    const libraryId = libraryParam(req);
+    const [rows] = libraryId
+      ? await pool.query(`SELECT * FROM performers p
+          WHERE p.library_id = ? OR EXISTS (SELECT 1 FROM media lm WHERE lm.performer_id = p.id AND lm.library_id = ? AND lm.deleted_at IS NULL)
+          ORDER BY RAND() LIMIT 1`, [libraryId, libraryId])
+      : await pool.query('SELECT * FROM performers ORDER BY RAND() LIMIT 1');
     if (!rows.length) return res.status(404).json({ error: 'No performers' });
     res.json(rows[0]);
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
@@ -361,15 +652,25 @@ router.get('/random/performer', async (req, res) => {
 
 /* ─── Recently Viewed ────────────────────────────────────────── */
 
-router.get('/recent', async (req, res) => {
+// Anonymous: global last_viewed. With a token: the caller's own view_history.
+router.get('/recent', optionalAuth, async (req, res) => {
   try {
     const limit = Math.min(Number(req.query.limit) || 20, 100);
     const type = req.query.type;
-    let query = `SELECT m.*, p.name AS performer_name FROM media m
-      JOIN performers p ON p.id = m.performer_id WHERE m.last_viewed IS NOT NULL`;
-    const params = [];
+    let query, params;
+    if (req.user) {
+      query = `SELECT m.*, p.name AS performer_name, vh.viewed_at FROM view_history vh
+        JOIN media m ON m.id = vh.media_id
+        JOIN performers p ON p.id = m.performer_id WHERE vh.user_id = ? AND m.deleted_at IS NULL`;
+      params = [req.user.id];
+    } else {
+      query = `SELECT m.*, p.name AS performer_name FROM media m
+        JOIN performers p ON p.id = m.performer_id WHERE m.last_viewed IS NOT NULL AND m.deleted_at IS NULL`;
+      params = [];
+    }
     if (type && ['video','photo'].includes(type)) { query += ` AND m.type = ?`; params.push(type); }
-    query += ` ORDER BY m.last_viewed DESC LIMIT ?`;
+    if (libraryParam(req)) { query += ` AND m.library_id = ?`; params.push(libraryParam(req)); }
+    query += req.user ? ` ORDER BY vh.viewed_at DESC LIMIT ?` : ` ORDER BY m.last_viewed DESC LIMIT ?`;
     params.push(limit);
     const [rows] = await pool.query(query, params);
     res.json({ data: rows });
@@ -383,9 +684,10 @@ router.get('/popular', async (req, res) => {
     const limit = Math.min(Number(req.query.limit) || 20, 100);
     const type = req.query.type;
     let query = `SELECT m.*, p.name AS performer_name FROM media m
-      JOIN performers p ON p.id = m.performer_id WHERE m.view_count > 0`;
+      JOIN performers p ON p.id = m.performer_id WHERE m.view_count > 0 AND m.deleted_at IS NULL`;
     const params = [];
     if (type && ['video','photo'].includes(type)) { query += ` AND m.type = ?`; params.push(type); }
+    if (libraryParam(req)) { query += ` AND m.library_id = ?`; params.push(libraryParam(req)); }
     query += ` ORDER BY m.view_count DESC LIMIT ?`;
     params.push(limit);
     const [rows] = await pool.query(query, params);
@@ -402,9 +704,10 @@ router.get('/favorites', async (req, res) => {
     const limit = Math.min(Number(req.query.limit) || 60, 200);
     const offset = (page - 1) * limit;
     let query = `SELECT m.*, p.name AS performer_name FROM media m
-      JOIN performers p ON p.id = m.performer_id WHERE m.favorite = 1`;
+      JOIN performers p ON p.id = m.performer_id WHERE m.favorite = 1 AND m.deleted_at IS NULL`;
     const params = [];
     if (type && ['video','photo'].includes(type)) { query += ` AND m.type = ?`; params.push(type); }
+    if (libraryParam(req)) { query += ` AND m.library_id = ?`; params.push(libraryParam(req)); }
     const [countRows] = await pool.query(query.replace('SELECT m.*, p.name AS performer_name', 'SELECT COUNT(*) as cnt'), params);
     const total = countRows[0].cnt;
     const [rows] = await pool.query(`${query} ORDER BY m.created_at DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
@@ -428,13 +731,13 @@ router.get('/stats', async (req, res) => {
       [[{ totalDuration }]],
     ] = await Promise.all([
       pool.query('SELECT COUNT(*) AS performers FROM performers'),
-      pool.query("SELECT COUNT(*) AS videos FROM media WHERE type='video'"),
-      pool.query("SELECT COUNT(*) AS photos FROM media WHERE type='photo'"),
-      pool.query('SELECT COALESCE(SUM(size),0) AS totalSize FROM media'),
-      pool.query('SELECT COUNT(*) AS favorites FROM media WHERE favorite = 1'),
-      pool.query('SELECT COALESCE(SUM(view_count),0) AS totalViews FROM media'),
+      pool.query("SELECT COUNT(*) AS videos FROM media WHERE type='video' AND deleted_at IS NULL"),
+      pool.query("SELECT COUNT(*) AS photos FROM media WHERE type='photo' AND deleted_at IS NULL"),
+      pool.query('SELECT COALESCE(SUM(size),0) AS totalSize FROM media WHERE deleted_at IS NULL'),
+      pool.query('SELECT COUNT(*) AS favorites FROM media WHERE favorite = 1 AND deleted_at IS NULL'),
+      pool.query('SELECT COALESCE(SUM(view_count),0) AS totalViews FROM media WHERE deleted_at IS NULL'),
       pool.query('SELECT COUNT(*) AS favPerformers FROM performers WHERE favorite = 1'),
-      pool.query("SELECT COALESCE(SUM(duration),0) AS totalDuration FROM media WHERE type='video'"),
+      pool.query("SELECT COALESCE(SUM(duration),0) AS totalDuration FROM media WHERE type='video' AND deleted_at IS NULL"),
     ]);
     res.json({
       performers, videos, photos,
@@ -447,43 +750,40 @@ router.get('/stats', async (req, res) => {
 
 /* ─── Scan & Clear ───────────────────────────────────────────── */
 
+// Queued as a `scan` job (services/tasks.js) — enrichment + thumbnails follow as their own jobs
 router.post('/scan', requireAdmin, async (req, res) => {
-  const progress = getProgress();
-  if (progress.running) return res.status(409).json({ error: 'Scan already in progress', progress });
-
   const mode = req.query.mode || req.body?.mode || 'all';
   if (!['all', 'photos', 'videos'].includes(mode)) {
     return res.status(400).json({ error: 'Invalid mode: use all, photos, or videos' });
   }
-
-  res.json({ message: 'Scan started', mode });
-
-  // Run scan in background, then enrich video durations
-  scanDirectory(mode)
-    .then(() => {
-      // After scan finishes, fill in durations for new videos (concurrency=3)
-      if (mode === 'all' || mode === 'videos') {
-        enrichDurations(3).catch(e => console.error('[enrichDurations]', e.message));
-      }
-    })
-    .catch(e => console.error('[SCANNER ERROR]', e.message));
+  try {
+    const job = await jobs.enqueue('scan', { mode }, { userId: req.user.id });
+    await audit.record(req, 'job.scan', { target: { type: 'job', id: job.id }, after: { type: job.type, params: job.params } });
+    res.json({ message: 'Scan started', mode, job });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
 router.get('/scan/progress', (req, res) => {
   res.json(getProgress());
 });
 
-router.post('/scan/cancel', requireAdmin, (req, res) => {
-  const cancelled = cancelScan();
-  if (!cancelled) return res.status(400).json({ error: 'No scan running' });
-  res.json({ message: 'Cancel requested' });
+router.post('/scan/cancel', requireAdmin, async (req, res) => {
+  try {
+    const { cancelled, jobs: ids } = await cancelScanJobs();
+    if (!cancelled) return res.status(400).json({ error: 'No scan running' });
+    await audit.record(req, 'scan.cancel', { after: { jobs: ids } });
+    res.json({ message: 'Cancel requested' });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
 router.post('/clear', requireAdmin, async (req, res) => {
   try {
     const progress = getProgress();
     if (progress.running) return res.status(409).json({ error: 'Cannot clear while scan is running' });
+    const [[before]] = await pool.query(
+      'SELECT (SELECT COUNT(*) FROM media) AS media, (SELECT COUNT(*) FROM performers) AS performers, (SELECT COUNT(*) FROM tags) AS tags');
     await clearAll();
+    await audit.record(req, 'db.clear', { before });
     res.json({ message: 'Database cleared' });
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
@@ -506,10 +806,52 @@ router.post('/thumb/:id', requireAdmin, async (req, res) => {
     if (!thumbPath) return res.status(500).json({ error: 'Thumbnail generation failed' });
 
     await updateThumb(media.id, thumbPath);
+    await audit.record(req, 'thumb.generate', { target: { type: 'media', id: media.id }, before: { thumb_path: media.thumb_path }, after: { thumb_path: thumbPath } });
     res.json({ thumbPath });
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
+// GET /api/thumb/:id/candidates — frames spread over the video, scored on
+// brightness / entropy / contrast; the files are deleted once inlined.
+router.get('/thumb/:id/candidates', requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT id, file_path FROM media WHERE id = ? AND type = 'video'", [Number(req.params.id)]);
+    if (!rows.length) return res.status(404).json({ error: 'Video not found' });
+    if (!fs.existsSync(rows[0].file_path)) return res.status(404).json({ error: 'File not found on disk' });
+    const candidates = await generateThumbCandidates(rows[0].file_path, rows[0].id);
+    if (!candidates?.length) return res.status(500).json({ error: 'Frame extraction failed' });
+    const best = pickThumbCandidate(candidates);
+    // Frames are full-size masters — inline a 320px copy for the picker grid
+    const sharpLib = require('sharp');
+    const data = await Promise.all(candidates.map(async c => ({
+      time: c.time, brightness: c.brightness, entropy: c.entropy, contrast: c.contrast,
+      score: c.score, blank: c.blank, best: c === best,
+      image: `data:image/jpeg;base64,${(await sharpLib(c.file).resize(320).jpeg({ quality: 80 }).toBuffer()).toString('base64')}`,
+    })));
+    await removeCandidates(candidates);
+    res.json({ data });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// POST /api/thumb/:id/frame { time } — picked candidate or the player's current position
+router.post('/thumb/:id/frame', requireAdmin, async (req, res) => {
+  try {
+    const time = Number(req.body?.time);
+    if (!Number.isFinite(time) || time < 0) return res.status(400).json({ error: '{ time: <seconds> } required in body' });
+    const [rows] = await pool.query("SELECT id, file_path, duration FROM media WHERE id = ? AND type = 'video'", [Number(req.params.id)]);
+    if (!rows.length) return res.status(404).json({ error: 'Video not found' });
+    const media = rows[0];
+    if (!fs.existsSync(media.file_path)) return res.status(404).json({ error: 'File not found on disk' });
+    // Seeking to the very end yields no frame
+    const at = media.duration ? Math.min(time, Math.max(0, media.duration - 0.5)) : time;
+    const thumbPath = await grabVideoFrame(media.file_path, media.id, at);
+    if (!thumbPath) return res.status(500).json({ error: 'Frame extraction failed' });
+    await updateThumb(media.id, thumbPath);
+    await audit.record(req, 'thumb.frame', { target: { type: 'media', id: media.id }, after: { thumb_path: thumbPath, time: at } });
+    res.json({ ok: true, thumbPath, time: at });
+  } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
 // POST /api/thumb/:id/upload — accept a base64-encoded image as a custom thumbnail
 router.post('/thumb/:id/upload', requireAdmin, async (req, res) => {
   try {
@@ -524,11 +866,14 @@ router.post('/thumb/:id/upload', requireAdmin, async (req, res) => {
     const buffer = Buffer.from(b64.replace(/^data:[^;]+;base64,/, ''), 'base64');
     const thumbName = `c_${rows[0].id}.jpg`;
     const thumbPath = path.join(THUMB_DIR, thumbName);
+    // Kept large and uncropped: /thumb/:id?w= cuts the sized variants from it
     await sharpLib(buffer)
-      .resize(320, 320, { fit: 'cover', withoutEnlargement: true })
+      .rotate()
+      .resize(1280, 1280, { fit: 'inside', withoutEnlargement: true })
       .jpeg({ quality: 85 })
       .toFile(thumbPath);
     await updateThumb(rows[0].id, thumbPath);
+    await audit.record(req, 'thumb.upload', { target: { type: 'media', id: rows[0].id }, after: { thumb_path: thumbPath, bytes: buffer.length } });
     res.json({ ok: true, thumbPath });
   } catch(e) { console.error('[API]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
@@ -1,25 +1,43 @@
 /**
  * routes/auth.js — Authentication & account management
  *
- * Mounted under /auth in server.js. Uses JWT (HS256) stored client-side
- * in localStorage. No server-side sessions — stateless by design.
+ * Mounted under /auth in server.js. Login returns a short-lived JWT access
+ * token and a refresh token, both kept client-side in localStorage. Each
+ * login is a row of the `sessions` table (services/sessions.js), so tokens
+ * can be revoked server-side.
  *
  * Endpoint summary
  * ────────────────
- *   POST /auth/register         — create account (first user → admin)
- *   POST /auth/login            — validate credentials, return JWT
- *   GET  /auth/me               — return current user profile (requires auth)
- *   POST /auth/change-password  — change password (requires auth)
- *   POST /auth/forgot-password  — send reset email (or return link in dev)
- *   POST /auth/reset-password   — consume reset token, set new password
- *   GET  /auth/config           — public: is registration open?
- *   PUT  /auth/profile          — update username / bio (requires auth)
+ *   POST   /auth/register         — create account (first user → admin)
+ *   POST   /auth/login            — validate credentials, return { token, refreshToken }
+ *                                    or, with 2FA, { twoFactor: 'verify' | 'setup', challenge }
+ *   POST   /auth/login/2fa        — second step: { challenge, code } (TOTP or recovery code)
+ *   POST   /auth/refresh          — trade a refresh token for a new pair (rotation)
+ *   POST   /auth/logout           — revoke the current session
+ *   GET    /auth/sessions         — active sessions of the user (requires auth)
+ *   DELETE /auth/sessions/:id     — revoke one of them (requires auth)
+ *   DELETE /auth/sessions         — revoke every other session (requires auth)
+ *   GET    /auth/me               — return current user profile (requires auth)
+ *   POST   /auth/change-password  — change password, revoke other sessions (requires auth)
+ *   POST   /auth/forgot-password  — send reset email (or return link in dev)
+ *   POST   /auth/reset-password   — consume reset token, set new password, revoke all sessions
+ *   GET    /auth/config           — public: is registration open?
+ *   PUT    /auth/profile          — update username / bio (requires auth)
+ *   GET    /auth/2fa              — 2FA status: enabled, recovery codes left, required
+ *   POST   /auth/2fa/setup        — new secret + otpauth:// URI (auth or setup challenge)
+ *   POST   /auth/2fa/enable       — confirm a first code → recovery codes (auth or setup challenge)
+ *   POST   /auth/2fa/disable      — { password, code } (requires auth)
+ *   POST   /auth/2fa/recovery-codes — { code } → a fresh set (requires auth)
  *
  * Security notes
  * ──────────────
  *   - Passwords are hashed with bcrypt (cost factor 12).
  *   - forgot-password always returns 200 to prevent email enumeration.
  *   - Reset tokens expire after 1 hour.
+ *   - With 2FA on, the password step only yields a 5-minute challenge; the
+ *     session opens once a TOTP or recovery code checks out. The
+ *     `require_2fa_admins` setting sends admins without 2FA through
+ *     enrolment instead (challenge purpose '2fa-setup').
  *   - JWT_SECRET must be changed in production (see .env.example).
  */
 const express = require('express');
@@ -30,10 +48,14 @@ const rateLimit = require('express-rate-limit');
 const {
   createUser, getUserByEmail, getUserById, getUserByResetToken,
   setResetToken, clearResetToken, updateLastLogin, updateUserProfile,
-  getSetting, countAdmins, pool
+  getSetting, countAdmins, pool,
+  setTotpSecret, enableTotp, disableTotp, claimTotpStep,
+  replaceRecoveryCodes, useRecoveryCode, countRecoveryCodes,
 } = require('../db');
-const { signToken, requireAuth } = require('../middleware/auth');
+const { signToken, signChallenge, verifyChallenge, requireAuth, optionalAuth } = require('../middleware/auth');
 const { sendPasswordReset } = require('../services/mail');
+const sessions = require('../services/sessions');
+const totp = require('../services/totp');
 
 // Limite uniquement les routes exposées au brute-force
 // (/config et /me ne sont pas limités — ils sont appelés à chaque chargement)
@@ -45,6 +67,38 @@ const authLimiter = rateLimit({
   message: { error: 'Too many requests — try again later' },
 });
 
+// New session for `user` → { token, refreshToken }
+async function openSession(req, user) {
+  const { sid, refreshToken } = await sessions.createSession(user.id, req);
+  return { token: signToken({ id: user.id, username: user.username, role: user.role, sid }), refreshToken };
+}
+
+// Response of a successful login (password, then 2FA if enabled)
+async function completeLogin(req, user) {
+  await updateLastLogin(user.id);
+  const tokens = await openSession(req, user);
+  return { ...tokens, user: { id: user.id, username: user.username, email: user.email, role: user.role, avatar: user.avatar } };
+}
+
+// Never send secrets back, 2FA ones included
+function safeUser({ password_hash, reset_token, reset_expires, totp_secret, totp_last_step, ...safe }) {
+  return { ...safe, totp_enabled: !!safe.totp_enabled };
+}
+
+async function twoFactorRequired(user) {
+  return user.role === 'admin' && (await getSetting('require_2fa_admins', 'false')) === 'true';
+}
+
+/** TOTP code or unused recovery code → 'totp' | 'recovery', null if neither. */
+async function checkSecondFactor(user, code) {
+  if (!user.totp_secret) return null;
+  const step = totp.verifyTotp(user.totp_secret, code);
+  if (step !== null) return (await claimTotpStep(user.id, step)) ? 'totp' : null; // replayed code
+  if (/^[0-9a-f]{5}-?[0-9a-f]{5}$/i.test(String(code || '').trim())
+      && await useRecoveryCode(user.id, totp.hashRecoveryCode(code))) return 'recovery';
+  return null;
+}
+
 /* ── Register ─────────────────────────────────────────────────── */
 router.post('/register', authLimiter, async (req, res) => {
   try {
@@ -68,8 +122,8 @@ router.post('/register', authLimiter, async (req, res) => {
     const id = await createUser(username, email.toLowerCase(), hash, role);
     await updateLastLogin(id);
 
-    const token = signToken({ id, username, role });
-    res.status(201).json({ token, user: { id, username, email: email.toLowerCase(), role } });
+    const tokens = await openSession(req, { id, username, role });
+    res.status(201).json({ ...tokens, user: { id, username, email: email.toLowerCase(), role } });
   } catch(e) {
     if (e.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Username or email already in use' });
     console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' });
@@ -88,9 +142,76 @@ router.post('/login', authLimiter, async (req, res) => {
     const ok = await bcrypt.compare(password, user.password_hash);
     if (!ok) return res.status(401).json({ error: 'Invalid email or password' });
 
-    await updateLastLogin(user.id);
-    const token = signToken({ id: user.id, username: user.username, role: user.role });
-    res.json({ token, user: { id: user.id, username: user.username, email: user.email, role: user.role, avatar: user.avatar } });
+    // The password alone doesn't open a session when a second factor is on (or due)
+    if (user.totp_enabled) return res.json({ twoFactor: 'verify', challenge: signChallenge(user, '2fa') });
+    if (await twoFactorRequired(user)) return res.json({ twoFactor: 'setup', challenge: signChallenge(user, '2fa-setup') });
+
+    res.json(await completeLogin(req, user));
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ── Login, second step (TOTP or recovery code) ──────────────────── */
+router.post('/login/2fa', authLimiter, async (req, res) => {
+  try {
+    const { challenge, code } = req.body || {};
+    const claim = verifyChallenge(challenge, '2fa');
+    const user = claim && await getUserById(claim.id);
+    if (!user || !user.totp_enabled) return res.status(401).json({ error: 'Challenge expired — log in again' });
+
+    const factor = await checkSecondFactor(user, code);
+    if (!factor) return res.status(401).json({ error: 'Invalid code' });
+    const body = await completeLogin(req, user);
+    if (factor === 'recovery') body.recoveryCodesLeft = await countRecoveryCodes(user.id);
+    res.json(body);
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ── Refresh (rotate the refresh token) ─────────────────────────── */
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await sessions.rotateSession(req.body?.refreshToken, req);
+    if (!result) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    // Another tab refreshed with the same token a moment ago — it holds the new pair
+    if (result.conflict) return res.status(409).json({ error: 'Refresh token already rotated' });
+    const user = await getUserById(result.session.user_id);
+    if (!user) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    const token = signToken({ id: user.id, username: user.username, role: user.role, sid: result.session.id });
+    res.json({ token, refreshToken: result.refreshToken });
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ── Logout ───────────────────────────────────────────────────── */
+// Works with an expired access token too: the refresh token names the session
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    if (req.user) await sessions.revokeSession(req.user.id, req.user.sid);
+    else await sessions.revokeByToken(req.body?.refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ── Sessions (devices signed in) ───────────────────────────────── */
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const rows = await sessions.listSessions(req.user.id);
+    res.json({ data: rows.map(s => ({ ...s, current: s.id === req.user.sid })) });
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'Invalid id' });
+    const ok = await sessions.revokeSession(req.user.id, id);
+    if (!ok) return res.status(404).json({ error: 'Session not found' });
+    res.json({ message: 'Session revoked', current: id === req.user.sid });
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+router.delete('/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeUserSessions(req.user.id, req.user.sid);
+    res.json({ revoked });
   } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
@@ -99,8 +220,7 @@ router.get('/me', requireAuth, async (req, res) => {
   try {
     const user = await getUserById(req.user.id);
     if (!user) return res.status(404).json({ error: 'User not found' });
-    const { password_hash, reset_token, reset_expires, ...safe } = user;
-    res.json(safe);
+    res.json(safeUser(user));
   } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
@@ -117,7 +237,9 @@ router.post('/change-password', requireAuth, async (req, res) => {
 
     const hash = await bcrypt.hash(newPassword, 12);
     await clearResetToken(req.user.id, hash);
-    res.json({ message: 'Password updated' });
+    // Whoever knew the old password is signed out everywhere but here
+    const revoked = await sessions.revokeUserSessions(req.user.id, req.user.sid);
+    res.json({ message: 'Password updated', revoked });
   } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
@@ -162,6 +284,7 @@ router.post('/reset-password', authLimiter, async (req, res) => {
 
     const hash = await bcrypt.hash(newPassword, 12);
     await clearResetToken(user.id, hash);
+    await sessions.revokeUserSessions(user.id);
     res.json({ message: 'Password reset successfully. You can now log in.' });
   } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
@@ -195,8 +318,86 @@ router.put('/profile', requireAuth, async (req, res) => {
       bio: bio?.trim(),
     });
     const user = await getUserById(req.user.id);
-    const { password_hash, reset_token, reset_expires, ...safe } = user;
-    res.json(safe);
+    res.json(safeUser(user));
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ── Two-factor authentication (TOTP) ───────────────────────────── */
+// Enrolment works with a session, or with the challenge of a login that
+// can't complete without it (2FA mandatory for admins)
+function sessionOrSetupChallenge(req, res, next) {
+  if (!req.body?.challenge) return requireAuth(req, res, next);
+  const claim = verifyChallenge(req.body.challenge, '2fa-setup');
+  if (!claim) return res.status(401).json({ error: 'Challenge expired — log in again' });
+  req.user = { id: claim.id };
+  req.setupChallenge = true;
+  next();
+}
+
+router.get('/2fa', requireAuth, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({
+      enabled: !!user.totp_enabled,
+      recoveryCodesLeft: user.totp_enabled ? await countRecoveryCodes(user.id) : 0,
+      required: await twoFactorRequired(user),
+    });
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+router.post('/2fa/setup', authLimiter, sessionOrSetupChallenge, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.totp_enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    const secret = totp.generateSecret();
+    await setTotpSecret(user.id, secret);
+    res.json({ secret, uri: totp.otpauthUri(secret, user.email) });
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+router.post('/2fa/enable', authLimiter, sessionOrSetupChallenge, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.totp_enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    if (!user.totp_secret) return res.status(400).json({ error: 'Call /auth/2fa/setup first' });
+    const step = totp.verifyTotp(user.totp_secret, req.body?.code);
+    if (step === null) return res.status(400).json({ error: 'Invalid code' });
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await enableTotp(user.id, step, recoveryCodes.map(totp.hashRecoveryCode));
+    // Shown once: only their hashes are kept
+    const body = { recoveryCodes };
+    if (req.setupChallenge) Object.assign(body, await completeLogin(req, user));
+    res.json(body);
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+router.post('/2fa/disable', authLimiter, requireAuth, async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+    const user = await getUserById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    if (await twoFactorRequired(user)) return res.status(403).json({ error: 'Two-factor authentication is mandatory for admins' });
+    if (!password || !(await bcrypt.compare(password, user.password_hash))) return res.status(401).json({ error: 'Password is incorrect' });
+    if (!(await checkSecondFactor(user, code))) return res.status(401).json({ error: 'Invalid code' });
+    await disableTotp(user.id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+router.post('/2fa/recovery-codes', authLimiter, requireAuth, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    if (!(await checkSecondFactor(user, req.body?.code))) return res.status(401).json({ error: 'Invalid code' });
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await replaceRecoveryCodes(user.id, recoveryCodes.map(totp.hashRecoveryCode));
+    res.json({ recoveryCodes });
   } catch(e) { console.error('[AUTH]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
@@ -1,5 +1,6 @@
 /**
- * routes/social.js — Social features: comments, reactions, per-user favourites
+ * routes/social.js — Social features: comments, reactions, per-user favourites,
+ *                     watch progress, view history, playlists
  *
  * Mounted under /social in server.js.
  *
@@ -20,13 +21,36 @@
  *   POST /social/favorites/:mediaId   — toggle a media as user-favourite
  *   GET  /social/favorites/:mediaId   — check if user has favourited a media
  *
+ * Watch progress (resume position, auth required)
+ *   GET    /social/progress           — "continue watching" list (unfinished videos)
+ *   GET    /social/progress/:mediaId  — saved position for one media
+ *   POST   /social/progress/:mediaId  — report { position, duration }
+ *   DELETE /social/progress/:mediaId  — forget a position (hide from the list)
+ *
+ * View history (auth required)
+ *   GET    /social/history            — paginated history, grouped by day
+ *   DELETE /social/history            — clear the whole history
+ *   DELETE /social/history/:mediaId   — remove one entry
+ *   POST   /social/history/pause      — { paused: true|false } stop / resume recording
+ *
+ * Playlists (ordered video lists, private by default)
+ *   GET    /social/playlists                    — current user’s playlists (?media=id flags membership)
+ *   GET    /social/playlists/public             — public playlists of every user (paginated)
+ *   GET    /social/playlists/:id                — playlist + items in order (owner, admin, or public)
+ *   POST   /social/playlists                    — create { name, description?, is_public?, media_id? }
+ *   PATCH  /social/playlists/:id                — rename / describe / change visibility (owner or admin)
+ *   DELETE /social/playlists/:id                — delete a playlist (owner or admin)
+ *   POST   /social/playlists/:id/items          — append { media_id } at the end
+ *   DELETE /social/playlists/:id/items/:mediaId — remove one video
+ *   PUT    /social/playlists/:id/order          — { order: [mediaId, …] } full new order (drag & drop)
+ *
  * Note: there are TWO types of favourites:
  *   • Global  — media.favorite column (admin-level, shown to everyone)
  *   • Per-user — user_favorites table (personal, requires login)
  */
 const express = require('express');
 const router = express.Router();
-const { pool } = require('../db');
+const { pool, setHistoryPaused, refreshSearchIndex } = require('../db');
 const { requireAuth, optionalAuth } = require('../middleware/auth');
 
 /* ══════════════════════════════════════════════════════════════════
@@ -69,13 +93,15 @@ router.post('/comments/:mediaId', requireAuth, async (req, res) => {
     if (content.length > 2000) return res.status(400).json({ error: 'Comment too long (max 2000 chars)' });
 
     // Verify media exists
-    const [[row]] = await pool.query('SELECT id FROM media WHERE id = ?', [mediaId]);
+    const [[row]] = await pool.query('SELECT id FROM media WHERE id = ? AND deleted_at IS NULL', [mediaId]);
     if (!row) return res.status(404).json({ error: 'Media not found' });
 
     const [result] = await pool.query(
       'INSERT INTO comments (user_id, media_id, content) VALUES (?, ?, ?)',
       [req.user.id, mediaId, content]
     );
+    // Comments are searchable — keep the media's search document current
+    refreshSearchIndex([mediaId]).catch(e => console.error('[SOCIAL]', e.message));
 
     const [[comment]] = await pool.query(
       `SELECT c.id, c.content, c.created_at, c.updated_at,
@@ -104,6 +130,7 @@ router.patch('/comments/:id', requireAuth, async (req, res) => {
     }
 
     await pool.query('UPDATE comments SET content = ? WHERE id = ?', [content, id]);
+    refreshSearchIndex([comment.media_id]).catch(e => console.error('[SOCIAL]', e.message));
     res.json({ id, content });
   } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
@@ -118,6 +145,7 @@ router.delete('/comments/:id', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Not allowed' });
     }
     await pool.query('DELETE FROM comments WHERE id = ?', [id]);
+    refreshSearchIndex([comment.media_id]).catch(e => console.error('[SOCIAL]', e.message));
     res.json({ message: 'Deleted' });
   } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
@@ -202,7 +230,7 @@ router.get('/favorites', requireAuth, async (req, res) => {
     let q = `SELECT m.*, p.name AS performer_name FROM user_favorites uf
              JOIN media m ON m.id = uf.media_id
              JOIN performers p ON p.id = m.performer_id
-             WHERE uf.user_id = ?`;
+             WHERE uf.user_id = ? AND m.deleted_at IS NULL`;
     const params = [req.user.id];
     if (type && ['video','photo'].includes(type)) { q += ' AND m.type = ?'; params.push(type); }
 
@@ -241,4 +269,383 @@ router.get('/favorites/:mediaId', requireAuth, async (req, res) => {
   } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
 });
 
+/* ══════════════════════════════════════════════════════════════════
+   WATCH PROGRESS (resume position per user)
+   ══════════════════════════════════════════════════════════════════ */
+
+// A video counts as finished once 95 % has been watched, or when less than
+// 30 s remain on anything longer than 2 min (credits, outros…).
+function isCompleted(position, duration) {
+  if (!duration || duration <= 0) return false;
+  if (position >= duration * 0.95) return true;
+  return duration > 120 && duration - position <= 30;
+}
+
+// GET /social/progress — unfinished videos, most recently watched first
+router.get('/progress', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 50);
+    const [rows] = await pool.query(
+      `SELECT m.*, p.name AS performer_name,
+              wp.position AS progress_position, wp.duration AS progress_duration,
+              wp.updated_at AS progress_updated_at
+       FROM watch_progress wp
+       JOIN media m ON m.id = wp.media_id
+       JOIN performers p ON p.id = m.performer_id
+       WHERE wp.user_id = ? AND wp.completed = 0 AND wp.position > 0 AND m.deleted_at IS NULL
+       ORDER BY wp.updated_at DESC
+       LIMIT ?`,
+      [req.user.id, limit]
+    );
+    res.json({ data: rows });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// GET /social/progress/:mediaId — saved position (0 when none)
+router.get('/progress/:mediaId', requireAuth, async (req, res) => {
+  try {
+    const [[row]] = await pool.query(
+      'SELECT position, duration, completed, updated_at FROM watch_progress WHERE user_id = ? AND media_id = ?',
+      [req.user.id, Number(req.params.mediaId)]
+    );
+    res.json(row || { position: 0, duration: null, completed: 0, updated_at: null });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// POST /social/progress/:mediaId — upsert position, computes the completed flag
+router.post('/progress/:mediaId', requireAuth, async (req, res) => {
+  try {
+    const mediaId  = Number(req.params.mediaId);
+    const position = Number(req.body?.position);
+    const duration = Number(req.body?.duration) || null;
+    if (!Number.isFinite(position) || position < 0) return res.status(400).json({ error: 'position required' });
+
+    const [[row]] = await pool.query("SELECT id FROM media WHERE id = ? AND type = 'video' AND deleted_at IS NULL", [mediaId]);
+    if (!row) return res.status(404).json({ error: 'Media not found' });
+
+    const completed = isCompleted(position, duration) ? 1 : 0;
+    await pool.query(
+      `INSERT INTO watch_progress (user_id, media_id, position, duration, completed)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE position = VALUES(position), duration = VALUES(duration),
+                               completed = VALUES(completed), updated_at = NOW()`,
+      [req.user.id, mediaId, position, duration, completed]
+    );
+    res.json({ position, duration, completed });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// DELETE /social/progress/:mediaId — remove from "continue watching"
+router.delete('/progress/:mediaId', requireAuth, async (req, res) => {
+  try {
+    await pool.query(
+      'DELETE FROM watch_progress WHERE user_id = ? AND media_id = ?',
+      [req.user.id, Number(req.params.mediaId)]
+    );
+    res.json({ message: 'Deleted' });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   VIEW HISTORY (per-user, recorded by POST /api/media/:id/view)
+   ══════════════════════════════════════════════════════════════════ */
+
+// GET /social/history — newest first, grouped by day: data = [{ date, items }]
+router.get('/history', requireAuth, async (req, res) => {
+  try {
+    const type   = req.query.type;
+    const page   = Number(req.query.page)  || 1;
+    const limit  = Math.min(Number(req.query.limit) || 50, 200);
+    const offset = (page - 1) * limit;
+
+    let where = 'WHERE vh.user_id = ? AND m.deleted_at IS NULL';
+    const params = [req.user.id];
+    if (type && ['video','photo'].includes(type)) { where += ' AND m.type = ?'; params.push(type); }
+
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) as total FROM view_history vh JOIN media m ON m.id = vh.media_id ${where}`, params
+    );
+    const [rows] = await pool.query(
+      `SELECT m.*, p.name AS performer_name,
+              vh.viewed_at, vh.views AS history_views, DATE(vh.viewed_at) AS view_date
+       FROM view_history vh
+       JOIN media m ON m.id = vh.media_id
+       JOIN performers p ON p.id = m.performer_id
+       ${where}
+       ORDER BY vh.viewed_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    // Rows are already sorted — consecutive rows of the same day form a group
+    const groups = [];
+    for (const r of rows) {
+      const last = groups[groups.length - 1];
+      if (!last || last.date !== r.view_date) groups.push({ date: r.view_date, items: [r] });
+      else last.items.push(r);
+    }
+
+    const [[user]] = await pool.query('SELECT history_paused FROM users WHERE id = ?', [req.user.id]);
+    res.json({ data: groups, total, page, limit, paused: !!user?.history_paused });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// DELETE /social/history — clear everything
+router.delete('/history', requireAuth, async (req, res) => {
+  try {
+    const [result] = await pool.query('DELETE FROM view_history WHERE user_id = ?', [req.user.id]);
+    res.json({ message: 'Deleted', deleted: result.affectedRows });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// POST /social/history/pause — { paused: bool }
+router.post('/history/pause', requireAuth, async (req, res) => {
+  try {
+    const paused = !!req.body?.paused;
+    await setHistoryPaused(req.user.id, paused);
+    res.json({ paused });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// DELETE /social/history/:mediaId — remove a single entry
+router.delete('/history/:mediaId', requireAuth, async (req, res) => {
+  try {
+    await pool.query(
+      'DELETE FROM view_history WHERE user_id = ? AND media_id = ?',
+      [req.user.id, Number(req.params.mediaId)]
+    );
+    res.json({ message: 'Deleted' });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   PLAYLISTS (per-user, ordered by playlist_items.position)
+   ══════════════════════════════════════════════════════════════════ */
+
+// Cover = first video of the playlist; duration / count are computed live
+const PLAYLIST_COLUMNS = `
+  pl.id, pl.user_id, pl.name, pl.description, pl.is_public, pl.created_at, pl.updated_at,
+  u.username,
+  (SELECT COUNT(*) FROM playlist_items pi JOIN media m ON m.id = pi.media_id
+    WHERE pi.playlist_id = pl.id AND m.deleted_at IS NULL) AS item_count,
+  (SELECT COALESCE(SUM(m.duration), 0) FROM playlist_items pi JOIN media m ON m.id = pi.media_id
+    WHERE pi.playlist_id = pl.id AND m.deleted_at IS NULL) AS total_duration,
+  (SELECT pi.media_id FROM playlist_items pi JOIN media m ON m.id = pi.media_id
+    WHERE pi.playlist_id = pl.id AND m.deleted_at IS NULL
+    ORDER BY pi.position, pi.added_at LIMIT 1) AS cover_id`;
+
+function cleanText(raw, max) {
+  if (raw === undefined || raw === null) return null;
+  return String(raw).trim().replace(/<[^>]*>/g, '').slice(0, max);
+}
+
+async function getPlaylist(id) {
+  const [[row]] = await pool.query(
+    `SELECT ${PLAYLIST_COLUMNS} FROM playlists pl JOIN users u ON u.id = pl.user_id WHERE pl.id = ?`, [id]
+  );
+  return row || null;
+}
+
+// Loads the playlist and checks that req.user may modify it.
+// Sends the 404 / 403 itself and returns null in that case.
+async function loadOwnPlaylist(req, res) {
+  const pl = await getPlaylist(Number(req.params.id));
+  if (!pl) { res.status(404).json({ error: 'Playlist not found' }); return null; }
+  if (pl.user_id !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({ error: 'Not allowed' });
+    return null;
+  }
+  return pl;
+}
+
+async function appendItem(playlistId, mediaId) {
+  const [[{ next }]] = await pool.query(
+    'SELECT COALESCE(MAX(position), -1) + 1 AS next FROM playlist_items WHERE playlist_id = ?', [playlistId]
+  );
+  const [result] = await pool.query(
+    'INSERT IGNORE INTO playlist_items (playlist_id, media_id, position) VALUES (?, ?, ?)',
+    [playlistId, mediaId, next]
+  );
+  // Touch the playlist so "recently updated" ordering reflects item changes
+  if (result.affectedRows) await pool.query('UPDATE playlists SET updated_at = NOW() WHERE id = ?', [playlistId]);
+  return result.affectedRows > 0;
+}
+
+// GET /social/playlists — own playlists, most recently updated first
+router.get('/playlists', requireAuth, async (req, res) => {
+  try {
+    const mediaId = Number(req.query.media) || null;
+    const [rows] = await pool.query(
+      `SELECT ${PLAYLIST_COLUMNS}
+              ${mediaId ? ', EXISTS(SELECT 1 FROM playlist_items pi WHERE pi.playlist_id = pl.id AND pi.media_id = ?) AS has_media' : ''}
+       FROM playlists pl JOIN users u ON u.id = pl.user_id
+       WHERE pl.user_id = ?
+       ORDER BY pl.updated_at DESC`,
+      mediaId ? [mediaId, req.user.id] : [req.user.id]
+    );
+    res.json({ data: rows });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// GET /social/playlists/public — public playlists that contain at least one video
+router.get('/playlists/public', optionalAuth, async (req, res) => {
+  try {
+    const page   = Number(req.query.page)  || 1;
+    const limit  = Math.min(Number(req.query.limit) || 40, 100);
+    const offset = (page - 1) * limit;
+    const where = 'WHERE pl.is_public = 1 AND EXISTS (SELECT 1 FROM playlist_items pi WHERE pi.playlist_id = pl.id)';
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total FROM playlists pl ${where}`);
+    const [rows] = await pool.query(
+      `SELECT ${PLAYLIST_COLUMNS} FROM playlists pl JOIN users u ON u.id = pl.user_id
+       ${where} ORDER BY pl.updated_at DESC LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+    res.json({ data: rows, total, page, limit });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// GET /social/playlists/:id — playlist + ordered items
+router.get('/playlists/:id', optionalAuth, async (req, res) => {
+  try {
+    const pl = await getPlaylist(Number(req.params.id));
+    // Private playlists are reported as missing to anyone but their owner
+    const canSee = pl && (pl.is_public || pl.user_id === req.user?.id || req.user?.role === 'admin');
+    if (!canSee) return res.status(404).json({ error: 'Playlist not found' });
+
+    const [items] = await pool.query(
+      `SELECT m.*, p.name AS performer_name, pi.position, pi.added_at
+       FROM playlist_items pi
+       JOIN media m ON m.id = pi.media_id
+       JOIN performers p ON p.id = m.performer_id
+       WHERE pi.playlist_id = ? AND m.deleted_at IS NULL
+       ORDER BY pi.position, pi.added_at`,
+      [pl.id]
+    );
+    res.json({ ...pl, owned: pl.user_id === req.user?.id, items });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// POST /social/playlists — create; media_id optionally seeds the first item
+router.post('/playlists', requireAuth, async (req, res) => {
+  try {
+    const name = cleanText(req.body?.name, 100);
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const description = cleanText(req.body?.description, 500) || null;
+    const isPublic = req.body?.is_public ? 1 : 0;
+    const mediaId = Number(req.body?.media_id) || null;
+
+    if (mediaId) {
+      const [[m]] = await pool.query('SELECT type FROM media WHERE id = ? AND deleted_at IS NULL', [mediaId]);
+      if (!m) return res.status(404).json({ error: 'Media not found' });
+      if (m.type !== 'video') return res.status(400).json({ error: 'Only videos can be added to a playlist' });
+    }
+
+    const [result] = await pool.query(
+      'INSERT INTO playlists (user_id, name, description, is_public) VALUES (?, ?, ?, ?)',
+      [req.user.id, name, description, isPublic]
+    );
+    if (mediaId) await appendItem(result.insertId, mediaId);
+    res.status(201).json(await getPlaylist(result.insertId));
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// PATCH /social/playlists/:id — { name?, description?, is_public? }
+router.patch('/playlists/:id', requireAuth, async (req, res) => {
+  try {
+    const pl = await loadOwnPlaylist(req, res);
+    if (!pl) return;
+    const body = req.body || {};
+    const sets = [];
+    const params = [];
+    if (body.name !== undefined) {
+      const name = cleanText(body.name, 100);
+      if (!name) return res.status(400).json({ error: 'name required' });
+      sets.push('name = ?'); params.push(name);
+    }
+    if (body.description !== undefined) { sets.push('description = ?'); params.push(cleanText(body.description, 500) || null); }
+    if (body.is_public !== undefined) { sets.push('is_public = ?'); params.push(body.is_public ? 1 : 0); }
+    if (!sets.length) return res.status(400).json({ error: 'Nothing to update' });
+
+    await pool.query(`UPDATE playlists SET ${sets.join(', ')} WHERE id = ?`, [...params, pl.id]);
+    res.json(await getPlaylist(pl.id));
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// DELETE /social/playlists/:id — items go with it (ON DELETE CASCADE)
+router.delete('/playlists/:id', requireAuth, async (req, res) => {
+  try {
+    const pl = await loadOwnPlaylist(req, res);
+    if (!pl) return;
+    await pool.query('DELETE FROM playlists WHERE id = ?', [pl.id]);
+    res.json({ message: 'Deleted' });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// POST /social/playlists/:id/items — { media_id } appended at the end
+router.post('/playlists/:id/items', requireAuth, async (req, res) => {
+  try {
+    const pl = await loadOwnPlaylist(req, res);
+    if (!pl) return;
+    const mediaId = Number(req.body?.media_id);
+    const [[m]] = await pool.query('SELECT type FROM media WHERE id = ? AND deleted_at IS NULL', [mediaId || 0]);
+    if (!m) return res.status(404).json({ error: 'Media not found' });
+    if (m.type !== 'video') return res.status(400).json({ error: 'Only videos can be added to a playlist' });
+
+    const added = await appendItem(pl.id, mediaId);
+    if (!added) return res.status(409).json({ error: 'Already in playlist' });
+    res.status(201).json({ added: true, item_count: pl.item_count + 1 });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// DELETE /social/playlists/:id/items/:mediaId
+router.delete('/playlists/:id/items/:mediaId', requireAuth, async (req, res) => {
+  try {
+    const pl = await loadOwnPlaylist(req, res);
+    if (!pl) return;
+    const [result] = await pool.query(
+      'DELETE FROM playlist_items WHERE playlist_id = ? AND media_id = ?', [pl.id, Number(req.params.mediaId)]
+    );
+    if (!result.affectedRows) return res.status(404).json({ error: 'Not in playlist' });
+    await pool.query('UPDATE playlists SET updated_at = NOW() WHERE id = ?', [pl.id]);
+    res.json({ message: 'Deleted' });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
+// PUT /social/playlists/:id/order — { order: [mediaId, …] }
+// The list must contain exactly the playlist's visible items (trashed media
+// are hidden from the client); positions are rewritten in a single UPDATE so a
+// concurrent reader never sees a half order. Trashed items keep their relative
+// order after the visible ones, where a restore brings them back.
+router.put('/playlists/:id/order', requireAuth, async (req, res) => {
+  try {
+    const pl = await loadOwnPlaylist(req, res);
+    if (!pl) return;
+    const order = Array.isArray(req.body?.order) ? req.body.order.map(Number) : null;
+    if (!order || order.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ error: 'order must be an array of media ids' });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT pi.media_id, m.deleted_at IS NOT NULL AS trashed
+       FROM playlist_items pi JOIN media m ON m.id = pi.media_id
+       WHERE pi.playlist_id = ? ORDER BY pi.position, pi.added_at`, [pl.id]);
+    const current = new Set(rows.filter(r => !r.trashed).map(r => r.media_id));
+    if (new Set(order).size !== order.length || order.length !== current.size || !order.every(id => current.has(id))) {
+      return res.status(409).json({ error: 'Playlist changed — reload and try again' });
+    }
+    const full = [...order, ...rows.filter(r => r.trashed).map(r => r.media_id)];
+    if (!full.length) return res.json({ order });
+
+    const cases = full.map(() => 'WHEN ? THEN ?').join(' ');
+    const params = full.flatMap((id, i) => [id, i]);
+    await pool.query(
+      `UPDATE playlist_items SET position = CASE media_id ${cases} END WHERE playlist_id = ?`,
+      [...params, pl.id]
+    );
+    await pool.query('UPDATE playlists SET updated_at = NOW() WHERE id = ?', [pl.id]);
+    res.json({ order });
+  } catch(e) { console.error('[SOCIAL]', e.message); res.status(500).json({ error: 'Internal server error' }); }
+});
+
 module.exports = router;
@@ -4,7 +4,11 @@ const fs = require('fs');
 const path = require('path');
 const contentDisposition = require('content-disposition');
 const { pool, updateThumb } = require('../db');
-const { generateVideoThumb, generatePhotoThumb } = require('../scanner');
+const {
+  generateVideoThumb, generatePhotoThumb, generateTrickplay, trickplayFiles,
+  generateThumbVariant, THUMB_WIDTHS, THUMB_FORMATS,
+} = require('../scanner');
+const hls = require('../services/hls');
 
 const THUMB_DIR = process.env.THUMB_DIR || path.join(__dirname, '..', 'data', 'thumbs');
 
@@ -17,6 +21,8 @@ const MAX_CONCURRENT_THUMBS = 3;
 let _activeThumbGen = 0;
 const _thumbQueue = [];             // resolve functions waiting for a slot
 const _thumbInProgress = new Map(); // mediaId → Promise<string|null>
+const _trickplayInProgress = new Map(); // mediaId → Promise<{ vtt, sprite }|null>
+const _variantInProgress = new Map();   // "<id>_<w>.<format>" → Promise<string|null>
 
 function _acquireThumbSlot() {
   if (_activeThumbGen < MAX_CONCURRENT_THUMBS) {
@@ -29,6 +35,39 @@ function _releaseThumbSlot() {
   const next = _thumbQueue.shift();
   if (next) { next(); } else { _activeThumbGen--; }
 }
+// Run fn() once a slot is free; concurrent callers with the same key share it
+function _generateInSlot(inProgress, key, fn) {
+  if (inProgress.has(key)) return inProgress.get(key);
+  const genPromise = (async () => {
+    await _acquireThumbSlot();
+    try { return await fn(); }
+    finally {
+      inProgress.delete(key);
+      _releaseThumbSlot();
+    }
+  })();
+  inProgress.set(key, genPromise);
+  return genPromise;
+}
+
+/* ── Responsive thumbnails ────────────────────────────────────────
+ * ?w= is snapped up to the next size of THUMB_WIDTHS (320 when absent),
+ * the format comes from the Accept header: AVIF, then WebP, then JPEG.
+ * Only formats the browser names explicitly count: wildcards are also
+ * sent by clients that cannot decode AVIF.
+ * ─────────────────────────────────────────────────────────────────*/
+function thumbWidth(w) {
+  const n = parseInt(w, 10);
+  if (!n || n < 0) return 320;
+  return THUMB_WIDTHS.find(size => size >= n) || THUMB_WIDTHS[THUMB_WIDTHS.length - 1];
+}
+function thumbFormat(accept) {
+  const listed = String(accept || '').toLowerCase().split(',')
+    .map(part => part.trim().split(/\s*;\s*/))
+    .filter(([, ...params]) => !params.some(p => /^q=0(\.0*)?$/.test(p)))
+    .map(([type]) => type);
+  return ['avif', 'webp'].find(f => listed.includes(THUMB_FORMATS[f])) || 'jpeg';
+}
 
 /**
  * Stream a video by media ID with full Range support and optimized chunking
@@ -36,7 +75,7 @@ function _releaseThumbSlot() {
  */
 router.get('/stream/:id', async (req, res) => {
   try {
-    const [rows] = await pool.query("SELECT * FROM media WHERE id = ? AND type = 'video'", [Number(req.params.id)]);
+    const [rows] = await pool.query("SELECT * FROM media WHERE id = ? AND type = 'video' AND deleted_at IS NULL", [Number(req.params.id)]);
     if (!rows.length) return res.status(404).send('Not found');
     const media = rows[0];
     if (!fs.existsSync(media.file_path)) return res.status(404).send('File not found on disk');
@@ -79,13 +118,96 @@ router.get('/stream/:id', async (req, res) => {
   } catch(e) { res.status(500).send('Server error'); }
 });
 
+/** Files generated for a video (HLS segments, trickplay sprite) are served only while it is out of the trash. */
+async function isStreamable(id) {
+  const [[row]] = await pool.query(
+    "SELECT id FROM media WHERE id = ? AND type = 'video' AND deleted_at IS NULL", [id]);
+  return !!row;
+}
+
+/**
+ * HLS master playlist — starts the remux/transcode on first request.
+ * GET /hls/:id/master.m3u8
+ *
+ * Single variant for now: the point is compatibility (MKV/AVI/HEVC…),
+ * not multi-bitrate ladders.
+ */
+router.get('/hls/:id/master.m3u8', async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT id, file_path, codec, audio_codec, width, height, bitrate FROM media WHERE id = ? AND type = 'video' AND deleted_at IS NULL",
+      [Number(req.params.id)]
+    );
+    if (!rows.length) return res.status(404).send('Not found');
+    const media = rows[0];
+
+    const state = hls.ensureHls(media);
+    if (state.status === 'unavailable') return res.status(404).send('HLS not available');
+    if (state.status === 'busy') return res.status(503).set('Retry-After', '5').send('Busy');
+
+    // Transcoded output is capped at 1080p (see services/hls.js)
+    const height = media.height ? Math.min(media.height, 1080) : null;
+    const width  = media.width && media.height ? Math.round(media.width * height / media.height / 2) * 2 : null;
+    const bandwidth = (media.bitrate || 5000) * 1000;
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth}${width && height ? `,RESOLUTION=${width}x${height}` : ''}`,
+      'index.m3u8',
+    ];
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(lines.join('\n') + '\n');
+  } catch(e) { res.status(500).send('Server error'); }
+});
+
+/**
+ * HLS media playlist — waits for the first segment when a job just started.
+ * GET /hls/:id/index.m3u8
+ */
+router.get('/hls/:id/index.m3u8', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!await isStreamable(id)) return res.status(404).send('Not found');
+    hls.touch(id);
+    const playlist = await hls.waitForPlaylist(id).catch(() => null);
+    if (!playlist) return res.status(404).send('Playlist not available');
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    // EVENT playlists grow while ffmpeg runs — never let the browser cache them
+    res.setHeader('Cache-Control', playlist.includes('#EXT-X-ENDLIST') ? 'public, max-age=3600' : 'no-cache');
+    res.send(playlist);
+  } catch(e) { res.status(500).send('Server error'); }
+});
+
+/**
+ * HLS segment
+ * GET /hls/:id/seg_00000.ts
+ */
+router.get('/hls/:id/:segment', async (req, res) => {
+  const { segment } = req.params;
+  if (!/^seg_\d{5}\.ts$/.test(segment)) return res.status(404).send('Not found');
+  const id = Number(req.params.id);
+  try {
+    if (!await isStreamable(id)) return res.status(404).send('Not found');
+  } catch(e) { return res.status(500).send('Server error'); }
+  const file = path.join(hls.HLS_DIR, String(id), segment);
+  fs.stat(file, (err, stat) => {
+    if (err) return res.status(404).send('Not found');
+    hls.touch(id);
+    res.setHeader('Content-Type', 'video/mp2t');
+    res.setHeader('Content-Length', stat.size);
+    res.setHeader('Cache-Control', 'public, max-age=86400, immutable');
+    fs.createReadStream(file, { highWaterMark: 256 * 1024 }).pipe(res);
+  });
+});
+
 /**
  * Serve a photo by media ID
  * GET /photo/:id
  */
 router.get('/photo/:id', async (req, res) => {
   try {
-    const [rows] = await pool.query("SELECT file_path, mime_type FROM media WHERE id = ? AND type = 'photo'", [Number(req.params.id)]);
+    const [rows] = await pool.query("SELECT file_path, mime_type FROM media WHERE id = ? AND type = 'photo' AND deleted_at IS NULL", [Number(req.params.id)]);
     if (!rows.length) return res.status(404).send('Not found');
     const media = rows[0];
     if (!fs.existsSync(media.file_path)) return res.status(404).send('File not found on disk');
@@ -104,7 +226,11 @@ router.get('/photo/:id', async (req, res) => {
 
 /**
  * Serve a thumbnail — auto-generates on first request if missing.
- * GET /thumb/:id
+ * GET /thumb/:id?w=160|320|640|1280   (Accept: image/avif / image/webp)
+ *
+ * The master (thumb_path) is generated as before; the requested size and
+ * format is a cached variant of it — of the original file for photos wider
+ * than the 320px master. Any failure falls back to the master JPEG.
  */
 router.get('/thumb/:id', async (req, res) => {
   try {
@@ -113,20 +239,39 @@ router.get('/thumb/:id', async (req, res) => {
     if (!rows.length) return res.status(404).send('Not found');
     const media = rows[0];
 
-    const serveThumb = (thumbPath) => {
+    const serveThumb = (thumbPath, contentType = 'image/jpeg') => {
       const stat = fs.statSync(thumbPath);
       const etag = `"t-${stat.ino}-${stat.size}"`;
+      res.setHeader('Vary', 'Accept');
       if (req.headers['if-none-match'] === etag) return res.status(304).end();
-      res.setHeader('Content-Type', 'image/jpeg');
+      res.setHeader('Content-Type', contentType);
       res.setHeader('Content-Length', stat.size);
       res.setHeader('ETag', etag);
       res.setHeader('Cache-Control', 'public, max-age=604800, immutable'); // 7d
       fs.createReadStream(thumbPath, { highWaterMark: 128 * 1024 }).pipe(res);
     };
 
+    const serveVariant = async (masterPath) => {
+      const width = thumbWidth(req.query.w);
+      const format = thumbFormat(req.headers.accept);
+      const custom = path.basename(masterPath).startsWith('c_');
+      const source = media.type === 'photo' && !custom && width > 320 && fs.existsSync(media.file_path)
+        ? media.file_path : masterPath;
+      const key = `${media.id}_${width}.${format}`;
+      // Variants are cheap next to ffmpeg: when the queue is long, hand out
+      // the master rather than a 503
+      let variant = null;
+      if (_variantInProgress.has(key) || _thumbQueue.length < MAX_CONCURRENT_THUMBS) {
+        variant = await _generateInSlot(_variantInProgress, key,
+          () => generateThumbVariant(source, media.id, { width, format, square: media.type === 'photo' }));
+      }
+      if (variant && fs.existsSync(variant)) return serveThumb(variant, THUMB_FORMATS[format]);
+      return serveThumb(masterPath);
+    };
+
     // Already have a stored thumb
     if (media.thumb_path && fs.existsSync(media.thumb_path)) {
-      return serveThumb(media.thumb_path);
+      return await serveVariant(media.thumb_path);
     }
 
     // Auto-generate thumb on first request — limited to MAX_CONCURRENT_THUMBS
@@ -146,27 +291,15 @@ router.get('/thumb/:id', async (req, res) => {
       if (_thumbQueue.length >= MAX_CONCURRENT_THUMBS) {
         return res.status(503).set('Retry-After', '4').send('Busy');
       }
-      const genPromise = (async () => {
-        await _acquireThumbSlot();
-        try {
-          if (media.type === 'photo') {
-            return await generatePhotoThumb(media.file_path, media.id);
-          } else {
-            return await generateVideoThumb(media.file_path, media.id);
-          }
-        } finally {
-          _thumbInProgress.delete(mediaId);
-          _releaseThumbSlot();
-        }
-      })();
-      _thumbInProgress.set(mediaId, genPromise);
-      thumbPath = await genPromise;
+      thumbPath = await _generateInSlot(_thumbInProgress, mediaId, () => media.type === 'photo'
+        ? generatePhotoThumb(media.file_path, media.id)
+        : generateVideoThumb(media.file_path, media.id));
     }
 
     if (thumbPath && fs.existsSync(thumbPath)) {
       // Save to DB (fire-and-forget)
       updateThumb(media.id, thumbPath).catch(() => {});
-      return serveThumb(thumbPath);
+      return await serveVariant(thumbPath);
     }
 
     // Fallback: serve photo original or placeholder
@@ -181,13 +314,88 @@ router.get('/thumb/:id', async (req, res) => {
   } catch(e) { res.status(500).send('Server error'); }
 });
 
+/**
+ * Serve the trickplay WebVTT track (seek-bar previews) — generated on first
+ * request, sharing the MAX_CONCURRENT_THUMBS slots with thumbnails.
+ * GET /trickplay/:id
+ */
+router.get('/trickplay/:id', async (req, res) => {
+  try {
+    const mediaId = Number(req.params.id);
+    const [rows] = await pool.query("SELECT id, file_path FROM media WHERE id = ? AND type = 'video' AND deleted_at IS NULL", [mediaId]);
+    if (!rows.length) return res.status(404).send('Not found');
+    const media = rows[0];
+
+    let files = trickplayFiles(media.id);
+    if (!fs.existsSync(files.vtt)) {
+      if (_trickplayInProgress.has(mediaId)) {
+        files = await _trickplayInProgress.get(mediaId);
+      } else if (fs.existsSync(media.file_path)) {
+        if (_thumbQueue.length >= MAX_CONCURRENT_THUMBS) {
+          return res.status(503).set('Retry-After', '10').send('Busy');
+        }
+        files = await _generateInSlot(_trickplayInProgress, mediaId,
+          () => generateTrickplay(media.file_path, media.id));
+      } else {
+        files = null;
+      }
+    }
+    if (!files || !fs.existsSync(files.vtt)) return res.status(404).send('Trickplay not available');
+
+    const stat = fs.statSync(files.vtt);
+    const etag = `"tp-${stat.ino}-${stat.size}"`;
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=604800'); // 7d
+    fs.createReadStream(files.vtt).pipe(res);
+  } catch(e) { res.status(500).send('Server error'); }
+});
+
+/**
+ * Sprite sheet referenced by the cues of /trickplay/:id (never generated here).
+ * GET /trickplay/:id/sprite.jpg
+ */
+router.get('/trickplay/:id/sprite.jpg', async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    if (!await isStreamable(id)) return res.status(404).send('Not found');
+  } catch(e) { return res.status(500).send('Server error'); }
+  const sprite = trickplayFiles(id).sprite;
+  fs.stat(sprite, (err, stat) => {
+    if (err) return res.status(404).send('Not found');
+    const etag = `"tp-${stat.ino}-${stat.size}"`;
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Content-Length', stat.size);
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=604800'); // 7d
+    fs.createReadStream(sprite, { highWaterMark: 128 * 1024 }).pipe(res);
+  });
+});
+
+/**
+ * Serve the hover preview clip of a video (encoded in the background by the
+ * `previews` job — 404 until then). sendFile handles Range + ETag.
+ * GET /preview/:id
+ */
+router.get('/preview/:id', async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT preview_path FROM media WHERE id = ? AND type = 'video' AND deleted_at IS NULL", [Number(req.params.id)]);
+    const previewPath = rows[0]?.preview_path;
+    if (!previewPath || !fs.existsSync(previewPath)) return res.status(404).send('Preview not available');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.sendFile(previewPath, { maxAge: '7d', headers: { 'Content-Type': 'video/mp4' } });
+  } catch(e) { res.status(500).send('Server error'); }
+});
+
 /**
  * Télécharger un média (force download avec nom de fichier original)
  * GET /download/:id
  */
 router.get('/download/:id', async (req, res) => {
   try {
-    const [rows] = await pool.query('SELECT * FROM media WHERE id = ?', [Number(req.params.id)]);
+    const [rows] = await pool.query('SELECT * FROM media WHERE id = ? AND deleted_at IS NULL', [Number(req.params.id)]);
     if (!rows.length) return res.status(404).send('Not found');
     const media = rows[0];
     if (!fs.existsSync(media.file_path)) return res.status(404).send('File not found on disk');
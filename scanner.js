@@ -3,18 +3,45 @@
  *
  * Responsibilities
  * ────────────────
- * 1. scanDirectory(mode)         — walk MEDIA_DIR, upsert performers and
- *                                   batch-insert new media rows. Supports
- *                                   live progress via SSE callback.
+ * 1. scanDirectory(mode)         — walk every enabled library root, upsert
+ *                                   performers and batch-insert new media
+ *                                   rows. Supports live progress via SSE
+ *                                   callback.
  * 2. enrichDurations(concurrency) — post-scan background job: fill in
  *                                   video durations using ffprobe.
+ *    enrichPhotoMeta(concurrency) — same for photos: dimensions, camera,
+ *                                   capture date and GPS from sharp + EXIF.
  * 3. generateMissingThumbs()     — post-scan background job: generate
  *                                   JPEG thumbnails for recent media that
  *                                   lack one.
- * 4. generateVideoThumb()        — on-demand: extract a single JPEG frame
- *                                   from a video via ffmpeg.
+ *
+ *    All accept { onProgress(done, total), isCancelled() } hooks — the
+ *    `enrich` / `photo-meta` / `thumbs` jobs of services/tasks.js run them through the
+ *    persistent queue (services/jobs.js).
+ * 4. generateVideoThumb()        — on-demand: extract a few candidate frames
+ *                                   via ffmpeg (1280px masters), keep the best
+ *                                   one scored by sharp (brightness / entropy
+ *                                   / contrast).
+ *                                   generateThumbCandidates() and
+ *                                   grabVideoFrame() back the admin picker.
  * 5. generatePhotoThumb()        — on-demand: resize a photo to 320px via
  *                                   sharp.
+ *    generateThumbVariant()      — /thumb/:id?w= : 160-1280px copy of the
+ *                                   master in JPEG, WebP or AVIF, cached.
+ * 6. generateTrickplay()         — on-demand or in batch (`trickplay` job):
+ *                                   JPEG sprite sheet + WebVTT track of
+ *                                   frames every TRICKPLAY_INTERVAL seconds,
+ *                                   shown when hovering the player's seek bar.
+ * 7. generateVideoPreview()      — background only (`previews` job, queued
+ *                                   after each scan): ~5 s silent MP4 played
+ *                                   when hovering a video card.
+ * 8. generateMissingHashes()     — `duplicates` job in "similar" mode:
+ *                                   perceptual hash of each photo / sampled
+ *                                   video frames (services/phash.js).
+ * 9. generateMissingContentHashes() — `content-hash` job (queued after each
+ *                                   scan): full SHA-256 of each file, kept in
+ *                                   media.content_hash for exact duplicates
+ *                                   and the `verify-integrity` job.
  *
  * Design decisions
  * ────────────────
@@ -23,12 +50,23 @@
  * - Insertions use INSERT IGNORE batches of 500 rows to minimise
  *   round-trips while staying idempotent.
  * - Scan state is a plain object in module scope — one scan at a time.
+ * - New files are fingerprinted (size + MD5 of the first 64 KB). When an
+ *   indexed row with the same fingerprint no longer exists on disk, the file
+ *   was renamed or moved: the row is re-pointed (`moved` in the progress)
+ *   instead of being orphaned, so its comments, reactions and favourites
+ *   survive. Rows indexed before fingerprints existed match on size alone,
+ *   and only when they are the single candidate.
  * - ffmpeg / sharp are required lazily with try/catch so the app still
  *   starts (without thumb generation) if those binaries are absent.
  *
- * Expected directory layout under MEDIA_DIR
- * ────────────────────────────────────────
- *   MEDIA_DIR/
+ * - Library roots live in the `libraries` table (admin → Médias). A
+ *   library's type ('all' | 'videos' | 'photos') is intersected with the
+ *   scan mode, and a missing root (unmounted disk) is reported as an error
+ *   without aborting the other libraries.
+ *
+ * Expected directory layout under each library root
+ * ─────────────────────────────────────────────────
+ *   /mnt/disk1/media/
  *   ├── PerformerName/       ← becomes one performers row
  *   │   ├── *.mp4 / *.jpg      ← any depth inside the subdir
  *   │   └── nested/sub/dirs/
@@ -36,12 +74,14 @@
  */
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { upsertPerformer, batchInsertMedia, updatePerformerCounts, getAllExistingFilePaths, pool,
-        getOrCreateTag, setMediaTags } = require('./db');
+        getOrCreateTag, setMediaTags, getEnabledLibraries, getMediaSizeIndex, moveMedia,
+        indexUnindexedMedia } = require('./db');
+const { parseExif } = require('./services/exif');
+const phash = require('./services/phash');
 require('dotenv').config();
 
-const MEDIA_DIR = process.env.MEDIA_DIR || '/home/coder/OF';
-
 const VIDEO_EXTS = new Set(['.mp4', '.mkv', '.avi', '.mov', '.webm', '.wmv', '.flv', '.m4v', '.ts', '.3gp']);
 const PHOTO_EXTS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.heic', '.heif', '.avif']);
 
@@ -63,6 +103,29 @@ try { sharp = require('sharp'); } catch(e) { sharp = null; }
 const THUMB_DIR = process.env.THUMB_DIR || path.join(__dirname, 'data', 'thumbs');
 if (!fs.existsSync(THUMB_DIR)) fs.mkdirSync(THUMB_DIR, { recursive: true });
 
+// Responsive thumbnails: sized / re-encoded copies of the master thumbnail (or of
+// the original photo), one file per width × format, built on first request
+const VARIANT_DIR = path.join(THUMB_DIR, 'variants');
+if (!fs.existsSync(VARIANT_DIR)) fs.mkdirSync(VARIANT_DIR, { recursive: true });
+const THUMB_WIDTHS  = [160, 320, 640, 1280];
+const THUMB_FORMATS = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg' };
+const VIDEO_THUMB_WIDTH = THUMB_WIDTHS[THUMB_WIDTHS.length - 1]; // master frame width
+
+// Trickplay: one sprite sheet + WebVTT track per video (seek-bar previews)
+const TRICKPLAY_DIR = path.join(THUMB_DIR, 'trickplay');
+if (!fs.existsSync(TRICKPLAY_DIR)) fs.mkdirSync(TRICKPLAY_DIR, { recursive: true });
+const TRICKPLAY_INTERVAL   = Math.max(1, Number(process.env.TRICKPLAY_INTERVAL) || 10); // seconds per frame
+const TRICKPLAY_WIDTH      = 160;
+const TRICKPLAY_COLUMNS    = 10;
+const TRICKPLAY_MAX_FRAMES = 400; // longer videos get a wider interval (sheet ≤ 1600×3600 at 16:9)
+
+// Hover previews: short silent MP4 stitched from a few points of each video
+const PREVIEW_DIR = path.join(THUMB_DIR, 'previews');
+if (!fs.existsSync(PREVIEW_DIR)) fs.mkdirSync(PREVIEW_DIR, { recursive: true });
+const PREVIEW_CLIPS        = 5;   // excerpts, evenly spread between 10% and 90%
+const PREVIEW_CLIP_SECONDS = 1;
+const PREVIEW_WIDTH        = 320;
+
 // ─── Scan State ────────────────────────────────────────────────
 
 let scanProgress = {
@@ -71,6 +134,7 @@ let scanProgress = {
   total: 0,
   done: 0,
   skipped: 0,
+  moved: 0,
   errors: 0,
   startedAt: null,
   finishedAt: null,
@@ -165,20 +229,164 @@ async function autoTagMedia(mediaId, meta) {
   await setMediaTags(mediaId, tagIds);
 }
 
+/**
+ * Read a photo's displayed size and EXIF fields. EXIF orientations 5-8 are
+ * rotated by 90°, so width and height are swapped to match what is shown.
+ * Returns null when sharp cannot open the file.
+ */
+async function getPhotoMeta(filePath) {
+  if (!sharp) return null;
+  try {
+    const m = await sharp(filePath, { failOn: 'none' }).metadata();
+    if (!m.width || !m.height) return null;
+    const exif = parseExif(m.exif);
+    const orientation = m.orientation || exif.orientation;
+    const swap = orientation >= 5;
+    return {
+      width:  swap ? m.height : m.width,
+      height: swap ? m.width : m.height,
+      orientation, make: exif.make, model: exif.model,
+      takenAt: exif.takenAt, lat: exif.lat, lon: exif.lon,
+    };
+  } catch(e) { return null; }
+}
+
+/**
+ * Orientation and resolution-class auto-tags for a photo (the video
+ * tags above are height-based; a photo is classed by megapixels).
+ */
+async function autoTagPhoto(mediaId, meta) {
+  const tags = [];
+  if      (meta.width > meta.height) tags.push('Paysage');
+  else if (meta.width < meta.height) tags.push('Portrait');
+  else                               tags.push('Carré');
+
+  const mp = meta.width * meta.height / 1e6;
+  if      (mp >= 20) tags.push('Très haute résolution');
+  else if (mp >= 8)  tags.push('Haute résolution');
+  else if (mp >= 2)  tags.push('Résolution moyenne');
+  else               tags.push('Basse résolution');
+
+  const tagIds = await Promise.all(tags.map(name => getOrCreateTag(name)));
+  await setMediaTags(mediaId, tagIds);
+}
+
+// Candidate frames (thumbnail picker + automatic choice), as fractions of the duration
+const CANDIDATE_DIR = path.join(THUMB_DIR, 'candidates');
+if (!fs.existsSync(CANDIDATE_DIR)) fs.mkdirSync(CANDIDATE_DIR, { recursive: true });
+const THUMB_CANDIDATE_MARKS = [0.05, 0.15, 0.3, 0.45, 0.6, 0.75];
+
+/**
+ * Extract one JPEG per timestamp (seconds) in a single ffmpeg run, at most
+ * `width` wide — by default VIDEO_THUMB_WIDTH, the master that /thumb/:id?w=
+ * variants are cut from.
+ * Every frame gets its own input seeked with -ss, so only a few GOPs are
+ * decoded (screenshots() with several timemarks decodes from the first
+ * mark to the last). Resolves to the output paths, in the order of `times`.
+ */
+function extractFrames(filePath, times, prefix, width = VIDEO_THUMB_WIDTH) {
+  const files = times.map((_, i) => path.join(CANDIDATE_DIR, `${prefix}_${i}.jpg`));
+  return new Promise((resolve, reject) => {
+    const cmd = ffmpeg();
+    times.forEach(t => cmd.input(filePath).inputOptions(['-ss', t.toFixed(2)]));
+    const scale = `scale='min(${width},iw)':-2`;
+    files.forEach((f, i) => cmd.output(f).outputOptions(['-map', `${i}:v:0`, '-frames:v', '1', '-update', '1', '-vf', scale, '-q:v', '3']));
+    cmd.on('error', reject).on('end', () => resolve(files)).run();
+  });
+}
+
+/**
+ * Score a frame with sharp: mean brightness (0-255), Shannon entropy and
+ * contrast (mean channel stdev). Black, white or flat frames (fades, title
+ * cards on a plain background) are flagged `blank`.
+ */
+async function scoreFrame(file) {
+  const { channels, entropy } = await sharp(file).stats();
+  const rgb = channels.slice(0, 3);
+  const brightness = rgb.reduce((a, c) => a + c.mean, 0) / rgb.length;
+  const contrast = rgb.reduce((a, c) => a + c.stdev, 0) / rgb.length;
+  const blank = brightness < 25 || brightness > 235 || entropy < 3 || contrast < 12;
+  const score = entropy + contrast / 32 - Math.abs(brightness - 128) / 64;
+  return {
+    brightness: Math.round(brightness), entropy: Number(entropy.toFixed(2)),
+    contrast: Math.round(contrast), blank, score: Number(score.toFixed(2)),
+  };
+}
+
+/**
+ * Extract and score THUMB_CANDIDATE_MARKS frames of a video.
+ * Resolves to [{ time, file, brightness, entropy, contrast, blank, score }]
+ * (time order, frames past the end of the stream left out), or null.
+ * The caller owns the files: keep one, removeCandidates() the rest.
+ */
+async function generateThumbCandidates(filePath, mediaId) {
+  if (!ffmpeg || !sharp) return null;
+  const duration = (await getVideoMeta(filePath))?.duration;
+  if (!duration) return null;
+  const times = THUMB_CANDIDATE_MARKS.map(f => duration * f);
+  const files = await extractFrames(filePath, times, `c${mediaId}_${Date.now()}`);
+  const out = [];
+  for (let i = 0; i < files.length; i++) {
+    if (!fs.existsSync(files[i])) continue;
+    try { out.push({ time: Number(times[i].toFixed(2)), file: files[i], ...await scoreFrame(files[i]) }); }
+    catch(_) { fs.promises.unlink(files[i]).catch(() => {}); }
+  }
+  return out;
+}
+
+/** Best candidate: highest score among non-blank frames, else highest score overall. */
+function pickThumbCandidate(candidates) {
+  const eligible = candidates.some(c => !c.blank) ? candidates.filter(c => !c.blank) : candidates;
+  return eligible.reduce((best, c) => (!best || c.score > best.score ? c : best), null);
+}
+
+function removeCandidates(candidates) {
+  return Promise.all(candidates.map(c => fs.promises.unlink(c.file).catch(() => {})));
+}
+
+/**
+ * Frame at `time` seconds as the custom thumbnail c_<id>.jpg (same file as an
+ * uploaded thumbnail — a rescan or the folder watcher never overwrites it).
+ */
+async function grabVideoFrame(filePath, mediaId, time) {
+  if (!ffmpeg) return null;
+  const [file] = await extractFrames(filePath, [Math.max(0, time)], `f${mediaId}_${Date.now()}`);
+  if (!fs.existsSync(file)) return null;
+  const thumbPath = path.join(THUMB_DIR, `c_${mediaId}.jpg`);
+  await fs.promises.rename(file, thumbPath);
+  return thumbPath;
+}
+
+/**
+ * Automatic video thumbnail: the best-scored candidate frame, so a black
+ * intro or a title card is skipped. Falls back to the frame at 10% when
+ * sharp is missing or no candidate could be extracted.
+ */
 async function generateVideoThumb(filePath, mediaId) {
   if (!ffmpeg) return null;
   const thumbName = `v_${mediaId}.jpg`;
   const thumbPath = path.join(THUMB_DIR, thumbName);
   if (fs.existsSync(thumbPath)) return thumbPath;
   if (thumbGenerating.has(thumbPath)) return thumbGenerating.get(thumbPath);
-  const p = new Promise((resolve) => {
-    try {
-      ffmpeg(filePath)
-        .on('error', () => { thumbGenerating.delete(thumbPath); resolve(null); })
-        .on('end',   () => { thumbGenerating.delete(thumbPath); resolve(thumbPath); })
-        .screenshots({ count: 1, timemarks: ['10%'], folder: THUMB_DIR, filename: thumbName, size: '320x?' });
-    } catch(e) { thumbGenerating.delete(thumbPath); resolve(null); }
-  });
+  const p = (async () => {
+    const candidates = await generateThumbCandidates(filePath, mediaId).catch(() => null);
+    if (candidates?.length) {
+      const best = pickThumbCandidate(candidates);
+      await removeCandidates(candidates.filter(c => c !== best));
+      await fs.promises.rename(best.file, thumbPath);
+      return thumbPath;
+    }
+    return new Promise((resolve) => {
+      try {
+        ffmpeg(filePath)
+          .on('error', () => resolve(null))
+          .on('end',   () => resolve(thumbPath))
+          .screenshots({ count: 1, timemarks: ['10%'], folder: THUMB_DIR, filename: thumbName, size: `${VIDEO_THUMB_WIDTH}x?` });
+      } catch(e) { resolve(null); }
+    });
+  })()
+    .catch(() => null)
+    .finally(() => thumbGenerating.delete(thumbPath));
   thumbGenerating.set(thumbPath, p);
   return p;
 }
@@ -200,6 +408,180 @@ async function generatePhotoThumb(filePath, mediaId) {
   return p;
 }
 
+// ─── Responsive thumbnail variants ─────────────────────────────
+
+function variantFile(mediaId, width, format) {
+  return path.join(VARIANT_DIR, `${mediaId}_${width}.${format === 'jpeg' ? 'jpg' : format}`);
+}
+
+/**
+ * Resize `source` to `width` and encode it as `format` (jpeg | webp | avif).
+ * Photos are cropped square like p_<id>.jpg, video frames keep their aspect
+ * ratio; nothing is upscaled. The cached file is reused while it is newer
+ * than its source, so a re-picked or re-uploaded thumbnail refreshes it.
+ * Resolves to the variant path, or null (no sharp, unreadable source).
+ */
+async function generateThumbVariant(source, mediaId, { width, format, square }) {
+  if (!sharp) return null;
+  const file = variantFile(mediaId, width, format);
+  try {
+    const [src, out] = await Promise.all([fs.promises.stat(source), fs.promises.stat(file).catch(() => null)]);
+    if (out && out.mtimeMs >= src.mtimeMs) return file;
+  } catch(_) { return null; }
+  if (thumbGenerating.has(file)) return thumbGenerating.get(file);
+  const tmp = `${file}.tmp`;
+  let img = sharp(source, { failOn: 'none' }).rotate()
+    .resize(width, square ? width : null, { fit: square ? 'cover' : 'inside', withoutEnlargement: true });
+  if (format === 'avif')      img = img.avif({ quality: 50, effort: 2 });
+  else if (format === 'webp') img = img.webp({ quality: 72 });
+  else                        img = img.jpeg({ quality: 78, progressive: true, mozjpeg: true });
+  const p = img.toFile(tmp)
+    .then(() => fs.promises.rename(tmp, file))
+    .then(() => file)
+    .catch(() => { fs.promises.unlink(tmp).catch(() => {}); return null; })
+    .finally(() => thumbGenerating.delete(file));
+  thumbGenerating.set(file, p);
+  return p;
+}
+
+/** Delete every cached width × format of a media's thumbnail. */
+function removeThumbVariants(mediaId) {
+  const files = THUMB_WIDTHS.flatMap(w => Object.keys(THUMB_FORMATS).map(f => variantFile(mediaId, w, f)));
+  return Promise.all(files.map(f => fs.promises.unlink(f).catch(() => {})));
+}
+
+// ─── Trickplay (seek previews) ─────────────────────────────────
+
+function trickplayFiles(mediaId) {
+  return {
+    vtt:    path.join(TRICKPLAY_DIR, `tp_${mediaId}.vtt`),
+    sprite: path.join(TRICKPLAY_DIR, `tp_${mediaId}.jpg`),
+  };
+}
+
+function vttTime(sec) {
+  const ms = Math.round(sec * 1000);
+  const h = Math.floor(ms / 3600000), m = Math.floor(ms / 60000) % 60, s = Math.floor(ms / 1000) % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Build the WebVTT thumbnail track: one cue per frame, pointing at its tile
+ * in the sprite sheet with a media fragment (`#xywh=x,y,w,h`).
+ */
+function buildTrickplayVtt(mediaId, { duration, interval, count, columns, width, height }) {
+  const lines = ['WEBVTT', ''];
+  for (let i = 0; i < count; i++) {
+    const x = (i % columns) * width, y = Math.floor(i / columns) * height;
+    lines.push(`${vttTime(i * interval)} --> ${vttTime(Math.min(duration, (i + 1) * interval))}`);
+    lines.push(`/trickplay/${mediaId}/sprite.jpg#xywh=${x},${y},${width},${height}`, '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Generate the trickplay sprite sheet + VTT of a video in a single ffmpeg pass
+ * (one frame every TRICKPLAY_INTERVAL s, tiled TRICKPLAY_COLUMNS wide).
+ * Only keyframes are decoded, so a long video costs seconds rather than a
+ * full decode. Both files are written under a temp name and renamed: an
+ * existing .vtt always has its sprite. Resolves to { vtt, sprite } or null.
+ */
+async function generateTrickplay(filePath, mediaId) {
+  if (!ffmpeg) return null;
+  const files = trickplayFiles(mediaId);
+  if (fs.existsSync(files.vtt)) return files;
+  if (thumbGenerating.has(files.vtt)) return thumbGenerating.get(files.vtt);
+  const tmpSprite = `${files.sprite}.tmp.jpg`;
+  const p = (async () => {
+    const meta = await getVideoMeta(filePath);
+    if (!meta?.duration || !meta.width || !meta.height) return null;
+    const interval = Math.max(TRICKPLAY_INTERVAL, Math.ceil(meta.duration / TRICKPLAY_MAX_FRAMES));
+    const count = Math.max(1, Math.ceil(meta.duration / interval));
+    const columns = Math.min(TRICKPLAY_COLUMNS, count);
+    const width = TRICKPLAY_WIDTH;
+    const height = Math.max(2, Math.round(width * meta.height / meta.width / 2) * 2);
+    // Letterbox into the tile: ffprobe reports the coded size, rotated phone videos come out transposed
+    const filter = `fps=1/${interval},scale=${width}:${height}:force_original_aspect_ratio=decrease,`
+      + `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,tile=${columns}x${Math.ceil(count / columns)}`;
+    await new Promise((resolve, reject) => {
+      ffmpeg(filePath)
+        .inputOptions(['-skip_frame', 'nokey'])
+        .outputOptions(['-an', '-vf', filter, '-frames:v', '1', '-update', '1', '-q:v', '5'])
+        .output(tmpSprite)
+        .on('error', reject)
+        .on('end', resolve)
+        .run();
+    });
+    await fs.promises.rename(tmpSprite, files.sprite);
+    const vtt = buildTrickplayVtt(mediaId, { duration: meta.duration, interval, count, columns, width, height });
+    await fs.promises.writeFile(`${files.vtt}.tmp`, vtt);
+    await fs.promises.rename(`${files.vtt}.tmp`, files.vtt);
+    return files;
+  })()
+    .catch(() => { fs.promises.unlink(tmpSprite).catch(() => {}); return null; })
+    .finally(() => thumbGenerating.delete(files.vtt));
+  thumbGenerating.set(files.vtt, p);
+  return p;
+}
+
+// ─── Hover previews ────────────────────────────────────────────
+
+function previewFile(mediaId) {
+  return path.join(PREVIEW_DIR, `pv_${mediaId}.mp4`);
+}
+
+/**
+ * Encode the hover preview of a video: PREVIEW_CLIPS excerpts of
+ * PREVIEW_CLIP_SECONDS each, concatenated into a silent 320px H.264 MP4
+ * (faststart, so the card can start playing before the end is loaded).
+ * Videos too short to sample just keep their first seconds.
+ * Resolves to the preview path, or null.
+ */
+async function generateVideoPreview(filePath, mediaId, duration = null) {
+  if (!ffmpeg) return null;
+  const previewPath = previewFile(mediaId);
+  if (fs.existsSync(previewPath)) return previewPath;
+  if (thumbGenerating.has(previewPath)) return thumbGenerating.get(previewPath);
+  const tmpPath = `${previewPath}.tmp.mp4`;
+  const p = (async () => {
+    if (!duration) duration = (await getVideoMeta(filePath))?.duration;
+    if (!duration) return null;
+    const clipTotal = PREVIEW_CLIPS * PREVIEW_CLIP_SECONDS;
+    const starts = duration < clipTotal * 2
+      ? [0]
+      : Array.from({ length: PREVIEW_CLIPS }, (_, i) => duration * (0.1 + 0.8 * i / (PREVIEW_CLIPS - 1)));
+    const clipLen = starts.length > 1 ? PREVIEW_CLIP_SECONDS : Math.min(duration, clipTotal);
+
+    const cmd = ffmpeg();
+    starts.forEach(t => cmd.input(filePath).inputOptions(['-ss', t.toFixed(2), '-t', String(clipLen)]));
+    const filter = starts.map((_, i) => `[${i}:v:0]scale=${PREVIEW_WIDTH}:-2,setsar=1,fps=24[v${i}]`).join(';')
+      + `;${starts.map((_, i) => `[v${i}]`).join('')}concat=n=${starts.length}:v=1:a=0[out]`;
+    await new Promise((resolve, reject) => {
+      cmd.outputOptions([
+        '-filter_complex', filter, '-map', '[out]', '-an',
+        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28', '-pix_fmt', 'yuv420p',
+        '-movflags', '+faststart',
+      ])
+        .output(tmpPath)
+        .on('error', reject)
+        .on('end', resolve)
+        .run();
+    });
+    await fs.promises.rename(tmpPath, previewPath);
+    return previewPath;
+  })()
+    .catch(() => { fs.promises.unlink(tmpPath).catch(() => {}); return null; })
+    .finally(() => thumbGenerating.delete(previewPath));
+  thumbGenerating.set(previewPath, p);
+  return p;
+}
+
+/** Delete the generated files of a video besides its thumbnail (trickplay, preview). */
+async function removeVideoExtras(mediaId) {
+  const tp = trickplayFiles(mediaId);
+  await Promise.all([tp.vtt, tp.sprite, previewFile(mediaId)].map(f => fs.promises.unlink(f).catch(() => {})));
+}
+
 // ─── Concurrency Helper ────────────────────────────────────────
 
 async function runConcurrent(tasks, concurrency) {
@@ -233,96 +615,239 @@ async function* walkFiles(dirPath) {
   }
 }
 
+// ─── Fingerprints (rename / move detection) ───────────────────
+
+const PARTIAL_HASH_BYTES = 65536;
+
+/** MD5 of the first 64 KB — same fingerprint as /admin/duplicates/scan. Null if unreadable. */
+async function partialHash(filePath) {
+  let fh;
+  try {
+    fh = await fs.promises.open(filePath, 'r');
+    const buf = Buffer.alloc(PARTIAL_HASH_BYTES);
+    const { bytesRead } = await fh.read(buf, 0, PARTIAL_HASH_BYTES, 0);
+    return crypto.createHash('md5').update(buf.subarray(0, bytesRead)).digest('hex');
+  } catch(e) { return null; }
+  finally { if (fh) await fh.close().catch(() => {}); }
+}
+
+// ─── Content hashes (exact duplicates, integrity) ─────────────
+
+/**
+ * SHA-256 of the whole file, streamed. Resolves to { hash, size, mtime }
+ * — size and mtime (ms) from the open file descriptor, i.e. of the content
+ * that was hashed — or null when the file cannot be read.
+ */
+async function contentHash(filePath, isCancelled = () => false) {
+  let fh;
+  try {
+    fh = await fs.promises.open(filePath, 'r');
+    const st = await fh.stat();
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fh.createReadStream({ autoClose: false, highWaterMark: 1 << 20 })) {
+      if (isCancelled()) return null;
+      hash.update(chunk);
+    }
+    return { hash: hash.digest('hex'), size: st.size, mtime: Math.floor(st.mtimeMs) };
+  } catch(e) { return null; }
+  finally { if (fh) await fh.close().catch(() => {}); }
+}
+
+/** Hash a media row and store content_hash + the size / mtime it matches. Returns the hash or null. */
+async function storeContentHash(m, isCancelled) {
+  const r = await contentHash(m.file_path, isCancelled);
+  if (!r) return null;
+  await pool.query('UPDATE media SET content_hash = ?, hash_mtime = ?, size = ?, verified_at = NOW() WHERE id = ?',
+    [r.hash, r.mtime, r.size, m.id]);
+  return r.hash;
+}
+
+/**
+ * Background `content-hash` job: hash the rows that have no content_hash,
+ * and re-hash those whose file changed since (size or mtime differ from
+ * what was hashed — the watcher only sees size changes). One file at a
+ * time by default: the cost is disk reads, not CPU.
+ */
+async function generateMissingContentHashes(limit = null, concurrency = 1, { onProgress = null, isCancelled = () => false } = {}) {
+  let done = 0, hashed = 0, changed = 0;
+  try {
+    const [known] = await pool.query(
+      'SELECT id, file_path, size, hash_mtime FROM media WHERE content_hash IS NOT NULL AND deleted_at IS NULL ORDER BY id');
+    const stale = [];
+    for (const m of known) {
+      if (isCancelled()) return { done, hashed, changed, total: 0 };
+      try {
+        const st = await fs.promises.stat(m.file_path);
+        if (st.size !== Number(m.size) || Math.floor(st.mtimeMs) !== Number(m.hash_mtime)) stale.push(m);
+      } catch(_) { /* missing — clean-media / verify-integrity report it */ }
+    }
+    changed = stale.length;
+    const [missing] = await pool.query(
+      `SELECT id, file_path FROM media WHERE content_hash IS NULL AND deleted_at IS NULL ORDER BY id DESC${limit ? ' LIMIT ?' : ''}`,
+      limit ? [limit] : []
+    );
+    const rows = [...stale, ...missing];
+    if (onProgress) onProgress(0, rows.length);
+    if (!rows.length) return { done, hashed, changed, total: 0 };
+    const tasks = rows.map(m => async () => {
+      if (isCancelled()) return;
+      try { if (await storeContentHash(m, isCancelled)) hashed++; } catch(_) {}
+      done++;
+      if (onProgress) onProgress(done, rows.length);
+    });
+    await runConcurrent(tasks, concurrency);
+    return { done, hashed, changed, total: rows.length };
+  } catch(e) { console.error('[generateMissingContentHashes]', e.message); return { done, hashed, changed, total: null }; }
+}
+
+/**
+ * Among same-size rows, find the one `filePath` was renamed / moved from:
+ * its file must be gone from disk (still present = a copy, not a move) and
+ * its stored fingerprint must match. Rows without a stored fingerprint only
+ * match when they are the single missing candidate.
+ */
+async function findMovedRow(candidates, filePath, hash) {
+  const ext = path.extname(filePath).toLowerCase();
+  const missing = [];
+  for (const r of candidates) {
+    if (r.file_path === filePath || path.extname(r.file_path).toLowerCase() !== ext) continue;
+    if (r.partial_hash && r.partial_hash !== hash) continue;
+    try { await fs.promises.access(r.file_path); continue; } catch(_) {}
+    missing.push(r);
+  }
+  const exact = missing.find(r => r.partial_hash);
+  if (exact) return exact;
+  return missing.length === 1 ? missing[0] : null;
+}
+
 // ─── Main Scan ────────────────────────────────────────────────
 
 const BATCH_SIZE = 500;
 
+/**
+ * Index one performer directory of a library: upsert the performer, then
+ * batch-insert every media file not already in `allExisting`.
+ */
+async function scanPerformerDir(lib, name, { scanPhotos, scanVideos, allExisting, sizeIndex, notifyProgress }) {
+  const dirPath = path.join(lib.path, name);
+  const performerId = await upsertPerformer(name, dirPath, lib.id);
+
+  // Use pre-loaded set for this performer (no extra DB query)
+  const existingPaths = allExisting.get(performerId) || new Set();
+
+  // Notify: starting walk for this performer
+  scanProgress.currentPerformer = name;
+  notifyProgress();
+
+  // Walk async — each readdir is non-blocking, event loop gets chances to flush SSE
+  let batch = [];
+  const flushBatch = async () => {
+    if (!batch.length) return;
+    await batchInsertMedia(batch);
+    scanProgress.done += batch.length;
+    batch = [];
+    notifyProgress();
+  };
+
+  for await (const filePath of walkFiles(dirPath)) {
+    if (cancelRequested) break;
+    const ext = path.extname(filePath).toLowerCase();
+    const isVideo = VIDEO_EXTS.has(ext);
+    const isPhoto = PHOTO_EXTS.has(ext);
+    if (!isVideo && !isPhoto) continue;
+    if (isVideo && !scanVideos) continue;
+    if (isPhoto && !scanPhotos) continue;
+
+    if (existingPaths.has(filePath)) {
+      scanProgress.skipped++;
+      continue;
+    }
+
+    // New file — stat, fingerprint, then either re-point a moved row or queue an insert
+    try {
+      const stat = await fs.promises.stat(filePath);
+      const hash = await partialHash(filePath);
+      const candidates = sizeIndex.get(stat.size);
+      const movedFrom = candidates && hash ? await findMovedRow(candidates, filePath, hash) : null;
+      if (movedFrom) {
+        await moveMedia(movedFrom.id, filePath, performerId, lib.id, hash);
+        // The old path is free now — never match this row twice
+        candidates.splice(candidates.indexOf(movedFrom), 1);
+        scanProgress.moved++;
+        continue;
+      }
+      scanProgress.total++;
+      batch.push([
+        performerId,
+        path.basename(filePath),
+        filePath,
+        isVideo ? 'video' : 'photo',
+        MIME_MAP[ext] || (isVideo ? 'video/mp4' : 'image/jpeg'),
+        stat.size, null, null, null,
+        lib.id, hash,
+      ]);
+      if (batch.length >= BATCH_SIZE) await flushBatch();
+    } catch(e) {
+      scanProgress.errors++;
+      scanProgress.lastError = e.message;
+    }
+  }
+  await flushBatch();
+}
+
 async function scanDirectory(mode = 'all', onProgress = null) {
   if (scanProgress.running) throw new Error('Scan already in progress');
   if (!['all', 'photos', 'videos'].includes(mode)) throw new Error('Invalid mode');
 
-  const scanPhotos = mode === 'all' || mode === 'photos';
-  const scanVideos = mode === 'all' || mode === 'videos';
-
   cancelRequested = false;
   scanProgress = {
-    running: true, mode, total: 0, done: 0, skipped: 0, errors: 0,
+    running: true, mode, total: 0, done: 0, skipped: 0, moved: 0, errors: 0,
     startedAt: new Date().toISOString(), finishedAt: null, lastError: null,
-    cancelled: false, currentPerformer: null,
+    cancelled: false, currentLibrary: null, currentPerformer: null,
   };
 
   const notifyProgress = () => { if (onProgress) try { onProgress({ ...scanProgress }); } catch(_) {} };
 
   try {
-    if (!fs.existsSync(MEDIA_DIR)) throw new Error(`MEDIA_DIR not found: ${MEDIA_DIR}`);
-
-    const entries = fs.readdirSync(MEDIA_DIR, { withFileTypes: true });
-    const performerDirs = entries.filter(e => e.isDirectory() && !e.name.startsWith('.'));
+    const libraries = await getEnabledLibraries();
+    if (!libraries.length) throw new Error('No enabled library — add one in the admin panel');
 
     // Pre-load ALL existing file paths in one query (avoids N roundtrips)
     const allExisting = await getAllExistingFilePaths();
+    const sizeIndex = await getMediaSizeIndex();
 
-    for (const dir of performerDirs) {
+    for (const lib of libraries) {
       if (cancelRequested) break;
 
-      const dirPath = path.join(MEDIA_DIR, dir.name);
-      const performerId = await upsertPerformer(dir.name, dirPath);
-
-      // Use pre-loaded set for this performer (no extra DB query)
-      const existingPaths = allExisting.get(performerId) || new Set();
+      // Library type narrows the requested mode ('all' scan of a 'photos' library → photos only)
+      const scanPhotos = (mode === 'all' || mode === 'photos') && lib.type !== 'videos';
+      const scanVideos = (mode === 'all' || mode === 'videos') && lib.type !== 'photos';
+      if (!scanPhotos && !scanVideos) continue;
 
-      // Notify: starting walk for this performer
-      scanProgress.currentPerformer = dir.name;
-      notifyProgress();
-
-      // Walk async — each readdir is non-blocking, event loop gets chances to flush SSE
-      let batch = [];
-      const flushBatch = async () => {
-        if (!batch.length) return;
-        await batchInsertMedia(batch);
-        scanProgress.done += batch.length;
-        batch = [];
+      let entries;
+      try {
+        entries = await fs.promises.readdir(lib.path, { withFileTypes: true });
+      } catch(e) {
+        // Unmounted disk or wrong path — keep going with the other roots
+        scanProgress.errors++;
+        scanProgress.lastError = `Library "${lib.name}" not readable: ${lib.path}`;
         notifyProgress();
-      };
+        continue;
+      }
+      const performerDirs = entries.filter(e => e.isDirectory() && !e.name.startsWith('.'));
+      scanProgress.currentLibrary = lib.name;
 
-      for await (const filePath of walkFiles(dirPath)) {
+      for (const dir of performerDirs) {
         if (cancelRequested) break;
-        const ext = path.extname(filePath).toLowerCase();
-        const isVideo = VIDEO_EXTS.has(ext);
-        const isPhoto = PHOTO_EXTS.has(ext);
-        if (!isVideo && !isPhoto) continue;
-        if (isVideo && !scanVideos) continue;
-        if (isPhoto && !scanPhotos) continue;
-
-        if (existingPaths.has(filePath)) {
-          scanProgress.skipped++;
-          continue;
-        }
-
-        // New file — stat and queue
-        try {
-          const stat = await fs.promises.stat(filePath);
-          scanProgress.total++;
-          batch.push([
-            performerId,
-            path.basename(filePath),
-            filePath,
-            isVideo ? 'video' : 'photo',
-            MIME_MAP[ext] || (isVideo ? 'video/mp4' : 'image/jpeg'),
-            stat.size, null, null, null,
-          ]);
-          if (batch.length >= BATCH_SIZE) await flushBatch();
-        } catch(e) {
-          scanProgress.errors++;
-          scanProgress.lastError = e.message;
-        }
+        await scanPerformerDir(lib, dir.name, { scanPhotos, scanVideos, allExisting, sizeIndex, notifyProgress });
       }
-      await flushBatch();
     }
 
     await updatePerformerCounts();
+    await indexUnindexedMedia();
     scanProgress.running = false;
     scanProgress.cancelled = cancelRequested;
+    scanProgress.currentLibrary = null;
     scanProgress.currentPerformer = null;
     scanProgress.finishedAt = new Date().toISOString();
     notifyProgress();
@@ -340,14 +865,17 @@ async function scanDirectory(mode = 'all', onProgress = null) {
  * and write auto-tags for each video that is still missing codec info.
  * Run after a scan; replaces the old enrichDurations function.
  */
-async function enrichVideoMeta(concurrency = 3) {
-  if (!ffmpeg) return;
+async function enrichVideoMeta(concurrency = 3, { onProgress = null, isCancelled = () => false } = {}) {
+  if (!ffmpeg) return { done: 0, total: 0 };
+  let done = 0;
   try {
     const [rows] = await pool.query(
-      "SELECT id, file_path FROM media WHERE type='video' AND (codec IS NULL OR duration IS NULL) LIMIT 2000"
+      "SELECT id, file_path FROM media WHERE type='video' AND (codec IS NULL OR duration IS NULL) AND deleted_at IS NULL LIMIT 2000"
     );
-    if (!rows.length) return;
+    if (onProgress) onProgress(0, rows.length);
+    if (!rows.length) return { done: 0, total: 0 };
     const tasks = rows.map(row => async () => {
+      if (isCancelled()) return;
       try {
         const meta = await getVideoMeta(row.file_path);
         if (!meta) return;
@@ -369,43 +897,239 @@ async function enrichVideoMeta(concurrency = 3) {
         );
         if (meta.height) await autoTagMedia(row.id, meta).catch(() => {});
       } catch(e) { /* skip bad files */ }
+      done++;
+      if (onProgress) onProgress(done, rows.length);
     });
     await runConcurrent(tasks, concurrency);
-  } catch(e) { console.error('[enrichVideoMeta]', e.message); }
+    return { done, total: rows.length };
+  } catch(e) { console.error('[enrichVideoMeta]', e.message); return { done, total: null }; }
 }
 
 // Backward-compatible alias (used in routes/api.js and routes/admin.js)
 const enrichDurations = enrichVideoMeta;
 
 /**
- * Génère les miniatures manquantes en arrière-plan après un scan.
- * Traite les `limit` médias les plus récents sans thumb, avec `concurrency` workers.
+ * Photo counterpart of enrichVideoMeta: every photo never analysed
+ * (width or file_mtime still NULL) gets its dimensions, orientation,
+ * camera, capture date, GPS position and file mtime, then its
+ * orientation / resolution auto-tags. The mtime is stored even when sharp
+ * cannot decode the file, so the timeline can still place it.
+ */
+async function enrichPhotoMeta(concurrency = 3, { onProgress = null, isCancelled = () => false } = {}) {
+  if (!sharp) return { done: 0, total: 0 };
+  let done = 0;
+  try {
+    const [rows] = await pool.query(
+      "SELECT id, file_path FROM media WHERE type='photo' AND (width IS NULL OR file_mtime IS NULL) AND deleted_at IS NULL LIMIT 2000"
+    );
+    if (onProgress) onProgress(0, rows.length);
+    if (!rows.length) return { done: 0, total: 0 };
+    const tasks = rows.map(row => async () => {
+      if (isCancelled()) return;
+      try {
+        const st = await fs.promises.stat(row.file_path);
+        await pool.query('UPDATE media SET file_mtime = ? WHERE id = ?', [st.mtime, row.id]);
+        const meta = await getPhotoMeta(row.file_path);
+        if (!meta) return;
+        await pool.query(
+          `UPDATE media SET
+             width        = ?,
+             height       = ?,
+             orientation  = ?,
+             camera_make  = ?,
+             camera_model = ?,
+             taken_at     = ?,
+             gps_lat      = ?,
+             gps_lon      = ?
+           WHERE id = ?`,
+          [meta.width, meta.height, meta.orientation || null, meta.make, meta.model,
+           meta.takenAt, meta.lat, meta.lon, row.id]
+        );
+        await autoTagPhoto(row.id, meta).catch(() => {});
+      } catch(e) { /* skip bad files */ }
+      done++;
+      if (onProgress) onProgress(done, rows.length);
+    });
+    await runConcurrent(tasks, concurrency);
+    return { done, total: rows.length };
+  } catch(e) { console.error('[enrichPhotoMeta]', e.message); return { done, total: null }; }
+}
+
+// ─── Perceptual hashes (similar duplicates) ──────────────────
+
+/**
+ * Perceptual hash of one media (services/phash.js): a dHash of the photo,
+ * or of VIDEO_HASH_FRAMES small frames spread over the video. Resolves to
+ * the hex string, or null when the file cannot be decoded.
  */
-async function generateMissingThumbs(limit = 300, concurrency = 3) {
+async function computeMediaHash(m) {
+  if (!sharp) return null;
+  if (m.type === 'photo') return phash.dHash(m.file_path);
+  if (!ffmpeg) return null;
+  const duration = m.duration || (await getVideoMeta(m.file_path))?.duration;
+  if (!duration) return null;
+  const n = phash.VIDEO_HASH_FRAMES;
+  const times = Array.from({ length: n }, (_, i) => duration * (i + 0.5) / n);
+  const files = await extractFrames(m.file_path, times, `h${m.id}_${Date.now()}`, TRICKPLAY_WIDTH);
+  let seq = '';
   try {
+    for (const f of files) {
+      // A frame past the end of the stream or a flat one carries no signal
+      if (!fs.existsSync(f) || (await scoreFrame(f)).blank) seq += phash.BLANK_HASH;
+      else seq += await phash.dHash(f);
+    }
+  } finally {
+    await Promise.all(files.map(f => fs.promises.unlink(f).catch(() => {})));
+  }
+  return seq;
+}
+
+/**
+ * Fill media.phash for the rows that have none (optionally one type).
+ * A file that fails to decode gets '' so it is not retried on every run.
+ * Videos are skipped without ffmpeg, everything without sharp.
+ */
+async function generateMissingHashes(type = null, concurrency = 2, { onProgress = null, isCancelled = () => false } = {}) {
+  let done = 0, hashed = 0;
+  if (!sharp) return { done, hashed, total: 0 };
+  try {
+    const types = (type ? [type] : ['photo', 'video']).filter(t => t === 'photo' || ffmpeg);
+    if (!types.length) return { done, hashed, total: 0 };
     const [rows] = await pool.query(
-      'SELECT id, file_path, type FROM media WHERE thumb_path IS NULL ORDER BY id DESC LIMIT ?',
-      [limit]
+      'SELECT id, file_path, type, duration FROM media WHERE phash IS NULL AND type IN (?) AND deleted_at IS NULL ORDER BY id',
+      [types]
     );
-    if (!rows.length) return;
+    if (onProgress) onProgress(0, rows.length);
+    if (!rows.length) return { done, hashed, total: 0 };
+    const tasks = rows.map(m => async () => {
+      if (isCancelled()) return;
+      let hash = null;
+      try { hash = await computeMediaHash(m); } catch(_) {}
+      await pool.query('UPDATE media SET phash = ? WHERE id = ?', [hash || '', m.id]);
+      if (hash) hashed++;
+      done++;
+      if (onProgress) onProgress(done, rows.length);
+    });
+    await runConcurrent(tasks, concurrency);
+    return { done, hashed, total: rows.length };
+  } catch(e) { console.error('[generateMissingHashes]', e.message); return { done, hashed, total: null }; }
+}
+
+/**
+ * Génère les miniatures manquantes en arrière-plan après un scan.
+ * Traite les `limit` médias les plus récents sans thumb, avec `concurrency` workers.
+ * `limit = null` : parcourt toute la base et vérifie le fichier v_/p_<id>.jpg
+ * sur disque (miniature supprimée à la main, thumb_path resté renseigné…).
+ */
+async function generateMissingThumbs(limit = 300, concurrency = 3, { onProgress = null, isCancelled = () => false } = {}) {
+  let done = 0, generated = 0;
+  try {
+    let rows;
+    if (limit === null) {
+      const [allMedia] = await pool.query('SELECT id, file_path, type, thumb_path FROM media WHERE deleted_at IS NULL ORDER BY id DESC');
+      // A custom thumbnail (c_<id>.jpg, picked or uploaded) still on disk is kept
+      rows = allMedia.filter(m => !(m.thumb_path && path.basename(m.thumb_path).startsWith('c_') && fs.existsSync(m.thumb_path))
+        && !fs.existsSync(path.join(THUMB_DIR, m.type === 'video' ? `v_${m.id}.jpg` : `p_${m.id}.jpg`)));
+    } else {
+      [rows] = await pool.query(
+        'SELECT id, file_path, type FROM media WHERE thumb_path IS NULL AND deleted_at IS NULL ORDER BY id DESC LIMIT ?',
+        [limit]
+      );
+    }
+    if (onProgress) onProgress(0, rows.length);
+    if (!rows.length) return { done: 0, generated: 0, total: 0 };
     console.log(`[thumbs] Génération de ${rows.length} miniature(s) manquante(s)…`);
     const tasks = rows.map(m => async () => {
+      if (isCancelled()) return;
       try {
         const tp = m.type === 'video'
           ? await generateVideoThumb(m.file_path, m.id)
           : await generatePhotoThumb(m.file_path, m.id);
-        if (tp) await pool.query('UPDATE media SET thumb_path = ? WHERE id = ?', [tp, m.id]);
+        if (tp) { await pool.query('UPDATE media SET thumb_path = ? WHERE id = ?', [tp, m.id]); generated++; }
       } catch(_) {}
+      done++;
+      if (onProgress) onProgress(done, rows.length);
     });
     await runConcurrent(tasks, concurrency);
     console.log('[thumbs] Génération terminée.');
-  } catch(e) { console.error('[generateMissingThumbs]', e.message); }
+    return { done, generated, total: rows.length };
+  } catch(e) { console.error('[generateMissingThumbs]', e.message); return { done, generated, total: null }; }
+}
+
+/**
+ * Génère les aperçus trickplay manquants (sprite + VTT) par lot.
+ * `limit` : les N vidéos les plus récentes sans aperçu ; `null` : toutes.
+ * Même parallélisme que generateMissingThumbs — un ffmpeg par worker.
+ */
+async function generateMissingTrickplay(limit = 300, concurrency = 3, { onProgress = null, isCancelled = () => false } = {}) {
+  let done = 0, generated = 0;
+  try {
+    const [videos] = await pool.query("SELECT id, file_path FROM media WHERE type = 'video' AND deleted_at IS NULL ORDER BY id DESC");
+    let rows = videos.filter(m => !fs.existsSync(trickplayFiles(m.id).vtt));
+    if (limit !== null) rows = rows.slice(0, limit);
+    if (onProgress) onProgress(0, rows.length);
+    if (!rows.length) return { done: 0, generated: 0, total: 0 };
+    console.log(`[trickplay] Génération de ${rows.length} aperçu(s) manquant(s)…`);
+    const tasks = rows.map(m => async () => {
+      if (isCancelled()) return;
+      try { if (await generateTrickplay(m.file_path, m.id)) generated++; } catch(_) {}
+      done++;
+      if (onProgress) onProgress(done, rows.length);
+    });
+    await runConcurrent(tasks, concurrency);
+    console.log('[trickplay] Génération terminée.');
+    return { done, generated, total: rows.length };
+  } catch(e) { console.error('[generateMissingTrickplay]', e.message); return { done, generated, total: null }; }
+}
+
+/**
+ * Encode les aperçus au survol manquants (colonne preview_path).
+ * `limit` : les N vidéos les plus récentes sans aperçu ; `null` : toute la base,
+ * y compris les lignes dont le fichier pv_<id>.mp4 a disparu du disque.
+ * Un encodage x264 coûte bien plus qu'une miniature : `concurrency` par défaut à 2.
+ */
+async function generateMissingPreviews(limit = 300, concurrency = 2, { onProgress = null, isCancelled = () => false } = {}) {
+  let done = 0, generated = 0;
+  try {
+    let rows;
+    if (limit === null) {
+      const [videos] = await pool.query("SELECT id, file_path, duration, preview_path FROM media WHERE type = 'video' AND deleted_at IS NULL ORDER BY id DESC");
+      rows = videos.filter(m => !m.preview_path || !fs.existsSync(m.preview_path));
+    } else {
+      [rows] = await pool.query(
+        "SELECT id, file_path, duration FROM media WHERE type = 'video' AND preview_path IS NULL AND deleted_at IS NULL ORDER BY id DESC LIMIT ?",
+        [limit]
+      );
+    }
+    if (onProgress) onProgress(0, rows.length);
+    if (!rows.length) return { done: 0, generated: 0, total: 0 };
+    console.log(`[previews] Encodage de ${rows.length} aperçu(s) manquant(s)…`);
+    const tasks = rows.map(m => async () => {
+      if (isCancelled()) return;
+      try {
+        const pp = await generateVideoPreview(m.file_path, m.id, m.duration);
+        if (pp) { await pool.query('UPDATE media SET preview_path = ? WHERE id = ?', [pp, m.id]); generated++; }
+      } catch(_) {}
+      done++;
+      if (onProgress) onProgress(done, rows.length);
+    });
+    await runConcurrent(tasks, concurrency);
+    console.log('[previews] Encodage terminé.');
+    return { done, generated, total: rows.length };
+  } catch(e) { console.error('[generateMissingPreviews]', e.message); return { done, generated, total: null }; }
 }
 
 module.exports = {
   // Constants (shared with admin.js and other routes)
-  MEDIA_DIR, THUMB_DIR, VIDEO_EXTS, PHOTO_EXTS, MIME_MAP,
+  THUMB_DIR, TRICKPLAY_DIR, PREVIEW_DIR, VARIANT_DIR, THUMB_WIDTHS, THUMB_FORMATS, VIDEO_EXTS, PHOTO_EXTS, MIME_MAP,
   // Functions
-  scanDirectory, getProgress, cancelScan,
+  scanDirectory, getProgress, cancelScan, walkFiles, partialHash, findMovedRow,
   generateVideoThumb, generatePhotoThumb, enrichVideoMeta, enrichDurations, generateMissingThumbs,
+  getPhotoMeta, enrichPhotoMeta,
+  trickplayFiles, generateTrickplay, generateMissingTrickplay,
+  previewFile, generateVideoPreview, generateMissingPreviews, removeVideoExtras,
+  generateThumbCandidates, pickThumbCandidate, removeCandidates, grabVideoFrame,
+  generateThumbVariant, removeThumbVariants,
+  computeMediaHash, generateMissingHashes,
+  contentHash, storeContentHash, generateMissingContentHashes,
 };
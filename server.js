@@ -9,11 +9,14 @@
  * ─────────
  *   /auth/**      — register, login, password-reset, profile  (routes/auth.js)
  *   /social/**    — comments, reactions, per-user favourites   (routes/social.js)
- *   /admin/**     — scan, users, settings, duplicates, clean   (routes/admin.js)
+ *   /admin/**     — jobs, schedules, scan, users, settings, duplicates (routes/admin.js)
  *   /api/**       — performers, media, search, stats           (routes/api.js)
  *   /stream/:id   — video streaming with Range support         (routes/stream.js)
+ *   /hls/:id/*    — HLS remux/transcode for unsupported formats (routes/stream.js)
  *   /photo/:id    — photo serving with ETag cache              (routes/stream.js)
- *   /thumb/:id    — thumbnail serving + on-demand generation   (routes/stream.js)
+ *   /thumb/:id    — thumbnails, sized WebP/AVIF/JPEG variants  (routes/stream.js)
+ *   /trickplay/:id — seek-preview VTT + sprite, generated lazily (routes/stream.js)
+ *   /preview/:id  — hover preview clip (encoded by the `previews` job) (routes/stream.js)
  *   /download/:id — force-download with original filename      (routes/stream.js)
  *
  * Environment variables → see .env.example
@@ -24,7 +27,8 @@ const cors = require('cors');
 const compression = require('compression');
 const helmet = require('helmet');
 const path = require('path');
-const { initSchema, pool } = require('./db');
+const { initSchema, pool, getSetting } = require('./db');
+require('./services/tasks'); // registers the background job types
 
 // ── Empêche tout crash sur rejection/exception non gérée ──────────
 process.on('uncaughtException', (err) => {
@@ -76,6 +80,14 @@ app.use(express.static(path.join(__dirname, 'public'), {
   etag: true,
   lastModified: true,
 }));
+// hls.js — loaded on demand by the player for HLS playback outside Safari
+app.use('/vendor/hls', express.static(path.join(__dirname, 'node_modules', 'hls.js', 'dist'), {
+  maxAge: '7d',
+}));
+// qrcode-generator — loaded on demand to draw the 2FA enrolment QR code
+app.use('/vendor/qrcode', express.static(path.join(__dirname, 'node_modules', 'qrcode-generator', 'dist'), {
+  maxAge: '7d',
+}));
 
 // Routes
 app.use('/auth',      require('./routes/auth'));
@@ -98,6 +110,14 @@ async function startServer(maxAttempts = 10, delayMs = 3000) {
       app.listen(PORT, '0.0.0.0', () => {
         console.log(`\n  🎬  XFlix running at http://localhost:${PORT}  (MariaDB)\n`);
       });
+      // File de tâches persistante (scans, miniatures, maintenance) — reprend les tâches interrompues
+      require('./services/jobs').startWorker()
+        .then(() => require('./services/scheduler').startScheduler())   // tâches planifiées (Admin → Tâches)
+        .catch(e => console.error('[JOBS]', e.message));
+      // Surveillance temps réel des bibliothèques (Admin → Paramètres)
+      getSetting('watcher_enabled')
+        .then(v => { if (v === 'true') return require('./services/watcher').startWatcher(); })
+        .catch(e => console.error('[WATCH]', e.message));
       return;
     } catch (e) {
       if (attempt === maxAttempts) {
@@ -0,0 +1,142 @@
+/**
+ * services/audit.js — Audit log of administrative and destructive actions
+ *
+ * One `audit_log` row per change made from the admin side: who did it
+ * (user id + username at the time), what (action, target), the state before
+ * and after as JSON, the client IP (req.ip — server.js trusts one proxy hop)
+ * and when.
+ *
+ *   action                     target        before → after
+ *   ────────────────────────── ───────────── ──────────────────────────────────────
+ *   user.role                  user          { username, role } → same
+ *   user.delete                user          { username, email, role }
+ *   user.2fa_reset             user          { username, totp_enabled }
+ *   settings.update            —             changed keys only (secrets masked)
+ *   library.create / .update   library       row → row
+ *   library.delete             library       row → { purged }
+ *   media.trash                media         { file_path, type, … } → { trash_path }
+ *   media.restore              media         { trash_path } → { file_path }
+ *   tag.rename / .merge        tag           { name } → { name } | { into, name, media }
+ *   tag.delete                 tag           { name }
+ *   schedule.create / .update  schedule      row → row
+ *     / .delete
+ *   thumb.generate / .frame    media         → { thumb_path, time? | bytes? }
+ *     / .upload
+ *   db.clear                   —             { media, performers, tags }
+ *   scan.cancel                —             → { jobs }
+ *   job.<type>                 job           → { type, params } — every job queued by
+ *                                            hand (scan, delete-media, empty-trash…)
+ *   job.cancel / .retry        job           → { type, params }
+ *     / .delete
+ *
+ * Bulk deletes run as jobs: their row is the `job.<type>` one, whose params
+ * hold the media ids.
+ *
+ * Writing never fails the request: an insert error is logged and swallowed.
+ *
+ * Exported functions
+ * ─────────────────
+ *   record(req, action, { target, before, after })  — add a row (target: { type, id })
+ *   listAudit(filters)                              — { data, total, actions }
+ *   auditCsvLines(filters)                          — async iterator of CSV chunks, newest first
+ */
+'use strict';
+
+const { pool } = require('../db');
+
+const SECRET_KEY = /pass|secret|token/i;
+const MASK = '••••••••';
+const CSV_BATCH = 1000;
+const CSV_MAX_ROWS = 100000;
+const CSV_COLUMNS = ['id', 'created_at', 'user_id', 'username', 'action', 'target_type', 'target_id', 'ip', 'before', 'after'];
+
+/** JSON with every password / secret / token value masked, null for empty. */
+function toJson(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.stringify(value, (key, v) => (key && SECRET_KEY.test(key) && v ? MASK : v));
+}
+
+async function record(req, action, { target = null, before = null, after = null } = {}) {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (user_id, username, action, target_type, target_id, before_json, after_json, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [req.user?.id || null, req.user?.username || null, action,
+       target?.type || null, target?.id != null ? String(target.id) : null,
+       toJson(before), toJson(after), req.ip || null]
+    );
+  } catch(e) { console.error('[AUDIT]', action, e.message); }
+}
+
+// ─── Reading ─────────────────────────────────────────────────
+
+/**
+ * filters: action (exact, or a prefix ending with '.' — "user." → every user
+ * action), user (username, prefix match), target_type, target_id,
+ * from / to (YYYY-MM-DD, inclusive), q (searched in before / after JSON).
+ */
+function buildWhere({ action, user, target_type, target_id, from, to, q } = {}) {
+  const where = [];
+  const params = [];
+  if (action) {
+    action = String(action);
+    if (action.endsWith('.')) { where.push('action LIKE ?'); params.push(action.replace(/[%_\\]/g, '\\$&') + '%'); }
+    else { where.push('action = ?'); params.push(action); }
+  }
+  if (user) { where.push('username LIKE ?'); params.push(String(user).replace(/[%_\\]/g, '\\$&') + '%'); }
+  if (target_type) { where.push('target_type = ?'); params.push(String(target_type)); }
+  if (target_id) { where.push('target_id = ?'); params.push(String(target_id)); }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(from || ''))) { where.push('created_at >= ?'); params.push(from); }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(to || ''))) { where.push('created_at < ? + INTERVAL 1 DAY'); params.push(to); }
+  if (q) {
+    const like = `%${String(q).replace(/[%_\\]/g, '\\$&')}%`;
+    where.push('(before_json LIKE ? OR after_json LIKE ? OR target_id LIKE ?)');
+    params.push(like, like, like);
+  }
+  return { where: where.length ? ` WHERE ${where.join(' AND ')}` : '', params };
+}
+
+function parseRow(r) {
+  const { before_json, after_json, ...rest } = r;
+  const parse = s => { try { return s ? JSON.parse(s) : null; } catch(_) { return s; } };
+  return { ...rest, before: parse(before_json), after: parse(after_json) };
+}
+
+async function listAudit(filters = {}) {
+  const page  = Math.max(Number(filters.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(filters.limit) || 50, 1), 200);
+  const { where, params } = buildWhere(filters);
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM audit_log${where}`, params);
+  const [rows] = await pool.query(
+    `SELECT * FROM audit_log${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, (page - 1) * limit]);
+  const [actions] = await pool.query('SELECT DISTINCT action FROM audit_log ORDER BY action');
+  return { data: rows.map(parseRow), total, page, limit, actions: actions.map(a => a.action) };
+}
+
+// RFC 4180 quoting; a leading = + - @ is neutralised so a spreadsheet never runs it as a formula
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  let s = String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Header, then one line per row, newest first (keyset pagination — no OFFSET scan). */
+async function* auditCsvLines(filters = {}) {
+  yield CSV_COLUMNS.join(',') + '\r\n';
+  const { where, params } = buildWhere(filters);
+  let lastId = null, sent = 0;
+  while (sent < CSV_MAX_ROWS) {
+    const cond = lastId === null ? where : `${where ? `${where} AND` : ' WHERE'} id < ?`;
+    const [rows] = await pool.query(
+      `SELECT * FROM audit_log${cond} ORDER BY id DESC LIMIT ?`,
+      [...params, ...(lastId === null ? [] : [lastId]), Math.min(CSV_BATCH, CSV_MAX_ROWS - sent)]);
+    if (!rows.length) return;
+    yield rows.map(r => [r.id, r.created_at, r.user_id, r.username, r.action, r.target_type, r.target_id, r.ip,
+      r.before_json, r.after_json].map(csvCell).join(',') + '\r\n').join('');
+    sent += rows.length;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+module.exports = { record, listAudit, auditCsvLines };
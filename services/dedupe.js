@@ -0,0 +1,87 @@
+/**
+ * services/dedupe.js — Rule-based choice of the copy to keep in a duplicate group
+ *
+ * A policy is an ordered list of rules. The first rule ranks the group; the
+ * copies it cannot tell apart go to the next rule, and so on. Whatever is
+ * still tied at the end keeps the lowest id (first indexed).
+ *
+ *   rule                 keeps the copy with…
+ *   ──────────────────── ────────────────────────────────────────────────
+ *   resolution           the most pixels (width × height)
+ *   bitrate              the highest bitrate (ffprobe, else size × 8 / duration)
+ *   largest / smallest   the biggest / smallest file
+ *   engagement           the most views + comments + favourites + reactions
+ *   performer:<name>     a file under that performer (name or directory in the path)
+ *   oldest / newest      the lowest / highest id
+ *
+ * Rows come from db.getDuplicateMetrics(). Nothing here touches the database.
+ *
+ * Exported functions
+ * ─────────────────
+ *   RULES                     — name → { label, score } (labels listed by the admin UI)
+ *   parseRules(list)          — validated rule objects, throws on an unknown rule
+ *   pickSurvivor(rows, rules) — { keep, remove, reason } for one group
+ */
+'use strict';
+
+const MAX_RULES = 5;
+
+const RULES = {
+  resolution: { label: 'Résolution la plus haute', score: m => (m.width || 0) * (m.height || 0) },
+  bitrate: {
+    label: 'Débit le plus élevé',
+    score: m => m.bitrate || (m.duration ? Math.round((m.size || 0) * 8 / m.duration) : 0),
+  },
+  largest:  { label: 'Fichier le plus lourd', score: m => Number(m.size) || 0 },
+  smallest: { label: 'Fichier le plus léger', score: m => -(Number(m.size) || 0) },
+  engagement: {
+    label: 'Plus de vues / commentaires / favoris',
+    score: m => (m.view_count || 0) + (m.comment_count || 0) + (m.favorite_count || 0)
+      + (m.favorite ? 1 : 0) + (m.reaction_count || 0),
+  },
+  performer: {
+    label: 'Performer préféré',
+    score: (m, arg) => {
+      const name = arg.toLowerCase();
+      if ((m.performer_name || '').toLowerCase() === name) return 1;
+      return m.file_path.split('/').some(seg => seg.toLowerCase() === name) ? 1 : 0;
+    },
+  },
+  oldest: { label: 'Plus ancien', score: m => -m.id },
+  newest: { label: 'Plus récent', score: m => m.id },
+};
+
+/** ['resolution', 'performer:Alice'] → [{ name, arg, label, score }]. */
+function parseRules(list) {
+  if (!Array.isArray(list) || !list.length) throw new Error('rules required');
+  if (list.length > MAX_RULES) throw new Error(`at most ${MAX_RULES} rules`);
+  return list.map(raw => {
+    const [name, ...rest] = String(raw).split(':');
+    const arg = rest.join(':').trim();
+    const rule = Object.hasOwn(RULES, name) ? RULES[name] : null;
+    if (!rule) throw new Error(`unknown rule: ${name}`);
+    if (name === 'performer' && !arg) throw new Error('performer rule needs a name (performer:<name>)');
+    return { name, arg, label: arg ? `${rule.label} (${arg})` : rule.label, score: rule.score };
+  });
+}
+
+/**
+ * Apply `rules` to one group. `reason` is the label of the rule that made
+ * the final cut (null when every rule tied and the lowest id won).
+ */
+function pickSurvivor(rows, rules) {
+  let pool = [...rows].sort((a, b) => a.id - b.id);
+  let reason = null;
+  for (const rule of rules) {
+    if (pool.length < 2) break;
+    const scores = pool.map(m => rule.score(m, rule.arg));
+    const best = Math.max(...scores);
+    const next = pool.filter((_, i) => scores[i] === best);
+    if (next.length < pool.length) reason = rule.label;
+    pool = next;
+  }
+  const keep = pool[0].id;
+  return { keep, remove: rows.map(m => m.id).filter(id => id !== keep), reason };
+}
+
+module.exports = { RULES, parseRules, pickSurvivor };
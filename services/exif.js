@@ -0,0 +1,119 @@
+/**
+ * services/exif.js — Minimal EXIF reader for photo metadata
+ *
+ * sharp's metadata() hands back the raw EXIF block (`exif` Buffer) without
+ * decoding it. This reads the handful of tags the library uses, straight
+ * from the TIFF structure — no dependency, no full tag table:
+ *
+ *   IFD0        Make (0x010F), Model (0x0110), Orientation (0x0112), DateTime (0x0132)
+ *   Exif IFD    DateTimeOriginal (0x9003), DateTimeDigitized (0x9004)
+ *   GPS IFD     GPSLatitudeRef / GPSLatitude (1, 2), GPSLongitudeRef / GPSLongitude (3, 4)
+ *
+ * Every offset is bounds-checked: a truncated or garbage block yields an
+ * empty result, never an exception.
+ *
+ * Exported functions
+ * ─────────────────
+ *   parseExif(buf)  — { make, model, orientation, takenAt, lat, lon } (missing fields are null)
+ */
+'use strict';
+
+const TAG_MAKE         = 0x010F;
+const TAG_MODEL        = 0x0110;
+const TAG_ORIENTATION  = 0x0112;
+const TAG_DATETIME     = 0x0132;
+const TAG_EXIF_IFD     = 0x8769;
+const TAG_GPS_IFD      = 0x8825;
+const TAG_DATETIME_ORIGINAL  = 0x9003;
+const TAG_DATETIME_DIGITIZED = 0x9004;
+
+// Byte size of one value, per TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+const MAX_ENTRIES = 512;
+
+/** Tag → raw value of one IFD (strings, numbers or arrays of rationals). */
+function readIfd(tiff, offset, le) {
+  const u16 = o => le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o);
+  const u32 = o => le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o);
+  const i32 = o => le ? tiff.readInt32LE(o) : tiff.readInt32BE(o);
+  const tags = new Map();
+  if (offset + 2 > tiff.length) return tags;
+  const count = Math.min(u16(offset), MAX_ENTRIES);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    const tag = u16(entry), type = u16(entry + 2), n = u32(entry + 4);
+    const size = TYPE_SIZES[type];
+    if (!size || !n) continue;
+    // Values up to 4 bytes are stored inline, larger ones at an offset
+    const at = size * n <= 4 ? entry + 8 : u32(entry + 8);
+    if (at + size * n > tiff.length) continue;
+    let value;
+    if (type === 2) {
+      value = tiff.toString('latin1', at, at + n).replace(/\0[\s\S]*$/, '').trim();
+    } else if (type === 5 || type === 10) {
+      value = [];
+      for (let k = 0; k < Math.min(n, 4); k++) {
+        const o = at + k * 8;
+        const num = type === 5 ? u32(o) : i32(o), den = type === 5 ? u32(o + 4) : i32(o + 4);
+        value.push(den ? num / den : 0);
+      }
+    } else if (type === 3) {
+      value = u16(at);
+    } else if (type === 4 || type === 9) {
+      value = type === 4 ? u32(at) : i32(at);
+    } else {
+      value = tiff.toString('latin1', at, at + Math.min(n, 4));
+    }
+    tags.set(tag, value);
+  }
+  return tags;
+}
+
+/** "2023:07:12 18:04:33" → "2023-07-12 18:04:33" (null for blank / zeroed dates). */
+function exifDate(str) {
+  const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(str || '');
+  if (!m || m[1] < '1900' || m[2] === '00' || m[3] === '00') return null;
+  if (+m[2] > 12 || +m[3] > 31 || +m[4] > 23 || +m[5] > 59 || +m[6] > 59) return null;
+  return `${m[1]}-${m[2]}-${m[3]} ${m[4]}:${m[5]}:${m[6]}`;
+}
+
+// Degrees / minutes / seconds + hemisphere → signed decimal degrees
+function gpsCoord(dms, ref, max) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (!Number.isFinite(deg) || deg > max) return null;
+  return Math.round((ref === 'S' || ref === 'W' ? -deg : deg) * 1e6) / 1e6;
+}
+
+function parseExif(buf) {
+  const out = { make: null, model: null, orientation: null, takenAt: null, lat: null, lon: null };
+  if (!Buffer.isBuffer(buf) || buf.length < 14) return out;
+  try {
+    const tiff = buf.toString('latin1', 0, 6) === 'Exif\0\0' ? buf.subarray(6) : buf;
+    const order = tiff.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') return out;
+    const le = order === 'II';
+    if ((le ? tiff.readUInt16LE(2) : tiff.readUInt16BE(2)) !== 42) return out;
+
+    const ifd0 = readIfd(tiff, le ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), le);
+    const exif = typeof ifd0.get(TAG_EXIF_IFD) === 'number' ? readIfd(tiff, ifd0.get(TAG_EXIF_IFD), le) : new Map();
+    const gps  = typeof ifd0.get(TAG_GPS_IFD)  === 'number' ? readIfd(tiff, ifd0.get(TAG_GPS_IFD), le)  : new Map();
+
+    const str = v => (typeof v === 'string' && v) ? v.slice(0, 100) : null;
+    out.make  = str(ifd0.get(TAG_MAKE));
+    out.model = str(ifd0.get(TAG_MODEL));
+    const orientation = ifd0.get(TAG_ORIENTATION);
+    if (orientation >= 1 && orientation <= 8) out.orientation = orientation;
+    out.takenAt = exifDate(exif.get(TAG_DATETIME_ORIGINAL)) || exifDate(exif.get(TAG_DATETIME_DIGITIZED))
+      || exifDate(ifd0.get(TAG_DATETIME));
+
+    const lat = gpsCoord(gps.get(2), gps.get(1), 90);
+    const lon = gpsCoord(gps.get(4), gps.get(3), 180);
+    // 0,0 is what cameras without a fix often write
+    if (lat !== null && lon !== null && (lat || lon)) { out.lat = lat; out.lon = lon; }
+  } catch(_) { /* truncated block — keep what was read */ }
+  return out;
+}
+
+module.exports = { parseExif };
@@ -0,0 +1,247 @@
+/**
+ * services/hls.js — On-the-fly HLS packaging for videos browsers can't play
+ *
+ * `/stream/:id` pipes the raw file, which is fine for MP4/WebM + H.264/VP9
+ * but fails for MKV/AVI/WMV/FLV containers, HEVC video or AC3/DTS audio.
+ * For those, the player requests `/hls/:id/master.m3u8` instead and this
+ * module produces an HLS rendition through fluent-ffmpeg:
+ *
+ *   - H.264 video  → remux only (`-c:v copy`), near-instant and lossless
+ *   - anything else → transcode to H.264 (veryfast, CRF 21, max 1080p)
+ *   - AAC / MP3 audio is copied, everything else is re-encoded to AAC stereo
+ *
+ * Segments are written to HLS_DIR/<mediaId>/ (seg_00000.ts …) with an EVENT
+ * playlist, so playback starts as soon as the first segments exist.
+ *
+ * Design decisions
+ * ────────────────
+ * - Disk cache: a finished rendition (playlist contains #EXT-X-ENDLIST) is
+ *   reused until the source file's size/mtime change (source.json marker).
+ *   Oldest renditions are evicted once the cache exceeds HLS_CACHE_MAX_GB.
+ * - At most HLS_MAX_TRANSCODES ffmpeg processes run at once; extra requests
+ *   get a 503 + Retry-After from the route instead of queueing processes.
+ * - A job nobody has requested anything from for IDLE_KILL_MS (viewer closed
+ *   the player) is killed and its partial output removed.
+ *
+ * Exported functions
+ * ─────────────────
+ *   HLS_DIR
+ *   ensureHls(media)          — start (or reuse) a rendition; returns its state
+ *   waitForPlaylist(id, ms)   — resolves once the playlist has ≥ 1 segment
+ *   touch(id)                 — mark a rendition as in use (idle / LRU tracking)
+ *   evict(id)                 — stop its ffmpeg and delete its rendition (media trashed)
+ *   getHlsStatus()            — running jobs (for diagnostics)
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+let ffmpeg;
+try { ffmpeg = require('fluent-ffmpeg'); } catch(e) { ffmpeg = null; }
+
+const HLS_DIR = process.env.HLS_DIR || path.join(__dirname, '..', 'data', 'hls');
+const MAX_TRANSCODES = Math.max(1, Number(process.env.HLS_MAX_TRANSCODES) || 2);
+const CACHE_MAX_BYTES = (Number(process.env.HLS_CACHE_MAX_GB) || 20) * 1024 ** 3;
+const SEGMENT_SECONDS = 6;
+const IDLE_KILL_MS = 90 * 1000;
+
+const COPY_VIDEO_CODECS = new Set(['h264']);
+const COPY_AUDIO_CODECS = new Set(['aac', 'mp3']);
+
+if (!fs.existsSync(HLS_DIR)) fs.mkdirSync(HLS_DIR, { recursive: true });
+
+// mediaId → { command, startedAt, lastAccess, error, done, killed, mode }
+const jobs = new Map();
+
+function dirFor(id)      { return path.join(HLS_DIR, String(id)); }
+function playlistFor(id) { return path.join(dirFor(id), 'index.m3u8'); }
+function markerFor(id)   { return path.join(dirFor(id), 'source.json'); }
+
+function readPlaylist(id) {
+  try { return fs.readFileSync(playlistFor(id), 'utf8'); } catch(e) { return null; }
+}
+
+function isComplete(id) {
+  const pl = readPlaylist(id);
+  return !!pl && pl.includes('#EXT-X-ENDLIST');
+}
+
+/** True when the cached rendition was built from the current version of the file. */
+function markerMatches(id, stat) {
+  try {
+    const m = JSON.parse(fs.readFileSync(markerFor(id), 'utf8'));
+    return m.size === stat.size && m.mtimeMs === stat.mtimeMs;
+  } catch(e) { return false; }
+}
+
+function removeRendition(id) {
+  fs.rmSync(dirFor(id), { recursive: true, force: true });
+}
+
+function touch(id) {
+  const job = jobs.get(Number(id));
+  if (job) job.lastAccess = Date.now();
+  // Directory mtime doubles as "last used" for cache eviction
+  const now = new Date();
+  fs.utimes(dirFor(id), now, now, () => {});
+}
+
+/**
+ * Evict least-recently-used finished renditions until the cache fits
+ * in CACHE_MAX_BYTES. Running jobs are never evicted.
+ */
+function pruneCache() {
+  let entries;
+  try { entries = fs.readdirSync(HLS_DIR, { withFileTypes: true }).filter(d => d.isDirectory()); }
+  catch(e) { return; }
+
+  const dirs = entries.map(d => {
+    const dir = path.join(HLS_DIR, d.name);
+    let size = 0;
+    for (const f of fs.readdirSync(dir)) {
+      try { size += fs.statSync(path.join(dir, f)).size; } catch(e) {}
+    }
+    return { id: Number(d.name), size, mtime: fs.statSync(dir).mtimeMs };
+  });
+
+  let total = dirs.reduce((s, d) => s + d.size, 0);
+  if (total <= CACHE_MAX_BYTES) return;
+
+  dirs.sort((a, b) => a.mtime - b.mtime);
+  for (const d of dirs) {
+    if (total <= CACHE_MAX_BYTES) break;
+    if (jobs.has(d.id)) continue;
+    removeRendition(d.id);
+    total -= d.size;
+    console.log(`[HLS] cache eviction: media ${d.id} (${Math.round(d.size / 1048576)} MB)`);
+  }
+}
+
+function buildOutputOptions(media) {
+  const copyVideo = COPY_VIDEO_CODECS.has(media.codec);
+  const copyAudio = COPY_AUDIO_CODECS.has(media.audio_codec);
+  const opts = ['-map 0:v:0', '-map 0:a:0?', '-sn'];
+
+  if (copyVideo) {
+    opts.push('-c:v copy');
+  } else {
+    opts.push('-c:v libx264', '-preset veryfast', '-crf 21', '-pix_fmt yuv420p',
+              `-force_key_frames expr:gte(t,n_forced*${SEGMENT_SECONDS})`);
+    if (media.height && media.height > 1080) opts.push('-vf scale=-2:1080');
+  }
+  opts.push(...(copyAudio ? ['-c:a copy'] : ['-c:a aac', '-b:a 160k', '-ac 2']));
+  opts.push('-f hls', `-hls_time ${SEGMENT_SECONDS}`, '-hls_playlist_type event',
+            '-hls_flags independent_segments');
+
+  return { opts, mode: copyVideo && copyAudio ? 'remux' : 'transcode' };
+}
+
+/**
+ * Start (or reuse) the HLS rendition of a video.
+ * media: row with at least id, file_path, codec, audio_codec, height.
+ *
+ * Returns { status: 'ready' | 'running' | 'busy' | 'unavailable', mode? }
+ *   ready       — finished rendition on disk
+ *   running     — ffmpeg is producing segments
+ *   busy        — MAX_TRANSCODES reached, retry later
+ *   unavailable — ffmpeg missing or source file gone
+ */
+function ensureHls(media) {
+  const id = Number(media.id);
+  if (!ffmpeg) return { status: 'unavailable' };
+
+  let stat;
+  try { stat = fs.statSync(media.file_path); } catch(e) { return { status: 'unavailable' }; }
+
+  const running = jobs.get(id);
+  if (running && !running.done) { running.lastAccess = Date.now(); return { status: 'running', mode: running.mode }; }
+
+  if (fs.existsSync(dirFor(id))) {
+    if (markerMatches(id, stat) && isComplete(id)) { touch(id); return { status: 'ready' }; }
+    // Stale (source changed) or interrupted (server restart) — start over
+    removeRendition(id);
+  }
+
+  const active = [...jobs.values()].filter(j => !j.done).length;
+  if (active >= MAX_TRANSCODES) return { status: 'busy' };
+
+  fs.mkdirSync(dirFor(id), { recursive: true });
+  fs.writeFileSync(markerFor(id), JSON.stringify({ size: stat.size, mtimeMs: stat.mtimeMs }));
+
+  const { opts, mode } = buildOutputOptions(media);
+  const job = { command: null, startedAt: Date.now(), lastAccess: Date.now(), error: null, done: false, killed: false, mode };
+
+  job.command = ffmpeg(media.file_path)
+    .outputOptions(opts)
+    // Two-argument form: fluent-ffmpeg must not split a path containing spaces
+    .outputOptions('-hls_segment_filename', path.join(dirFor(id), 'seg_%05d.ts'))
+    .output(playlistFor(id))
+    .on('start', () => console.log(`[HLS] ${mode} started for media ${id}`))
+    .on('end', () => {
+      job.done = true;
+      jobs.delete(id);
+      console.log(`[HLS] media ${id} ready (${Math.round((Date.now() - job.startedAt) / 1000)}s)`);
+      pruneCache();
+    })
+    .on('error', (err) => {
+      job.done = true;
+      job.error = err.message;
+      jobs.delete(id);
+      removeRendition(id);
+      if (!job.killed) console.error(`[HLS] media ${id} failed:`, err.message);
+    });
+
+  jobs.set(id, job);
+  job.command.run();
+  return { status: 'running', mode };
+}
+
+/**
+ * Resolve once the playlist lists at least one segment, or reject on
+ * ffmpeg failure / timeout.
+ */
+function waitForPlaylist(id, timeoutMs = 30000) {
+  id = Number(id);
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      const pl = readPlaylist(id);
+      if (pl && pl.includes('#EXTINF')) return resolve(pl);
+      const job = jobs.get(id);
+      if (!job) return reject(new Error('HLS job not running'));
+      if (Date.now() > deadline) return reject(new Error('Timeout waiting for first segment'));
+      setTimeout(check, 400);
+    };
+    check();
+  });
+}
+
+function evict(id) {
+  id = Number(id);
+  const job = jobs.get(id);
+  if (job && !job.done) {
+    job.killed = true;
+    try { job.command.kill('SIGKILL'); } catch(e) {}
+  }
+  removeRendition(id);
+}
+
+function getHlsStatus() {
+  return [...jobs.entries()].map(([id, j]) => ({
+    mediaId: id, mode: j.mode, startedAt: j.startedAt, lastAccess: j.lastAccess,
+  }));
+}
+
+// Kill transcodes nobody is watching anymore
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.done || now - job.lastAccess < IDLE_KILL_MS) continue;
+    console.log(`[HLS] media ${id} idle — stopping ffmpeg`);
+    job.killed = true;
+    try { job.command.kill('SIGKILL'); } catch(e) {}
+  }
+}, 15000).unref();
+
+module.exports = { HLS_DIR, ensureHls, waitForPlaylist, touch, evict, getHlsStatus };
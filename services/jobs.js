@@ -0,0 +1,412 @@
+/**
+ * services/jobs.js — Persistent background job queue
+ *
+ * Long-running work (scans, ffprobe enrichment, thumbnails, maintenance)
+ * runs as rows of the `jobs` table instead of promises tied to a request or
+ * an SSE connection — closing the admin tab or restarting the server no
+ * longer loses it.
+ *
+ *   queued ──► running ──► done
+ *     ▲           ├──────► failed      (error, no attempt left)
+ *     │           ├──────► cancelled
+ *     └───────────┘        error with attempts left → queued again after
+ *                          a backoff (30 s, 60 s, 120 s…)
+ *
+ * Job types are registered by services/tasks.js:
+ *
+ *   registerJobType(type, { label, priority, maxAttempts, exclusive, run(ctx) })
+ *
+ * run() resolves with the job result (stored as JSON) and receives:
+ *   ctx.params                  — the JSON params given to enqueue()
+ *   ctx.progress(done, total, message?)
+ *   ctx.log(line, level?)       — 'info' | 'warn' | 'error', kept in job_logs
+ *   ctx.emit(data)              — free-form live event (not persisted)
+ *   ctx.cancelled / ctx.onCancel(fn) — cooperative cancellation
+ *
+ * Design decisions
+ * ────────────────
+ * - One worker loop per server process, JOBS_CONCURRENCY jobs at a time
+ *   (default 2). Highest priority first, then oldest. An `exclusive` type
+ *   (scan) never runs twice at once: its queued jobs wait while one runs,
+ *   whatever their params.
+ * - Restart: jobs a previous process left `running` are queued again (the
+ *   interrupted attempt is not counted) and start over — every handler is
+ *   idempotent (indexed files are skipped, existing thumbnails kept…).
+ * - Progress is held in memory and written to the row at most once a second;
+ *   log lines are buffered the same way, capped at MAX_LOG_LINES per job.
+ * - subscribe(id, fn) feeds GET /admin/jobs/:id/stream, so any client can
+ *   (re-)attach to a running job.
+ * - Finished jobs older than JOBS_HISTORY_DAYS (default 30) are pruned on boot.
+ *
+ * Exported functions
+ * ─────────────────
+ *   registerJobType(type, def) / getJobTypes()
+ *   enqueue(type, params, { priority, userId, dedupe }) — dedupe returns the
+ *                               queued/running job with the same params
+ *   getJob(id) / listJobs(filters) / getJobLogs(id, { afterId, limit })
+ *   cancelJob(id) / retryJob(id) / deleteJob(id)
+ *   subscribe(id, listener) → unsubscribe
+ *   onJobFinished(listener)     — listener(job) for every job reaching done / failed / cancelled
+ *   startWorker() / stopWorker()
+ */
+'use strict';
+
+const { EventEmitter } = require('events');
+const { pool } = require('../db');
+
+const CONCURRENCY   = Math.max(1, Number(process.env.JOBS_CONCURRENCY) || 2);
+const HISTORY_DAYS  = Math.max(1, Number(process.env.JOBS_HISTORY_DAYS) || 30);
+const FLUSH_MS      = 1000;
+const POLL_MS       = 5000;
+const RETRY_BASE_S  = 30;
+const MAX_LOG_LINES = 5000;
+const FINISHED      = ['done', 'failed', 'cancelled'];
+
+const types = new Map();   // type → { label, priority, maxAttempts, exclusive, run }
+const running = new Map(); // id → in-memory state of a job this process is running
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let started = false;
+let pumping = false;
+let pollTimer = null;
+
+// ─── Registry ─────────────────────────────────────────────────
+
+function registerJobType(type, def) {
+  types.set(type, { label: type, priority: 5, maxAttempts: 1, exclusive: false, ...def });
+}
+
+function getJobTypes() {
+  return [...types].map(([type, d]) => ({ type, label: d.label, priority: d.priority }));
+}
+
+// ─── Rows ─────────────────────────────────────────────────────
+
+function parseJson(str) {
+  if (str == null) return null;
+  try { return JSON.parse(str); } catch(_) { return null; }
+}
+
+/** DB row → API object; a job running here reports its in-memory progress. */
+function toJob(row) {
+  const live = running.get(row.id);
+  return {
+    id: row.id,
+    type: row.type,
+    label: types.get(row.type)?.label || row.type,
+    params: parseJson(row.params) || {},
+    status: row.status,
+    priority: row.priority,
+    progress: live
+      ? { ...live.progress }
+      : { done: row.progress_done, total: row.progress_total, message: row.message },
+    result: parseJson(row.result),
+    error: row.error,
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    cancel_requested: !!(live ? live.cancelled : row.cancel_requested),
+    run_after: row.run_after,
+    created_by: row.created_by,
+    created_by_name: row.created_by_name ?? null,
+    created_at: row.created_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+  };
+}
+
+const JOB_SELECT = `SELECT j.*, u.username AS created_by_name FROM jobs j LEFT JOIN users u ON u.id = j.created_by`;
+
+async function getJob(id) {
+  const [[row]] = await pool.query(`${JOB_SELECT} WHERE j.id = ?`, [id]);
+  return row ? toJob(row) : null;
+}
+
+/**
+ * Paginated history. `status` may be a single status or 'active'
+ * (queued + running); `result` is left out of the list (can be large).
+ */
+async function listJobs({ status, type, page = 1, limit = 30 } = {}) {
+  const where = ['1=1'];
+  const params = [];
+  if (status === 'active') where.push("j.status IN ('queued','running')");
+  else if (status) { where.push('j.status = ?'); params.push(status); }
+  if (type) { where.push('j.type = ?'); params.push(type); }
+  const whereStr = where.join(' AND ');
+  const lim = Math.min(Math.max(Number(limit) || 30, 1), 200);
+  const pg = Math.max(Number(page) || 1, 1);
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM jobs j WHERE ${whereStr}`, params);
+  const [rows] = await pool.query(
+    `${JOB_SELECT} WHERE ${whereStr}
+     ORDER BY FIELD(j.status, 'queued', 'running') DESC, j.id DESC LIMIT ? OFFSET ?`,
+    [...params, lim, (pg - 1) * lim]
+  );
+  return { data: rows.map(r => ({ ...toJob(r), result: undefined })), total, page: pg, limit: lim };
+}
+
+async function getJobLogs(id, { afterId = 0, limit = 500 } = {}) {
+  await flush(id);
+  const [rows] = await pool.query(
+    `SELECT * FROM (
+       SELECT id, level, line, created_at FROM job_logs WHERE job_id = ? AND id > ? ORDER BY id DESC LIMIT ?
+     ) t ORDER BY id`,
+    [id, afterId, Math.min(Number(limit) || 500, MAX_LOG_LINES)]
+  );
+  return rows;
+}
+
+// ─── Queue operations ─────────────────────────────────────────
+
+async function enqueue(type, params = {}, { priority, userId = null, dedupe = true } = {}) {
+  const def = types.get(type);
+  if (!def) throw new Error(`Unknown job type: ${type}`);
+  const json = JSON.stringify(params || {});
+  if (dedupe) {
+    const [[existing]] = await pool.query(
+      `${JOB_SELECT} WHERE j.type = ? AND j.params = ? AND j.status IN ('queued','running') ORDER BY j.id LIMIT 1`,
+      [type, json]
+    );
+    if (existing) return toJob(existing);
+  }
+  const [r] = await pool.query(
+    'INSERT INTO jobs (type, params, priority, max_attempts, created_by) VALUES (?, ?, ?, ?, ?)',
+    [type, json, priority ?? def.priority, def.maxAttempts, userId]
+  );
+  setImmediate(pump);
+  return getJob(r.insertId);
+}
+
+/**
+ * Queued → cancelled at once; running → flag + onCancel hooks, the handler
+ * stops at its next check. Returns the job, or null if it already finished.
+ */
+async function cancelJob(id) {
+  const live = running.get(id);
+  if (live) {
+    if (!live.cancelled) {
+      live.cancelled = true;
+      live.ctx.log('⏹ Annulation demandée', 'warn');
+      for (const fn of live.cancelHooks) try { fn(); } catch(_) {}
+      await pool.query('UPDATE jobs SET cancel_requested = 1 WHERE id = ?', [id]);
+    }
+    return getJob(id);
+  }
+  const [r] = await pool.query(
+    "UPDATE jobs SET status = 'cancelled', cancel_requested = 1, finished_at = NOW() WHERE id = ? AND status = 'queued'",
+    [id]
+  );
+  if (!r.affectedRows) return null;
+  const job = await getJob(id);
+  publishEnd(job);
+  return job;
+}
+
+/** Put a failed / cancelled job back in the queue (attempt counter reset). */
+async function retryJob(id) {
+  const [r] = await pool.query(
+    `UPDATE jobs SET status = 'queued', attempts = 0, error = NULL, cancel_requested = 0, run_after = NULL,
+       progress_done = 0, progress_total = 0, message = NULL, result = NULL, started_at = NULL, finished_at = NULL
+     WHERE id = ? AND status IN ('failed','cancelled')`,
+    [id]
+  );
+  if (!r.affectedRows) return null;
+  setImmediate(pump);
+  return getJob(id);
+}
+
+/** Remove a finished job and its logs. */
+async function deleteJob(id) {
+  const [r] = await pool.query('DELETE FROM jobs WHERE id = ? AND status IN (?)', [id, FINISHED]);
+  return r.affectedRows > 0;
+}
+
+// ─── Live updates ─────────────────────────────────────────────
+
+function publish(id, event) {
+  bus.emit(`job:${id}`, event);
+}
+
+function subscribe(id, listener) {
+  bus.on(`job:${id}`, listener);
+  return () => bus.off(`job:${id}`, listener);
+}
+
+function onJobFinished(listener) {
+  bus.on('finished', listener);
+}
+
+function publishEnd(job) {
+  publish(job.id, { event: 'end', status: job.status, job });
+  bus.emit('finished', job);
+}
+
+// ─── Worker ───────────────────────────────────────────────────
+
+/** Write buffered progress / log lines of a running job. */
+async function flush(id) {
+  const live = running.get(id);
+  if (!live) return;
+  if (live.dirty) {
+    live.dirty = false;
+    const { done, total, message } = live.progress;
+    await pool.query(
+      'UPDATE jobs SET progress_done = ?, progress_total = ?, message = ? WHERE id = ?',
+      [done, total, message ? String(message).slice(0, 500) : null, id]
+    );
+  }
+  if (live.logs.length) {
+    const rows = live.logs.splice(0);
+    await pool.query('INSERT INTO job_logs (job_id, level, line) VALUES ?', [rows]);
+  }
+}
+
+async function claimNext() {
+  // Exclusive types already running here are skipped, not failed on a conflict
+  const claimable = [...types.keys()].filter(type =>
+    !types.get(type).exclusive || ![...running.values()].some(l => l.type === type));
+  if (!claimable.length) return null;
+  const [[next]] = await pool.query(
+    `SELECT id FROM jobs
+     WHERE status = 'queued' AND type IN (?) AND (run_after IS NULL OR run_after <= NOW())
+     ORDER BY priority DESC, id LIMIT 1`,
+    [claimable]
+  );
+  if (!next) return null;
+  const [r] = await pool.query(
+    "UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = NOW(), finished_at = NULL WHERE id = ? AND status = 'queued'",
+    [next.id]
+  );
+  if (!r.affectedRows) return claimNext(); // cancelled in between
+  const [[row]] = await pool.query(`${JOB_SELECT} WHERE j.id = ?`, [next.id]);
+  return row;
+}
+
+async function pump() {
+  if (!started || pumping) return;
+  pumping = true;
+  try {
+    while (started && running.size < CONCURRENCY) {
+      const row = await claimNext();
+      if (!row) break;
+      runJob(row);
+    }
+  } catch(e) { console.error('[JOBS]', e.message); }
+  finally { pumping = false; }
+}
+
+async function runJob(row) {
+  const id = row.id;
+  const def = types.get(row.type);
+  const live = {
+    type: row.type,
+    progress: { done: row.progress_done, total: row.progress_total, message: row.message },
+    dirty: false, logs: [], logCount: 0,
+    cancelled: !!row.cancel_requested, cancelHooks: [], ctx: null,
+  };
+  const ctx = {
+    jobId: id,
+    params: parseJson(row.params) || {},
+    attempt: row.attempts,
+    get cancelled() { return live.cancelled; },
+    onCancel(fn) { live.cancelHooks.push(fn); },
+    progress(done, total, message = live.progress.message) {
+      live.progress = { done: Number(done) || 0, total: Number(total) || 0, message: message ?? null };
+      live.dirty = true;
+      publish(id, { event: 'progress', ...live.progress });
+    },
+    log(line, level = 'info') {
+      const text = String(line).slice(0, 2000);
+      if (live.logCount < MAX_LOG_LINES) live.logs.push([id, level, text]);
+      else if (live.logCount === MAX_LOG_LINES) live.logs.push([id, 'warn', `… journal tronqué à ${MAX_LOG_LINES} lignes`]);
+      live.logCount++;
+      publish(id, { event: 'log', level, line: text, at: new Date().toISOString() });
+    },
+    emit(data) { publish(id, { event: 'data', data }); },
+  };
+  live.ctx = ctx;
+  running.set(id, live);
+  const timer = setInterval(() => flush(id).catch(e => console.error('[JOBS flush]', e.message)), FLUSH_MS);
+
+  publish(id, { event: 'status', status: 'running' });
+  if (row.attempts > 1) ctx.log(`Tentative ${row.attempts}/${row.max_attempts}`);
+
+  let status, result = null, error = null, retryIn = 0;
+  try {
+    if (live.cancelled) throw new Error('Cancelled');
+    result = await def.run(ctx);
+    status = live.cancelled ? 'cancelled' : 'done';
+  } catch(e) {
+    error = e.message;
+    if (live.cancelled) status = 'cancelled';
+    else if (row.attempts < row.max_attempts) {
+      status = 'queued';
+      retryIn = RETRY_BASE_S * 2 ** (row.attempts - 1);
+      ctx.log(`⚠ ${e.message} — nouvel essai dans ${retryIn}s`, 'warn');
+    } else {
+      status = 'failed';
+      ctx.log(`❌ ${e.message}`, 'error');
+      console.error(`[JOBS] #${id} ${row.type}:`, e.message);
+    }
+  }
+
+  clearInterval(timer);
+  try {
+    await flush(id);
+    await pool.query(
+      `UPDATE jobs SET status = ?, result = ?, error = ?,
+         run_after = ${retryIn ? 'NOW() + INTERVAL ? SECOND' : 'NULL'},
+         finished_at = ${status === 'queued' ? 'NULL' : 'NOW()'}
+       WHERE id = ?`,
+      [status, result == null ? null : JSON.stringify(result), status === 'cancelled' ? null : error,
+       ...(retryIn ? [retryIn] : []), id]
+    );
+  } catch(e) { console.error('[JOBS]', e.message); }
+  running.delete(id);
+
+  const job = await getJob(id).catch(() => null);
+  if (status === 'queued') publish(id, { event: 'status', status, job });
+  else if (job) publishEnd(job);
+  else publish(id, { event: 'end', status, job });
+  setImmediate(pump);
+}
+
+/**
+ * Recover jobs interrupted by a restart, prune old history, then start
+ * polling (delayed retries become due without anyone enqueueing).
+ */
+async function startWorker() {
+  if (started) return;
+  await pool.query(
+    `INSERT INTO job_logs (job_id, level, line)
+     SELECT id, 'warn', '↻ Interrompu par un redémarrage du serveur — reprise' FROM jobs
+     WHERE status = 'running' AND cancel_requested = 0`
+  );
+  await pool.query(
+    "UPDATE jobs SET status = 'cancelled', finished_at = NOW() WHERE status = 'running' AND cancel_requested = 1"
+  );
+  const [recovered] = await pool.query(
+    "UPDATE jobs SET status = 'queued', attempts = GREATEST(attempts - 1, 0) WHERE status = 'running'"
+  );
+  if (recovered.affectedRows) console.log(`  ↻  ${recovered.affectedRows} tâche(s) reprise(s) après redémarrage`);
+  await pool.query(
+    'DELETE FROM jobs WHERE status IN (?) AND finished_at < NOW() - INTERVAL ? DAY',
+    [FINISHED, HISTORY_DAYS]
+  );
+  started = true;
+  pollTimer = setInterval(pump, POLL_MS);
+  pollTimer.unref();
+  pump();
+}
+
+/** Stop claiming new jobs (running ones finish on their own). */
+function stopWorker() {
+  started = false;
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  registerJobType, getJobTypes,
+  enqueue, getJob, listJobs, getJobLogs, cancelJob, retryJob, deleteJob,
+  subscribe, onJobFinished, startWorker, stopWorker,
+};
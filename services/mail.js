@@ -13,6 +13,7 @@
  * ─────────────────
  *   sendMail({ to, subject, html, text }) — generic mailer
  *   sendPasswordReset(email, username, resetUrl) — sends the reset email
+ *   sendReport(to, title, text) — plain-text report (scheduled jobs) in the XFlix template
  *   testSmtp() — verifies SMTP connectivity (used by admin test endpoint)
  */
 'use strict';
@@ -113,6 +114,24 @@ async function sendPasswordReset(email, username, resetUrl) {
   });
 }
 
+/**
+ * Rapport texte (tâches planifiées) : le texte est rendu tel quel dans un <pre>.
+ * `to` accepte une liste d'adresses.
+ */
+async function sendReport(to, title, text) {
+  return sendMail({
+    to,
+    subject: `📋 XFlix — ${title}`,
+    html: `
+      <div style="font-family:sans-serif;max-width:720px;margin:0 auto;background:#141414;color:#fff;padding:32px;border-radius:8px">
+        <h2 style="color:#e50914;margin:0 0 16px">XFlix</h2>
+        <p><strong>${escapeHtml(title)}</strong></p>
+        <pre style="white-space:pre-wrap;font-size:12px;line-height:1.5;background:#0b0b0e;color:#ddd;padding:16px;border-radius:6px">${escapeHtml(text)}</pre>
+      </div>`,
+    text: `${title}\n\n${text}`,
+  });
+}
+
 /**
  * Vérifie la connectivité SMTP (utilisé par POST /admin/settings/test-smtp).
  * Retourne true si le serveur accepte la connexion et l'authentification.
@@ -122,4 +141,4 @@ async function testSmtp() {
   return transport.verify();
 }
 
-module.exports = { sendMail, sendPasswordReset, testSmtp };
+module.exports = { sendMail, sendPasswordReset, sendReport, testSmtp };
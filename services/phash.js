@@ -0,0 +1,181 @@
+/**
+ * services/phash.js — Perceptual hashes for near-duplicate detection
+ *
+ * A difference hash (dHash) survives re-encoding, resizing and small colour
+ * changes: the image is shrunk to 9×8 greyscale and each of the 64 bits says
+ * whether a pixel is brighter than its right-hand neighbour. Two copies of
+ * the same picture end up a few bits apart; unrelated pictures ~32 apart.
+ *
+ * Stored in media.phash as hex:
+ *   photo   one hash                    16 chars
+ *   video   VIDEO_HASH_FRAMES hashes    16 chars each, frames in time order;
+ *           a black / flat frame (fade, title card) is stored as BLANK_HASH
+ *           and ignored when comparing
+ *   ''      file could not be decoded — not retried
+ *
+ * Exported functions
+ * ─────────────────
+ *   dHash(input)                    — hex hash of a file / Buffer (sharp input)
+ *   hamming(a, b)                   — differing bits of two 16-char hashes
+ *   videoDistance(a, b)             — mean frame distance of two sequences, null if not comparable
+ *   groupSimilar(items, threshold)  — clusters of items whose phash are ≤ threshold apart
+ */
+'use strict';
+
+let sharp;
+try { sharp = require('sharp'); } catch(e) { sharp = null; }
+
+const HASH_HEX = 16;
+const BLANK_HASH = '0'.repeat(HASH_HEX);
+// Frames sampled per video, at the middle of VIDEO_HASH_FRAMES equal slices
+const VIDEO_HASH_FRAMES = 10;
+// Shift (in frames) tried when aligning two sequences — absorbs a trimmed intro / outro
+const VIDEO_MAX_SHIFT = 1;
+// Durations further apart than this cannot be the same video, even trimmed
+const VIDEO_DURATION_TOLERANCE = 0.15;
+
+async function dHash(input) {
+  if (!sharp) return null;
+  const { data } = await sharp(input).rotate().greyscale()
+    .resize(9, 8, { fit: 'fill' }).raw().toBuffer({ resolveWithObject: true });
+  let hex = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      byte = (byte << 1) | (data[row * 9 + col] > data[row * 9 + col + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+function popcount32(n) {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+// 16 hex chars → [high, low] 32-bit halves, so comparisons stay integer XORs
+function parseHash(hex) {
+  return [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+}
+
+function bitDistance(a, b) {
+  return popcount32(a[0] ^ b[0]) + popcount32(a[1] ^ b[1]);
+}
+
+function hamming(a, b) {
+  return bitDistance(parseHash(a), parseHash(b));
+}
+
+// Frame sequence → parsed hashes, null for the blank frames
+function parseFrames(seq) {
+  const out = [];
+  for (let i = 0; i + HASH_HEX <= seq.length; i += HASH_HEX) {
+    const hex = seq.slice(i, i + HASH_HEX);
+    out.push(hex === BLANK_HASH ? null : parseHash(hex));
+  }
+  return out;
+}
+
+function framesDistance(fa, fb) {
+  const minPairs = Math.ceil(Math.min(fa.length, fb.length) / 2);
+  let best = null;
+  for (let shift = -VIDEO_MAX_SHIFT; shift <= VIDEO_MAX_SHIFT; shift++) {
+    let sum = 0, pairs = 0;
+    for (let i = 0; i < fa.length; i++) {
+      const j = i + shift;
+      if (j < 0 || j >= fb.length || !fa[i] || !fb[j]) continue;
+      sum += bitDistance(fa[i], fb[j]);
+      pairs++;
+    }
+    if (pairs >= minPairs && pairs && (best === null || sum / pairs < best)) best = sum / pairs;
+  }
+  return best === null ? null : Math.round(best * 10) / 10;
+}
+
+/**
+ * Mean Hamming distance between aligned frames, at the best shift within
+ * ±VIDEO_MAX_SHIFT. Pairs with a blank frame are skipped; fewer than half
+ * the frames left to compare means "not comparable" (null).
+ */
+function videoDistance(a, b) {
+  return framesDistance(parseFrames(a), parseFrames(b));
+}
+
+// ─── Clustering ──────────────────────────────────────────────
+
+function unionFind(n) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = i => { while (parent[i] !== i) i = parent[i] = parent[parent[i]]; return i; };
+  return { find, union: (a, b) => { parent[find(a)] = find(b); } };
+}
+
+// Let the event loop breathe between batches of comparisons (the job runs in the server process)
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Cluster `items` ({ type, phash, duration, … }) whose hashes are at most
+ * `threshold` bits apart — per frame, on average, for videos. Photos and
+ * videos are never mixed. Resolves to groups of ≥ 2 items, each item
+ * carrying `distance` to the group's first item (the reference shown in the
+ * admin compare view). `onProgress(done, total)` is called per item.
+ */
+async function groupSimilar(items, threshold, { onProgress = null, isCancelled = () => false } = {}) {
+  const valid = items.filter(m => m.phash);
+  const { find, union } = unionFind(valid.length);
+  const total = valid.length;
+  let done = 0;
+
+  // Photos: every pair, on typed arrays — a plain XOR / popcount loop beats
+  // a BK-tree here (64-bit hashes spread too evenly for it to prune much)
+  const photos = valid.map((m, index) => ({ m, index }))
+    .filter(p => p.m.type === 'photo' && p.m.phash.length === HASH_HEX);
+  const hi = new Int32Array(photos.length), lo = new Int32Array(photos.length);
+  photos.forEach((p, i) => { [hi[i], lo[i]] = parseHash(p.m.phash); });
+  for (let i = 0; i < photos.length; i++) {
+    if (isCancelled()) return null;
+    const a = hi[i], b = lo[i];
+    for (let j = i + 1; j < photos.length; j++) {
+      if (popcount32(a ^ hi[j]) + popcount32(b ^ lo[j]) <= threshold) union(photos[i].index, photos[j].index);
+    }
+    if (++done % 200 === 0) { if (onProgress) onProgress(done, total); await tick(); }
+  }
+
+  // Videos: sorted by duration, only compared with durations within the tolerance
+  const videos = valid.map((m, index) => ({ m, index, frames: null }))
+    .filter(v => v.m.type === 'video' && v.m.phash.length > HASH_HEX)
+    .sort((a, b) => (a.m.duration || 0) - (b.m.duration || 0));
+  videos.forEach(v => { v.frames = parseFrames(v.m.phash); });
+  for (let i = 0; i < videos.length; i++) {
+    if (isCancelled()) return null;
+    const da = videos[i].m.duration;
+    for (let j = i + 1; j < videos.length; j++) {
+      const db = videos[j].m.duration;
+      if (da && db && db > da * (1 + VIDEO_DURATION_TOLERANCE)) break;
+      const d = framesDistance(videos[i].frames, videos[j].frames);
+      if (d !== null && d <= threshold) union(videos[i].index, videos[j].index);
+    }
+    if (++done % 50 === 0) { if (onProgress) onProgress(done, total); await tick(); }
+  }
+  if (onProgress) onProgress(total, total);
+
+  const clusters = new Map();
+  valid.forEach((m, i) => {
+    const r = find(i);
+    if (!clusters.has(r)) clusters.set(r, []);
+    clusters.get(r).push(m);
+  });
+  return [...clusters.values()].filter(g => g.length > 1).map(g => {
+    const ref = g[0];
+    return g.map(m => ({
+      ...m,
+      distance: m === ref ? 0 : m.type === 'video' ? videoDistance(ref.phash, m.phash) : hamming(ref.phash, m.phash),
+    }));
+  });
+}
+
+module.exports = {
+  HASH_HEX, BLANK_HASH, VIDEO_HASH_FRAMES,
+  dHash, hamming, videoDistance, groupSimilar,
+};
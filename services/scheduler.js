@@ -0,0 +1,374 @@
+/**
+ * services/scheduler.js — Recurring jobs on cron expressions
+ *
+ * Each row of the `schedules` table enqueues one job type of the persistent
+ * queue (services/jobs.js) with fixed params whenever its cron expression
+ * matches: nightly scan, weekly clean-media dry-run, monthly duplicates…
+ *
+ * Cron syntax (5 fields, server local time)
+ * ─────────────────────────────────────────
+ *   minute hour day-of-month month day-of-week
+ *   *  5  1-5  1,15  *\/10  1-31/2  jan-dec  sun-sat (0 and 7 = Sunday)
+ *   @hourly  @daily  @weekly  @monthly  @yearly
+ *
+ *   As in cron, when both day-of-month and day-of-week are restricted a day
+ *   matching either one runs the job.
+ *
+ * Design decisions
+ * ────────────────
+ * - One tick per minute: schedules whose next_run_at has passed are
+ *   enqueued, then next_run_at moves to the next match after now. A run
+ *   missed while the server was down happens once at startup, not once per
+ *   missed slot.
+ * - Times are computed and stored in server local time (like cron itself),
+ *   independently of the DB time zone.
+ * - enqueue() dedupes: a nightly scan still running the next night is
+ *   followed, not queued twice.
+ * - email_report: when the job finishes, a text report is mailed to every
+ *   admin (services/mail.js). Listening on jobs.onJobFinished() rather than
+ *   on the job itself means a job resumed after a restart still reports.
+ *
+ * Exported functions
+ * ─────────────────
+ *   parseCron(expr)             — field sets, throws on an invalid expression
+ *   nextRun(expr, from?)        — next matching Date after `from`, or null
+ *   listSchedules() / getSchedule(id)
+ *   createSchedule(data) / updateSchedule(id, data) / deleteSchedule(id)
+ *   runSchedule(id, userId)     — enqueue now (next_run_at unchanged)
+ *   startScheduler() / stopScheduler()
+ */
+'use strict';
+
+const { pool } = require('../db');
+const jobs = require('./jobs');
+const { sendReport } = require('./mail');
+
+const TICK_MS = 60 * 1000;
+const REPORT_SAMPLE = 50;
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *', '@annually': '0 0 1 1 *', '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0', '@daily': '0 0 * * *', '@midnight': '0 0 * * *', '@hourly': '0 * * * *',
+};
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAYS, offset: 0 },
+];
+
+let timer = null;
+let ticking = false;
+
+// ─── Cron expressions ─────────────────────────────────────────
+
+function parseValue(str, field) {
+  const idx = field.names ? field.names.indexOf(str.toLowerCase()) : -1;
+  const n = idx >= 0 ? idx + field.offset : /^\d+$/.test(str) ? Number(str) : NaN;
+  if (!Number.isInteger(n) || n < field.min || n > field.max) {
+    throw new Error(`Valeur invalide « ${str} » (${field.name})`);
+  }
+  return n;
+}
+
+function parseField(str, field) {
+  const values = new Set();
+  for (const part of str.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Pas invalide « ${part} » (${field.name})`);
+    let lo, hi;
+    if (range === '*') { lo = field.min; hi = field.max; }
+    else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field); hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`Intervalle invalide « ${range} » (${field.name})`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepStr === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** Parse a cron expression. Throws an Error with a French message when invalid. */
+function parseCron(expr) {
+  const src = String(expr || '').trim();
+  const parts = (ALIASES[src.toLowerCase()] || src).split(/\s+/);
+  if (parts.length !== 5) throw new Error('Expression cron invalide : 5 champs attendus (minute heure jour mois jour-semaine)');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.delete(7)) dow.add(0);
+  return {
+    minute, hour, dom, month, dow,
+    domAny: parts[2] === '*', dowAny: parts[4] === '*',
+  };
+}
+
+function dayMatches(c, d) {
+  const domOk = c.dom.has(d.getDate());
+  const dowOk = c.dow.has(d.getDay());
+  if (c.domAny || c.dowAny) return domOk && dowOk;
+  return domOk || dowOk;
+}
+
+/** Next minute strictly after `from` matching `expr`, or null (e.g. 30 February). */
+function nextRun(expr, from = new Date()) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  // Skips whole months / days / hours, so even a yearly expression takes
+  // a few hundred iterations; 5 years without a match means never.
+  const limit = new Date(d);
+  limit.setFullYear(limit.getFullYear() + 5);
+  while (d < limit) {
+    if (!c.month.has(d.getMonth() + 1)) { d.setMonth(d.getMonth() + 1, 1); d.setHours(0, 0, 0, 0); continue; }
+    if (!dayMatches(c, d)) { d.setDate(d.getDate() + 1); d.setHours(0, 0, 0, 0); continue; }
+    if (!c.hour.has(d.getHours())) { d.setHours(d.getHours() + 1, 0, 0, 0); continue; }
+    if (!c.minute.has(d.getMinutes())) { d.setMinutes(d.getMinutes() + 1, 0, 0); continue; }
+    return d;
+  }
+  return null;
+}
+
+// ─── Storage ──────────────────────────────────────────────────
+
+// Local-time DATETIME string — the DB is read with dateStrings, so what is
+// written here is exactly what toDate() reads back.
+function toSql(date) {
+  if (!date) return null;
+  const p = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${p(date.getMonth() + 1)}-${p(date.getDate())} ${p(date.getHours())}:${p(date.getMinutes())}:${p(date.getSeconds())}`;
+}
+
+function toDate(str) {
+  return str ? new Date(String(str).replace(' ', 'T')) : null;
+}
+
+function toSchedule(row) {
+  let params = {};
+  try { params = JSON.parse(row.params || '{}') || {}; } catch(_) {}
+  return {
+    id: row.id,
+    name: row.name,
+    job_type: row.job_type,
+    job_label: jobs.getJobTypes().find(t => t.type === row.job_type)?.label || row.job_type,
+    params,
+    cron: row.cron,
+    enabled: !!row.enabled,
+    email_report: !!row.email_report,
+    last_run_at: row.last_run_at,
+    last_job_id: row.last_job_id,
+    last_status: row.last_status ?? null,
+    last_error: row.last_error ?? null,
+    next_run_at: row.enabled ? row.next_run_at : null,
+    created_at: row.created_at,
+  };
+}
+
+const SCHEDULE_SELECT = `
+  SELECT s.*, j.status AS last_status, j.error AS last_error
+  FROM schedules s LEFT JOIN jobs j ON j.id = s.last_job_id`;
+
+async function listSchedules() {
+  const [rows] = await pool.query(`${SCHEDULE_SELECT} ORDER BY s.name`);
+  return rows.map(toSchedule);
+}
+
+async function getSchedule(id) {
+  const [[row]] = await pool.query(`${SCHEDULE_SELECT} WHERE s.id = ?`, [id]);
+  return row ? toSchedule(row) : null;
+}
+
+// Validation error — `invalid` tells the route to answer 400 with the message
+function invalid(message) {
+  return Object.assign(new Error(message), { invalid: true });
+}
+
+/**
+ * Validate { name, job_type, params, cron, enabled, email_report } — every
+ * field optional when `partial`. Returns the columns to write.
+ */
+function cleanScheduleInput(data, partial = false) {
+  const out = {};
+  if (data.name !== undefined || !partial) {
+    const name = String(data.name || '').trim().slice(0, 100);
+    if (!name) throw invalid('Nom requis');
+    out.name = name;
+  }
+  if (data.job_type !== undefined || !partial) {
+    if (!jobs.getJobTypes().some(t => t.type === data.job_type)) throw invalid('Type de tâche inconnu');
+    out.job_type = data.job_type;
+  }
+  if (data.params !== undefined) {
+    if (!data.params || typeof data.params !== 'object' || Array.isArray(data.params)) throw invalid('params doit être un objet');
+    out.params = JSON.stringify(data.params);
+  } else if (!partial) out.params = '{}';
+  if (data.cron !== undefined || !partial) {
+    try { parseCron(data.cron); } catch(e) { throw invalid(e.message); }
+    if (!nextRun(data.cron)) throw invalid('Cette expression ne se déclenche jamais');
+    out.cron = String(data.cron).trim();
+  }
+  if (data.enabled !== undefined) out.enabled = data.enabled ? 1 : 0;
+  if (data.email_report !== undefined) out.email_report = data.email_report ? 1 : 0;
+  return out;
+}
+
+async function createSchedule(data) {
+  const cols = cleanScheduleInput(data);
+  cols.next_run_at = toSql(nextRun(cols.cron));
+  const [r] = await pool.query('INSERT INTO schedules SET ?', [cols]);
+  return getSchedule(r.insertId);
+}
+
+/** Returns the updated schedule, or null if it does not exist. */
+async function updateSchedule(id, data) {
+  const current = await getSchedule(id);
+  if (!current) return null;
+  const cols = cleanScheduleInput(data, true);
+  // A new expression (or re-enabling) counts from now, not from the old slot
+  if (cols.cron !== undefined || cols.enabled === 1) cols.next_run_at = toSql(nextRun(cols.cron || current.cron));
+  if (Object.keys(cols).length) await pool.query('UPDATE schedules SET ? WHERE id = ?', [cols, id]);
+  return getSchedule(id);
+}
+
+async function deleteSchedule(id) {
+  const [r] = await pool.query('DELETE FROM schedules WHERE id = ?', [id]);
+  return r.affectedRows > 0;
+}
+
+// ─── Runs ─────────────────────────────────────────────────────
+
+async function launch(s, userId = null) {
+  const job = await jobs.enqueue(s.job_type, s.params, { userId });
+  await pool.query('UPDATE schedules SET last_run_at = ?, last_job_id = ? WHERE id = ?', [toSql(new Date()), job.id, s.id]);
+  return job;
+}
+
+/** Run a schedule right now; its regular slots are unaffected. */
+async function runSchedule(id, userId = null) {
+  const s = await getSchedule(id);
+  if (!s) return null;
+  return launch(s, userId);
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = new Date();
+    const [rows] = await pool.query('SELECT * FROM schedules WHERE enabled = 1');
+    for (const row of rows) {
+      const s = toSchedule(row);
+      const due = toDate(row.next_run_at);
+      let next = null;
+      try { next = nextRun(s.cron, now); } catch(e) { console.error(`[SCHEDULER] #${s.id} ${s.name}:`, e.message); }
+      if (due && due <= now) {
+        try {
+          const job = await launch(s);
+          console.log(`  ⏰  ${s.name} → tâche #${job.id} (${s.job_type})`);
+        } catch(e) { console.error(`[SCHEDULER] #${s.id} ${s.name}:`, e.message); }
+      }
+      // Missing (new / re-enabled row) or consumed slot → next match after now
+      if (!due || due <= now) {
+        await pool.query('UPDATE schedules SET next_run_at = ? WHERE id = ?', [toSql(next), s.id]);
+      }
+    }
+  } catch(e) { console.error('[SCHEDULER]', e.message); }
+  finally { ticking = false; }
+}
+
+// ─── Email reports ────────────────────────────────────────────
+
+function fmtDuration(job) {
+  if (!job.started_at || !job.finished_at) return '—';
+  const sec = Math.max(0, Math.round((toDate(job.finished_at) - toDate(job.started_at)) / 1000));
+  return sec < 60 ? `${sec} s` : `${Math.floor(sec / 60)} min ${sec % 60} s`;
+}
+
+function list(title, items, total) {
+  if (!items?.length) return [];
+  const shown = items.slice(0, REPORT_SAMPLE);
+  return ['', `${title} :`, ...shown.map(i => `  ${i}`),
+    ...(total > shown.length ? [`  … et ${total - shown.length} autre(s)`] : [])];
+}
+
+/** Plain-text body for a finished scheduled job. */
+function buildReport(s, job) {
+  const r = job.result || {};
+  const lines = [
+    `Tâche      : ${job.label} (#${job.id})`,
+    `Planifiée  : ${s.name} — ${s.cron}`,
+    `Statut     : ${job.status}`,
+    `Début      : ${job.started_at || '—'}`,
+    `Durée      : ${fmtDuration(job)}`,
+  ];
+  if (job.error) lines.push(`Erreur     : ${job.error}`);
+  if (job.status !== 'done') return lines.join('\n');
+
+  if (job.type === 'clean-media') {
+    lines.push('', r.summary || '');
+    lines.push(...list('Entrées DB sans fichier', r.orphaned_db_paths, r.orphaned_db));
+    lines.push(...list('Fichiers non indexés', r.unindexed_paths, r.unindexed_files));
+  } else if (job.type === 'duplicates') {
+    lines.push('', `${(r.groups || []).length} groupe(s) de doublons — ${r.count || 0} fichier(s)`);
+    lines.push(...list('Groupes', (r.groups || []).map(g => g.map(m => m.file_path).join('  ⇄  ')), (r.groups || []).length));
+  } else if (job.type === 'verify-integrity') {
+    lines.push('', `${r.checked ?? 0} vérifié(s) — ${r.ok ?? 0} intact(s), ${r.corrupted ?? 0} corrompu(s), `
+      + `${r.truncated ?? 0} tronqué(s), ${r.missing ?? 0} manquant(s), ${r.modified ?? 0} modifié(s)`);
+    lines.push(...list('Corrompus', r.corrupted_paths, r.corrupted));
+    lines.push(...list('Tronqués', r.truncated_paths, r.truncated));
+    lines.push(...list('Manquants', r.missing_paths, r.missing));
+  } else if (job.type === 'scan') {
+    lines.push('', `${r.done ?? 0} nouveau(x), ${r.skipped ?? 0} ignoré(s), ${r.moved ?? 0} déplacé(s), ${r.errors ?? 0} erreur(s)`);
+  } else {
+    const scalars = Object.entries(r).filter(([, v]) => v === null || typeof v !== 'object');
+    if (scalars.length) lines.push('', ...scalars.map(([k, v]) => `${k} : ${v}`));
+  }
+  return lines.join('\n');
+}
+
+async function reportJob(job) {
+  const [[row]] = await pool.query(`${SCHEDULE_SELECT} WHERE s.last_job_id = ? AND s.email_report = 1`, [job.id]);
+  if (!row) return;
+  const s = toSchedule(row);
+  const [admins] = await pool.query("SELECT email FROM users WHERE role = 'admin'");
+  if (!admins.length) return;
+  const icon = job.status === 'done' ? '✅' : job.status === 'cancelled' ? '⏹' : '❌';
+  await sendReport(admins.map(a => a.email), `${icon} ${s.name}`, buildReport(s, job));
+}
+
+// ─── Lifecycle ────────────────────────────────────────────────
+
+/** Start the minute tick (call after startWorker). */
+function startScheduler() {
+  if (timer) return;
+  jobs.onJobFinished(job => {
+    reportJob(job).catch(e => console.error('[SCHEDULER report]', e.message));
+  });
+  // Aligned on the minute so "0 3 * * *" fires at 03:00:0x, not 03:00:59
+  const delay = TICK_MS - (Date.now() % TICK_MS) + 1000;
+  timer = setTimeout(() => {
+    tick();
+    timer = setInterval(tick, TICK_MS);
+    timer.unref();
+  }, delay);
+  timer.unref();
+  tick();
+}
+
+function stopScheduler() {
+  clearTimeout(timer);
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  parseCron, nextRun,
+  listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule, runSchedule,
+  startScheduler, stopScheduler,
+};
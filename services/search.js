@@ -0,0 +1,183 @@
+/**
+ * services/search.js — Full-text media search (query parsing, SQL, snippets)
+ *
+ * Matching runs against the `media_search` table (see db.js), one row per
+ * media holding the text that should be findable:
+ *
+ *   title      — filename with `_ - .` turned into spaces ("my_clip.v2" → "my clip v2")
+ *   performer  — performer name, same normalisation
+ *   tags       — tag names (auto + manual)
+ *   comments   — every comment posted on the media
+ *
+ * Query syntax (Google-like)
+ * ──────────────────────────
+ *   beach sunset       — both words required, each also matches as a prefix
+ *   "beach sunset"     — exact phrase
+ *   -sunset / -"a b"   — exclude a word / phrase
+ *
+ * Words shorter than the server's FULLTEXT minimum token size
+ * (innodb_ft_min_token_size, 3 by default — override with SEARCH_MIN_WORD_LEN)
+ * are not in the index: they fall back to a LIKE on the indexed text.
+ *
+ * Relevance = MATCH on (title, performer) × 2 + MATCH on all four columns,
+ * so a hit in the filename ranks above the same hit buried in a comment.
+ *
+ * Exported functions
+ * ─────────────────
+ *   parseQuery(q)               — { terms: [{ text, words, phrase, exclude }] }
+ *   buildSearchSql(parsed)      — { where, params, score, scoreParams, ranked }
+ *   highlightRow(row, parsed)   — { filename, performer_name?, tags?, comment? } HTML with <mark>
+ *   normalizeText(str)          — the JS twin of the SQL normalisation above
+ */
+'use strict';
+
+const MIN_WORD_LEN = Number(process.env.SEARCH_MIN_WORD_LEN) || 3;
+const MAX_TERMS = 10;
+const SNIPPET_RADIUS = 60;
+
+const ALL_COLUMNS = 's.title, s.performer, s.tags, s.comments';
+const TITLE_COLUMNS = 's.title, s.performer';
+
+/** Same split as REGEXP_REPLACE(x, '[-_.]+', ' ') in db.refreshSearchIndex */
+function normalizeText(str) {
+  return String(str || '').replace(/[-_.]+/g, ' ');
+}
+
+function escapeLike(str) {
+  return str.replace(/\\/g, '\\\\').replace(/%/g, '\\%').replace(/_/g, '\\_');
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Split a raw query into terms. A single word that the filename normalisation
+ * would split ("H.265", "big_buck") is treated as a phrase of its parts.
+ */
+function parseQuery(q) {
+  const terms = [];
+  const re = /(-?)"([^"]*)"?|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(q || ''))) && terms.length < MAX_TERMS) {
+    let raw, exclude, quoted;
+    if (m[2] !== undefined) { raw = m[2]; exclude = m[1] === '-'; quoted = true; }
+    else { raw = m[3]; exclude = raw.length > 1 && raw.startsWith('-'); if (exclude) raw = raw.slice(1); quoted = false; }
+
+    // Boolean-mode operators are never part of a word
+    const words = normalizeText(raw.replace(/[+<>()~*"@]/g, ' ')).split(/\s+/).filter(Boolean);
+    if (!words.length) continue;
+    terms.push({ text: words.join(' '), words, phrase: quoted || words.length > 1, exclude });
+  }
+  return { terms };
+}
+
+/**
+ * SQL fragments for a parsed query. `where` goes after the other filters,
+ * `score` in the SELECT list. Both expect `media_search s` to be joined.
+ */
+function buildSearchSql(parsed) {
+  const conds = [];
+  const params = [];
+  const booleanParts = [];
+  const rankParts = [];
+  const excludedWords = [];
+
+  for (const t of parsed.terms) {
+    const indexable = t.words.every(w => w.length >= MIN_WORD_LEN);
+    if (!indexable) {
+      conds.push(`CONCAT_WS(' ', ${ALL_COLUMNS}) ${t.exclude ? 'NOT LIKE' : 'LIKE'} ?`);
+      params.push(`%${escapeLike(t.text)}%`);
+      continue;
+    }
+    const expr = t.phrase ? `"${t.text}"` : `${t.text}*`;
+    // Exclusions are exact words (no prefix): "-vid" must not hide "video"
+    const exact = t.phrase ? expr : t.text;
+    if (t.exclude) { booleanParts.push(`-${exact}`); excludedWords.push(exact); }
+    else { booleanParts.push(`+${expr}`); rankParts.push(expr); }
+  }
+
+  if (rankParts.length) {
+    conds.unshift(`MATCH(${ALL_COLUMNS}) AGAINST (? IN BOOLEAN MODE)`);
+    params.unshift(booleanParts.join(' '));
+  } else if (excludedWords.length) {
+    // A boolean query made only of exclusions matches nothing — negate instead
+    conds.unshift(`NOT MATCH(${ALL_COLUMNS}) AGAINST (? IN BOOLEAN MODE)`);
+    params.unshift(excludedWords.join(' '));
+  }
+
+  const ranked = rankParts.length > 0;
+  const rankExpr = rankParts.join(' ');
+  return {
+    where: conds.length ? conds.map(c => ` AND ${c}`).join('') : '',
+    params,
+    score: ranked
+      ? `(MATCH(${TITLE_COLUMNS}) AGAINST (? IN BOOLEAN MODE) * 2 + MATCH(${ALL_COLUMNS}) AGAINST (? IN BOOLEAN MODE))`
+      : '0',
+    scoreParams: ranked ? [rankExpr, rankExpr] : [],
+    ranked,
+  };
+}
+
+// One regex for every positive term, anchored at the start of a word (terms
+// are prefixes); phrase words may be separated by any of the characters the
+// normaliser turns into spaces.
+function termsRegex(parsed) {
+  const sources = parsed.terms
+    .filter(t => !t.exclude)
+    .map(t => t.words.map(escapeRegex).join('[\\s\\-_.]+'))
+    .sort((a, b) => b.length - a.length);
+  return sources.length ? new RegExp(`(?<![\\p{L}\\p{N}])(${sources.join('|')})`, 'giu') : null;
+}
+
+function markText(text, re) {
+  let out = '';
+  let last = 0;
+  let found = false;
+  re.lastIndex = 0;
+  for (let m; (m = re.exec(text)); ) {
+    if (!m[0]) { re.lastIndex++; continue; }
+    out += escapeHtml(text.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+    found = true;
+  }
+  return found ? out + escapeHtml(text.slice(last)) : null;
+}
+
+// ±SNIPPET_RADIUS characters around the first hit of the first matching comment
+function commentSnippet(comments, re) {
+  for (const line of String(comments || '').split('\n')) {
+    re.lastIndex = 0;
+    const m = re.exec(line);
+    if (!m) continue;
+    const start = Math.max(0, m.index - SNIPPET_RADIUS);
+    const end = Math.min(line.length, m.index + m[0].length + SNIPPET_RADIUS);
+    const marked = markText(line.slice(start, end), re);
+    return (start > 0 ? '…' : '') + marked + (end < line.length ? '…' : '');
+  }
+  return null;
+}
+
+/**
+ * HTML snippets (already escaped) for the fields a row matched on.
+ * `filename` is always present so the UI can render it uniformly.
+ * Expects `row.tags` (array) and `row.search_comments` from media_search.
+ */
+function highlightRow(row, parsed) {
+  const re = termsRegex(parsed);
+  const out = { filename: (re && markText(row.filename, re)) || escapeHtml(row.filename) };
+  if (!re) return out;
+  const performer = row.performer_name && markText(row.performer_name, re);
+  if (performer) out.performer_name = performer;
+  const tags = row.tags?.length && markText(row.tags.join(' · '), re);
+  if (tags) out.tags = tags;
+  const comment = commentSnippet(row.search_comments, re);
+  if (comment) out.comment = comment;
+  return out;
+}
+
+module.exports = { parseQuery, buildSearchSql, highlightRow, normalizeText, MIN_WORD_LEN };
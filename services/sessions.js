@@ -0,0 +1,138 @@
+/**
+ * services/sessions.js — Login sessions and rotating refresh tokens
+ *
+ * A login creates one `sessions` row. The client holds two tokens:
+ *
+ *   access token   — JWT signed by middleware/auth.js, short-lived (JWT_EXPIRES,
+ *                    15 min by default), carries the session id as `sid`
+ *   refresh token  — 32 random bytes, only its SHA-256 is stored; traded on
+ *                    POST /auth/refresh for a new pair (the old one stops working)
+ *
+ * Revoking a session deletes its row: the refresh token is refused at once
+ * and every access token carrying its `sid` is refused by requireAuth /
+ * optionalAuth, which check the row (cached 30 s, dropped on revoke).
+ *
+ * Design decisions
+ * ────────────────
+ * - Sliding expiry: each refresh pushes `expires_at` REFRESH_TOKEN_DAYS
+ *   (default 30) further, so an unused session lapses, an active one doesn't.
+ * - Reuse detection: the previous hash is kept. Presenting it means the token
+ *   was copied — the session is revoked. Within REUSE_GRACE_S of the rotation
+ *   it is rather two tabs refreshing at once: the loser gets `conflict` and
+ *   picks up the pair the winner stored.
+ * - Expired rows of a user are deleted when they log in again.
+ *
+ * Exported functions
+ * ─────────────────
+ *   createSession(userId, req)        — { sid, refreshToken }
+ *   rotateSession(refreshToken, req)  — { session, refreshToken } | { conflict: true } | null
+ *   isSessionActive(sid, userId)      — access-token check (cached)
+ *   listSessions(userId)              — newest activity first
+ *   revokeSession(userId, sid)        — false if not theirs
+ *   revokeByToken(refreshToken)       — logout without a valid access token
+ *   revokeUserSessions(userId, keep)  — every session but `keep` → count
+ */
+'use strict';
+
+const crypto = require('crypto');
+const { pool } = require('../db');
+
+const REFRESH_TOKEN_DAYS = Math.max(Number(process.env.REFRESH_TOKEN_DAYS) || 30, 1);
+const REUSE_GRACE_S = 30;
+const ACTIVE_CACHE_MS = 30 * 1000;
+
+const activeCache = new Map(); // sid → { userId, at }
+
+const hashToken = t => crypto.createHash('sha256').update(String(t)).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+
+function clientInfo(req) {
+  return {
+    userAgent: String(req.get('user-agent') || '').slice(0, 255) || null,
+    ip: req.ip || null,
+  };
+}
+
+async function createSession(userId, req) {
+  const refreshToken = newToken();
+  const { userAgent, ip } = clientInfo(req);
+  await pool.query('DELETE FROM sessions WHERE user_id = ? AND expires_at < NOW()', [userId]);
+  const [res] = await pool.query(
+    `INSERT INTO sessions (user_id, token_hash, user_agent, ip, expires_at)
+     VALUES (?, ?, ?, ?, NOW() + INTERVAL ? DAY)`,
+    [userId, hashToken(refreshToken), userAgent, ip, REFRESH_TOKEN_DAYS]
+  );
+  return { sid: res.insertId, refreshToken };
+}
+
+async function rotateSession(refreshToken, req) {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const hash = hashToken(refreshToken);
+  const [[session]] = await pool.query(
+    'SELECT * FROM sessions WHERE token_hash = ? AND expires_at > NOW()', [hash]);
+  if (!session) {
+    const [[reused]] = await pool.query(
+      `SELECT id, user_id, rotated_at > NOW() - INTERVAL ? SECOND AS recent
+       FROM sessions WHERE prev_token_hash = ?`, [REUSE_GRACE_S, hash]);
+    if (!reused) return null;
+    if (reused.recent) return { conflict: true };
+    console.warn(`[SESSION] refresh token reused — session ${reused.id} (user ${reused.user_id}) revoked`);
+    await revokeSession(reused.user_id, reused.id);
+    return null;
+  }
+
+  const next = newToken();
+  const { userAgent, ip } = clientInfo(req);
+  // token_hash in the WHERE: of two concurrent refreshes, only one rotates
+  const [res] = await pool.query(
+    `UPDATE sessions SET prev_token_hash = token_hash, token_hash = ?, rotated_at = NOW(),
+       last_used_at = NOW(), expires_at = NOW() + INTERVAL ? DAY, ip = ?, user_agent = COALESCE(?, user_agent)
+     WHERE id = ? AND token_hash = ?`,
+    [hashToken(next), REFRESH_TOKEN_DAYS, ip, userAgent, session.id, hash]
+  );
+  if (!res.affectedRows) return { conflict: true };
+  return { session, refreshToken: next };
+}
+
+async function isSessionActive(sid, userId) {
+  const hit = activeCache.get(sid);
+  if (hit && Date.now() - hit.at < ACTIVE_CACHE_MS) return hit.userId === userId;
+  const [[row]] = await pool.query(
+    'SELECT user_id FROM sessions WHERE id = ? AND expires_at > NOW()', [sid]);
+  if (!row) { activeCache.delete(sid); return false; }
+  activeCache.set(sid, { userId: row.user_id, at: Date.now() });
+  return row.user_id === userId;
+}
+
+async function listSessions(userId) {
+  const [rows] = await pool.query(
+    `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+     FROM sessions WHERE user_id = ? AND expires_at > NOW()
+     ORDER BY last_used_at DESC, id DESC`, [userId]);
+  return rows;
+}
+
+async function revokeSession(userId, sid) {
+  const [res] = await pool.query('DELETE FROM sessions WHERE id = ? AND user_id = ?', [sid, userId]);
+  activeCache.delete(Number(sid));
+  return res.affectedRows > 0;
+}
+
+async function revokeByToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return false;
+  const [[row]] = await pool.query('SELECT id, user_id FROM sessions WHERE token_hash = ?', [hashToken(refreshToken)]);
+  return row ? revokeSession(row.user_id, row.id) : false;
+}
+
+async function revokeUserSessions(userId, keepSid = null) {
+  const [rows] = await pool.query('SELECT id FROM sessions WHERE user_id = ? AND id <> ?', [userId, keepSid || 0]);
+  if (!rows.length) return 0;
+  await pool.query('DELETE FROM sessions WHERE id IN (?)', [rows.map(r => r.id)]);
+  rows.forEach(r => activeCache.delete(r.id));
+  return rows.length;
+}
+
+module.exports = {
+  createSession, rotateSession, isSessionActive,
+  listSessions, revokeSession, revokeByToken, revokeUserSessions,
+};
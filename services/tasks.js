@@ -0,0 +1,717 @@
+/**
+ * services/tasks.js — Background job types (scan, enrichment, maintenance)
+ *
+ * Registers every job type of the persistent queue (services/jobs.js).
+ * The admin routes only enqueue; the work below runs in the worker and
+ * reports through ctx.progress / ctx.log, so it survives a closed tab and
+ * resumes after a restart.
+ *
+ *   type                 params                          result
+ *   ──────────────────── ─────────────────────────────── ──────────────────────────────
+ *   scan                 { mode: all|videos|photos }     scan counters (queues enrich + photo-meta + thumbs + previews + content-hash)
+ *   enrich               {}                              { done, total }  — ffprobe metadata
+ *   photo-meta           {}                              { done, total }  — sharp / EXIF metadata
+ *   thumbs               { all?: bool, limit? }          { done, generated, total }
+ *   trickplay            { all?: bool, limit? }          { done, generated, total }  — seek previews
+ *   previews             { all?: bool, limit? }          { done, generated, total }  — hover clips
+ *   content-hash         { limit? }                      { done, hashed, changed, total }  — SHA-256 (after scan)
+ *   verify-integrity     { limit?, all?: bool }          { checked, ok, corrupted, truncated, missing, modified, *_paths }
+ *   duplicates           { mediaType: all|video|photo,   { groups, count, mode }
+ *                          mode?: exact|similar,           — similar: perceptual hashes,
+ *                          threshold? }                      + threshold and item distance
+ *   resolve-duplicates   { plans: [{ keep, remove }],    { deleted, deletedIds, merged, errors }
+ *                          deleteFile, merge }           — engagement moved onto `keep` at purge
+ *   delete-media         { ids, deleteFile }             { deleted, deletedIds, errors }
+ *   clean-media          { dry_run, verbose }            counters + sample paths
+ *   purge-short-videos   { max_duration, dry_run }       { found, deleted, errors }
+ *   empty-trash          { ids? } | { all: true } | {}   { purged, purgedIds, errors }  — {} = past retention
+ *
+ * Priorities: higher runs first — a scan (10) or an explicit delete (8)
+ * overtakes a long thumbnail backlog (3).
+ *
+ * Deleting (resolve-duplicates, delete-media, purge-short-videos) moves to
+ * the trash (services/trash.js); only empty-trash removes rows for good.
+ *
+ * Every handler is idempotent: a job interrupted by a restart simply runs
+ * again from the start.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { pool, listLibraries, updatePerformerCounts } = require('../db');
+const scanner = require('../scanner');
+const { registerJobType, enqueue, listJobs, cancelJob } = require('./jobs');
+const phash = require('./phash');
+const trash = require('./trash');
+
+const { THUMB_DIR, TRICKPLAY_DIR, PREVIEW_DIR, VARIANT_DIR, VIDEO_EXTS, PHOTO_EXTS } = scanner;
+const SAMPLE_PATHS = 100;
+
+/* ══════════════════════════════════════════════════════════════════
+   SCAN + POST-SCAN ENRICHMENT
+   ══════════════════════════════════════════════════════════════════ */
+/** Cancel queued / running scan jobs (and a scan started outside the queue, e.g. by the CLI). */
+async function cancelScanJobs() {
+  const { data } = await listJobs({ status: 'active', type: 'scan' });
+  await Promise.all(data.map(j => cancelJob(j.id)));
+  const direct = scanner.cancelScan();
+  return { jobs: data.map(j => j.id), cancelled: data.length > 0 || direct };
+}
+
+registerJobType('scan', {
+  label: 'Scan des bibliothèques',
+  priority: 10,
+  // scanner.scanDirectory refuses a second scan: scan {mode:'videos'} waits for scan {mode:'all'}
+  exclusive: true,
+  async run(ctx) {
+    const mode = ['all', 'videos', 'photos'].includes(ctx.params.mode) ? ctx.params.mode : 'all';
+    ctx.onCancel(() => scanner.cancelScan());
+    ctx.log(`Scan (${mode}) démarré`);
+
+    let lastError = null;
+    await scanner.scanDirectory(mode, p => {
+      const where = p.currentPerformer ? `${p.currentLibrary ? p.currentLibrary + ' / ' : ''}${p.currentPerformer}` : null;
+      ctx.progress(p.done, p.total, where);
+      if (p.lastError && p.lastError !== lastError) { lastError = p.lastError; ctx.log(p.lastError, 'warn'); }
+      ctx.emit(p);
+    });
+    const p = scanner.getProgress();
+    ctx.log(`${p.cancelled ? '⏹ Scan interrompu' : '✅ Scan terminé'} — ${p.done} nouveau(x), ${p.skipped} ignoré(s), ${p.moved} déplacé(s), ${p.errors} erreur(s)`);
+
+    // Enrichissement en tâches séparées : visibles, annulables, reprises au redémarrage
+    if (!p.cancelled) {
+      if (mode !== 'photos') await enqueue('enrich');
+      if (mode !== 'videos') await enqueue('photo-meta');
+      await enqueue('thumbs', { limit: 300 });
+      if (mode !== 'photos') await enqueue('previews', { limit: 300 });
+      await enqueue('content-hash');
+    }
+    return p;
+  },
+});
+
+registerJobType('enrich', {
+  label: 'Métadonnées vidéo (ffprobe)',
+  priority: 3,
+  maxAttempts: 2,
+  async run(ctx) {
+    const r = await scanner.enrichVideoMeta(3, {
+      onProgress: (done, total) => ctx.progress(done, total),
+      isCancelled: () => ctx.cancelled,
+    });
+    if (r.total === null) throw new Error('ffprobe enrichment failed (see server log)');
+    ctx.log(`${r.done} / ${r.total} vidéo(s) analysée(s)`);
+    return r;
+  },
+});
+
+registerJobType('photo-meta', {
+  label: 'Métadonnées photo (EXIF)',
+  priority: 3,
+  maxAttempts: 2,
+  async run(ctx) {
+    const r = await scanner.enrichPhotoMeta(3, {
+      onProgress: (done, total) => ctx.progress(done, total),
+      isCancelled: () => ctx.cancelled,
+    });
+    if (r.total === null) throw new Error('Photo metadata extraction failed (see server log)');
+    ctx.log(`${r.done} / ${r.total} photo(s) analysée(s)`);
+    return r;
+  },
+});
+
+registerJobType('thumbs', {
+  label: 'Miniatures manquantes',
+  priority: 3,
+  maxAttempts: 2,
+  async run(ctx) {
+    // all: every media whose thumbnail file is missing; otherwise the newest rows without thumb_path
+    const limit = ctx.params.all ? null : Math.max(1, Number(ctx.params.limit) || 300);
+    const r = await scanner.generateMissingThumbs(limit, 3, {
+      onProgress: (done, total) => ctx.progress(done, total),
+      isCancelled: () => ctx.cancelled,
+    });
+    if (r.total === null) throw new Error('Thumbnail generation failed (see server log)');
+    ctx.log(r.total ? `${r.generated} miniature(s) générée(s) sur ${r.total}` : 'Aucune miniature manquante');
+    return r;
+  },
+});
+
+registerJobType('trickplay', {
+  label: 'Aperçus de navigation',
+  priority: 2,
+  maxAttempts: 2,
+  async run(ctx) {
+    const limit = ctx.params.all ? null : Math.max(1, Number(ctx.params.limit) || 300);
+    const r = await scanner.generateMissingTrickplay(limit, 3, {
+      onProgress: (done, total) => ctx.progress(done, total),
+      isCancelled: () => ctx.cancelled,
+    });
+    if (r.total === null) throw new Error('Trickplay generation failed (see server log)');
+    ctx.log(r.total ? `${r.generated} aperçu(s) généré(s) sur ${r.total}` : 'Aucun aperçu manquant');
+    return r;
+  },
+});
+
+registerJobType('previews', {
+  label: 'Aperçus au survol',
+  priority: 1,
+  maxAttempts: 2,
+  async run(ctx) {
+    const limit = ctx.params.all ? null : Math.max(1, Number(ctx.params.limit) || 300);
+    const r = await scanner.generateMissingPreviews(limit, 2, {
+      onProgress: (done, total) => ctx.progress(done, total),
+      isCancelled: () => ctx.cancelled,
+    });
+    if (r.total === null) throw new Error('Preview encoding failed (see server log)');
+    ctx.log(r.total ? `${r.generated} aperçu(s) encodé(s) sur ${r.total}` : 'Aucun aperçu manquant');
+    return r;
+  },
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   CONTENT HASHES + INTEGRITY
+   ══════════════════════════════════════════════════════════════════ */
+registerJobType('content-hash', {
+  label: 'Empreintes SHA-256',
+  priority: 1,
+  maxAttempts: 2,
+  async run(ctx) {
+    const limit = ctx.params.limit ? Math.max(1, Number(ctx.params.limit) || 0) : null;
+    const r = await scanner.generateMissingContentHashes(limit, 1, {
+      onProgress: (done, total) => ctx.progress(done, total),
+      isCancelled: () => ctx.cancelled,
+    });
+    if (r.total === null) throw new Error('Content hashing failed (see server log)');
+    if (r.changed) ctx.log(`${r.changed} fichier(s) modifié(s) depuis leur empreinte — recalculée(s)`);
+    ctx.log(r.total ? `${r.hashed} empreinte(s) calculée(s) sur ${r.total}` : 'Aucune empreinte manquante');
+    return r;
+  },
+});
+
+/** Libraries whose root is unreachable (disque démonté) — their rows must not be reported as missing. */
+async function offlineLibraryIds(ctx, libraries) {
+  const offline = new Set();
+  for (const lib of libraries) {
+    try { await fs.promises.access(lib.path, fs.constants.R_OK); }
+    catch(_) {
+      offline.add(lib.id);
+      ctx.log(`⚠ Bibliothèque « ${lib.name} » inaccessible (${lib.path}) — ses médias sont ignorés`, 'warn');
+    }
+  }
+  return offline;
+}
+
+const INTEGRITY_LABELS = { corrupted: 'Corrompu', truncated: 'Tronqué', missing: 'Manquant', modified: 'Modifié (ré-empreinte à venir)' };
+
+/**
+ * Re-hash files that have a content_hash and compare. Size and mtime are
+ * checked first: a file that shrank is `truncated`, one changed through
+ * the filesystem is `modified` (left to the content-hash job); only a file
+ * whose size and mtime are intact but whose content differs is `corrupted`
+ * (bit-rot). Least recently verified first, `limit` files per run.
+ */
+registerJobType('verify-integrity', {
+  label: "Vérification d'intégrité",
+  priority: 1,
+  async run(ctx) {
+    const limit = ctx.params.all ? null : Math.max(1, Number(ctx.params.limit) || 1000);
+    const offline = await offlineLibraryIds(ctx, await listLibraries());
+    const [rows] = await pool.query(
+      `SELECT id, file_path, size, content_hash, hash_mtime, library_id FROM media
+       WHERE content_hash IS NOT NULL AND deleted_at IS NULL ORDER BY verified_at IS NOT NULL, verified_at, id${limit ? ' LIMIT ?' : ''}`,
+      limit ? [limit] : []
+    );
+    const found = { ok: [], corrupted: [], truncated: [], missing: [], modified: [] };
+    let skipped = 0, done = 0;
+    ctx.progress(0, rows.length);
+    ctx.log(`${rows.length} fichier(s) à vérifier`);
+    for (const m of rows) {
+      if (ctx.cancelled) break;
+      if (offline.has(m.library_id)) { skipped++; ctx.progress(++done, rows.length); continue; }
+      let status;
+      try {
+        const st = await fs.promises.stat(m.file_path);
+        if (st.size < Number(m.size)) status = 'truncated';
+        else if (st.size !== Number(m.size) || Math.floor(st.mtimeMs) !== Number(m.hash_mtime)) status = 'modified';
+        else {
+          const r = await scanner.contentHash(m.file_path, () => ctx.cancelled);
+          if (!r) { if (ctx.cancelled) break; status = 'missing'; }
+          else status = r.hash === m.content_hash ? 'ok' : 'corrupted';
+        }
+      } catch(_) { status = 'missing'; }
+      found[status].push(m.file_path);
+      if (status === 'ok') await pool.query('UPDATE media SET verified_at = NOW() WHERE id = ?', [m.id]);
+      else ctx.log(`${status === 'modified' ? '•' : '❌'} ${INTEGRITY_LABELS[status]} : ${m.file_path}`, status === 'modified' ? 'info' : 'warn');
+      ctx.progress(++done, rows.length, path.basename(m.file_path));
+    }
+
+    const counts = Object.fromEntries(Object.entries(found).map(([k, v]) => [k, v.length]));
+    ctx.log(`${done - skipped} vérifié(s) — ${counts.ok} intact(s), ${counts.corrupted} corrompu(s), `
+      + `${counts.truncated} tronqué(s), ${counts.missing} manquant(s), ${counts.modified} modifié(s)`
+      + (skipped ? `, ${skipped} ignoré(s) (bibliothèque inaccessible)` : ''));
+    return {
+      checked: done - skipped, skipped, ...counts,
+      corrupted_paths: found.corrupted.slice(0, SAMPLE_PATHS),
+      truncated_paths: found.truncated.slice(0, SAMPLE_PATHS),
+      missing_paths:   found.missing.slice(0, SAMPLE_PATHS),
+      modified_paths:  found.modified.slice(0, SAMPLE_PATHS),
+    };
+  },
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   DUPLICATES
+   ══════════════════════════════════════════════════════════════════ */
+// Similar mode: max Hamming distance (bits of 64) between two perceptual hashes
+const DUP_SIMILARITY_THRESHOLD = Math.min(32, Math.max(0, Number(process.env.DUP_SIMILARITY_THRESHOLD) || 10));
+const DUP_COLUMNS = `m.id, m.file_path, m.size, m.type, m.width, m.height, m.duration, m.performer_id,
+  p.name as performer_name`;
+
+/** The row's content_hash if its file still has the size / mtime it was hashed at. */
+async function storedContentHash(m) {
+  if (!m.content_hash) return null;
+  try {
+    const st = await fs.promises.stat(m.file_path);
+    return st.size === Number(m.size) && Math.floor(st.mtimeMs) === Number(m.hash_mtime) ? m.content_hash : null;
+  } catch(_) { return null; }
+}
+
+/**
+ * "similar" mode: perceptual hashes (computed for the rows that lack one,
+ * then kept in media.phash) clustered by Hamming distance — finds the
+ * re-encoded, resized or slightly trimmed copies the exact mode misses.
+ */
+async function findSimilar(ctx, typeFilter, typeLabel, mediaType) {
+  const t = ctx.params.threshold == null ? NaN : Number(ctx.params.threshold);
+  const threshold = Number.isFinite(t) && t >= 0 ? Math.min(32, t) : DUP_SIMILARITY_THRESHOLD;
+
+  // Phase 1: hash what is missing (stored as it goes — a restart resumes)
+  const h = await scanner.generateMissingHashes(typeFilter, 2, {
+    onProgress: (done, total) => ctx.progress(done, total, 'Empreintes perceptuelles…'),
+    isCancelled: () => ctx.cancelled,
+  });
+  if (ctx.cancelled) return null;
+  if (h.total === null) throw new Error('Perceptual hashing failed (see server log)');
+  if (h.total) ctx.log(`${h.hashed} empreinte(s) calculée(s) sur ${h.total}`);
+
+  // Phase 2: compare
+  ctx.progress(0, 0, `Comparaison des ${typeLabel}…`);
+  const [rows] = await pool.query(
+    `SELECT ${DUP_COLUMNS}, m.phash FROM media m JOIN performers p ON p.id = m.performer_id
+     WHERE m.phash IS NOT NULL AND m.phash <> '' AND m.deleted_at IS NULL${typeFilter ? ' AND m.type = ?' : ''}`,
+    typeFilter ? [typeFilter] : []
+  );
+  const clusters = await phash.groupSimilar(rows, threshold, {
+    onProgress: (done, total) => ctx.progress(done, total, `Comparaison des ${typeLabel}…`),
+    isCancelled: () => ctx.cancelled,
+  });
+  if (!clusters) return null;
+  const groups = clusters.map(g => g.map(({ phash: _, ...m }) => m));
+
+  const count = groups.reduce((a, g) => a + g.length, 0);
+  ctx.log(groups.length
+    ? `${groups.length} groupe(s) similaires — ${count} fichier(s) (seuil ${threshold})`
+    : `Aucun doublon similaire (seuil ${threshold})`);
+  return { groups, count, mediaType, mode: 'similar', threshold };
+}
+
+registerJobType('duplicates', {
+  label: 'Détection des doublons',
+  priority: 4,
+  maxAttempts: 2,
+  async run(ctx) {
+    const { mediaType = 'all' } = ctx.params;
+    const mode = ctx.params.mode === 'similar' ? 'similar' : 'exact';
+    const typeFilter = (mediaType === 'video' || mediaType === 'photo') ? mediaType : null;
+    const typeLabel  = typeFilter === 'video' ? 'vidéos' : typeFilter === 'photo' ? 'photos' : 'médias';
+    if (mode === 'similar') return findSimilar(ctx, typeFilter, typeLabel, mediaType);
+
+    // Phase 1: load media (filtered by type if requested)
+    ctx.progress(0, 0, `Chargement des ${typeLabel}…`);
+    const [rows] = await pool.query(
+      `SELECT ${DUP_COLUMNS}, m.content_hash, m.hash_mtime
+       FROM media m JOIN performers p ON p.id = m.performer_id
+       WHERE m.deleted_at IS NULL${typeFilter ? ' AND m.type = ?' : ''}`,
+      typeFilter ? [typeFilter] : []
+    );
+    if (ctx.cancelled) return null;
+
+    // Phase 2: stat files that have no size in DB
+    ctx.progress(0, 0, `Vérification des tailles (${rows.length} fichiers)…`);
+    const withSize = await Promise.all(rows.map(async r => {
+      if (r.size) return r;
+      try { const st = await fs.promises.stat(r.file_path); return { ...r, size: st.size }; }
+      catch { return { ...r, size: 0 }; }
+    }));
+
+    // Group by identical size — only groups with ≥2 files are candidates
+    const bySize = new Map();
+    for (const m of withSize) {
+      if (!m.size) continue;
+      if (!bySize.has(m.size)) bySize.set(m.size, []);
+      bySize.get(m.size).push(m);
+    }
+    const candidates = [...bySize.values()].filter(g => g.length > 1);
+    const totalFiles = candidates.reduce((a, g) => a + g.length, 0);
+    ctx.log(`${rows.length} ${typeLabel} — ${candidates.length} groupe(s) de même taille (${totalFiles} fichiers suspects)`);
+
+    // Phase 3: SHA-256 of each candidate — the stored content_hash when the
+    // file is unchanged since, otherwise computed now and stored for next time
+    const groups = [];
+    let done = 0, computed = 0;
+    for (const group of candidates) {
+      if (ctx.cancelled) return null;
+      const hashes = [];
+      for (const m of group) {
+        if (ctx.cancelled) return null;
+        let hash = await storedContentHash(m);
+        if (!hash) { hash = await scanner.storeContentHash(m, () => ctx.cancelled); computed++; }
+        hashes.push(hash);
+      }
+      const byHash = {};
+      group.forEach((m, i) => {
+        if (!hashes[i]) return;
+        (byHash[hashes[i]] ||= []).push(m);
+      });
+      for (const dups of Object.values(byHash)) {
+        if (dups.length > 1) groups.push(dups.map(({ content_hash: _, hash_mtime: __, ...m }) => m));
+      }
+      ctx.progress(++done, candidates.length, 'Hash des groupes suspects…');
+    }
+    if (computed) ctx.log(`${computed} empreinte(s) SHA-256 calculée(s) — réutilisées aux prochaines analyses`);
+
+    const count = groups.reduce((a, g) => a + g.length, 0);
+    ctx.log(groups.length ? `${groups.length} groupe(s) — ${count} fichier(s)` : 'Aucun doublon détecté');
+    return { groups, count, mediaType, mode };
+  },
+});
+
+/**
+ * Trash the losers of each duplicate group. With `merge`, each one records
+ * the copy kept (`merge_into`): its comments, reactions, favourites,
+ * playlist entries and views move there when the trash is purged
+ * (db.mergeMediaEngagement), so restoring a loser brings them all back.
+ */
+registerJobType('resolve-duplicates', {
+  label: 'Résolution des doublons',
+  priority: 8,
+  maxAttempts: 2,
+  async run(ctx) {
+    const plans = ctx.params.plans || [];
+    const deleteFile = ctx.params.deleteFile !== false;
+    const merge = ctx.params.merge !== false;
+    const total = plans.reduce((a, p) => a + p.remove.length, 0);
+    const deletedIds = [];
+    const errors = [];
+    let merged = 0, done = 0;
+    ctx.progress(0, total);
+    for (const { keep, remove } of plans) {
+      for (const id of remove) {
+        if (ctx.cancelled) break;
+        try {
+          const row = await trash.trashMedia(id, deleteFile, merge ? keep : null);
+          if (row) {
+            deletedIds.push(id);
+            if (row.merge_into) merged++;
+            ctx.log(`✓ [${id}] ${row.file_path} → corbeille${keep ? ` (conservé : #${keep})` : ''}`);
+          }
+          ctx.emit({ id, deleted: !!row });
+        } catch(e) {
+          errors.push({ id, error: e.message });
+          ctx.log(`❌ [${id}] ${e.message}`, 'error');
+        }
+        ctx.progress(++done, total);
+      }
+    }
+    if (deletedIds.length) await updatePerformerCounts();
+    ctx.log(`${deletedIds.length} doublon(s) supprimé(s), ${merged} fusionné(s)${errors.length ? ` — ${errors.length} erreur(s)` : ''}`);
+    return { deleted: deletedIds.length, deletedIds, merged, errors };
+  },
+});
+
+registerJobType('delete-media', {
+  label: 'Suppression de médias',
+  priority: 8,
+  maxAttempts: 2,
+  async run(ctx) {
+    const ids = (ctx.params.ids || []).map(Number).filter(Boolean);
+    const deleteFile = ctx.params.deleteFile !== false;
+    const deletedIds = [];
+    const errors = [];
+    let done = 0;
+    ctx.progress(0, ids.length);
+    for (const id of ids) {
+      if (ctx.cancelled) break;
+      try {
+        const row = await trash.trashMedia(id, deleteFile);
+        if (row) {
+          deletedIds.push(id);
+          ctx.log(`✓ [${id}] ${row.file_path} → corbeille`);
+        }
+        ctx.emit({ id, deleted: !!row });
+      } catch(e) {
+        errors.push({ id, error: e.message });
+        ctx.log(`❌ [${id}] ${e.message}`, 'error');
+      }
+      ctx.progress(++done, ids.length);
+    }
+    if (deletedIds.length) await updatePerformerCounts();
+    ctx.log(`${deletedIds.length} média(s) supprimé(s)${errors.length ? ` — ${errors.length} erreur(s)` : ''}`);
+    return { deleted: deletedIds.length, deletedIds, errors };
+  },
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   CLEAN MEDIA
+   ══════════════════════════════════════════════════════════════════ */
+registerJobType('clean-media', {
+  label: 'Nettoyage des médias',
+  priority: 5,
+  async run(ctx) {
+    const dry_run = ctx.params.dry_run !== false;
+    const verbose = !!ctx.params.verbose;
+    const phase = (n, label, done = 0, total = 0) => ctx.progress(done, total, `Phase ${n}/3 : ${label}`);
+
+    ctx.log(`${dry_run ? '[SIMULATION]' : '[RÉEL]'} Démarrage du nettoyage — ${new Date().toLocaleString('fr-FR')}`);
+
+    // ── Phase 1 : entrées DB orphelines (fichier supprimé du disque) ─
+    const [allMedia] = await pool.query('SELECT id, file_path, type, library_id, deleted_at FROM media ORDER BY id');
+    const dbPaths = new Set(allMedia.map(m => m.file_path));
+    const total1  = allMedia.length;
+    phase(1, 'fichiers manquants sur disque', 0, total1);
+    ctx.log(`Phase 1 — ${total1} médias dans la base de données`);
+
+    // A library whose root is unreachable (disque démonté) would flag every one
+    // of its rows as orphaned — skip those rows instead of deleting them.
+    const libraries = await listLibraries();
+    const offline = await offlineLibraryIds(ctx, libraries);
+
+    const orphanedDb = [];
+    for (let i = 0; i < allMedia.length; i++) {
+      if (ctx.cancelled) return null;
+      const m = allMedia[i];
+      if ((i + 1) % 200 === 0) phase(1, 'fichiers manquants sur disque', i + 1, total1);
+      // Rows in the trash: their file is gone on purpose — empty-trash handles them
+      if (offline.has(m.library_id) || m.deleted_at) continue;
+      try { await fs.promises.access(m.file_path, fs.constants.F_OK); }
+      catch(_) {
+        orphanedDb.push(m);
+        ctx.log(`⚠ Manquant sur disque : ${m.file_path}`, 'warn');
+        continue;
+      }
+      if (verbose && (i + 1) % 1000 === 0) ctx.log(`✔ ${i + 1}/${total1} vérifiés…`);
+    }
+    ctx.log(`Phase 1 terminée — ${orphanedDb.length} entrée(s) DB orpheline(s)`);
+
+    // ── Phase 2 : fichiers sur disque non indexés ─────────────────
+    phase(2, 'fichiers non indexés');
+    const unindexed = [];
+    let diskScanned = 0;
+
+    async function walkDir(dir, lib) {
+      if (ctx.cancelled) return;
+      let entries;
+      try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); } catch(_) { return; }
+      for (const e of entries) {
+        if (ctx.cancelled) return;
+        if (e.name.startsWith('.')) continue; // skipped by the scanner too (.xflix-trash…)
+        const full = path.join(dir, e.name);
+        if (e.isDirectory()) {
+          await walkDir(full, lib);
+        } else if (e.isFile()) {
+          const ext = path.extname(e.name).toLowerCase();
+          // Same type filter as the scanner: a photos-only library never indexes videos
+          if ((VIDEO_EXTS.has(ext) && lib.type !== 'photos') || (PHOTO_EXTS.has(ext) && lib.type !== 'videos')) {
+            diskScanned++;
+            if (!dbPaths.has(full)) {
+              unindexed.push(full);
+              if (verbose) ctx.log(`📄 Non indexé : ${full}`);
+            } else if (diskScanned % 2000 === 0) {
+              phase(2, 'fichiers non indexés', diskScanned, 0);
+              if (verbose) ctx.log(`✔ ${diskScanned} fichiers parcourus…`);
+            }
+          }
+        }
+      }
+    }
+
+    for (const lib of libraries) {
+      if (ctx.cancelled) return null;
+      if (!lib.enabled || offline.has(lib.id)) continue;
+      ctx.log(`📁 ${lib.name} — ${lib.path}`);
+      await walkDir(lib.path, lib);
+    }
+    if (ctx.cancelled) return null;
+    ctx.log(`Phase 2 terminée — ${diskScanned} fichier(s) parcouru(s), ${unindexed.length} non indexé(s)`);
+
+    // ── Phase 3 : miniatures orphelines ──────────────────────────
+    phase(3, 'miniatures orphelines');
+    const orphanThumbs = [];
+    const dbIds = new Set(allMedia.map(m => m.id));
+    const thumbDirs = [[THUMB_DIR, /^[vpc]_(\d+)\.(jpg|png|webp)$/], [TRICKPLAY_DIR, /^tp_(\d+)\.(jpg|vtt)$/], [PREVIEW_DIR, /^pv_(\d+)\.mp4$/],
+                       [VARIANT_DIR, /^(\d+)_\d+\.(jpg|webp|avif)$/]];
+    for (const [dir, re] of thumbDirs) {
+      try {
+        for (const f of await fs.promises.readdir(dir)) {
+          const m = f.match(re);
+          if (!m || dbIds.has(Number(m[1]))) continue;
+          orphanThumbs.push(path.join(dir, f));
+          if (verbose) ctx.log(`🖼 Miniature orpheline : ${f}`);
+        }
+      } catch(_) {}
+    }
+    ctx.log(`Phase 3 terminée — ${orphanThumbs.length} miniature(s) orpheline(s)`);
+
+    // ── Actions réelles (si pas dry-run) ─────────────────────────
+    let deletedDb = 0, deletedThumbs = 0;
+    if (!dry_run) {
+      if (orphanedDb.length) {
+        ctx.log(`🗑 Suppression de ${orphanedDb.length} entrée(s) DB orpheline(s)…`);
+        for (const m of orphanedDb) {
+          if (ctx.cancelled) break;
+          await pool.query('DELETE FROM media WHERE id = ?', [m.id]);
+          deletedDb++;
+          ctx.progress(deletedDb, orphanedDb.length, 'Suppression des entrées orphelines');
+          if (verbose) ctx.log(`✓ DB supprimé : [${m.id}] ${m.file_path}`);
+        }
+        await updatePerformerCounts();
+      }
+      if (orphanThumbs.length) {
+        ctx.log(`🗑 Suppression de ${orphanThumbs.length} miniature(s) orpheline(s)…`);
+        for (const t of orphanThumbs) {
+          if (ctx.cancelled) break;
+          try { await fs.promises.unlink(t); deletedThumbs++; } catch(_) {}
+          if (verbose) ctx.log(`✓ Miniature supprimée : ${path.basename(t)}`);
+        }
+      }
+    }
+
+    // ── Résumé final ─────────────────────────────────────────────
+    const summary = [
+      '════════════════════════════════════════',
+      `  ${dry_run ? '📋 SIMULATION — aucune modification effectuée' : '✅ NETTOYAGE TERMINÉ'}`,
+      `  Entrées DB orphelines    : ${orphanedDb.length}${!dry_run ? ` → ${deletedDb} supprimée(s)` : ''}`,
+      `  Fichiers non indexés     : ${unindexed.length}`,
+      `  Miniatures orphelines    : ${orphanThumbs.length}${!dry_run ? ` → ${deletedThumbs} supprimée(s)` : ''}`,
+      '════════════════════════════════════════',
+    ].join('\n');
+    ctx.log(summary);
+    ctx.progress(1, 1, 'Terminé');
+    return {
+      dry_run,
+      orphaned_db: orphanedDb.length, unindexed_files: unindexed.length,
+      orphaned_thumbs: orphanThumbs.length, deleted_db: deletedDb, deleted_thumbs: deletedThumbs,
+      // Samples for reports — the full lists are in the job log
+      orphaned_db_paths: orphanedDb.slice(0, SAMPLE_PATHS).map(m => m.file_path),
+      unindexed_paths: unindexed.slice(0, SAMPLE_PATHS),
+      summary,
+    };
+  },
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   PURGE COURTES VIDÉOS
+   ══════════════════════════════════════════════════════════════════ */
+registerJobType('purge-short-videos', {
+  label: 'Purge des courtes vidéos',
+  priority: 6,
+  async run(ctx) {
+    const maxSec = Math.max(1, Number(ctx.params.max_duration) || 120);
+    const dry_run = ctx.params.dry_run !== false;
+    const [rows] = await pool.query(
+      `SELECT id, file_path, duration FROM media WHERE type = 'video' AND duration > 0 AND duration < ? AND deleted_at IS NULL ORDER BY duration ASC`,
+      [maxSec]
+    );
+
+    const threshold = Math.floor(maxSec / 60) + 'min' + (maxSec % 60 ? (maxSec % 60) + 's' : '');
+    ctx.log(`${rows.length} vidéo(s) de moins de ${threshold} trouvée(s)`);
+    if (!rows.length) return { found: 0, deleted: 0, errors: 0, dry_run };
+
+    // Aperçu : liste toujours les fichiers
+    for (const r of rows) {
+      const m = Math.floor(r.duration / 60);
+      const s = Math.floor(r.duration % 60);
+      ctx.log(`  [${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}] ${path.basename(r.file_path)}`);
+    }
+
+    if (dry_run) {
+      ctx.log(`📋 SIMULATION — ${rows.length} vidéo(s) seraient supprimées.`);
+      return { found: rows.length, deleted: 0, errors: 0, dry_run };
+    }
+
+    let deleted = 0, errors = 0, done = 0;
+    ctx.log(`🗑 Mise à la corbeille de ${rows.length} vidéo(s)…`);
+    for (const r of rows) {
+      if (ctx.cancelled) break;
+      try {
+        if (await trash.trashMedia(r.id, true)) deleted++;
+      } catch(e) {
+        errors++;
+        ctx.log(`  ❌ ${path.basename(r.file_path)} — ${e.message}`, 'error');
+      }
+      ctx.progress(++done, rows.length);
+    }
+    await updatePerformerCounts();
+    ctx.log(`✅ ${deleted} vidéo(s) mise(s) à la corbeille${errors ? ` — ${errors} erreur(s)` : ''}.`);
+    return { found: rows.length, deleted, errors, dry_run };
+  },
+});
+
+/* ══════════════════════════════════════════════════════════════════
+   CORBEILLE
+   ══════════════════════════════════════════════════════════════════ */
+/**
+ * Purge trashed media for good: `ids`, everything (`all`), or — the
+ * scheduled run, no params — entries older than the retention setting.
+ */
+registerJobType('empty-trash', {
+  label: 'Vidage de la corbeille',
+  priority: 6,
+  maxAttempts: 2,
+  async run(ctx) {
+    let rows;
+    if (Array.isArray(ctx.params.ids)) {
+      const ids = ctx.params.ids.map(Number).filter(Boolean);
+      [rows] = ids.length
+        ? await pool.query('SELECT id FROM media WHERE id IN (?) AND deleted_at IS NOT NULL ORDER BY deleted_at', [ids])
+        : [[]];
+    } else if (ctx.params.all) {
+      [rows] = await pool.query('SELECT id FROM media WHERE deleted_at IS NOT NULL ORDER BY deleted_at');
+    } else {
+      const days = await trash.getRetentionDays();
+      if (!days) {
+        ctx.log('Rétention désactivée (0 jour) — rien à purger');
+        return { purged: 0, purgedIds: [], errors: [] };
+      }
+      [rows] = await pool.query(
+        'SELECT id FROM media WHERE deleted_at < NOW() - INTERVAL ? DAY ORDER BY deleted_at', [days]);
+      ctx.log(`Rétention : ${days} jour(s)`);
+    }
+    const purgedIds = [];
+    const errors = [];
+    let done = 0;
+    ctx.progress(0, rows.length);
+    ctx.log(`${rows.length} média(s) à purger`);
+    for (const { id } of rows) {
+      if (ctx.cancelled) break;
+      try {
+        const row = await trash.purgeMedia(id);
+        if (row) {
+          purgedIds.push(id);
+          ctx.log(`✓ [${id}] ${row.trash_path || row.file_path}`);
+          if (row.merged?.comments) ctx.log(`↪ [${id}] ${row.merged.comments} commentaire(s) → #${row.merge_into}`);
+        }
+      } catch(e) {
+        errors.push({ id, error: e.message });
+        ctx.log(`❌ [${id}] ${e.message}`, 'error');
+      }
+      ctx.progress(++done, rows.length);
+    }
+    ctx.log(`${purgedIds.length} média(s) supprimé(s) définitivement${errors.length ? ` — ${errors.length} erreur(s)` : ''}`);
+    return { purged: purgedIds.length, purgedIds, errors };
+  },
+});
+
+module.exports = { cancelScanJobs };
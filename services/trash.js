@@ -0,0 +1,139 @@
+/**
+ * services/trash.js — Recycle bin for media deleted from the admin panel
+ *
+ * Deleting a media (media browser, duplicates, short-video purge) no longer
+ * drops its row: the row gets `deleted_at` and disappears from every
+ * listing, while its comments, reactions, favourites, playlists and history
+ * stay attached. The file, when it is deleted too, is renamed into the
+ * trash directory of its library:
+ *
+ *   <library root>/.xflix-trash/<media id>_<file name>
+ *
+ * `trash_path` records where it went (NULL = file left in place, the row
+ * only was removed). Restoring renames it back and clears `deleted_at`;
+ * purging deletes the row for good — cascading to its comments and the
+ * rest — with the trashed file and the generated thumbnails / previews.
+ *
+ * Design decisions
+ * ────────────────
+ * - One trash per library root rather than a global one: a rename on the
+ *   same disk is instant, where a cross-disk move would copy gigabytes of
+ *   video. Rows without a (reachable) library use a .xflix-trash next to
+ *   the file. The scanner and the watcher skip dot-directories.
+ * - Thumbnails, previews and trickplay are kept until the purge, so the
+ *   trash tab can show them and a restore is immediate. The HLS rendition
+ *   is not: it is a cache, dropped (and its ffmpeg stopped) at once.
+ * - A duplicate trashed in favour of another copy keeps its own comments,
+ *   reactions and views while in the trash (`merge_into` names the copy
+ *   kept): they move onto that copy only when it is purged, so a restore
+ *   gives it back whole.
+ * - Entries older than the `trash_retention_days` setting (default 30)
+ *   are purged by the `empty-trash` job, scheduled daily; 0 keeps them
+ *   until purged by hand.
+ *
+ * Exported functions
+ * ─────────────────
+ *   trashMedia(id, moveFile, mergeInto) — soft-delete (+ move the file), false if not found / already trashed
+ *   restoreMedia(id)                    — put the file back and un-delete; throws if its path is taken
+ *   purgeMedia(id)                      — merge into `merge_into`, then delete row, trashed file and generated files
+ *   getRetentionDays()                  — current retention setting
+ *   TRASH_DIR_NAME                      — '.xflix-trash'
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { pool, getLibrary, getSetting, mergeMediaEngagement } = require('../db');
+const scanner = require('../scanner');
+const hls = require('./hls');
+
+const TRASH_DIR_NAME = '.xflix-trash';
+const TRASH_RETENTION_DAYS = 30;
+
+async function trashDir(row) {
+  const lib = row.library_id ? await getLibrary(row.library_id) : null;
+  if (lib) {
+    try {
+      await fs.promises.access(lib.path, fs.constants.W_OK);
+      return path.join(lib.path, TRASH_DIR_NAME);
+    } catch(_) {}
+  }
+  return path.join(path.dirname(row.file_path), TRASH_DIR_NAME);
+}
+
+/** rename(), creating the target directory. */
+async function moveFileTo(from, to) {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  await fs.promises.rename(from, to);
+}
+
+async function trashMedia(id, moveFile, mergeInto = null) {
+  const [[row]] = await pool.query(
+    'SELECT id, file_path, type, performer_id, library_id FROM media WHERE id = ? AND deleted_at IS NULL', [id]);
+  if (!row) return false;
+  let trashPath = null;
+  if (moveFile) {
+    trashPath = path.join(await trashDir(row), `${row.id}_${path.basename(row.file_path)}`);
+    try { await moveFileTo(row.file_path, trashPath); }
+    catch(e) {
+      if (e.code !== 'ENOENT') throw e;
+      trashPath = null; // already gone from disk — nothing to keep
+    }
+  }
+  try {
+    await pool.query('UPDATE media SET deleted_at = NOW(), trash_path = ?, merge_into = ? WHERE id = ?',
+      [trashPath, mergeInto || null, id]);
+  } catch(e) {
+    // The row stays live: its file must be where it points
+    if (trashPath) await fs.promises.rename(trashPath, row.file_path)
+      .catch(err => console.error(`[TRASH] ${trashPath} not moved back:`, err.message));
+    throw e;
+  }
+  if (row.type === 'video') hls.evict(id);
+  return { ...row, trash_path: trashPath, merge_into: mergeInto || null };
+}
+
+async function restoreMedia(id) {
+  const [[row]] = await pool.query(
+    'SELECT id, file_path, type, performer_id, trash_path FROM media WHERE id = ? AND deleted_at IS NOT NULL', [id]);
+  if (!row) return false;
+  if (row.trash_path) {
+    const taken = await fs.promises.access(row.file_path).then(() => true, () => false);
+    if (taken) throw new Error(`Un fichier existe déjà à l'emplacement d'origine : ${row.file_path}`);
+    try { await moveFileTo(row.trash_path, row.file_path); }
+    catch(e) {
+      if (e.code === 'ENOENT') throw new Error(`Fichier introuvable dans la corbeille : ${row.trash_path}`);
+      throw e;
+    }
+  }
+  await pool.query('UPDATE media SET deleted_at = NULL, trash_path = NULL, merge_into = NULL WHERE id = ?', [id]);
+  return row;
+}
+
+async function purgeMedia(id) {
+  const [[row]] = await pool.query('SELECT id, file_path, type, trash_path, merge_into FROM media WHERE id = ?', [id]);
+  if (!row) return false;
+  // The copy kept may have been purged in the meantime: the activity goes with the row then
+  if (row.merge_into) {
+    const [[keep]] = await pool.query('SELECT id FROM media WHERE id = ?', [row.merge_into]);
+    row.merged = keep ? await mergeMediaEngagement(id, keep.id) : null;
+  }
+  await pool.query('DELETE FROM media WHERE id = ?', [id]);
+  if (row.trash_path) {
+    try { await fs.promises.unlink(row.trash_path); }
+    catch(e) { if (e.code !== 'ENOENT') throw e; }
+  }
+  const thumb = row.type === 'video' ? `v_${id}.jpg` : `p_${id}.jpg`;
+  await Promise.all([thumb, `c_${id}.jpg`]
+    .map(f => fs.promises.unlink(path.join(scanner.THUMB_DIR, f)).catch(() => {})));
+  await scanner.removeThumbVariants(id);
+  if (row.type === 'video') await scanner.removeVideoExtras(id);
+  return row;
+}
+
+async function getRetentionDays() {
+  const v = Number(await getSetting('trash_retention_days', TRASH_RETENTION_DAYS));
+  return Number.isFinite(v) && v >= 0 ? Math.floor(v) : TRASH_RETENTION_DAYS;
+}
+
+module.exports = { TRASH_DIR_NAME, trashMedia, restoreMedia, purgeMedia, getRetentionDays };
@@ -0,0 +1,369 @@
+/**
+ * services/watcher.js — Real-time incremental indexing of library roots
+ *
+ * Optional alternative to re-running a full scan: file system changes under
+ * every enabled library are picked up and applied to the `media` table
+ * within a few seconds.
+ *
+ *   - fs.watch({ recursive: true }) per library root (inotify on Linux)
+ *   - polling fallback (periodic stat walk) when native watching is not
+ *     available — network shares, inotify limit reached, WATCH_POLLING=1
+ *
+ * Events are only hints: paths are queued, and once the tree has been quiet
+ * for WATCH_DEBOUNCE_MS the queue is flushed and every path is re-stat'ed to
+ * decide what actually happened:
+ *
+ *   new file        → upsert performer + insert row, then ffprobe + thumbnail,
+ *                     hover preview queued as a `previews` job
+ *   size changed    → update size, reset probe data + thumbnail + preview
+ *   file/dir gone   → delete rows (and their thumbnails / previews);
+ *                     rows in the trash are left to it (services/trash.js)
+ *   gone + new with the same fingerprint (size + partial hash, see scanner) in
+ *   one flush       → rename / move:
+ *                     the existing row is re-pointed, so comments, reactions,
+ *                     favourites and custom thumbnails survive
+ *
+ * Design decisions
+ * ────────────────
+ * - Files modified less than SETTLE_MS ago are re-queued: a copy in progress
+ *   is indexed once, with its final size.
+ * - Nothing is applied while a full scan runs (flush is postponed).
+ * - Removals are skipped for a library whose root is unreachable, so an
+ *   unmounted disk never wipes its rows.
+ * - Only performers touched by a flush get their counters recomputed.
+ *
+ * Exported functions
+ * ─────────────────
+ *   startWatcher()      — (re)start watching every enabled library
+ *   stopWatcher()       — close all watchers / pollers
+ *   reloadWatcher()     — restart only if running (libraries changed)
+ *   getWatcherStatus()  — state + counters for the admin dashboard
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pool, getEnabledLibraries, upsertPerformer, batchInsertMedia, updatePerformerCounts,
+        updateThumb, moveMedia, indexUnindexedMedia } = require('../db');
+const scanner = require('../scanner');
+const jobs = require('./jobs');
+
+const DEBOUNCE_MS   = Math.max(500, Number(process.env.WATCH_DEBOUNCE_MS) || 3000);
+const POLL_SECONDS  = Math.max(10, Number(process.env.WATCH_POLL_SECONDS) || 60);
+const FORCE_POLLING = process.env.WATCH_POLLING === '1';
+const SETTLE_MS     = 5000;
+
+// One handle per watched library: { lib, mode: 'native' | 'polling', close() }
+let handles = [];
+// absPath → library row, waiting for the next flush
+const pending = new Map();
+let flushTimer = null;
+let flushing = false;
+
+let status = {
+  running: false, startedAt: null, lastEventAt: null, lastFlushAt: null,
+  added: 0, updated: 0, removed: 0, moved: 0, errors: 0, lastError: null,
+};
+
+function isHidden(root, absPath) {
+  return path.relative(root, absPath).split(path.sep).some(s => s.startsWith('.'));
+}
+
+/** Library owning a path (longest matching root), or null. */
+function libraryFor(absPath) {
+  let best = null;
+  for (const { lib } of handles) {
+    const rel = path.relative(lib.path, absPath);
+    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) {
+      if (!best || lib.path.length > best.path.length) best = lib;
+    }
+  }
+  return best;
+}
+
+/** 'video' | 'photo' when the library indexes this extension, else null. */
+function mediaType(lib, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (scanner.VIDEO_EXTS.has(ext)) return lib.type === 'photos' ? null : 'video';
+  if (scanner.PHOTO_EXTS.has(ext)) return lib.type === 'videos' ? null : 'photo';
+  return null;
+}
+
+function scheduleFlush(delay = DEBOUNCE_MS) {
+  clearTimeout(flushTimer);
+  flushTimer = setTimeout(flush, delay);
+  flushTimer.unref();
+}
+
+function enqueue(lib, absPath) {
+  if (!status.running || isHidden(lib.path, absPath)) return;
+  pending.set(absPath, lib);
+  status.lastEventAt = new Date().toISOString();
+  scheduleFlush();
+}
+
+// ─── Watch modes ──────────────────────────────────────────────
+
+function watchNative(lib) {
+  const w = fs.watch(lib.path, { recursive: true, persistent: false }, (event, filename) => {
+    if (filename) enqueue(lib, path.join(lib.path, filename.toString()));
+  });
+  const handle = { lib, mode: 'native', close: () => w.close() };
+  w.on('error', (err) => {
+    // Root unmounted, inotify watch limit reached… degrade instead of stopping
+    console.warn(`[WATCH] ${lib.name}: fs.watch failed (${err.message}) — switching to polling`);
+    try { w.close(); } catch(_) {}
+    handles = handles.filter(h => h !== handle);
+    if (status.running) watchPolling(lib);
+  });
+  handles.push(handle);
+}
+
+async function snapshot(root) {
+  const snap = new Map();
+  for await (const f of scanner.walkFiles(root)) {
+    try { const st = await fs.promises.stat(f); snap.set(f, `${st.size}:${st.mtimeMs}`); } catch(_) {}
+  }
+  return snap;
+}
+
+function watchPolling(lib) {
+  let previous = null;
+  let walking = false;
+  const tick = async () => {
+    if (walking || !status.running) return;
+    walking = true;
+    try {
+      // Unreachable root → keep the previous snapshot rather than reporting everything as deleted
+      try { await fs.promises.access(lib.path, fs.constants.R_OK); } catch(_) { return; }
+      const current = await snapshot(lib.path);
+      if (previous) {
+        for (const [f, sig] of current) if (previous.get(f) !== sig) enqueue(lib, f);
+        for (const f of previous.keys()) if (!current.has(f)) enqueue(lib, f);
+      }
+      previous = current;
+    } catch(e) {
+      status.errors++; status.lastError = e.message;
+    } finally { walking = false; }
+  };
+  const timer = setInterval(tick, POLL_SECONDS * 1000);
+  timer.unref();
+  tick();
+  handles.push({ lib, mode: 'polling', close: () => clearInterval(timer) });
+}
+
+// ─── Flush ────────────────────────────────────────────────────
+
+async function flush() {
+  flushTimer = null;
+  if (!pending.size) return;
+  if (flushing || scanner.getProgress().running) { scheduleFlush(); return; }
+  flushing = true;
+
+  const batch = [...pending];
+  pending.clear();
+  const now = Date.now();
+
+  try {
+    const present = new Map();   // absPath → { lib, size, type }
+    const missing = [];          // [absPath, lib]
+
+    const consider = (lib, f, st) => {
+      const type = mediaType(lib, f);
+      if (!type || isHidden(lib.path, f)) return;
+      // Still being written — look again after the next quiet period
+      if (now - st.mtimeMs < SETTLE_MS) { pending.set(f, lib); return; }
+      present.set(f, { lib, size: st.size, type });
+    };
+
+    for (const [p, lib] of batch) {
+      let st = null;
+      try { st = await fs.promises.stat(p); } catch(_) {}
+      if (!st) { missing.push([p, lib]); continue; }
+      if (st.isDirectory()) {
+        // Directory created or moved in: its content never produced per-file events
+        for await (const f of scanner.walkFiles(p)) {
+          try { consider(libraryFor(f) || lib, f, await fs.promises.stat(f)); } catch(_) {}
+        }
+      } else if (st.isFile()) {
+        consider(lib, p, st);
+      }
+    }
+
+    // Rows that vanished (single files, or everything under a removed directory)
+    // keyed by id: a removed directory and its files all report the same rows
+    const goneById = new Map();
+    for (const [p, lib] of missing) {
+      try { await fs.promises.access(lib.path, fs.constants.R_OK); } catch(_) { continue; }
+      const prefix = p.replace(/[%_\\]/g, '\\$&') + path.sep + '%';
+      const [rows] = await pool.query(
+        `SELECT id, file_path, size, type, performer_id, partial_hash FROM media
+         WHERE (file_path = ? OR file_path LIKE ?) AND deleted_at IS NULL`,
+        [p, prefix]
+      );
+      rows.forEach(r => goneById.set(r.id, r));
+    }
+    const gone = [...goneById.values()];
+
+    // Present files already indexed → size change only
+    const touched = new Set();
+    const changed = [];
+    const newFiles = [];
+    const paths = [...present.keys()];
+    const known = new Map();
+    for (let i = 0; i < paths.length; i += 500) {
+      const [rows] = await pool.query('SELECT id, file_path, size, type, performer_id FROM media WHERE file_path IN (?)', [paths.slice(i, i + 500)]);
+      rows.forEach(r => known.set(r.file_path, r));
+    }
+    for (const [f, info] of present) {
+      const row = known.get(f);
+      if (!row) { newFiles.push([f, info]); continue; }
+      if (Number(row.size) === info.size) continue;
+      await pool.query(
+        `UPDATE media SET size = ?, duration = NULL, codec = NULL, width = NULL, height = NULL, thumb_path = NULL,
+                          preview_path = NULL, phash = NULL,
+                          content_hash = NULL, hash_mtime = NULL
+         WHERE id = ?`, [info.size, row.id]);
+      await removeThumb(row);
+      touched.add(row.performer_id);
+      changed.push(f);
+      status.updated++;
+    }
+
+    // Rename / move: pair a vanished row with a new file of identical fingerprint
+    const goneIds = new Set(gone.map(r => r.id));
+    const toInsert = [];
+    for (const [f, info] of newFiles) {
+      info.hash = await scanner.partialHash(f);
+      const candidates = gone.filter(r => goneIds.has(r.id) && Number(r.size) === info.size);
+      const row = candidates.length && info.hash ? await scanner.findMovedRow(candidates, f, info.hash) : null;
+      if (!row) { toInsert.push([f, info]); continue; }
+      const performerId = await performerFor(info.lib, f);
+      if (!performerId) { toInsert.push([f, info]); continue; }
+      await moveMedia(row.id, f, performerId, info.lib.id, info.hash);
+      goneIds.delete(row.id);
+      touched.add(row.performer_id);
+      touched.add(performerId);
+      status.moved++;
+    }
+
+    // Genuinely new files
+    const records = [];
+    for (const [f, info] of toInsert) {
+      const performerId = await performerFor(info.lib, f);
+      if (!performerId) continue; // file directly in the library root — not indexed (same as scan)
+      records.push([
+        performerId, path.basename(f), f, info.type,
+        scanner.MIME_MAP[path.extname(f).toLowerCase()] || (info.type === 'video' ? 'video/mp4' : 'image/jpeg'),
+        info.size, null, null, null, info.lib.id, info.hash,
+      ]);
+      touched.add(performerId);
+    }
+    for (let i = 0; i < records.length; i += 500) await batchInsertMedia(records.slice(i, i + 500));
+    status.added += records.length;
+
+    // Genuinely removed files
+    const removed = gone.filter(r => goneIds.has(r.id));
+    if (removed.length) {
+      await pool.query('DELETE FROM media WHERE id IN (?)', [removed.map(r => r.id)]);
+      for (const r of removed) { await removeThumb(r); touched.add(r.performer_id); }
+      status.removed += removed.length;
+    }
+
+    if (touched.size) await updatePerformerCounts([...touched]);
+    if (records.length) await indexUnindexedMedia();
+    if (records.length || changed.length) {
+      postProcess([...records.map(r => r[2]), ...changed]).catch(e => console.error('[WATCH postProcess]', e.message));
+    }
+    if (records.length || removed.length || touched.size) {
+      console.log(`[WATCH] +${records.length} -${removed.length} (${touched.size} performer(s) updated)`);
+    }
+  } catch(e) {
+    status.errors++;
+    status.lastError = e.message;
+    console.error('[WATCH]', e.message);
+  } finally {
+    flushing = false;
+    status.lastFlushAt = new Date().toISOString();
+    if (pending.size) scheduleFlush();
+  }
+}
+
+/** Performer id for a file: first directory level below the library root. */
+async function performerFor(lib, filePath) {
+  const parts = path.relative(lib.path, filePath).split(path.sep);
+  if (parts.length < 2) return null;
+  return upsertPerformer(parts[0], path.join(lib.path, parts[0]), lib.id);
+}
+
+async function removeThumb(row) {
+  const name = row.type === 'video' ? `v_${row.id}.jpg` : `p_${row.id}.jpg`;
+  try { await fs.promises.unlink(path.join(scanner.THUMB_DIR, name)); } catch(_) {}
+  await scanner.removeThumbVariants(row.id);
+  if (row.type === 'video') await scanner.removeVideoExtras(row.id);
+}
+
+/** ffprobe / EXIF + thumbnails (+ queued previews) for freshly inserted or changed files, off the flush path. */
+async function postProcess(newPaths) {
+  await scanner.enrichVideoMeta(2);
+  await scanner.enrichPhotoMeta(2);
+  const [rows] = await pool.query('SELECT id, file_path, type FROM media WHERE file_path IN (?)', [newPaths]);
+  for (const m of rows) {
+    const tp = m.type === 'video'
+      ? await scanner.generateVideoThumb(m.file_path, m.id)
+      : await scanner.generatePhotoThumb(m.file_path, m.id);
+    if (tp) await updateThumb(m.id, tp);
+  }
+  // Preview clips are a full encode: leave them to the queue (deduplicated while one is pending)
+  if (rows.some(m => m.type === 'video')) await jobs.enqueue('previews', { limit: 300 });
+}
+
+// ─── Lifecycle ────────────────────────────────────────────────
+
+async function startWatcher() {
+  stopWatcher();
+  const libs = await getEnabledLibraries();
+  status = {
+    ...status, running: true, startedAt: new Date().toISOString(),
+    added: 0, updated: 0, removed: 0, moved: 0, errors: 0, lastError: null,
+  };
+  for (const lib of libs) {
+    try { await fs.promises.access(lib.path, fs.constants.R_OK); }
+    catch(_) {
+      // Still polled: picks the disk up again once it is mounted
+      console.warn(`[WATCH] ${lib.name}: root not reachable (${lib.path}) — polling`);
+      watchPolling(lib);
+      continue;
+    }
+    if (FORCE_POLLING) { watchPolling(lib); continue; }
+    try { watchNative(lib); }
+    catch(e) {
+      console.warn(`[WATCH] ${lib.name}: fs.watch unavailable (${e.message}) — polling every ${POLL_SECONDS}s`);
+      watchPolling(lib);
+    }
+  }
+  console.log(`[WATCH] watching ${libs.length} librar${libs.length > 1 ? 'ies' : 'y'}`);
+}
+
+function stopWatcher() {
+  for (const h of handles) { try { h.close(); } catch(_) {} }
+  handles = [];
+  pending.clear();
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  status.running = false;
+}
+
+async function reloadWatcher() {
+  if (status.running) await startWatcher();
+}
+
+function getWatcherStatus() {
+  return {
+    ...status,
+    pending: pending.size,
+    libraries: handles.map(h => ({ id: h.lib.id, name: h.lib.name, mode: h.mode })),
+  };
+}
+
+module.exports = { startWatcher, stopWatcher, reloadWatcher, getWatcherStatus };